@@ -20,6 +20,7 @@ dotenv.config();
 
 const SwaggerExpressDashboard = require("./swagger");
 const { connectDB, disconnectDB } = require("./src/database/database");
+const { initializeRedis, closeRedis } = require("./src/config/cache.config");
 const { getLocalIPv4 } = require("./src/helpers/helper");
 const expertAIService = require("./src/services/ai/expert-ai.service");
 const userAIService = require("./src/services/ai/user-ai.service");
@@ -27,15 +28,34 @@ const frameworkComparisonAIService = require("./src/services/ai/framework-compar
 const {
   initializeWebSocketServer,
 } = require("./src/websocket/framework-comparison.websocket");
+const {
+  resumePendingComparisons,
+} = require("./src/services/framework-comparison.service");
 
 // Import routes
 const authRoutes = require("./src/routes/auth/auth.routes");
 const userRoutes = require("./src/routes/admin/user.routes");
 const adminDashboardRoutes = require("./src/routes/admin/dashboard.routes");
+const adminAIServiceRoutes = require("./src/routes/admin/ai-service.routes");
+const adminSecuritySettingsRoutes = require("./src/routes/admin/security-settings.routes");
+const adminLockoutRoutes = require("./src/routes/admin/lockout.routes");
+const adminAuditLogRoutes = require("./src/routes/admin/audit-log.routes");
+const adminOrganizationRoutes = require("./src/routes/admin/organization.routes");
+const adminRoleRoutes = require("./src/routes/admin/role.routes");
+const adminServiceAccountRoutes = require("./src/routes/admin/service-account.routes");
+const adminApiKeyRoutes = require("./src/routes/admin/api-key.routes");
+const adminIdentityProviderRoutes = require("./src/routes/admin/identity-provider.routes");
+const adminDocumentMetadataRoutes = require("./src/routes/admin/document-metadata.routes");
 const userDocumentRoutes = require("./src/routes/user/user-document.routes");
+const documentFolderRoutes = require("./src/routes/user/document-folder.routes");
 const userFrameworkRoutes = require("./src/routes/user/user-framework.routes");
 const expertFrameworkRoutes = require("./src/routes/expert/expert-framework.routes");
+const controlRoutes = require("./src/routes/expert/control.routes");
 const frameworkComparisonRoutes = require("./src/routes/user/framework-comparison.routes");
+const customFrameworkRoutes = require("./src/routes/user/custom-framework.routes");
+const organizationRoutes = require("./src/routes/user/organization.routes");
+const downloadRoutes = require("./src/routes/user/download.routes");
+const searchRoutes = require("./src/routes/user/search.routes");
 
 // Import error handling middleware
 const {
@@ -63,9 +83,6 @@ app.get("/", (req, res) => {
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, "public")));
 
-// Serve uploaded files (with authentication middleware if needed)
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
 // Initialize dashboard
 const dashboard = new SwaggerExpressDashboard({
   title: "VORA Backend API",
@@ -81,22 +98,66 @@ const dashboard = new SwaggerExpressDashboard({
 app.use("/api/auth", authRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/admin/dashboard", adminDashboardRoutes);
+app.use("/api/admin/ai-service", adminAIServiceRoutes);
+app.use("/api/admin/security-settings", adminSecuritySettingsRoutes);
+app.use("/api/admin/lockouts", adminLockoutRoutes);
+app.use("/api/admin/audit-logs", adminAuditLogRoutes);
+app.use("/api/admin/organizations", adminOrganizationRoutes);
+app.use("/api/admin/roles", adminRoleRoutes);
+app.use("/api/admin/service-accounts", adminServiceAccountRoutes);
+app.use("/api/admin/api-keys", adminApiKeyRoutes);
+app.use("/api/admin/identity-providers", adminIdentityProviderRoutes);
+app.use("/api/admin/document-metadata-fields", adminDocumentMetadataRoutes);
 app.use("/api/users/documents", userDocumentRoutes);
+app.use("/api/users/document-folders", documentFolderRoutes);
 app.use("/api/users/frameworks", userFrameworkRoutes);
 app.use("/api/users/framework-comparisons", frameworkComparisonRoutes);
+app.use("/api/users/custom-frameworks", customFrameworkRoutes);
+app.use("/api/users/organizations", organizationRoutes);
+app.use("/api/expert/frameworks/:id/controls", controlRoutes);
 app.use("/api/expert/frameworks", expertFrameworkRoutes);
+app.use("/api/downloads", downloadRoutes);
+app.use("/api/search", searchRoutes);
 
 // Register routes with dashboard for better documentation
 dashboard.registerRoutes("/api/auth", authRoutes);
 dashboard.registerRoutes("/api/user", userRoutes);
 dashboard.registerRoutes("/api/admin/dashboard", adminDashboardRoutes);
+dashboard.registerRoutes("/api/admin/ai-service", adminAIServiceRoutes);
+dashboard.registerRoutes(
+  "/api/admin/security-settings",
+  adminSecuritySettingsRoutes
+);
+dashboard.registerRoutes("/api/admin/lockouts", adminLockoutRoutes);
+dashboard.registerRoutes("/api/admin/audit-logs", adminAuditLogRoutes);
+dashboard.registerRoutes("/api/admin/organizations", adminOrganizationRoutes);
+dashboard.registerRoutes("/api/admin/roles", adminRoleRoutes);
+dashboard.registerRoutes(
+  "/api/admin/service-accounts",
+  adminServiceAccountRoutes
+);
+dashboard.registerRoutes("/api/admin/api-keys", adminApiKeyRoutes);
+dashboard.registerRoutes(
+  "/api/admin/identity-providers",
+  adminIdentityProviderRoutes
+);
+dashboard.registerRoutes(
+  "/api/admin/document-metadata-fields",
+  adminDocumentMetadataRoutes
+);
 dashboard.registerRoutes("/api/users/documents", userDocumentRoutes);
+dashboard.registerRoutes("/api/users/document-folders", documentFolderRoutes);
 dashboard.registerRoutes("/api/users/frameworks", userFrameworkRoutes);
 dashboard.registerRoutes(
   "/api/users/framework-comparisons",
   frameworkComparisonRoutes
 );
+dashboard.registerRoutes("/api/users/custom-frameworks", customFrameworkRoutes);
+dashboard.registerRoutes("/api/users/organizations", organizationRoutes);
+dashboard.registerRoutes("/api/expert/frameworks/:id/controls", controlRoutes);
 dashboard.registerRoutes("/api/expert/frameworks", expertFrameworkRoutes);
+dashboard.registerRoutes("/api/downloads", downloadRoutes);
+dashboard.registerRoutes("/api/search", searchRoutes);
 
 // Initialize dashboard
 dashboard.init(app);
@@ -114,12 +175,29 @@ async function start() {
     await connectDB(MONGODB_URI);
     console.log(bgYellow("🗄️ MongoDB connected successfully"));
 
+    // Redis holds the cache and the brute-force attempt counters and lockouts;
+    // the API starts without waiting and works without them until it connects
+    initializeRedis().catch((err) =>
+      console.error(bgRed("❌ Failed to initialize Redis"), err.message)
+    );
+
     httpServer = server.listen(PORT, "0.0.0.0", () => {
       const ipv4 = getLocalIPv4();
 
       // Initialize WebSocket server
       initializeWebSocketServer(httpServer);
 
+      // Pick up comparisons interrupted by the last shutdown
+      resumePendingComparisons()
+        .then((count) => {
+          if (count > 0) {
+            console.log(bgCyan(`🔁 Resumed ${count} framework comparison(s)`));
+          }
+        })
+        .catch((err) =>
+          console.error(bgRed("❌ Failed to resume framework comparisons"), err)
+        );
+
       // Development logs
       if (process.env.NODE_ENV !== "production") {
         console.log(bgGreen(`🌐 Server (Network) → http://${ipv4}:${PORT}`));
@@ -149,6 +227,7 @@ function gracefulShutdown() {
 
   Promise.resolve()
     .then(() => disconnectDB())
+    .then(() => closeRedis())
     .then(() => {
       console.log(bgGreen("✅ Cleanup completed, exiting process"));
 
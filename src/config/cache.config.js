@@ -1,64 +1,55 @@
 const redis = require("redis");
 
-// Redis client for caching (REQUIRED)
+// Redis client for caching and brute-force protection (optional: without it
+// responses are not cached and failed attempts are counted in memory)
 let redisClient = null;
 
-const initializeRedis = async () => {
-  try {
-    if (!process.env.REDIS_URL) {
-      throw new Error(
-        "REDIS_URL is required! Please configure Redis connection in .env file"
-      );
-    }
+// Longest wait between two reconnection attempts
+const RECONNECT_MAX_DELAY_MS = 3000;
 
-    console.log("🔗 Connecting to Redis...");
-
-    redisClient = redis.createClient({
-      url: process.env.REDIS_URL,
-      retry_strategy: (options) => {
-        if (options.error && options.error.code === "ECONNREFUSED") {
-          console.log("Redis connection refused, retrying...");
-        }
-        if (options.total_retry_time > 1000 * 60 * 60) {
-          return new Error("Retry time exhausted");
-        }
-        if (options.attempt > 10) {
-          return undefined;
-        }
-        return Math.min(options.attempt * 100, 3000);
-      },
-    });
-
-    redisClient.on("error", (err) => {
-      console.error("❌ Redis Client Error:", err);
-      throw err;
-    });
-
-    redisClient.on("connect", () => {
-      // Connected to Redis
-    });
-
-    redisClient.on("ready", () => {
-      console.log("🚀 Redis client ready for operations");
-    });
-
-    redisClient.on("end", () => {
-      // Redis connection ended
-    });
-
-    await redisClient.connect();
-
-    // Test the connection
-    await redisClient.ping();
-    console.log("🏓 Redis ping successful - Cache system ready");
-  } catch (error) {
-    console.error("❌ Failed to initialize Redis:", error.message);
-    console.error(
-      "💡 Please ensure Redis is running and REDIS_URL is configured correctly"
+/**
+ * Connect to Redis. The API does not wait for this: the promise stays pending
+ * while Redis cannot be reached and the client keeps reconnecting in the
+ * background, also after a lost connection
+ * @returns {Promise<boolean>} false when REDIS_URL is not configured
+ */
+const initializeRedis = async () => {
+  if (!process.env.REDIS_URL) {
+    console.warn(
+      "⚠️ REDIS_URL is not set, running without cache; brute-force protection counts failures in memory"
     );
-    console.error("💡 Example: REDIS_URL=redis://localhost:6379");
-    throw error; // Stop application if Redis fails
+    console.warn("💡 Example: REDIS_URL=redis://localhost:6379");
+    return false;
   }
+
+  console.log("🔗 Connecting to Redis...");
+
+  redisClient = redis.createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      connectTimeout: 10000,
+      reconnectStrategy: (retries) =>
+        Math.min((retries + 1) * 100, RECONNECT_MAX_DELAY_MS),
+    },
+    // Fail commands right away while disconnected instead of queueing them
+    disableOfflineQueue: true,
+  });
+
+  // The client reconnects by itself; throwing here would crash the process
+  redisClient.on("error", (err) => {
+    console.error("❌ Redis Client Error:", err.message);
+  });
+
+  redisClient.on("ready", () => {
+    console.log("🚀 Redis client ready for operations");
+  });
+
+  await redisClient.connect();
+
+  // Test the connection
+  await redisClient.ping();
+  console.log("🏓 Redis ping successful - Cache system ready");
+  return true;
 };
 
 // Cache key generators
@@ -71,7 +62,7 @@ const cacheOperations = {
   // Get from Redis cache
   async get(key) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -89,7 +80,7 @@ const cacheOperations = {
   // Set in Redis cache
   async set(key, value, ttl = 300) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -105,7 +96,7 @@ const cacheOperations = {
   // Delete from Redis cache
   async del(key) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -120,7 +111,7 @@ const cacheOperations = {
   // Clear cache by pattern
   async clearPattern(pattern) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -138,7 +129,7 @@ const cacheOperations = {
   // Check if key exists
   async exists(key) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -153,7 +144,7 @@ const cacheOperations = {
   // Get TTL of a key
   async ttl(key) {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -167,7 +158,7 @@ const cacheOperations = {
   // Get cache statistics
   async getStats() {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -195,7 +186,7 @@ const cacheOperations = {
   // Flush all cache
   async flushAll() {
     try {
-      if (!redisClient || !redisClient.isOpen) {
+      if (!redisClient || !redisClient.isReady) {
         throw new Error("Redis client is not connected");
       }
 
@@ -232,8 +223,11 @@ const CACHE_TTL = {
 // Graceful shutdown
 const closeRedis = async () => {
   try {
-    if (redisClient && redisClient.isOpen) {
-      await redisClient.quit();
+    if (redisClient && redisClient.isReady) {
+      await redisClient.close();
+    } else if (redisClient && redisClient.isOpen) {
+      // Still reconnecting, nothing to flush
+      redisClient.destroy();
     }
   } catch (error) {
     console.error("❌ Error closing Redis connection:", error);
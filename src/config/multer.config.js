@@ -1,28 +1,60 @@
+const crypto = require("crypto");
 const multer = require("multer");
 const path = require("path");
-const fs = require("fs");
+const { Transform } = require("stream");
+const {
+  buildObjectKey,
+  putObject,
+  deleteObject,
+} = require("../services/storage/storage.service");
 
 /**
  * Flexible Multer Configuration
  *
- * This module provides reusable multer configurations that accept upload directories
- * at usage time instead of being fixed in the configuration.
+ * This module provides reusable multer configurations that accept a storage
+ * prefix at usage time instead of being fixed in the configuration. Uploads
+ * are written through the storage service (local disk or S3); the object key
+ * is available as `req.file.key`.
  *
  * Usage Examples:
  *
  * 1. Document Upload:
- *    const upload = createDocumentUpload("src/uploads/user-documents");
+ *    const upload = createDocumentUpload("user-documents");
  *    router.post('/upload', upload.single('document'), handler);
  *
  * 2. Image Upload:
- *    const imageUpload = createImageUpload("src/uploads/profile-images");
+ *    const imageUpload = createImageUpload("profile-images");
  *    router.post('/upload-image', imageUpload.single('image'), handler);
  *
- * 3. Multiple Upload Directories:
- *    const userDocs = createDocumentUpload("src/uploads/user-documents");
- *    const expertDocs = createDocumentUpload("src/uploads/expert-frameworks");
+ * 3. Multiple Upload Prefixes:
+ *    const userDocs = createDocumentUpload("user-documents");
+ *    const expertDocs = createDocumentUpload("expert-frameworks");
  */
 
+// Multer storage engine that streams uploads into the storage service; the
+// SHA-256 checksum of the file is available as `req.file.checksum`
+const createStorageEngine = (prefix) => ({
+  _handleFile(req, file, cb) {
+    const key = buildObjectKey(prefix, file.originalname);
+    const hash = crypto.createHash("sha256");
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    // Errors of the upload (e.g. file too large) must reach the storage driver
+    file.stream.on("error", (error) => hashing.destroy(error));
+
+    putObject(key, file.stream.pipe(hashing), { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { key, size, checksum: hash.digest("hex") }))
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    deleteObject(file.key).then(() => cb(null), cb);
+  },
+});
+
 // Helper function to get document type from file extension
 const getDocumentType = (filename) => {
   const extension = path.extname(filename).toLowerCase();
@@ -42,38 +74,15 @@ const getDocumentType = (filename) => {
   }
 };
 
-// Helper function to delete file from filesystem
-const deleteFile = (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  } catch (error) {
-    console.error("Error deleting file:", error);
-  }
-};
-
 // Helper function to remove file extension from filename
 const removeFileExtension = (filename) => {
   return path.parse(filename).name;
 };
 
 // Document upload configuration
-const createDocumentUpload = (uploadDir = "src/uploads/documents") => {
-  // Configure multer storage
-  const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      // Create directory if it doesn't exist
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-      // Use original filename (this will replace existing files with same name)
-      cb(null, file.originalname);
-    },
-  });
+const createDocumentUpload = (prefix = "documents") => {
+  // Each upload gets its own key, so files with the same name never collide
+  const storage = createStorageEngine(prefix);
 
   // File filter to allow only specific file types
   const fileFilter = (req, file, cb) => {
@@ -114,23 +123,8 @@ const createDocumentUpload = (uploadDir = "src/uploads/documents") => {
 };
 
 // Image upload configuration (for future use)
-const createImageUpload = (uploadDir = "src/uploads/images") => {
-  const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-      // Generate unique filename with timestamp
-      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-      cb(
-        null,
-        file.fieldname + "-" + uniqueSuffix + path.extname(file.originalname)
-      );
-    },
-  });
+const createImageUpload = (prefix = "images") => {
+  const storage = createStorageEngine(prefix);
 
   const fileFilter = (req, file, cb) => {
     const allowedTypes = [
@@ -169,6 +163,5 @@ module.exports = {
   createImageUpload,
   documentUpload,
   getDocumentType,
-  deleteFile,
   removeFileExtension,
 };
@@ -0,0 +1,53 @@
+const { aiCircuitBreaker } = require("../../services/ai/aiClient");
+
+// Get AI circuit breaker state, error rate and retry totals
+const getAICircuitBreaker = async (req, res) => {
+  try {
+    const breaker = aiCircuitBreaker.getState();
+
+    res.status(200).json({
+      success: true,
+      message:
+        breaker.state === "closed"
+          ? "AI service is healthy"
+          : "AI service degraded",
+      data: {
+        circuitBreaker: breaker,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting AI circuit breaker state:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving AI circuit breaker",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Close the AI circuit breaker and clear its statistics
+const resetAICircuitBreaker = async (req, res) => {
+  try {
+    aiCircuitBreaker.reset();
+
+    res.status(200).json({
+      success: true,
+      message: "AI circuit breaker reset successfully",
+      data: {
+        circuitBreaker: aiCircuitBreaker.getState(),
+      },
+    });
+  } catch (error) {
+    console.error("Error resetting AI circuit breaker:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while resetting AI circuit breaker",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getAICircuitBreaker,
+  resetAICircuitBreaker,
+};
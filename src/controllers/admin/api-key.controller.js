@@ -0,0 +1,102 @@
+const ApiKey = require("../../models/api-key.model");
+const { paginateWithSearch } = require("../../helpers/helper");
+const {
+  API_KEY_ERROR_STATUS,
+  revokeApiKey,
+  formatApiKey,
+} = require("../../services/api-key.service");
+
+// Helper function to send API key errors, returns false for unexpected errors
+const sendApiKeyError = (res, error) => {
+  const status = API_KEY_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get the API keys of every user, newest first
+const getApiKeysByAdmin = async (req, res) => {
+  try {
+    const { userId, includeInactive } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (includeInactive !== "true") {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const result = await paginateWithSearch(ApiKey, {
+      page: req.query.page,
+      limit: req.query.limit || 20,
+      filter: filter,
+      select: "",
+      sortBy: "createdAt",
+      allowedSortFields: ["createdAt"],
+      populate: [
+        { path: "userId", select: "name email role isServiceAccount" },
+      ],
+      transform: (apiKey) => ({
+        ...formatApiKey(apiKey),
+        userId: apiKey.userId?._id || null,
+        user: apiKey.userId,
+      }),
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        result.data.length > 0
+          ? "API keys retrieved successfully"
+          : "No API keys match your filters",
+      data: {
+        apiKeys: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving API keys",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Revoke the API key of any user, e.g. a leaked key
+const revokeApiKeyByAdmin = async (req, res) => {
+  try {
+    await revokeApiKey(req.params.apiKeyId, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while revoking API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getApiKeysByAdmin,
+  revokeApiKeyByAdmin,
+};
@@ -0,0 +1,70 @@
+const AuditLog = require("../../models/audit-log.model");
+const { paginateWithSearch } = require("../../helpers/helper");
+
+// Get audit log entries, newest first
+const getAuditLogs = async (req, res) => {
+  try {
+    const { category, event, email, ipAddress, from, to } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (category) filter.category = category;
+    if (event) filter.event = event;
+    if (email) filter.email = email.toLowerCase();
+    if (ipAddress) filter.ipAddress = ipAddress;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const result = await paginateWithSearch(AuditLog, {
+      page: req.query.page,
+      limit: req.query.limit || 20,
+      filter: filter,
+      select: "",
+      sortBy: "createdAt",
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: ["createdAt"],
+      populate: [
+        { path: "actorId", select: "name email role" },
+        { path: "targetUserId", select: "name email role" },
+      ],
+      transform: (entry) => ({
+        id: entry._id,
+        category: entry.category,
+        event: entry.event,
+        actor: entry.actorId,
+        targetUser: entry.targetUserId,
+        email: entry.email,
+        ipAddress: entry.ipAddress,
+        userAgent: entry.userAgent,
+        details: entry.details,
+        createdAt: entry.createdAt,
+      }),
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        result.data.length > 0
+          ? "Audit log retrieved successfully"
+          : "No audit log entries match your filters",
+      data: {
+        auditLogs: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving audit log",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
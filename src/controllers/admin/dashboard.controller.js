@@ -2,14 +2,15 @@ const User = require("../../models/user.model");
 const UserDocument = require("../../models/user-document.model");
 const UserFramework = require("../../models/user-framework.model");
 const ExpertFramework = require("../../models/expert-framework.model");
+const { PERMISSIONS } = require("../../services/permission.service");
 
 // Get admin dashboard analytics
 const getDashboardAnalytics = async (req, res) => {
   try {
-    if (!req.user || req.user.role !== "admin") {
+    if (!req.permissions?.includes(PERMISSIONS.DASHBOARD_READ)) {
       return res.status(403).json({
         success: false,
-        message: "Forbidden: admin access required.",
+        message: "Forbidden: dashboard:read permission required.",
       });
     }
 
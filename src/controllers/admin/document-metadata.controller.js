@@ -0,0 +1,151 @@
+const {
+  METADATA_ERROR_STATUS,
+  listMetadataFields,
+  getMetadataField,
+  createMetadataField,
+  updateMetadataField,
+  deleteMetadataField,
+  formatMetadataField,
+} = require("../../services/document-metadata.service");
+
+// Helper function to send metadata errors, returns false for unexpected errors
+const sendMetadataError = (res, error) => {
+  const status = METADATA_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get all document metadata fields, including inactive ones
+const getMetadataFields = async (req, res) => {
+  try {
+    const fields = await listMetadataFields();
+
+    res.status(200).json({
+      success: true,
+      message: "Metadata fields retrieved successfully",
+      data: {
+        metadataFields: fields.map(formatMetadataField),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting metadata fields:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving metadata fields",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get a document metadata field by ID
+const getMetadataFieldById = async (req, res) => {
+  try {
+    const field = await getMetadataField(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Metadata field retrieved successfully",
+      data: {
+        metadataField: formatMetadataField(field),
+      },
+    });
+  } catch (error) {
+    if (sendMetadataError(res, error)) return;
+
+    console.error("Error getting metadata field:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving metadata field",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a document metadata field
+const createMetadataFieldByAdmin = async (req, res) => {
+  try {
+    const field = await createMetadataField(req.body, {
+      actorId: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Metadata field created successfully",
+      data: {
+        metadataField: formatMetadataField(field),
+      },
+    });
+  } catch (error) {
+    if (sendMetadataError(res, error)) return;
+
+    console.error("Error creating metadata field:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating metadata field",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update a document metadata field
+const updateMetadataFieldByAdmin = async (req, res) => {
+  try {
+    const field = await updateMetadataField(req.params.id, req.body, {
+      actorId: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Metadata field updated successfully",
+      data: {
+        metadataField: formatMetadataField(field),
+      },
+    });
+  } catch (error) {
+    if (sendMetadataError(res, error)) return;
+
+    console.error("Error updating metadata field:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating metadata field",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete a document metadata field and its values
+const deleteMetadataFieldByAdmin = async (req, res) => {
+  try {
+    const { documentsUpdated } = await deleteMetadataField(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Metadata field deleted successfully, removed from ${documentsUpdated} documents`,
+      data: { documentsUpdated },
+    });
+  } catch (error) {
+    if (sendMetadataError(res, error)) return;
+
+    console.error("Error deleting metadata field:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting metadata field",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getMetadataFields,
+  getMetadataFieldById,
+  createMetadataFieldByAdmin,
+  updateMetadataFieldByAdmin,
+  deleteMetadataFieldByAdmin,
+};
@@ -0,0 +1,184 @@
+const {
+  SSO_ERROR_STATUS,
+  listIdentityProviders,
+  getIdentityProvider,
+  createIdentityProvider,
+  updateIdentityProvider,
+  deleteIdentityProvider,
+  testIdentityProvider,
+  formatIdentityProvider,
+} = require("../../services/sso.service");
+
+// Helper function to send SSO errors, returns false for unexpected errors
+const sendSsoError = (res, error) => {
+  const status = SSO_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get all identity providers
+const getIdentityProviders = async (req, res) => {
+  try {
+    const providers = await listIdentityProviders();
+
+    res.status(200).json({
+      success: true,
+      message: "Identity providers retrieved successfully",
+      data: {
+        identityProviders: providers.map(formatIdentityProvider),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting identity providers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving identity providers",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get an identity provider by ID
+const getIdentityProviderById = async (req, res) => {
+  try {
+    const provider = await getIdentityProvider(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Identity provider retrieved successfully",
+      data: {
+        identityProvider: formatIdentityProvider(provider),
+      },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Error getting identity provider:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving identity provider",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create an identity provider
+const createIdentityProviderByAdmin = async (req, res) => {
+  try {
+    const provider = await createIdentityProvider(req.body, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Identity provider created successfully",
+      data: {
+        identityProvider: formatIdentityProvider(provider),
+      },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Error creating identity provider:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating identity provider",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update an identity provider
+const updateIdentityProviderByAdmin = async (req, res) => {
+  try {
+    const provider = await updateIdentityProvider(req.params.id, req.body, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Identity provider updated successfully",
+      data: {
+        identityProvider: formatIdentityProvider(provider),
+      },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Error updating identity provider:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating identity provider",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete an identity provider and unlink it from its users
+const deleteIdentityProviderByAdmin = async (req, res) => {
+  try {
+    const unlinkedUsers = await deleteIdentityProvider(req.params.id, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Identity provider deleted successfully",
+      data: {
+        unlinkedUsers,
+      },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Error deleting identity provider:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting identity provider",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Check that the OpenID configuration of an identity provider can be loaded
+const testIdentityProviderByAdmin = async (req, res) => {
+  try {
+    const configuration = await testIdentityProvider(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Identity provider configuration loaded successfully",
+      data: {
+        configuration,
+      },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Error testing identity provider:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while testing identity provider",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getIdentityProviders,
+  getIdentityProviderById,
+  createIdentityProviderByAdmin,
+  updateIdentityProviderByAdmin,
+  deleteIdentityProviderByAdmin,
+  testIdentityProviderByAdmin,
+};
@@ -0,0 +1,97 @@
+const {
+  BRUTE_FORCE_CONFIG,
+  getActiveLockouts,
+  unlockAccount,
+  unblockIp,
+} = require("../../services/brute-force.service");
+
+// Get locked accounts and blocked IP addresses
+const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await getActiveLockouts();
+
+    res.status(200).json({
+      success: true,
+      message:
+        lockouts.accounts.length + lockouts.ips.length > 0
+          ? "Lockouts retrieved successfully"
+          : "No accounts are locked and no IP addresses are blocked",
+      data: {
+        accounts: lockouts.accounts,
+        ips: lockouts.ips,
+        config: BRUTE_FORCE_CONFIG,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting lockouts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving lockouts",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Unlock an account and reset its failed attempts
+const unlockAccountByAdmin = async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const unlocked = await unlockAccount(email, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+      via: "admin",
+    });
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: "Account is not locked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked successfully",
+    });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while unlocking account",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Unblock an IP address and reset its failed attempts
+const unblockIpByAdmin = async (req, res) => {
+  try {
+    const { ip } = req.params;
+
+    const unblocked = await unblockIp(ip, { actorId: req.user._id });
+    if (!unblocked) {
+      return res.status(404).json({
+        success: false,
+        message: "IP address is not blocked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "IP address unblocked successfully",
+    });
+  } catch (error) {
+    console.error("Error unblocking IP address:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while unblocking IP address",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getLockouts,
+  unlockAccountByAdmin,
+  unblockIpByAdmin,
+};
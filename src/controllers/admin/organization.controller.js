@@ -0,0 +1,309 @@
+const Organization = require("../../models/organization.model");
+const User = require("../../models/user.model");
+const UserDocument = require("../../models/user-document.model");
+const UserFramework = require("../../models/user-framework.model");
+const { paginateWithSearch } = require("../../helpers/helper");
+const {
+  ORGANIZATION_ERROR_STATUS,
+  createOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  deleteOrganization,
+  formatOrganization,
+  formatOrganizationMembers,
+} = require("../../services/organization.service");
+
+// Helper function to send organization errors, returns false for unexpected errors
+const sendOrganizationError = (res, error) => {
+  const status = ORGANIZATION_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Helper function to format an organization with its members and usage
+const formatOrganizationDetails = async (organization) => {
+  await organization.populate("members.userId", "name email");
+
+  const [documentCount, frameworkCount] = await Promise.all([
+    UserDocument.countDocuments({ organizationId: organization._id }),
+    UserFramework.countDocuments({ organizationId: organization._id }),
+  ]);
+
+  return {
+    ...formatOrganization(organization),
+    members: formatOrganizationMembers(organization),
+    documentCount,
+    frameworkCount,
+  };
+};
+
+// Get all organizations with pagination and search
+const getOrganizations = async (req, res) => {
+  try {
+    const { search, userId } = req.query;
+
+    const filter = {};
+    if (userId) {
+      filter["members.userId"] = userId;
+    }
+
+    const result = await paginateWithSearch(Organization, {
+      page: req.query.page,
+      limit: req.query.limit || 10,
+      search: search,
+      searchFields: ["name", "slug", "description"],
+      filter: filter,
+      select: "",
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: ["createdAt", "updatedAt", "name"],
+      transform: (organization) => formatOrganization(organization),
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        result.data.length > 0
+          ? "Organizations retrieved successfully"
+          : "No organizations match your search criteria",
+      data: {
+        organizations: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting organizations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving organizations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create an organization, optionally with an owner
+const createOrganizationByAdmin = async (req, res) => {
+  try {
+    const { name, description, ownerEmail } = req.body;
+
+    let owner = null;
+    if (ownerEmail) {
+      owner = await User.findOne({ email: ownerEmail.toLowerCase() });
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: "No user with this owner email address",
+        });
+      }
+    }
+
+    const organization = await createOrganization({
+      name,
+      description,
+      ownerId: owner?._id,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get an organization with its members
+const getOrganizationByAdmin = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Organization retrieved successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update the name or description of an organization
+const updateOrganizationByAdmin = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Organization updated successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete an organization that no longer owns any data
+const deleteOrganizationByAdmin = async (req, res) => {
+  try {
+    await deleteOrganization(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization deleted successfully",
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error deleting organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Add an existing user to an organization
+const addOrganizationMemberByAdmin = async (req, res) => {
+  try {
+    const { email, role = "member" } = req.body;
+
+    const organization = await addMember(
+      req.params.id,
+      { email, role },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error adding organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Change the org role of an organization member
+const updateOrganizationMemberByAdmin = async (req, res) => {
+  try {
+    const organization = await updateMemberRole(
+      req.params.id,
+      req.params.userId,
+      req.body.role,
+      { canManageOwners: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error updating organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Remove a member from an organization
+const removeOrganizationMemberByAdmin = async (req, res) => {
+  try {
+    const organization = await removeMember(req.params.id, req.params.userId, {
+      canManageOwners: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+      data: {
+        organization: await formatOrganizationDetails(organization),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error removing organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getOrganizations,
+  createOrganizationByAdmin,
+  getOrganizationByAdmin,
+  updateOrganizationByAdmin,
+  deleteOrganizationByAdmin,
+  addOrganizationMemberByAdmin,
+  updateOrganizationMemberByAdmin,
+  removeOrganizationMemberByAdmin,
+};
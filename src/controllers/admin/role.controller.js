@@ -0,0 +1,197 @@
+const User = require("../../models/user.model");
+const {
+  ROLE_ERROR_STATUS,
+  getRole,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  formatRole,
+  getPermissionCatalog,
+} = require("../../services/permission.service");
+
+// Helper function to send role errors, returns false for unexpected errors
+const sendRoleError = (res, error) => {
+  const status = ROLE_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get every permission that can be granted to a role
+const getPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Permissions retrieved successfully",
+      data: {
+        permissions: getPermissionCatalog(),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting permissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving permissions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get all roles with the number of users that have them
+const getRoles = async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      listRoles(),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Roles retrieved successfully",
+      data: {
+        roles: roles.map((role) =>
+          formatRole(
+            role,
+            userCounts.find((item) => item._id === role.name)?.count || 0
+          )
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting roles:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving roles",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get a role by name
+const getRoleByName = async (req, res) => {
+  try {
+    const role = await getRole(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    res.status(200).json({
+      success: true,
+      message: "Role retrieved successfully",
+      data: {
+        role: formatRole(role, userCount),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving role",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a custom role
+const createRoleByAdmin = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await createRole(
+      { name, description, permissions },
+      { actorId: req.user._id, ipAddress: req.ip }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: {
+        role: formatRole(role, 0),
+      },
+    });
+  } catch (error) {
+    if (sendRoleError(res, error)) return;
+
+    console.error("Error creating role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating role",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update the description or permissions of a role
+const updateRoleByAdmin = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await updateRole(
+      req.params.name,
+      { description, permissions },
+      { actorId: req.user._id, ipAddress: req.ip }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: {
+        role: formatRole(role),
+      },
+    });
+  } catch (error) {
+    if (sendRoleError(res, error)) return;
+
+    console.error("Error updating role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating role",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete a custom role that no user has anymore
+const deleteRoleByAdmin = async (req, res) => {
+  try {
+    await deleteRole(req.params.name, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    if (sendRoleError(res, error)) return;
+
+    console.error("Error deleting role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting role",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRoleByName,
+  createRoleByAdmin,
+  updateRoleByAdmin,
+  deleteRoleByAdmin,
+};
@@ -0,0 +1,81 @@
+const {
+  getSecuritySettings,
+  updateSecuritySettings,
+  formatSecuritySettings,
+} = require("../../services/security-settings.service");
+const {
+  SECURITY_SETTINGS_FIELDS,
+  PASSWORD_POLICY_FIELDS,
+} = require("../../validations/security-settings.validation");
+
+// Get the platform security policy
+const getSecuritySettingsByAdmin = async (req, res) => {
+  try {
+    const settings = await getSecuritySettings();
+
+    res.status(200).json({
+      success: true,
+      message: "Security settings retrieved successfully",
+      data: {
+        settings: formatSecuritySettings(settings),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting security settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving security settings",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update the platform security policy
+const updateSecuritySettingsByAdmin = async (req, res) => {
+  try {
+    const updates = {};
+    SECURITY_SETTINGS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.mfaRequiredRoles) {
+      updates.mfaRequiredRoles = [...new Set(updates.mfaRequiredRoles)];
+    }
+
+    // Only the given policy fields change, the others keep their values
+    if (updates.passwordPolicy) {
+      const { passwordPolicy } = updates;
+      delete updates.passwordPolicy;
+      PASSWORD_POLICY_FIELDS.forEach((field) => {
+        if (passwordPolicy[field] !== undefined) {
+          updates[`passwordPolicy.${field}`] = passwordPolicy[field];
+        }
+      });
+    }
+
+    const settings = await updateSecuritySettings(updates, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Security settings updated successfully. MFA requirements and password expiry apply from the next login, password rules from the next password change.",
+      data: {
+        settings: formatSecuritySettings(settings),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating security settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating security settings",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getSecuritySettingsByAdmin,
+  updateSecuritySettingsByAdmin,
+};
@@ -0,0 +1,232 @@
+const User = require("../../models/user.model");
+const ApiKey = require("../../models/api-key.model");
+const {
+  API_KEY_ERROR_STATUS,
+  getServiceAccount,
+  createServiceAccount,
+  deleteServiceAccount,
+  createApiKey,
+  getUserApiKeys,
+  formatApiKey,
+} = require("../../services/api-key.service");
+const { getUserOrganizations } = require("../../services/organization.service");
+
+// Helper function to send API key errors, returns false for unexpected errors
+const sendApiKeyError = (res, error) => {
+  const status = API_KEY_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Helper function to shape a service account with its organizations
+const formatServiceAccount = (
+  account,
+  organizations = [],
+  activeApiKeys = 0
+) => ({
+  id: account._id,
+  name: account.name,
+  email: account.email,
+  role: account.role,
+  organizations: organizations.map((organization) => ({
+    id: organization._id,
+    name: organization.name,
+    slug: organization.slug,
+  })),
+  activeApiKeys,
+  createdByAdminId: account.createdByAdminId,
+  createdAt: account.createdAt,
+});
+
+// Get all service accounts with their number of active API keys
+const getServiceAccounts = async (req, res) => {
+  try {
+    const accounts = await User.find({ isServiceAccount: true }).sort({
+      createdAt: -1,
+    });
+
+    const [keyCounts, organizations] = await Promise.all([
+      ApiKey.aggregate([
+        {
+          $match: {
+            userId: { $in: accounts.map((account) => account._id) },
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+        },
+        { $group: { _id: "$userId", count: { $sum: 1 } } },
+      ]),
+      Promise.all(accounts.map((account) => getUserOrganizations(account._id))),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Service accounts retrieved successfully",
+      data: {
+        serviceAccounts: accounts.map((account, index) =>
+          formatServiceAccount(
+            account,
+            organizations[index],
+            keyCounts.find((item) => item._id.equals(account._id))?.count || 0
+          )
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting service accounts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving service accounts",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a service account without a password
+const createServiceAccountByAdmin = async (req, res) => {
+  try {
+    const { name, role, organizationId } = req.body;
+
+    const account = await createServiceAccount(
+      { name, role, organizationId },
+      {
+        actorId: req.user._id,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        "Service account created successfully. Create an API key for it to start using it",
+      data: {
+        serviceAccount: formatServiceAccount(
+          account,
+          await getUserOrganizations(account._id)
+        ),
+      },
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Error creating service account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating service account",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete a service account and its API keys, the data it uploaded is kept
+const deleteServiceAccountByAdmin = async (req, res) => {
+  try {
+    await deleteServiceAccount(req.params.id, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Service account deleted successfully",
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Error deleting service account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting service account",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get the API keys of a service account
+const getServiceAccountApiKeys = async (req, res) => {
+  try {
+    const account = await getServiceAccount(req.params.id);
+    const apiKeys = await getUserApiKeys(account._id, {
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "API keys retrieved successfully",
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+      },
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Error getting service account API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving API keys",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create an API key for a service account; the key is only returned in this response
+const createServiceAccountApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, organizationId } = req.body;
+
+    const account = await getServiceAccount(req.params.id);
+
+    // Defaults to the first organization the service account belongs to
+    const { apiKey, key } = await createApiKey(
+      account,
+      {
+        name,
+        scopes,
+        expiresInDays,
+        organizationId:
+          organizationId || (await getUserOrganizations(account._id))[0]?._id,
+      },
+      {
+        actorId: req.user._id,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created successfully. Copy it now, it will not be shown again",
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Error creating service account API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getServiceAccounts,
+  createServiceAccountByAdmin,
+  deleteServiceAccountByAdmin,
+  getServiceAccountApiKeys,
+  createServiceAccountApiKey,
+};
@@ -1,24 +1,66 @@
 const User = require("../../models/user.model");
-const {
-  generateTempPassword,
-  paginateWithSearch,
-  formatFileSize,
-} = require("../../helpers/helper");
-const { sendTempPasswordEmail } = require("../../services/email.service");
+const { paginateWithSearch, formatFileSize } = require("../../helpers/helper");
 const UserDocument = require("../../models/user-document.model");
 const UserFramework = require("../../models/user-framework.model");
-const { deleteFile } = require("../../config/multer.config");
+const { deleteObject } = require("../../services/storage/storage.service");
 const ExpertFramework = require("../../models/expert-framework.model");
 const FrameworkComparison = require("../../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../../models/framework-comparison-batch.model");
+const Control = require("../../models/control.model");
+const CustomFramework = require("../../models/custom-framework.model");
+const Session = require("../../models/session.model");
+const Organization = require("../../models/organization.model");
+const ApiKey = require("../../models/api-key.model");
+const Invitation = require("../../models/invitation.model");
+const {
+  deleteFrameworkVersions,
+} = require("../../services/framework-version.service");
+const {
+  deleteDocumentVersions,
+} = require("../../services/document-version.service");
+const {
+  getUserSessions,
+  formatSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../../services/session.service");
+const { disableMfa } = require("../../services/mfa.service");
+const {
+  INVITATION_ERROR_STATUS,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationsByUser,
+  formatInvitation,
+} = require("../../services/invitation.service");
+const {
+  PERMISSIONS,
+  getRolePermissions,
+} = require("../../services/permission.service");
+
+// Helper function to send invitation errors, returns false for unexpected errors
+const sendInvitationError = (res, error) => {
+  const status = INVITATION_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
 
 // Create user by admin
 const createUserByAdmin = async (req, res) => {
   try {
-    // only admins can create users
-    if (!req.user || req.user.role !== "admin") {
+    // only user managers can create users
+    if (!req.permissions?.includes(PERMISSIONS.USER_MANAGE)) {
       return res.status(403).json({
         success: false,
-        message: "Forbidden: admin access required to perform this action.",
+        message:
+          "Forbidden: user:manage permission required to perform this action.",
       });
     }
 
@@ -43,40 +85,45 @@ const createUserByAdmin = async (req, res) => {
       }
     }
 
-    // generate temporary password that satisfies validators
-    const tempPassword = generateTempPassword(12);
-
+    // The user chooses a password through the invitation link
     const newUser = new User({
       name,
       email,
       role: role || "expert",
       phone: phone || undefined,
-      password: tempPassword,
+      invitationPending: true,
       createdBy: "admin",
       createdByAdminId: req.user._id, // Track which admin created this user
-      isEmailVerified: true, // admin-created users considered verified by admin
     });
 
     await newUser.save();
 
-    // Send temporary password via email
-    const emailSent = await sendTempPasswordEmail(email, tempPassword, name);
+    const { invitation, emailSent } = await createInvitation(newUser, {
+      actorId: req.user._id,
+      actorName: req.user.name,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    const user = {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role,
+      phone: newUser.phone,
+      invitation: formatInvitation(invitation),
+    };
 
     if (!emailSent) {
       // If email fails, we should still inform admin but log the issue
-      console.error(`Failed to send temporary password email to ${email}`);
+      console.error(`Failed to send invitation email to ${email}`);
       return res.status(201).json({
         success: true,
         message:
-          "User created successfully, but failed to send email. Please provide the temporary password manually.",
-        user: {
-          id: newUser._id,
-          name: newUser.name,
-          email: newUser.email,
-          role: newUser.role,
-          phone: newUser.phone,
-        },
-        warning: "Email delivery failed. Please contact the user directly.",
+          "User created successfully, but failed to send the invitation email. Please resend the invitation.",
+        user,
+        warning:
+          "Email delivery failed. Resend the invitation once email works.",
       });
     }
 
@@ -86,17 +133,11 @@ const createUserByAdmin = async (req, res) => {
     res.status(201).json({
       success: true,
       message:
-        "User created successfully. Temporary password has been sent to their email address.",
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        phone: newUser.phone,
-      },
+        "User created successfully. An invitation has been sent to their email address.",
+      user,
       emailSent: true,
       instructions:
-        "The user will receive their temporary password via email and must update it on first login.",
+        "The user will receive an invitation link via email to choose their password. The link can be used once and expires.",
     });
   } catch (error) {
     console.error("Create user by admin error:", error);
@@ -107,11 +148,12 @@ const createUserByAdmin = async (req, res) => {
 // Update user by admin
 const updateUserByAdmin = async (req, res) => {
   try {
-    // only admins can update users
-    if (!req.user || req.user.role !== "admin") {
+    // only user managers can update users
+    if (!req.permissions?.includes(PERMISSIONS.USER_MANAGE)) {
       return res.status(403).json({
         success: false,
-        message: "Forbidden: admin access required to perform this action.",
+        message:
+          "Forbidden: user:manage permission required to perform this action.",
       });
     }
 
@@ -194,11 +236,11 @@ const getAllUsers = async (req, res) => {
   try {
     const { search } = req.query;
 
-    // only admins can fetch all users
-    if (!req.user || req.user.role !== "admin") {
+    // only user managers can fetch all users
+    if (!req.permissions?.includes(PERMISSIONS.USER_MANAGE)) {
       return res.status(403).json({
         success: false,
-        message: "Forbidden: only admin can access.",
+        message: "Forbidden: user:manage permission required.",
       });
     }
 
@@ -244,11 +286,21 @@ const getAllUsers = async (req, res) => {
             }
           : null,
         isEmailVerified: user.isEmailVerified,
+        isServiceAccount: user.isServiceAccount,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       }),
     });
 
+    // Invitation status of users created by an admin (null for everyone else)
+    const invitations = await getInvitationsByUser(
+      result.data.map((user) => user.id)
+    );
+    const users = result.data.map((user) => ({
+      ...user,
+      invitation: invitations.get(user.id.toString()) || null,
+    }));
+
     // Determine appropriate message based on data availability
     let message = "User list retrieved successfully";
     if (result.data.length === 0) {
@@ -264,7 +316,7 @@ const getAllUsers = async (req, res) => {
     res.json({
       success: true,
       message: message,
-      users: result.data,
+      users,
       pagination: result.pagination,
       searchTerm: result.searchTerm,
     });
@@ -434,10 +486,10 @@ const getUserById = async (req, res) => {
 // Delete user by ID (admin only) - Minimal & Production Ready
 const deleteUser = async (req, res) => {
   try {
-    if (!req.user || req.user.role !== "admin") {
+    if (!req.permissions?.includes(PERMISSIONS.USER_MANAGE)) {
       return res.status(403).json({
         success: false,
-        message: "Forbidden: only admin can access.",
+        message: "Forbidden: user:manage permission required.",
       });
     }
 
@@ -466,21 +518,58 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    // Log the user out everywhere and drop their API keys and invitation
+    await Session.deleteMany({ userId: id });
+    await ApiKey.deleteMany({ userId: id });
+    await Invitation.deleteMany({ userId: id });
+
     // Always delete comparisons
     await FrameworkComparison.deleteMany({ $or: [{ userId: id }] });
+    await FrameworkComparisonBatch.deleteMany({ userId: id });
+
+    // Custom frameworks of other users are no longer shared with them
+    await CustomFramework.updateMany(
+      { sharedWith: id },
+      { $pull: { sharedWith: id } }
+    );
+
+    // Remove the user from every organization they belong to
+    await Organization.updateMany(
+      { "members.userId": id },
+      { $pull: { members: { userId: id } } }
+    );
 
     if (deleteData) {
       // Delete all user data and files
-      const [userDocs, userFrameworks, expertFrameworks] = await Promise.all([
-        UserDocument.find({ uploadedBy: id }),
-        UserFramework.find({ uploadedBy: id }),
-        user.role === "expert" ? ExpertFramework.find({ uploadedBy: id }) : [],
-      ]);
+      const [userDocs, userFrameworks, expertFrameworks, customFrameworks] =
+        await Promise.all([
+          UserDocument.find({ uploadedBy: id }),
+          UserFramework.find({ uploadedBy: id }),
+          user.role === "expert"
+            ? ExpertFramework.find({ uploadedBy: id })
+            : [],
+          CustomFramework.find({ ownerId: id }).select("fileUrl"),
+        ]);
 
       // Delete files
-      [...userDocs, ...userFrameworks, ...expertFrameworks].forEach((item) => {
-        if (item.fileUrl) deleteFile(item.fileUrl);
-      });
+      await Promise.all(
+        [
+          ...userDocs,
+          ...userFrameworks,
+          ...expertFrameworks,
+          ...customFrameworks,
+        ].map((item) => deleteObject(item.fileUrl))
+      );
+
+      // Delete archived framework versions and their files
+      await Promise.all(
+        [...userFrameworks, ...expertFrameworks].map((fw) =>
+          deleteFrameworkVersions(fw._id)
+        )
+      );
+
+      // Delete archived document versions and their files
+      await Promise.all(userDocs.map((doc) => deleteDocumentVersions(doc._id)));
 
       // Delete database records
       await Promise.all([
@@ -489,6 +578,14 @@ const deleteUser = async (req, res) => {
         user.role === "expert"
           ? ExpertFramework.deleteMany({ uploadedBy: id })
           : Promise.resolve(),
+        Control.deleteMany({
+          frameworkId: { $in: expertFrameworks.map((fw) => fw._id) },
+        }),
+        CustomFramework.deleteMany({ ownerId: id }),
+        // Comparisons of shared users against the deleted custom frameworks
+        FrameworkComparison.deleteMany({
+          customFrameworkId: { $in: customFrameworks.map((fw) => fw._id) },
+        }),
       ]);
     }
 
@@ -637,6 +734,7 @@ const getProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: await getRolePermissions(user.role),
         phone: user.phone,
         isEmailVerified: user.isEmailVerified,
         createdAt: user.createdAt,
@@ -741,6 +839,199 @@ const editProfile = async (req, res) => {
   }
 };
 
+// Get the sessions (logged-in devices) of a user
+const getUserSessionsByAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const includeRevoked = req.query.includeRevoked === "true";
+
+    const user = await User.findById(id).select("name email role");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const sessions = await getUserSessions(id, { includeRevoked });
+
+    res.json({
+      success: true,
+      message: "User sessions retrieved successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+        sessions: sessions.map((session) =>
+          formatSession(session, req.authSession?._id)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Revoke one session of a user, e.g. a compromised device
+const revokeUserSessionByAdmin = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const revoked = await revokeSession(sessionId, "admin-revoked", id);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Active session not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke user session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Revoke every session of a user
+const revokeAllUserSessionsByAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select("_id");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const revokedCount = await revokeUserSessions(id, "admin-revoked");
+
+    res.json({
+      success: true,
+      message: "All sessions of the user revoked successfully",
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error("Revoke all user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Reset two-factor authentication of a user who lost their authenticator and recovery codes
+const resetUserMfaByAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select("mfa");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled for this user",
+      });
+    }
+
+    // The user sets MFA up again at the next login if their role requires it
+    await disableMfa(id);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset successfully",
+    });
+  } catch (error) {
+    console.error("Reset user MFA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Send a new invitation link to a user that has not accepted yet
+const resendInvitationByAdmin = async (req, res) => {
+  try {
+    const { invitation, emailSent } = await resendInvitation(req.params.id, {
+      actorId: req.user._id,
+      actorName: req.user.name,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (!emailSent) {
+      console.error(`Failed to resend invitation email to ${invitation.email}`);
+      return res.status(502).json({
+        success: false,
+        message: "Failed to send the invitation email. Please try again later.",
+        invitation: formatInvitation(invitation),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation sent successfully. Previous links no longer work.",
+      invitation: formatInvitation(invitation),
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+
+    console.error("Resend invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Revoke the invitation of a user so its link can no longer be used
+const revokeInvitationByAdmin = async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(req.params.id, {
+      actorId: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+      invitation: formatInvitation(invitation),
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   createUserByAdmin,
   updateUserByAdmin,
@@ -749,4 +1040,10 @@ module.exports = {
   getProfile,
   editProfile,
   deleteUser,
+  getUserSessionsByAdmin,
+  revokeUserSessionByAdmin,
+  revokeAllUserSessionsByAdmin,
+  resetUserMfaByAdmin,
+  resendInvitationByAdmin,
+  revokeInvitationByAdmin,
 };
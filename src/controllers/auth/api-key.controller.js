@@ -0,0 +1,107 @@
+const {
+  API_KEY_ERROR_STATUS,
+  createApiKey,
+  getUserApiKeys,
+  revokeApiKey,
+  formatApiKey,
+} = require("../../services/api-key.service");
+
+// Helper function to send API key errors, returns false for unexpected errors
+const sendApiKeyError = (res, error) => {
+  const status = API_KEY_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// List the API keys of the current user
+const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await getUserApiKeys(req.user._id, {
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.json({
+      success: true,
+      message: "API keys retrieved successfully",
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+      },
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Create a personal API key; the key is only returned in this response
+const createMyApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, organizationId } = req.body;
+
+    const { apiKey, key } = await createApiKey(
+      req.user,
+      {
+        name,
+        scopes,
+        expiresInDays,
+        // Defaults to the organization the user is working in
+        organizationId: organizationId || req.authSession.organizationId,
+      },
+      {
+        actorId: req.user._id,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created successfully. Copy it now, it will not be shown again",
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Create API key error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Revoke one of the current user's API keys
+const revokeMyApiKey = async (req, res) => {
+  try {
+    await revokeApiKey(req.params.apiKeyId, {
+      userId: req.user._id,
+      actorId: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+
+    console.error("Revoke API key error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getMyApiKeys,
+  createMyApiKey,
+  revokeMyApiKey,
+};
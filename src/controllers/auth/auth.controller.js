@@ -1,7 +1,195 @@
-const jwt = require("jsonwebtoken");
-const bcrypt = require("bcryptjs");
 const User = require("../../models/user.model");
 const { generateOTP, sendOTPEmail } = require("../../services/email.service");
+const {
+  SESSION_ERRORS,
+  createSession,
+  rotateRefreshToken,
+  getUserSessions,
+  formatSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../../services/session.service");
+const {
+  MFA_CHALLENGE_PURPOSES,
+  MFA_ERRORS,
+  signChallengeToken,
+  resolveChallenge,
+  verifyMfaCode,
+  startEnrolment,
+  completeEnrolment,
+} = require("../../services/mfa.service");
+const {
+  isMfaRequiredForRole,
+} = require("../../services/security-settings.service");
+const {
+  getAttemptBlock,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockAccountWithToken,
+} = require("../../services/brute-force.service");
+const {
+  getPasswordPolicy,
+  isPasswordInHistory,
+  setUserPassword,
+  getPasswordExpiresAt,
+  isPasswordExpired,
+} = require("../../services/password-policy.service");
+const {
+  resolveActiveOrganization,
+  formatOrganization,
+} = require("../../services/organization.service");
+const { getRolePermissions } = require("../../services/permission.service");
+const {
+  SSO_ERROR_STATUS,
+  listEnabledIdentityProviders,
+  startSsoLogin,
+  completeSsoLogin,
+} = require("../../services/sso.service");
+const { sendAttemptBlock } = require("../../middlewares/bruteForce.middleware");
+
+// Service accounts have no password and no mailbox, and invited users get
+// their password through the invitation link, so the login and email flows
+// never find them
+const findLoginUser = (email) =>
+  User.findOne({
+    email,
+    isServiceAccount: { $ne: true },
+    invitationPending: { $ne: true },
+  });
+
+// Device details recorded on the session
+const getRequestDevice = (req, deviceName = req.body?.deviceName) => ({
+  deviceName,
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+});
+
+// Helper function to count a failed password or code attempt
+const recordFailure = (req, action, email) =>
+  recordFailedAttempt(action, {
+    email,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+// Helper function to start a session and send the login response
+const sendLoginResponse = async (req, res, user, options = {}) => {
+  const { deviceName, message = "Login successful", extra = {} } = options;
+  const device = getRequestDevice(req, deviceName);
+
+  await clearFailedAttempts(user.email);
+
+  // An expired password has to be replaced before a session is created
+  const policy = await getPasswordPolicy();
+  if (isPasswordExpired(user, policy)) {
+    return res.json({
+      success: true,
+      message: "Your password has expired. Choose a new one to finish login",
+      passwordChangeRequired: true,
+      ...extra,
+      ...signChallengeToken(user, MFA_CHALLENGE_PURPOSES.PASSWORD_EXPIRED, {
+        deviceName: device.deviceName,
+      }),
+    });
+  }
+
+  // Organization switcher: the session starts in the organization used last
+  const { organization, organizations } = await resolveActiveOrganization(user);
+
+  // Each login gets its own session, other devices stay logged in
+  const {
+    session,
+    token,
+    tokenExpiresAt,
+    refreshToken,
+    refreshTokenExpiresAt,
+  } = await createSession(user, device, {
+    organizationId: organization?._id,
+  });
+
+  res.json({
+    success: true,
+    message,
+    token,
+    tokenExpiresAt,
+    refreshToken,
+    refreshTokenExpiresAt,
+    sessionId: session._id,
+    passwordExpiresAt: getPasswordExpiresAt(user, policy),
+    ...extra,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      permissions: await getRolePermissions(user.role),
+    },
+    activeOrganizationId: organization?._id || null,
+    organizations: organizations.map((org) =>
+      formatOrganization(org, user._id)
+    ),
+  });
+};
+
+// Helper function to continue a login once the password (or SSO) step passed
+const continueLogin = async (req, res, user, deviceName) => {
+  // Second step: the session is only created once the MFA code is checked
+  if (user.mfa?.enabled) {
+    return res.json({
+      success: true,
+      message: "Enter the code from your authenticator app to finish login",
+      mfaRequired: true,
+      ...signChallengeToken(user, MFA_CHALLENGE_PURPOSES.LOGIN, {
+        deviceName,
+      }),
+    });
+  }
+
+  // The role requires MFA, so it has to be set up before the first session
+  if (await isMfaRequiredForRole(user.role)) {
+    return res.json({
+      success: true,
+      message:
+        "Two-factor authentication is required for your role. Set it up to finish login",
+      mfaSetupRequired: true,
+      ...signChallengeToken(user, MFA_CHALLENGE_PURPOSES.SETUP, {
+        deviceName,
+      }),
+    });
+  }
+
+  await sendLoginResponse(req, res, user, { deviceName });
+};
+
+// Helper function to reject a password the user had before
+const sendPasswordInHistory = (res, policy) =>
+  res.status(400).json({
+    success: false,
+    message: `You used this password recently. Choose one that is different from your last ${policy.historyCount} passwords.`,
+  });
+
+// Helper function to map MFA errors to 401 responses
+const sendMfaError = (res, error) =>
+  res.status(401).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+
+// Helper function to send SSO errors, returns false for unexpected errors
+const sendSsoError = (res, error) => {
+  const status = SSO_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
 
 // Register user and send OTP
 const register = async (req, res) => {
@@ -74,8 +262,9 @@ const verifyOTP = async (req, res) => {
     const { email, otp } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await findLoginUser(email);
     if (!user) {
+      await recordFailure(req, "verify-otp", email);
       return res
         .status(400)
         .json({ success: false, message: "User not found" });
@@ -95,9 +284,12 @@ const verifyOTP = async (req, res) => {
 
     // Verify OTP
     if (user.otp.code !== otp) {
+      await recordFailure(req, "verify-otp", email);
       return res.status(400).json({ success: false, message: "Invalid OTP" });
     }
 
+    await clearFailedAttempts(email);
+
     // Update user verification status
     user.isEmailVerified = true;
     user.otp = undefined;
@@ -120,7 +312,7 @@ const resendOTP = async (req, res) => {
     const { email } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await findLoginUser(email);
     if (!user) {
       return res
         .status(400)
@@ -159,8 +351,9 @@ const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await findLoginUser(email);
     if (!user) {
+      await recordFailure(req, "login", email);
       return res
         .status(400)
         .json({ success: false, message: "Invalid email or password" });
@@ -176,31 +369,303 @@ const login = async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure(req, "login", email);
       return res
         .status(400)
         .json({ success: false, message: "Invalid email or password" });
     }
 
-    // Increment token version to invalidate all previous tokens
-    user.tokenVersion += 1;
+    await continueLogin(req, res, user, req.body.deviceName);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Finish login with an authenticator or recovery code
+const loginWithMfa = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const { user, deviceName } = await resolveChallenge(
+      challengeToken,
+      MFA_CHALLENGE_PURPOSES.LOGIN
+    );
+
+    // Code guesses count against the account like password guesses
+    const block = await getAttemptBlock({ email: user.email });
+    if (block) {
+      return sendAttemptBlock(res, block);
+    }
+
+    let verification;
+    try {
+      verification = await verifyMfaCode(user._id, { code, recoveryCode });
+    } catch (error) {
+      if (error.code === MFA_ERRORS.INVALID_CODE) {
+        await recordFailure(req, "mfa", user.email);
+      }
+      throw error;
+    }
+    const { method, recoveryCodesRemaining } = verification;
+
+    await sendLoginResponse(req, res, user, {
+      deviceName,
+      // Warn when the user is running out of recovery codes
+      extra:
+        method === "recovery-code" ? { recoveryCodesRemaining } : undefined,
+    });
+  } catch (error) {
+    if (Object.values(MFA_ERRORS).includes(error.code)) {
+      return sendMfaError(res, error);
+    }
+
+    console.error("MFA login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Start the MFA setup required to login
+const loginMfaSetup = async (req, res) => {
+  try {
+    const { user } = await resolveChallenge(
+      req.body.challengeToken,
+      MFA_CHALLENGE_PURPOSES.SETUP
+    );
+
+    const { secret, otpauthUrl } = await startEnrolment(user._id);
+
+    res.json({
+      success: true,
+      message:
+        "Add this key to your authenticator app, then confirm with a code",
+      data: { secret, otpauthUrl },
+    });
+  } catch (error) {
+    if (Object.values(MFA_ERRORS).includes(error.code)) {
+      return sendMfaError(res, error);
+    }
+
+    console.error("MFA login setup error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Confirm the MFA setup required to login and finish login
+const loginMfaEnable = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const { user, deviceName } = await resolveChallenge(
+      challengeToken,
+      MFA_CHALLENGE_PURPOSES.SETUP
+    );
+
+    const block = await getAttemptBlock({ email: user.email });
+    if (block) {
+      return sendAttemptBlock(res, block);
+    }
+
+    let recoveryCodes;
+    try {
+      recoveryCodes = await completeEnrolment(user._id, code);
+    } catch (error) {
+      if (error.code === MFA_ERRORS.INVALID_CODE) {
+        await recordFailure(req, "mfa", user.email);
+      }
+      throw error;
+    }
+
+    await sendLoginResponse(req, res, user, {
+      deviceName,
+      message:
+        "Two-factor authentication enabled and login successful. Store your recovery codes somewhere safe, they are shown only once.",
+      extra: { recoveryCodes },
+    });
+  } catch (error) {
+    if (Object.values(MFA_ERRORS).includes(error.code)) {
+      return sendMfaError(res, error);
+    }
+
+    console.error("MFA login enable error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Replace an expired password and finish login
+const loginPasswordChange = async (req, res) => {
+  try {
+    const { challengeToken, newPassword } = req.body;
+
+    const { user: challengeUser, deviceName } = await resolveChallenge(
+      challengeToken,
+      MFA_CHALLENGE_PURPOSES.PASSWORD_EXPIRED
+    );
+    const user = await User.findById(challengeUser._id).select(
+      "+passwordHistory"
+    );
+
+    // The challenge is spent once the password no longer is expired
+    const policy = await getPasswordPolicy();
+    if (!isPasswordExpired(user, policy)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge. Please login again.",
+        error: MFA_ERRORS.INVALID_CHALLENGE,
+      });
+    }
+
+    const isSamePassword = await user.comparePassword(newPassword);
+    if (isSamePassword) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be different from current password",
+      });
+    }
+
+    if (await isPasswordInHistory(user, newPassword, policy)) {
+      return sendPasswordInHistory(res, policy);
+    }
+
+    setUserPassword(user, newPassword, policy);
     await user.save();
 
-    // Generate JWT token with tokenVersion
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        tokenVersion: user.tokenVersion,
+    // Sessions from before the change were started with the old password
+    await revokeUserSessions(user._id, "password-change");
+
+    await sendLoginResponse(req, res, user, {
+      deviceName,
+      message: "Password changed and login successful",
+    });
+  } catch (error) {
+    if (Object.values(MFA_ERRORS).includes(error.code)) {
+      return sendMfaError(res, error);
+    }
+
+    console.error("Password change login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// List the identity providers users can login with (single sign-on)
+const getSsoProviders = async (req, res) => {
+  try {
+    const providers = await listEnabledIdentityProviders();
+
+    res.json({
+      success: true,
+      message: "Identity providers retrieved successfully",
+      data: {
+        providers: providers.map((provider) => ({
+          name: provider.name,
+          slug: provider.slug,
+        })),
       },
-      process.env.JWT_SECRET,
+    });
+  } catch (error) {
+    console.error("Get SSO providers error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Start a single sign-on login: returns the URL of the provider's login page
+const startSso = async (req, res) => {
+  try {
+    const { authorizationUrl, state, expiresAt } = await startSsoLogin(
+      req.params.slug,
       {
-        expiresIn: "24h",
+        deviceName: req.body.deviceName,
+        loginHint: req.body.loginHint,
       }
     );
 
     res.json({
       success: true,
-      message: "Login successful",
-      token,
+      message: "Redirect the user to the identity provider to login",
+      data: { authorizationUrl, state, expiresAt },
+    });
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("Start SSO login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Finish a single sign-on login with the code and state the provider
+// redirected back with; continues like a password login (MFA still applies)
+const loginWithSso = async (req, res) => {
+  try {
+    const { user, deviceName } = await completeSsoLogin(
+      { state: req.body.state, code: req.body.code },
+      { ipAddress: req.ip, userAgent: req.get("user-agent") }
+    );
+
+    await continueLogin(req, res, user, req.body.deviceName || deviceName);
+  } catch (error) {
+    if (sendSsoError(res, error)) return;
+
+    console.error("SSO login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Unlock an account with the token from the lockout email
+const unlockAccount = async (req, res) => {
+  try {
+    const unlocked = await unlockAccountWithToken(req.body.token, {
+      ipAddress: req.ip,
+    });
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock link",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Account unlocked successfully. You can login again.",
+    });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Exchange a refresh token for a new access and refresh token pair
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // The old refresh token stops working; presenting it again revokes the session
+    const { user, session, ...tokens } = await rotateRefreshToken(
+      refreshToken,
+      getRequestDevice(req)
+    );
+
+    // Refreshing must not keep a session alive past the password expiry
+    const policy = await getPasswordPolicy();
+    if (isPasswordExpired(user, policy)) {
+      await revokeSession(session._id, "password-expired");
+      return res.status(401).json({
+        success: false,
+        message: "Your password has expired. Choose a new one to login again",
+        passwordChangeRequired: true,
+        ...signChallengeToken(user, MFA_CHALLENGE_PURPOSES.PASSWORD_EXPIRED, {
+          deviceName: session.deviceName,
+        }),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      token: tokens.token,
+      tokenExpiresAt: tokens.tokenExpiresAt,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+      sessionId: session._id,
       user: {
         id: user._id,
         name: user.name,
@@ -210,7 +675,18 @@ const login = async (req, res) => {
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    if (
+      error.code === SESSION_ERRORS.REFRESH_TOKEN_INVALID ||
+      error.code === SESSION_ERRORS.REFRESH_TOKEN_REUSED
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        error: error.code,
+      });
+    }
+
+    console.error("Refresh token error:", error);
     res.status(500).json({ success: false, message: "Server error" });
   }
 };
@@ -220,7 +696,7 @@ const forgotPassword = async (req, res) => {
     const { email } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await findLoginUser(email);
     if (!user) {
       return res
         .status(400)
@@ -262,11 +738,13 @@ const resetPassword = async (req, res) => {
   try {
     const { email, otp, password } = req.body;
 
-    const user = await User.findOne({ email });
-    if (!user)
+    const user = await findLoginUser(email).select("+passwordHistory");
+    if (!user) {
+      await recordFailure(req, "reset-password", email);
       return res
         .status(400)
         .json({ success: false, message: "User not found" });
+    }
 
     if (!user.otp || !user.otp.code || !user.otp.expiresAt)
       return res.status(400).json({ success: false, message: "No OTP found" });
@@ -281,11 +759,16 @@ const resetPassword = async (req, res) => {
         .status(400)
         .json({ success: false, message: "OTP has expired" });
 
-    if (user.otp.code !== otp)
+    if (user.otp.code !== otp) {
+      await recordFailure(req, "reset-password", email);
       return res.status(400).json({ success: false, message: "Invalid OTP" });
+    }
+
+    await clearFailedAttempts(email);
 
     // 🔴 CHECK: New password should not be old password
-    const isSamePassword = await bcrypt.compare(password, user.password);
+    // (false for accounts without one, e.g. provisioned by single sign-on)
+    const isSamePassword = await user.comparePassword(password);
 
     if (isSamePassword) {
       return res.status(400).json({
@@ -296,11 +779,19 @@ const resetPassword = async (req, res) => {
       });
     }
 
+    const policy = await getPasswordPolicy();
+    if (await isPasswordInHistory(user, password, policy)) {
+      return sendPasswordInHistory(res, policy);
+    }
+
     // Set new password (assumes User model hashes password on save)
-    user.password = password;
+    setUserPassword(user, password, policy);
     user.otp = undefined;
     await user.save();
 
+    // Whoever knew the old password must not keep a session
+    await revokeUserSessions(user._id, "password-reset");
+
     res.json({
       success: true,
       message:
@@ -316,7 +807,7 @@ const sendVerificationOTP = async (req, res) => {
   try {
     const { email } = req.body;
 
-    const user = await User.findOne({ email });
+    const user = await findLoginUser(email);
     if (!user) {
       return res.status(400).json({
         success: false,
@@ -363,18 +854,11 @@ const sendVerificationOTP = async (req, res) => {
   }
 };
 
-// Logout user
-// Logout user with token blacklisting (cache disabled)
+// Logout user from the current device
 const logout = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1];
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "No token provided",
-      });
-    }
+    // Ends this session only; access and refresh tokens of other devices stay valid
+    await revokeSession(req.authSession._id, "logout");
 
     res.json({
       success: true,
@@ -389,11 +873,8 @@ const logout = async (req, res) => {
 // Logout from all devices
 const logoutAllDevices = async (req, res) => {
   try {
-    const user = req.user;
-
-    // Increment token version to invalidate all tokens
-    user.tokenVersion += 1;
-    await user.save();
+    // Revoke every session, including the current one
+    await revokeUserSessions(req.user._id, "logout-all");
 
     res.json({
       success: true,
@@ -405,6 +886,55 @@ const logoutAllDevices = async (req, res) => {
   }
 };
 
+// List the devices the current user is logged in on
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Sessions retrieved successfully",
+      data: {
+        sessions: sessions.map((session) =>
+          formatSession(session, req.authSession._id)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Revoke one of the current user's sessions (logs that device out)
+const revokeSessionById = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(
+      sessionId,
+      "user-revoked",
+      req.user._id
+    );
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Active session not found" });
+    }
+
+    res.json({
+      success: true,
+      message:
+        sessionId === req.authSession._id.toString()
+          ? "Current session revoked. You have been logged out."
+          : "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
 // Change password for logged-in user
 const changePassword = async (req, res) => {
   try {
@@ -412,7 +942,7 @@ const changePassword = async (req, res) => {
     const userId = req.user._id;
 
     // Get user from database
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select("+passwordHistory");
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -438,14 +968,18 @@ const changePassword = async (req, res) => {
       });
     }
 
-    // Update password (will be hashed by pre-save middleware)
-    user.password = newPassword;
-
-    // Increment token version to invalidate all existing tokens
-    user.tokenVersion += 1;
+    const policy = await getPasswordPolicy();
+    if (await isPasswordInHistory(user, newPassword, policy)) {
+      return sendPasswordInHistory(res, policy);
+    }
 
+    // Update password (will be hashed by pre-save middleware)
+    setUserPassword(user, newPassword, policy);
     await user.save();
 
+    // Revoke all sessions so every device has to login with the new password
+    await revokeUserSessions(user._id, "password-change");
+
     res.json({
       success: true,
       message:
@@ -466,8 +1000,19 @@ module.exports = {
   verifyOTP,
   resendOTP,
   login,
+  loginWithMfa,
+  loginMfaSetup,
+  loginMfaEnable,
+  loginPasswordChange,
+  getSsoProviders,
+  startSso,
+  loginWithSso,
+  refresh,
+  unlockAccount,
   logout,
   logoutAllDevices,
+  getSessions,
+  revokeSessionById,
   changePassword,
   forgotPassword,
   resetPassword,
@@ -0,0 +1,67 @@
+const {
+  INVITATION_ERROR_STATUS,
+  getInvitationByToken,
+  acceptInvitation,
+} = require("../../services/invitation.service");
+
+// Helper function to send invitation errors, returns false for unexpected errors
+const sendInvitationError = (res, error) => {
+  const status = INVITATION_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Show who an invitation link is for, before the user chooses a password
+const getInvitation = async (req, res) => {
+  try {
+    const { invitation, user } = await getInvitationByToken(req.body.token);
+
+    res.json({
+      success: true,
+      message: "Invitation is valid",
+      data: {
+        name: user.name,
+        email: user.email,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+
+    console.error("Get invitation error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Accept an invitation: the user chooses a password and can login afterwards
+const acceptInvitationByUser = async (req, res) => {
+  try {
+    await acceptInvitation(req.body.token, req.body.password, {
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Invitation accepted. Your account is active, please login with your new password.",
+    });
+  } catch (error) {
+    if (sendInvitationError(res, error)) return;
+
+    console.error("Accept invitation error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getInvitation,
+  acceptInvitationByUser,
+};
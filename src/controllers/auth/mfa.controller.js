@@ -0,0 +1,156 @@
+const User = require("../../models/user.model");
+const {
+  MFA_ERRORS,
+  getMfaStatus,
+  startEnrolment,
+  completeEnrolment,
+  verifyMfaCode,
+  regenerateRecoveryCodes,
+  disableMfa,
+} = require("../../services/mfa.service");
+const {
+  isMfaRequiredForRole,
+} = require("../../services/security-settings.service");
+
+// HTTP status for each MFA error of the enrolment and management endpoints
+const MFA_ERROR_STATUS = {
+  [MFA_ERRORS.INVALID_CODE]: 400,
+  [MFA_ERRORS.NOT_ENABLED]: 400,
+  [MFA_ERRORS.SETUP_NOT_STARTED]: 400,
+  [MFA_ERRORS.ALREADY_ENABLED]: 409,
+};
+
+// Helper function to send MFA errors, returns false for unexpected errors
+const sendMfaError = (res, error) => {
+  const status = MFA_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get two-factor authentication status of the current user
+const getMfa = async (req, res) => {
+  try {
+    const status = await getMfaStatus(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication status retrieved successfully",
+      data: {
+        ...status,
+        required: await isMfaRequiredForRole(req.user.role),
+      },
+    });
+  } catch (error) {
+    console.error("Get MFA status error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Start enrolment: returns the secret and the provisioning URI for the QR code
+const setupMfa = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrolment(req.user._id);
+
+    res.json({
+      success: true,
+      message:
+        "Add this key to your authenticator app, then confirm with a code",
+      data: { secret, otpauthUrl },
+    });
+  } catch (error) {
+    if (sendMfaError(res, error)) return;
+
+    console.error("MFA setup error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Confirm enrolment with a code and return the recovery codes
+const enableMfa = async (req, res) => {
+  try {
+    const recoveryCodes = await completeEnrolment(req.user._id, req.body.code);
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe, they are shown only once.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (sendMfaError(res, error)) return;
+
+    console.error("MFA enable error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Turn two-factor authentication off (password and a code are required)
+const disableMfaForUser = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Two-factor authentication is required for your role and cannot be disabled",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Password is incorrect" });
+    }
+
+    await verifyMfaCode(user._id, { code, recoveryCode });
+    await disableMfa(user._id);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    if (sendMfaError(res, error)) return;
+
+    console.error("MFA disable error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// Replace the recovery codes (the old ones stop working)
+const regenerateMfaRecoveryCodes = async (req, res) => {
+  try {
+    await verifyMfaCode(req.user._id, { code: req.body.code });
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      success: true,
+      message:
+        "Recovery codes regenerated. Store them somewhere safe, they are shown only once.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (sendMfaError(res, error)) return;
+
+    console.error("MFA recovery codes error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getMfa,
+  setupMfa,
+  enableMfa,
+  disableMfaForUser,
+  regenerateMfaRecoveryCodes,
+};
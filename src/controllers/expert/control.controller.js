@@ -0,0 +1,348 @@
+const Control = require("../../models/control.model");
+const ExpertFramework = require("../../models/expert-framework.model");
+const { syncControlsCount } = require("../../services/control.service");
+const { paginateWithSearch } = require("../../helpers/helper");
+
+// Editable control fields, keyed by their request body name
+const controlBodyFields = {
+  controlId: "Control_id",
+  controlName: "Control_name",
+  controlType: "Control_type",
+  controlDescription: "Control_description",
+  deploymentPoints: "Deployment_points",
+};
+
+// Helper function to format a control for API responses
+const formatControl = (control) => ({
+  id: control._id,
+  frameworkId: control.frameworkId,
+  Control_id: control.Control_id,
+  Control_name: control.Control_name,
+  Control_type: control.Control_type,
+  Control_description: control.Control_description,
+  Deployment_points: control.Deployment_points,
+  source: control.source,
+  order: control.order,
+  createdAt: control.createdAt,
+  updatedAt: control.updatedAt,
+});
+
+// Helper function to load the framework from the route, sending 404 when missing
+const findFramework = async (req, res) => {
+  const framework = await ExpertFramework.findById(req.params.id).select(
+    "frameworkName"
+  );
+
+  if (!framework) {
+    res.status(404).json({
+      success: false,
+      message: "Framework not found",
+    });
+    return null;
+  }
+
+  return framework;
+};
+
+// Helper function to send the duplicate Control_id error
+const sendDuplicateControlId = (res, controlId) =>
+  res.status(409).json({
+    success: false,
+    message: `A control with ID ${controlId} already exists in this framework`,
+    field: "controlId",
+    value: controlId,
+  });
+
+// Get framework controls with pagination, search and type filter
+const getControls = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { search, controlType, source } = req.query;
+
+    const framework = await findFramework(req, res);
+    if (!framework) return;
+
+    const filter = { frameworkId: id };
+
+    if (controlType) {
+      filter.Control_type = controlType;
+    }
+
+    if (source) {
+      filter.source = source;
+    }
+
+    // Define allowed sort fields
+    const allowedSortFields = [
+      "order",
+      "Control_id",
+      "Control_name",
+      "Control_type",
+      "createdAt",
+      "updatedAt",
+    ];
+
+    const result = await paginateWithSearch(Control, {
+      page: req.query.page,
+      limit: req.query.limit || 20,
+      search: search,
+      searchFields: [
+        "Control_id",
+        "Control_name",
+        "Control_description",
+        "Deployment_points",
+      ],
+      filter: filter,
+      select: "",
+      // Keep extraction order unless another sort is requested
+      sort: req.query.sort || (req.query.sortBy ? "" : "order"),
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: allowedSortFields,
+      transform: formatControl,
+    });
+
+    let message = "Controls retrieved successfully";
+    if (result.data.length === 0) {
+      message =
+        search || controlType || source
+          ? "No controls match your search criteria. Try adjusting your filters."
+          : "This framework has no controls yet.";
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: {
+        framework: {
+          id: framework._id,
+          frameworkName: framework.frameworkName,
+        },
+        controls: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting controls:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving controls",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get the control types used in a framework with their counts
+const getControlTypes = async (req, res) => {
+  try {
+    const framework = await findFramework(req, res);
+    if (!framework) return;
+
+    const types = await Control.aggregate([
+      { $match: { frameworkId: framework._id } },
+      { $group: { _id: "$Control_type", count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Control types retrieved successfully",
+      data: {
+        types: types.map((type) => ({
+          controlType: type._id,
+          count: type.count,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting control types:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving control types",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get control by ID
+const getControlById = async (req, res) => {
+  try {
+    const { id, controlId } = req.params;
+
+    const control = await Control.findOne({ _id: controlId, frameworkId: id });
+
+    if (!control) {
+      return res.status(404).json({
+        success: false,
+        message: "Control not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Control retrieved successfully",
+      data: {
+        control: formatControl(control),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting control by ID:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving control",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a control manually
+const createControl = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const framework = await findFramework(req, res);
+    if (!framework) return;
+
+    const existing = await Control.exists({
+      frameworkId: id,
+      Control_id: req.body.controlId,
+    });
+    if (existing) {
+      return sendDuplicateControlId(res, req.body.controlId);
+    }
+
+    // New controls go to the end of the framework
+    const last = await Control.findOne({ frameworkId: id })
+      .sort({ order: -1 })
+      .select("order");
+
+    const control = new Control({
+      frameworkId: id,
+      source: "manual",
+      order: last ? last.order + 1 : 0,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    Object.entries(controlBodyFields).forEach(([bodyField, field]) => {
+      if (req.body[bodyField] !== undefined) {
+        control[field] = req.body[bodyField] ?? "";
+      }
+    });
+    await control.save();
+
+    const controlsCount = await syncControlsCount(id);
+
+    res.status(201).json({
+      success: true,
+      message: "Control created successfully",
+      data: {
+        control: formatControl(control),
+        controlsCount,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating control:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating control",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update control
+const updateControl = async (req, res) => {
+  try {
+    const { id, controlId } = req.params;
+
+    const control = await Control.findOne({ _id: controlId, frameworkId: id });
+
+    if (!control) {
+      return res.status(404).json({
+        success: false,
+        message: "Control not found",
+      });
+    }
+
+    if (
+      req.body.controlId !== undefined &&
+      req.body.controlId !== control.Control_id
+    ) {
+      const existing = await Control.exists({
+        frameworkId: id,
+        Control_id: req.body.controlId,
+      });
+      if (existing) {
+        return sendDuplicateControlId(res, req.body.controlId);
+      }
+    }
+
+    Object.entries(controlBodyFields).forEach(([bodyField, field]) => {
+      if (req.body[bodyField] !== undefined) {
+        control[field] = req.body[bodyField] ?? "";
+      }
+    });
+    control.updatedBy = req.user._id;
+    await control.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Control updated successfully",
+      data: {
+        control: formatControl(control),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating control:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating control",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete control (permanent delete)
+const deleteControl = async (req, res) => {
+  try {
+    const { id, controlId } = req.params;
+
+    const control = await Control.findOneAndDelete({
+      _id: controlId,
+      frameworkId: id,
+    });
+
+    if (!control) {
+      return res.status(404).json({
+        success: false,
+        message: "Control not found",
+      });
+    }
+
+    const controlsCount = await syncControlsCount(id);
+
+    res.status(200).json({
+      success: true,
+      message: "Control permanently deleted successfully",
+      data: {
+        controlsCount,
+      },
+    });
+  } catch (error) {
+    console.error("Error deleting control:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting control",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getControls,
+  getControlTypes,
+  getControlById,
+  createControl,
+  updateControl,
+  deleteControl,
+};
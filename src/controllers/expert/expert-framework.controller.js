@@ -1,26 +1,56 @@
 const ExpertFramework = require("../../models/expert-framework.model");
 const UserFramework = require("../../models/user-framework.model");
 const FrameworkComparison = require("../../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../../models/framework-comparison-batch.model");
+const {
+  ACTIVE_STATUSES,
+  advanceBatch,
+} = require("../../services/framework-comparison.service");
 const {
   paginateWithSearch,
   formatFileSize,
   formatAIProcessingData,
   formatFrameworkUploadedBy,
 } = require("../../helpers/helper");
-const fs = require("fs");
 const {
   createDocumentUpload,
   getDocumentType,
-  deleteFile,
   removeFileExtension,
 } = require("../../config/multer.config");
+const {
+  deleteObject,
+  statObject,
+} = require("../../services/storage/storage.service");
+const {
+  indexFileText,
+} = require("../../services/text-extraction/text-extraction.service");
+const {
+  DOWNLOAD_RESOURCE_TYPES,
+  createDownloadUrl,
+  sendDownload,
+} = require("../../services/download.service");
 const aiService = require("../../services/ai/expert-ai.service");
+const { AI_SERVICE_DEGRADED } = require("../../services/ai/aiClient");
+const Control = require("../../models/control.model");
+const {
+  saveExtractedControls,
+  getFrameworkControls,
+} = require("../../services/control.service");
 const {
   sendToUser,
 } = require("../../websocket/framework-comparison.websocket");
+const {
+  startNewVersion,
+  rollbackToVersion,
+  listVersions,
+  getVersionFile,
+  getVersionControls,
+  diffControls,
+  deleteFrameworkVersions,
+} = require("../../services/framework-version.service");
 
 // Create upload instance
-const upload = createDocumentUpload("src/uploads/expert-frameworks");
+const upload = createDocumentUpload("expert-frameworks");
 
 // Create a new framework
 const createFramework = async (req, res) => {
@@ -38,7 +68,7 @@ const createFramework = async (req, res) => {
 
     const frameworkType = getDocumentType(file.originalname);
     if (!frameworkType) {
-      deleteFile(file.path);
+      await deleteObject(file.key);
       return res.status(400).json({
         success: false,
         message: "Invalid file type detected.",
@@ -54,20 +84,23 @@ const createFramework = async (req, res) => {
     let message;
 
     if (existingFramework) {
+      const previousFileKey = existingFramework.fileUrl;
       existingFramework.frameworkName =
         frameworkName || removeFileExtension(file.originalname);
-      existingFramework.fileUrl = file.path;
+      existingFramework.fileUrl = file.key;
       existingFramework.frameworkType = frameworkType;
       existingFramework.fileSize = file.size;
       existingFramework.updatedAt = new Date();
+      await indexFileText(existingFramework);
 
       await existingFramework.save();
+      await deleteObject(previousFileKey);
       framework = existingFramework;
       message = "Framework updated successfully";
     } else {
       framework = new ExpertFramework({
         frameworkName: frameworkName || removeFileExtension(file.originalname),
-        fileUrl: file.path,
+        fileUrl: file.key,
         frameworkType: frameworkType,
         uploadedBy: req.user._id,
         originalUploadedBy: {
@@ -80,6 +113,8 @@ const createFramework = async (req, res) => {
         originalFileName: file.originalname,
       });
 
+      // Extract the file's text so its contents are searchable
+      await indexFileText(framework);
       await framework.save();
       message = "Framework uploaded successfully";
     }
@@ -111,7 +146,7 @@ const createFramework = async (req, res) => {
     });
   } catch (error) {
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
 
     console.error("Error creating expert framework:", error);
@@ -223,6 +258,14 @@ const getFrameworkById = async (req, res) => {
       });
     }
 
+    const aiProcessing = formatAIProcessingData(framework.aiProcessing);
+    if (aiProcessing) {
+      const controls = await getFrameworkControls(framework._id);
+      if (controls.length > 0) {
+        aiProcessing.extractedControls = controls;
+      }
+    }
+
     const responseData = {
       framework: {
         id: framework._id,
@@ -231,8 +274,9 @@ const getFrameworkById = async (req, res) => {
         fileSize: formatFileSize(framework.fileSize),
         originalFileName: framework.originalFileName,
         fileUrl: framework.fileUrl,
+        currentVersion: framework.currentVersion,
         uploadedBy: formatFrameworkUploadedBy(framework),
-        aiProcessing: formatAIProcessingData(framework.aiProcessing, true),
+        aiProcessing,
         createdAt: framework.createdAt,
         updatedAt: framework.updatedAt,
       },
@@ -279,21 +323,19 @@ const updateFramework = async (req, res) => {
 
       const frameworkType = getDocumentType(file.originalname);
       if (!frameworkType) {
-        deleteFile(file.path);
+        await deleteObject(file.key);
         return res.status(400).json({
           success: false,
           message: "Invalid file type detected.",
         });
       }
 
-      if (framework.fileUrl && fs.existsSync(framework.fileUrl)) {
-        deleteFile(framework.fileUrl);
-      }
-
-      framework.fileUrl = file.path;
-      framework.frameworkType = frameworkType;
-      framework.fileSize = file.size;
-      framework.originalFileName = file.originalname;
+      // Keep the previous file as an archived version
+      await startNewVersion(framework, {
+        file,
+        frameworkType,
+        uploadedBy: req.user._id,
+      });
 
       if (frameworkName === undefined) {
         framework.frameworkName = removeFileExtension(file.originalname);
@@ -310,7 +352,7 @@ const updateFramework = async (req, res) => {
     res.status(200).json({
       success: true,
       message: req.file
-        ? "Framework and file updated successfully"
+        ? `Framework updated successfully, file uploaded as version ${framework.currentVersion}`
         : "Framework updated successfully",
       data: {
         framework: {
@@ -319,6 +361,7 @@ const updateFramework = async (req, res) => {
           frameworkType: framework.frameworkType,
           fileSize: formatFileSize(framework.fileSize),
           originalFileName: framework.originalFileName,
+          currentVersion: framework.currentVersion,
           uploadedBy: formatFrameworkUploadedBy(framework),
           createdAt: framework.createdAt,
           updatedAt: framework.updatedAt,
@@ -333,7 +376,7 @@ const updateFramework = async (req, res) => {
     });
   } catch (error) {
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
 
     console.error("Error updating expert framework:", error);
@@ -359,10 +402,11 @@ const deleteFramework = async (req, res) => {
       });
     }
 
-    // Delete physical file from filesystem
-    if (framework.fileUrl) {
-      deleteFile(framework.fileUrl);
-    }
+    // Delete stored file
+    await deleteObject(framework.fileUrl);
+
+    // Delete archived versions and their files
+    await deleteFrameworkVersions(id);
 
     // Clean up related data - remove comparison results that reference this expert framework
     await UserFramework.updateMany(
@@ -370,11 +414,23 @@ const deleteFramework = async (req, res) => {
       { $pull: { comparisonResults: { expertFrameworkId: id } } }
     );
 
+    // Delete the framework's controls
+    await Control.deleteMany({ frameworkId: id });
+
     // Delete related framework comparisons
     await FrameworkComparison.deleteMany({
       $or: [{ userFrameworkId: id }, { expertFrameworkId: id }],
     });
 
+    // Let running batches that included this framework finish without it
+    const batches = await FrameworkComparisonBatch.find({
+      expertFrameworkIds: id,
+      status: { $in: ACTIVE_STATUSES },
+    }).select("_id");
+    for (const batch of batches) {
+      await advanceBatch(batch._id);
+    }
+
     // Permanent delete from database
     await ExpertFramework.findByIdAndDelete(id);
 
@@ -412,35 +468,71 @@ const downloadFramework = async (req, res) => {
       });
     }
 
-    if (!fs.existsSync(framework.fileUrl)) {
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.EXPERT_FRAMEWORK,
+      id: framework._id,
+      fileKey: framework.fileUrl,
+      fileName: framework.originalFileName,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "File not found on server",
       });
     }
+  } catch (error) {
+    console.error("Error downloading expert framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
 
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${framework.originalFileName}"`
-    );
-    res.setHeader("Content-Type", "application/octet-stream");
-
-    res.download(framework.fileUrl, framework.originalFileName, (err) => {
-      if (err) {
-        console.error("Error downloading file:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            message: "Error downloading file",
-          });
-        }
+// Create a short-lived signed URL to download the expert framework file
+const getFrameworkDownloadUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const framework = await ExpertFramework.findById(id);
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const { url, expiresAt } = await createDownloadUrl(
+      {
+        type: DOWNLOAD_RESOURCE_TYPES.EXPERT_FRAMEWORK,
+        id: framework._id,
+        fileKey: framework.fileUrl,
+        fileName: framework.originalFileName,
+      },
+      {
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+        actorId: req.user._id,
+        email: req.user.email,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
       }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Download URL created successfully",
+      data: { url, expiresAt },
     });
   } catch (error) {
-    console.error("Error downloading expert framework:", error);
+    console.error("Error creating expert framework download URL:", error);
     res.status(500).json({
       success: false,
-      message: "Internal server error while downloading framework",
+      message: "Internal server error while creating download URL",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -539,7 +631,7 @@ const uploadFrameworkToAIService = async (req, res) => {
       });
     }
 
-    if (!fs.existsSync(framework.fileUrl)) {
+    if (!(await statObject(framework.fileUrl))) {
       return res.status(404).json({
         success: false,
         message: "Framework file not found on server",
@@ -578,13 +670,16 @@ const uploadFrameworkToAIService = async (req, res) => {
       id,
       async (message) => {
         const fw = await ExpertFramework.findById(id);
-        if (!fw) return;
+        // Ignore results for a version that was replaced or rolled back meanwhile
+        if (!fw || fw.aiProcessing.uuid !== aiResult.aiResponse.uuid) return;
 
         // Update framework based on AI message
         if (message.status === "completed") {
           const controls = Array.isArray(message.data) ? message.data : [];
-          fw.aiProcessing.extractedControls = controls;
-          fw.aiProcessing.controlsCount = controls.length;
+          fw.aiProcessing.controlsCount = await saveExtractedControls(
+            id,
+            controls
+          );
           fw.aiProcessing.controlsExtractedAt = new Date();
           fw.aiProcessing.status = "completed";
           fw.aiProcessing.control_extraction_status = "completed";
@@ -640,6 +735,13 @@ const uploadFrameworkToAIService = async (req, res) => {
       }
     }
 
+    if (error.code === AI_SERVICE_DEGRADED) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("AI service is not available")) {
       return res.status(503).json({
         success: false,
@@ -695,6 +797,13 @@ const checkAIProcessingStatus = async (req, res) => {
   } catch (error) {
     console.error("Error checking AI processing status:", error);
 
+    if (error.code === AI_SERVICE_DEGRADED) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("AI service is not available")) {
       return res.status(503).json({
         success: false,
@@ -710,6 +819,207 @@ const checkAIProcessingStatus = async (req, res) => {
   }
 };
 
+// Get all versions of a framework
+const getFrameworkVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const framework = await ExpertFramework.findById(id);
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const versions = await listVersions(framework);
+
+    res.status(200).json({
+      success: true,
+      message: `${versions.length} framework versions retrieved successfully`,
+      data: {
+        currentVersion: framework.currentVersion,
+        versions: versions.map((version) => ({
+          ...version,
+          fileSize: formatFileSize(version.fileSize),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting expert framework versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving framework versions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Download the file of any framework version
+const downloadFrameworkVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+
+    const framework = await ExpertFramework.findById(id);
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const file = await getVersionFile(framework, version);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${version} not found`,
+      });
+    }
+
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.EXPERT_FRAMEWORK,
+      id: framework._id,
+      fileKey: file.fileUrl,
+      fileName: file.originalFileName,
+      version,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found on server",
+      });
+    }
+  } catch (error) {
+    console.error("Error downloading expert framework version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading framework version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Roll back to an earlier framework version (the current one is kept as a version)
+const rollbackFrameworkVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+
+    const framework = await ExpertFramework.findById(id);
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    if (framework.currentVersion === version) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} is already the current version`,
+      });
+    }
+
+    const restored = await rollbackToVersion(framework, version);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${version} not found`,
+      });
+    }
+
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Framework rolled back to version ${version} successfully`,
+      data: {
+        framework: {
+          id: framework._id,
+          frameworkName: framework.frameworkName,
+          frameworkType: framework.frameworkType,
+          fileSize: formatFileSize(framework.fileSize),
+          originalFileName: framework.originalFileName,
+          currentVersion: framework.currentVersion,
+          aiProcessing: formatAIProcessingData(framework.aiProcessing),
+          updatedAt: framework.updatedAt,
+        },
+      },
+    });
+
+    // Send WebSocket update for framework list refresh
+    sendToUser(req.user._id.toString(), {
+      type: "framework-list-refresh",
+      message: "Framework list updated",
+    });
+  } catch (error) {
+    console.error("Error rolling back expert framework version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while rolling back framework version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Control-level diff between two framework versions
+const diffFrameworkVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const framework = await ExpertFramework.findById(id);
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const [fromControls, toControls] = await Promise.all([
+      getVersionControls(framework, from),
+      getVersionControls(framework, to),
+    ]);
+
+    if (!fromControls || !toControls) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${!fromControls ? from : to} not found`,
+      });
+    }
+
+    const diff = diffControls(fromControls, toControls);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${from} to ${to}: ${diff.summary.added} added, ${diff.summary.removed} removed and ${diff.summary.changed} changed controls`,
+      data: {
+        from,
+        to,
+        ...diff,
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing expert framework versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while comparing framework versions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   upload,
   createFramework,
@@ -718,7 +1028,12 @@ module.exports = {
   updateFramework,
   deleteFramework,
   downloadFramework,
+  getFrameworkDownloadUrl,
   getExpertFrameworks,
   uploadFrameworkToAIService,
   checkAIProcessingStatus,
+  getFrameworkVersions,
+  downloadFrameworkVersion,
+  rollbackFrameworkVersion,
+  diffFrameworkVersions,
 };
@@ -0,0 +1,708 @@
+const CustomFramework = require("../../models/custom-framework.model");
+const ExpertFramework = require("../../models/expert-framework.model");
+const Control = require("../../models/control.model");
+const User = require("../../models/user.model");
+const FrameworkComparison = require("../../models/framework-comparison.model");
+const {
+  accessibleByUser,
+  toCustomControl,
+} = require("../../services/custom-framework.service");
+const { deleteObject } = require("../../services/storage/storage.service");
+const { paginateWithSearch } = require("../../helpers/helper");
+const {
+  PERMISSIONS,
+  getRolesWithPermission,
+} = require("../../services/permission.service");
+
+// Most controls a custom framework can hold (reorder requests list them all)
+const MAX_CUSTOM_FRAMEWORK_CONTROLS = 500;
+
+// Populate options for the owner and the users a framework is shared with
+const customFrameworkPopulate = [
+  { path: "ownerId", select: "name email" },
+  { path: "sharedWith", select: "name email" },
+];
+
+// Helper function to format a user reference for API responses
+const formatUserRef = (user) =>
+  user?.name ? { id: user._id, name: user.name, email: user.email } : null;
+
+// Helper function to format a custom framework control for API responses
+const formatCustomControl = (control) => ({
+  id: control._id,
+  sourceFrameworkId: control.sourceFrameworkId,
+  sourceFrameworkName: control.sourceFrameworkName,
+  sourceControlId: control.sourceControlId,
+  Control_id: control.Control_id,
+  Control_name: control.Control_name,
+  Control_type: control.Control_type,
+  Control_description: control.Control_description,
+  Deployment_points: control.Deployment_points,
+});
+
+// Helper function to format a custom framework for API responses
+const formatCustomFramework = (framework, userId, includeControls = false) => {
+  const ownerId = framework.ownerId?._id || framework.ownerId;
+  const isOwner = ownerId.toString() === userId.toString();
+
+  // Distinct expert frameworks the controls were picked from
+  const sourceFrameworks = new Map();
+  framework.controls.forEach((control) => {
+    sourceFrameworks.set(control.sourceFrameworkId.toString(), {
+      id: control.sourceFrameworkId,
+      frameworkName: control.sourceFrameworkName,
+    });
+  });
+
+  const data = {
+    id: framework._id,
+    name: framework.name,
+    description: framework.description,
+    owner: formatUserRef(framework.ownerId) || { id: ownerId },
+    isOwner,
+    // Only the owner sees who else has access
+    sharedWith: isOwner
+      ? framework.sharedWith.map((user) => formatUserRef(user) || { id: user })
+      : [],
+    controlsCount: framework.controls.length,
+    sourceFrameworks: [...sourceFrameworks.values()],
+    aiProcessing: {
+      status: framework.aiProcessing?.status || "pending",
+      control_extraction_status:
+        framework.aiProcessing?.control_extraction_status || "pending",
+      // False once the controls changed after the last upload to the AI service
+      upToDate:
+        !!framework.aiProcessing?.uuid &&
+        framework.aiProcessing.controlsRevision === framework.controlsRevision,
+      processedAt: framework.aiProcessing?.processedAt || null,
+      errorMessage: framework.aiProcessing?.errorMessage || null,
+    },
+    createdAt: framework.createdAt,
+    updatedAt: framework.updatedAt,
+  };
+
+  if (includeControls) {
+    data.controls = framework.controls.map(formatCustomControl);
+  }
+
+  return data;
+};
+
+// Helper function to load a custom framework the current user can access.
+// With ownerOnly, shared users get 403 because only the owner can change it.
+const findCustomFramework = async (req, res, { ownerOnly = false } = {}) => {
+  const framework = await CustomFramework.findOne({
+    _id: req.params.id,
+    ...accessibleByUser(req.user._id),
+  });
+
+  if (!framework) {
+    res.status(404).json({
+      success: false,
+      message: "Custom framework not found",
+    });
+    return null;
+  }
+
+  if (ownerOnly && framework.ownerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: "Only the owner can modify this custom framework",
+    });
+    return null;
+  }
+
+  return framework;
+};
+
+// Helper function to load controls of processed expert frameworks in request order.
+// Returns the custom framework controls and the requested IDs that cannot be used.
+const loadSelectedControls = async (controlIds) => {
+  const controls = await Control.find({ _id: { $in: controlIds } }).lean();
+
+  const expertFrameworks = await ExpertFramework.find({
+    _id: { $in: controls.map((control) => control.frameworkId) },
+    "aiProcessing.status": "completed",
+  }).select("frameworkName");
+
+  const frameworksById = new Map(
+    expertFrameworks.map((framework) => [framework._id.toString(), framework])
+  );
+  const controlsById = new Map(
+    controls.map((control) => [control._id.toString(), control])
+  );
+
+  const selected = [];
+  const unavailable = [];
+  controlIds.forEach((controlId) => {
+    const control = controlsById.get(controlId.toString());
+    const expertFramework =
+      control && frameworksById.get(control.frameworkId.toString());
+    if (!expertFramework) {
+      unavailable.push(controlId);
+      return;
+    }
+    selected.push(toCustomControl(control, expertFramework));
+  });
+
+  return { selected, unavailable };
+};
+
+// Helper function to find Control_ids used twice by different source controls
+const findConflictingControlIds = (controls) => {
+  const sources = new Map();
+  const conflicts = new Set();
+  controls.forEach((control) => {
+    const source = control.sourceControlId.toString();
+    const existing = sources.get(control.Control_id);
+    if (existing && existing !== source) {
+      conflicts.add(control.Control_id);
+    }
+    sources.set(control.Control_id, source);
+  });
+  return [...conflicts];
+};
+
+// Helper function to add selected controls, skipping ones already in the framework.
+// Sends the error response and returns null when the selection cannot be used.
+const addSelectedControls = async (framework, controlIds, res) => {
+  const { selected, unavailable } = await loadSelectedControls(controlIds);
+
+  if (unavailable.length > 0) {
+    res.status(400).json({
+      success: false,
+      message:
+        "Some controls were not found or belong to an expert framework that is not processed yet",
+      field: "controlIds",
+      value: unavailable,
+    });
+    return null;
+  }
+
+  const existingSources = new Set(
+    framework.controls.map((control) => control.sourceControlId.toString())
+  );
+  const added = selected.filter(
+    (control) => !existingSources.has(control.sourceControlId.toString())
+  );
+
+  if (
+    framework.controls.length + added.length >
+    MAX_CUSTOM_FRAMEWORK_CONTROLS
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `A custom framework can hold at most ${MAX_CUSTOM_FRAMEWORK_CONTROLS} controls`,
+      field: "controlIds",
+    });
+    return null;
+  }
+
+  // Comparison results reference controls by Control_id, so it must stay unique
+  const conflicts = findConflictingControlIds([
+    ...framework.controls,
+    ...added,
+  ]);
+  if (conflicts.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: `Control IDs must be unique within a custom framework. Already used: ${conflicts.join(
+        ", "
+      )}`,
+      field: "controlIds",
+      value: conflicts,
+    });
+    return null;
+  }
+
+  added.forEach((control) => framework.controls.push(control));
+
+  return {
+    added: added.length,
+    skipped: selected.length - added.length,
+  };
+};
+
+// Get controls of processed expert frameworks that can be added to a custom framework
+const getAvailableControls = async (req, res) => {
+  try {
+    const { search, expertFrameworkId, controlType } = req.query;
+
+    const processedFrameworks = await ExpertFramework.find({
+      "aiProcessing.status": "completed",
+      ...(expertFrameworkId && { _id: expertFrameworkId }),
+    }).select("_id");
+
+    const filter = {
+      frameworkId: {
+        $in: processedFrameworks.map((framework) => framework._id),
+      },
+    };
+
+    if (controlType) {
+      filter.Control_type = controlType;
+    }
+
+    // Define allowed sort fields
+    const allowedSortFields = [
+      "order",
+      "Control_id",
+      "Control_name",
+      "Control_type",
+      "createdAt",
+    ];
+
+    const result = await paginateWithSearch(Control, {
+      page: req.query.page,
+      limit: req.query.limit || 20,
+      search: search,
+      searchFields: [
+        "Control_id",
+        "Control_name",
+        "Control_description",
+        "Deployment_points",
+      ],
+      filter: filter,
+      select: "",
+      sort: req.query.sort,
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: allowedSortFields,
+      populate: { path: "frameworkId", select: "frameworkName" },
+      transform: (control) => ({
+        id: control._id,
+        expertFrameworkId: control.frameworkId?._id || null,
+        expertFrameworkName: control.frameworkId?.frameworkName || null,
+        Control_id: control.Control_id,
+        Control_name: control.Control_name,
+        Control_type: control.Control_type,
+        Control_description: control.Control_description,
+        Deployment_points: control.Deployment_points,
+      }),
+    });
+
+    let message = "Available controls retrieved successfully";
+    if (result.data.length === 0) {
+      message =
+        search || expertFrameworkId || controlType
+          ? "No controls match your search criteria. Try adjusting your filters."
+          : "No processed expert frameworks with controls are available yet.";
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: {
+        controls: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting available controls:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving available controls",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get custom frameworks owned by or shared with the current user
+const getCustomFrameworks = async (req, res) => {
+  try {
+    const { search, scope } = req.query;
+
+    let filter = accessibleByUser(req.user._id);
+    if (scope === "owned") {
+      filter = { ownerId: req.user._id };
+    } else if (scope === "shared") {
+      filter = { sharedWith: req.user._id };
+    }
+
+    // Define allowed sort fields
+    const allowedSortFields = ["createdAt", "updatedAt", "name"];
+
+    const result = await paginateWithSearch(CustomFramework, {
+      page: req.query.page,
+      limit: req.query.limit || 10,
+      search: search,
+      searchFields: ["name", "description"],
+      filter: filter,
+      // Control texts are only returned by the detail endpoint
+      select: "-controls.Control_description -controls.Deployment_points",
+      sort: req.query.sort,
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: allowedSortFields,
+      populate: customFrameworkPopulate,
+      transform: (doc) => formatCustomFramework(doc, req.user._id),
+    });
+
+    let message = "Custom frameworks retrieved successfully";
+    if (result.data.length === 0) {
+      if (search || scope) {
+        message =
+          "No custom frameworks match your search criteria. Try adjusting your filters.";
+      } else {
+        message =
+          "You don't have any custom frameworks yet. Build one from expert framework controls to get started.";
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: {
+        customFrameworks: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting custom frameworks:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving custom frameworks",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get custom framework by ID with its controls
+const getCustomFrameworkById = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res);
+    if (!framework) return;
+
+    await framework.populate(customFrameworkPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: "Custom framework retrieved successfully",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id, true),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting custom framework by ID:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a custom framework, optionally with an initial control selection
+const createCustomFramework = async (req, res) => {
+  try {
+    const { name, description, controlIds } = req.body;
+
+    const framework = new CustomFramework({
+      name,
+      description: description ?? "",
+      ownerId: req.user._id,
+    });
+
+    if (controlIds?.length > 0) {
+      const result = await addSelectedControls(framework, controlIds, res);
+      if (!result) return;
+    }
+
+    await framework.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Custom framework created successfully",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id, true),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating custom framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Update custom framework name and description
+const updateCustomFramework = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const { name, description } = req.body;
+    if (name !== undefined) framework.name = name;
+    if (description !== undefined) framework.description = description ?? "";
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom framework updated successfully",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating custom framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Add controls of processed expert frameworks to a custom framework
+const addCustomFrameworkControls = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const result = await addSelectedControls(
+      framework,
+      req.body.controlIds,
+      res
+    );
+    if (!result) return;
+
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added} control(s) added${
+        result.skipped > 0
+          ? `, ${result.skipped} already in the framework were skipped`
+          : ""
+      }`,
+      data: {
+        added: result.added,
+        skipped: result.skipped,
+        customFramework: formatCustomFramework(framework, req.user._id, true),
+      },
+    });
+  } catch (error) {
+    console.error("Error adding custom framework controls:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding custom framework controls",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Remove a control from a custom framework
+const removeCustomFrameworkControl = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const control = framework.controls.id(req.params.controlId);
+    if (!control) {
+      return res.status(404).json({
+        success: false,
+        message: "Control not found in this custom framework",
+      });
+    }
+
+    control.deleteOne();
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Control removed from custom framework successfully",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id, true),
+      },
+    });
+  } catch (error) {
+    console.error("Error removing custom framework control:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing custom framework control",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Reorder the controls of a custom framework
+const reorderCustomFrameworkControls = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const { controlIds } = req.body;
+
+    // The new order must list every control exactly once
+    const currentIds = framework.controls.map((control) =>
+      control._id.toString()
+    );
+    const isPermutation =
+      controlIds.length === currentIds.length &&
+      new Set(controlIds).size === currentIds.length &&
+      controlIds.every((controlId) => currentIds.includes(controlId));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Control IDs must list every control of the custom framework exactly once",
+        field: "controlIds",
+      });
+    }
+
+    framework.controls = controlIds.map((controlId) =>
+      framework.controls.id(controlId).toObject()
+    );
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom framework controls reordered successfully",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id, true),
+      },
+    });
+  } catch (error) {
+    console.error("Error reordering custom framework controls:", error);
+    res.status(500).json({
+      success: false,
+      message:
+        "Internal server error while reordering custom framework controls",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Share a custom framework with other users by email
+const shareCustomFramework = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const { emails } = req.body;
+
+    // Only share with users whose role can open custom frameworks
+    const users = await User.find({
+      email: { $in: emails },
+      role: {
+        $in: await getRolesWithPermission(PERMISSIONS.CUSTOM_FRAMEWORK_READ),
+      },
+    }).select("name email");
+
+    const foundEmails = users.map((user) => user.email);
+    const notFound = emails.filter((email) => !foundEmails.includes(email));
+    if (notFound.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No user account found for: ${notFound.join(", ")}`,
+        field: "emails",
+        value: notFound,
+      });
+    }
+
+    if (users.some((user) => user._id.equals(framework.ownerId))) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot share a custom framework with yourself",
+        field: "emails",
+      });
+    }
+
+    users.forEach((user) => framework.sharedWith.addToSet(user._id));
+    await framework.save();
+    await framework.populate(customFrameworkPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: `Custom framework shared with ${users.length} user(s)`,
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error sharing custom framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while sharing custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Stop sharing a custom framework with a user
+const unshareCustomFramework = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    const { userId } = req.params;
+    if (!framework.sharedWith.some((id) => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom framework is not shared with this user",
+      });
+    }
+
+    framework.sharedWith.pull(userId);
+    await framework.save();
+    await framework.populate(customFrameworkPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: "Custom framework is no longer shared with this user",
+      data: {
+        customFramework: formatCustomFramework(framework, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error("Error unsharing custom framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while unsharing custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete custom framework (permanent delete)
+const deleteCustomFramework = async (req, res) => {
+  try {
+    const framework = await findCustomFramework(req, res, { ownerOnly: true });
+    if (!framework) return;
+
+    await deleteObject(framework.fileUrl);
+
+    // Comparisons against it, including those of shared users, go with it
+    await FrameworkComparison.deleteMany({ customFrameworkId: framework._id });
+    await CustomFramework.findByIdAndDelete(framework._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Custom framework permanently deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting custom framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting custom framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getAvailableControls,
+  getCustomFrameworks,
+  getCustomFrameworkById,
+  createCustomFramework,
+  updateCustomFramework,
+  addCustomFrameworkControls,
+  removeCustomFrameworkControl,
+  reorderCustomFrameworkControls,
+  shareCustomFramework,
+  unshareCustomFramework,
+  deleteCustomFramework,
+};
@@ -0,0 +1,180 @@
+const {
+  FOLDER_ERROR_STATUS,
+  getFolder,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  getFolderPath,
+  getFolderTree,
+  formatFolder,
+} = require("../../services/document-folder.service");
+const {
+  getTenantFilter,
+  getTenantId,
+  canManageTenantResource,
+} = require("../../services/organization.service");
+
+// Helper function to send folder errors, returns false for unexpected errors
+const sendFolderError = (res, error) => {
+  const status = FOLDER_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Get every folder of the active organization as a tree
+const getFolders = async (req, res) => {
+  try {
+    const { folders, unfiledDocuments } = await getFolderTree(
+      getTenantFilter(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Folders retrieved successfully",
+      data: { folders, unfiledDocuments },
+    });
+  } catch (error) {
+    console.error("Error getting folders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving folders",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get a folder with its path from the top level
+const getFolderById = async (req, res) => {
+  try {
+    const folder = await getFolder(req.params.id, getTenantFilter(req));
+    const path = await getFolderPath(folder);
+
+    res.status(200).json({
+      success: true,
+      message: "Folder retrieved successfully",
+      data: {
+        folder: { ...formatFolder(folder), path },
+      },
+    });
+  } catch (error) {
+    if (sendFolderError(res, error)) return;
+
+    console.error("Error getting folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving folder",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a folder in the active organization
+const createDocumentFolder = async (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+
+    const folder = await createFolder(
+      { name, parentId },
+      { organizationId: getTenantId(req), createdBy: req.user._id }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Folder created successfully",
+      data: {
+        folder: formatFolder(folder),
+      },
+    });
+  } catch (error) {
+    if (sendFolderError(res, error)) return;
+
+    console.error("Error creating folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating folder",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Rename a folder or move it with everything in it
+const updateDocumentFolder = async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+
+    const folder = await getFolder(req.params.id, getTenantFilter(req));
+
+    if (!canManageTenantResource(req, folder.createdBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the creator or an organization owner or admin can update this folder",
+      });
+    }
+
+    await updateFolder(folder, { name, parentId });
+
+    res.status(200).json({
+      success: true,
+      message: "Folder updated successfully",
+      data: {
+        folder: formatFolder(folder),
+      },
+    });
+  } catch (error) {
+    if (sendFolderError(res, error)) return;
+
+    console.error("Error updating folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating folder",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete an empty folder
+const deleteDocumentFolder = async (req, res) => {
+  try {
+    const folder = await getFolder(req.params.id, getTenantFilter(req));
+
+    if (!canManageTenantResource(req, folder.createdBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the creator or an organization owner or admin can delete this folder",
+      });
+    }
+
+    await deleteFolder(folder);
+
+    res.status(200).json({
+      success: true,
+      message: "Folder deleted successfully",
+    });
+  } catch (error) {
+    if (sendFolderError(res, error)) return;
+
+    console.error("Error deleting folder:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting folder",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getFolders,
+  getFolderById,
+  createDocumentFolder,
+  updateDocumentFolder,
+  deleteDocumentFolder,
+};
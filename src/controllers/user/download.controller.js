@@ -0,0 +1,55 @@
+const {
+  DOWNLOAD_ERROR_STATUS,
+  verifyDownloadToken,
+  sendDownload,
+} = require("../../services/download.service");
+
+// Helper function to send download errors, returns false for unexpected errors
+const sendDownloadError = (res, error) => {
+  const status = DOWNLOAD_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Download a file through a signed download URL (no login needed)
+const downloadSignedFile = async (req, res) => {
+  try {
+    const claims = verifyDownloadToken(req.params.token);
+
+    const sent = await sendDownload(req, res, {
+      type: claims.type,
+      id: claims.id,
+      fileKey: claims.key,
+      fileName: claims.name,
+      actorId: claims.sub,
+      signedUrl: true,
+    });
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found on server",
+      });
+    }
+  } catch (error) {
+    if (sendDownloadError(res, error)) return;
+
+    console.error("Error downloading file:", error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading file",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  downloadSignedFile,
+};
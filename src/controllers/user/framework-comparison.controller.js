@@ -1,21 +1,343 @@
-const mongoose = require("mongoose");
 const UserFramework = require("../../models/user-framework.model");
 const ExpertFramework = require("../../models/expert-framework.model");
+const FrameworkComparison = require("../../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../../models/framework-comparison-batch.model");
+const CustomFramework = require("../../models/custom-framework.model");
+const Control = require("../../models/control.model");
 const frameworkComparisonAIService = require("../../services/ai/framework-comparison-ai.service");
+const { AI_SERVICE_DEGRADED } = require("../../services/ai/aiClient");
 const {
-  sendToUser,
-} = require("../../websocket/framework-comparison.websocket");
+  DEFAULT_BATCH_CONCURRENCY,
+  calculateAverageScore,
+  getEffectiveResults,
+  getReviewSummary,
+  getTargetControls,
+  runFrameworkComparison,
+  advanceBatch,
+  getBatchProgress,
+} = require("../../services/framework-comparison.service");
+const {
+  accessibleByUser,
+  syncCustomFrameworkWithAI,
+} = require("../../services/custom-framework.service");
+const {
+  buildGapAnalysis,
+  DEFAULT_GAP_THRESHOLDS,
+} = require("../../services/gap-analysis.service");
+const {
+  EXPORT_FORMATS,
+  buildComparisonCsv,
+  writeComparisonXlsx,
+  writeComparisonPdf,
+} = require("../../services/export.service");
+const { paginateWithSearch, buildSortObject } = require("../../helpers/helper");
+const {
+  getTenantFilter,
+  getTenantId,
+  canManageTenantResource,
+} = require("../../services/organization.service");
+
+// Populate options for the user framework a comparison belongs to
+const userFrameworkPopulate = {
+  path: "userFrameworkId",
+  select: "frameworkName",
+};
+
+// Fields the comparison result rows can be sorted by
+const resultSortFields = [
+  "Comparison_Score",
+  "Expert_Framework_Control_Id",
+  "Expert_Framework_Control_Name",
+  "User_Document_Control_Name",
+];
+
+// Helper function to sort comparison result rows using the query sort params
+const sortComparisonResults = (results, { sort, sortBy, sortOrder } = {}) => {
+  const sortObj = buildSortObject({
+    sort,
+    sortBy,
+    sortOrder,
+    allowedFields: resultSortFields,
+    defaultSort: {},
+  });
+
+  const [field] = Object.keys(sortObj);
+  if (!field) return results;
+
+  const direction = sortObj[field];
+  return [...results].sort((a, b) => {
+    const left = a[field] ?? "";
+    const right = b[field] ?? "";
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return 0;
+  });
+};
+
+// Editable result row fields, keyed by their request body name
+const editableResultFields = {
+  userControlName: "User_Document_Control_Name",
+  userControlDescription: "User_Document_Control_Description",
+  expertControlId: "Expert_Framework_Control_Id",
+  deploymentPoints: "Deployment_Points",
+  comparisonScore: "Comparison_Score",
+};
+
+// AI values kept on a row before its first edit
+const aiOriginalFields = [
+  "User_Document_Control_Name",
+  "User_Document_Control_Description",
+  "Expert_Framework_Control_Id",
+  "Expert_Framework_Control_Name",
+  "Expert_Framework_Control_Description",
+  "Deployment_Points",
+  "Comparison_Score",
+];
+
+// Helper function to find a control of the framework the comparison ran against
+const findExpertControl = async (comparison, controlId) => {
+  if (comparison.customFrameworkId) {
+    const controls = await getTargetControls(comparison);
+    return controls.find((control) => control.Control_id === controlId);
+  }
+  return Control.findOne({
+    frameworkId: comparison.expertFrameworkId,
+    Control_id: controlId,
+  });
+};
+
+// Helper function to recalculate the effective score after a review
+const refreshEffectiveScore = (comparison) => {
+  comparison.aiProcessing.effectiveScore = calculateAverageScore(
+    getEffectiveResults(comparison.aiProcessing.comparisonResults)
+  );
+};
+
+// Helper function to load a completed comparison of the active organization
+const findReviewableComparison = async (req, res) => {
+  const comparison = await FrameworkComparison.findOne({
+    _id: req.params.id,
+    ...getTenantFilter(req),
+  });
+
+  if (!comparison) {
+    res.status(404).json({
+      success: false,
+      message: "Framework comparison not found",
+    });
+    return null;
+  }
+
+  if (comparison.aiProcessing.status !== "completed") {
+    res.status(400).json({
+      success: false,
+      message: `Only completed comparisons can be reviewed. Current status: ${comparison.aiProcessing.status}`,
+    });
+    return null;
+  }
+
+  return comparison;
+};
+
+// Helper function to read gap thresholds from query params, falling back to defaults.
+// A default never conflicts with the other threshold, so only two given
+// thresholds can be rejected as inconsistent
+const getGapThresholds = ({ coveredThreshold, partialThreshold } = {}) => {
+  const covered =
+    coveredThreshold !== undefined ? parseFloat(coveredThreshold) : undefined;
+  const partial =
+    partialThreshold !== undefined ? parseFloat(partialThreshold) : undefined;
+
+  return {
+    covered: covered ?? Math.max(DEFAULT_GAP_THRESHOLDS.covered, partial ?? 0),
+    partial:
+      partial ??
+      Math.min(
+        DEFAULT_GAP_THRESHOLDS.partial,
+        covered ?? DEFAULT_GAP_THRESHOLDS.covered
+      ),
+  };
+};
+
+// Helper function to run gap analysis against the comparison's expert framework controls
+const buildComparisonGapAnalysis = async (comparison, thresholds) =>
+  buildGapAnalysis(
+    getEffectiveResults(comparison.aiProcessing.comparisonResults).map((row) =>
+      row.toObject()
+    ),
+    await getTargetControls(comparison),
+    thresholds
+  );
+
+// Helper function to format a comparison for API responses
+const formatComparison = (comparison, includeResults = false) => {
+  const data = {
+    id: comparison._id,
+    // userFrameworkId may be populated with the framework name
+    userFrameworkId: comparison.userFrameworkId?._id || null,
+    userFrameworkName: comparison.userFrameworkId?.frameworkName || null,
+    expertFrameworkId: comparison.expertFrameworkId || null,
+    expertFrameworkName: comparison.expertFrameworkName,
+    customFrameworkId: comparison.customFrameworkId || null,
+    status: comparison.aiProcessing?.status,
+    errorMessage: comparison.aiProcessing?.errorMessage || null,
+    resultsCount: comparison.aiProcessing?.resultsCount || 0,
+    averageScore: comparison.aiProcessing?.comparisonScore || 0,
+    // Falls back to the AI score for comparisons completed before reviews existed
+    effectiveScore:
+      comparison.aiProcessing?.effectiveScore ??
+      (comparison.aiProcessing?.comparisonScore || 0),
+    startedAt: comparison.aiProcessing?.startedAt || null,
+    processedAt: comparison.aiProcessing?.processedAt || null,
+    createdAt: comparison.createdAt,
+    updatedAt: comparison.updatedAt,
+  };
 
-// Start framework comparison
+  if (comparison.batchId) {
+    data.batchId = comparison.batchId;
+  }
+
+  if (includeResults) {
+    data.comparisonResults = comparison.aiProcessing?.comparisonResults || [];
+    data.reviewSummary = getReviewSummary(data.comparisonResults);
+  }
+
+  return data;
+};
+
+// Helper function to format a comparison batch with its comparisons for API responses
+const formatComparisonBatch = (batch, comparisons) => ({
+  id: batch._id,
+  userFrameworkId: batch.userFrameworkId?._id || null,
+  userFrameworkName: batch.userFrameworkId?.frameworkName || null,
+  expertFrameworkIds: batch.expertFrameworkIds,
+  concurrency: batch.concurrency,
+  status: batch.status,
+  progress: getBatchProgress(comparisons),
+  comparisons: comparisons.map((comparison) => formatComparison(comparison)),
+  coverageMatrix: batch.coverageMatrix,
+  completedAt: batch.completedAt,
+  createdAt: batch.createdAt,
+  updatedAt: batch.updatedAt,
+});
+
+// Start framework comparison against an expert framework or a custom framework
 const startFrameworkComparison = async (req, res) => {
   try {
-    const { userFrameworkId, expertFrameworkId } = req.body;
-    const userId = req.user._id.toString();
+    const { userFrameworkId, expertFrameworkId, customFrameworkId } = req.body;
+
+    // Validate frameworks
+    const userFramework = await UserFramework.findOne({
+      _id: userFrameworkId,
+      ...getTenantFilter(req),
+    });
+
+    if (!userFramework?.aiProcessing?.uuid) {
+      return res.status(400).json({
+        success: false,
+        message: "User framework not found or not AI processed",
+      });
+    }
+
+    let target;
+    if (customFrameworkId) {
+      const customFramework = await CustomFramework.findOne({
+        _id: customFrameworkId,
+        ...accessibleByUser(req.user._id),
+      });
+
+      if (!customFramework) {
+        return res.status(400).json({
+          success: false,
+          message: "Custom framework not found",
+        });
+      }
+
+      if (customFramework.controls.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Custom framework has no controls to compare against",
+        });
+      }
+
+      // Uploads the current control selection when the AI service copy is outdated
+      target = {
+        customFrameworkId,
+        expertFrameworkUuid: await syncCustomFrameworkWithAI(
+          customFramework,
+          req.user._id
+        ),
+        expertFrameworkName: customFramework.name,
+      };
+    } else {
+      const expertFramework = await ExpertFramework.findById(expertFrameworkId);
+
+      if (!expertFramework?.aiProcessing?.uuid) {
+        return res.status(400).json({
+          success: false,
+          message: "Expert framework not found or not AI processed",
+        });
+      }
+
+      target = {
+        expertFrameworkId,
+        expertFrameworkUuid: expertFramework.aiProcessing.uuid,
+        expertFrameworkName: expertFramework.frameworkName,
+      };
+    }
+
+    // Persist the job first so it survives a restart
+    const comparison = await FrameworkComparison.create({
+      userId: req.user._id,
+      organizationId: getTenantId(req),
+      userFrameworkId,
+      userFrameworkUuid: userFramework.aiProcessing.uuid,
+      ...target,
+    });
+
+    // Start AI comparison - connects to AI service WebSocket
+    await runFrameworkComparison(comparison);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Comparison started successfully. You will receive real-time updates.",
+      data: {
+        comparisonId: comparison._id,
+        userFrameworkId,
+        expertFrameworkId: expertFrameworkId || null,
+        customFrameworkId: customFrameworkId || null,
+        status: comparison.aiProcessing.status,
+      },
+    });
+  } catch (error) {
+    console.error("Error starting framework comparison:", error);
+
+    // Uploading a custom framework can hit an open AI circuit breaker
+    if (error.code === AI_SERVICE_DEGRADED) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to start comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Start comparisons of one user framework against several expert frameworks
+const startBatchFrameworkComparison = async (req, res) => {
+  try {
+    const { userFrameworkId, expertFrameworkIds } = req.body;
 
     // Validate frameworks
     const userFramework = await UserFramework.findOne({
       _id: userFrameworkId,
-      uploadedBy: req.user._id,
+      ...getTenantFilter(req),
     });
 
     if (!userFramework?.aiProcessing?.uuid) {
@@ -25,96 +347,687 @@ const startFrameworkComparison = async (req, res) => {
       });
     }
 
-    const expertFramework = await ExpertFramework.findById(expertFrameworkId);
+    const expertFrameworks = await ExpertFramework.find({
+      _id: { $in: expertFrameworkIds },
+    });
+
+    const notReady = expertFrameworkIds.filter(
+      (id) =>
+        !expertFrameworks.some(
+          (framework) =>
+            framework._id.toString() === id && framework.aiProcessing?.uuid
+        )
+    );
 
-    if (!expertFramework?.aiProcessing?.uuid) {
+    if (notReady.length > 0) {
       return res.status(400).json({
         success: false,
         message: "Expert framework not found or not AI processed",
+        field: "expertFrameworkIds",
+        value: notReady,
       });
     }
 
-    // Start AI comparison - connects to AI service WebSocket
-    frameworkComparisonAIService.startFrameworkComparison(
-      userFramework.aiProcessing.uuid,
-      expertFramework.aiProcessing.uuid,
+    const batch = await FrameworkComparisonBatch.create({
+      userId: req.user._id,
+      organizationId: getTenantId(req),
       userFrameworkId,
-      async (message) => {
-        const fw = await UserFramework.findById(userFrameworkId);
-        if (!fw) return;
-
-        if (message.status === "completed") {
-          const results = Array.isArray(message.data) ? message.data : [];
-          const avgScore =
-            results.length > 0
-              ? results.reduce(
-                  (sum, item) => sum + (item.Comparison_Score || 0),
-                  0
-                ) / results.length
-              : 0;
-
-          // Store comparison results in user framework
-          fw.comparisonResults = fw.comparisonResults || [];
-          fw.comparisonResults.push({
-            expertFrameworkId,
-            expertFrameworkName: expertFramework.frameworkName,
-            comparisonData: results,
-            comparisonScore: avgScore,
-            resultsCount: results.length,
-            comparedAt: new Date(),
-            comparisonId: new mongoose.Types.ObjectId(), // Generate a simple ID for tracking
-          });
-          await fw.save();
-
-          // Send WebSocket update
-          sendToUser(userId, {
-            type: "comparison-update",
-            userFrameworkId,
-            expertFrameworkId,
-            aiMessage: {
-              status: "completed",
-              data: results,
-              resultsCount: results.length,
-              averageScore: avgScore,
-            },
-          });
-        } else if (message.status === "error" || message.status === "failed") {
-          // Send WebSocket update for error
-          sendToUser(userId, {
-            type: "comparison-update",
-            userFrameworkId,
-            expertFrameworkId,
-            aiMessage: {
-              status: "error",
-              message: message.message || "Comparison failed",
-            },
-          });
-        } else {
-          // Send processing updates
-          sendToUser(userId, {
-            type: "comparison-update",
-            userFrameworkId,
-            expertFrameworkId,
-            aiMessage: message,
-          });
-        }
-      }
+      expertFrameworkIds,
+      concurrency: DEFAULT_BATCH_CONCURRENCY,
+    });
+
+    // Persist one pending job per expert framework, in request order
+    const comparisons = await FrameworkComparison.insertMany(
+      expertFrameworkIds.map((id) => {
+        const expertFramework = expertFrameworks.find(
+          (framework) => framework._id.toString() === id
+        );
+        return {
+          userId: req.user._id,
+          organizationId: getTenantId(req),
+          userFrameworkId,
+          userFrameworkUuid: userFramework.aiProcessing.uuid,
+          expertFrameworkId: expertFramework._id,
+          expertFrameworkUuid: expertFramework.aiProcessing.uuid,
+          expertFrameworkName: expertFramework.frameworkName,
+          batchId: batch._id,
+        };
+      })
     );
 
+    // Start the first comparisons up to the batch concurrency
+    await advanceBatch(batch._id);
+
     res.status(200).json({
       success: true,
-      message:
-        "Comparison started successfully. You will receive real-time updates.",
+      message: `Batch comparison started for ${comparisons.length} expert frameworks. You will receive real-time updates.`,
       data: {
+        batchId: batch._id,
         userFrameworkId,
-        expertFrameworkId,
+        concurrency: batch.concurrency,
+        comparisons: comparisons.map((comparison) => ({
+          comparisonId: comparison._id,
+          expertFrameworkId: comparison.expertFrameworkId,
+          expertFrameworkName: comparison.expertFrameworkName,
+        })),
       },
     });
   } catch (error) {
-    console.error("Error starting framework comparison:", error);
+    console.error("Error starting batch framework comparison:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to start comparison",
+      message: "Failed to start batch comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get comparison batch progress and coverage matrix
+const getFrameworkComparisonBatchById = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = await FrameworkComparisonBatch.findOne({
+      _id: batchId,
+      ...getTenantFilter(req),
+    }).populate(userFrameworkPopulate);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework comparison batch not found",
+      });
+    }
+
+    const comparisons = await FrameworkComparison.find({
+      batchId: batch._id,
+    })
+      .select("-aiProcessing.comparisonResults")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Framework comparison batch retrieved successfully",
+      data: {
+        batch: formatComparisonBatch(batch, comparisons),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting framework comparison batch:", error);
+    res.status(500).json({
+      success: false,
+      message:
+        "Internal server error while retrieving framework comparison batch",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get current user's comparisons with pagination, filtering, and search
+const getFrameworkComparisons = async (req, res) => {
+  try {
+    const {
+      search,
+      userFrameworkId,
+      expertFrameworkId,
+      customFrameworkId,
+      status,
+    } = req.query;
+
+    // Users only ever see the comparisons of their active organization
+    const filter = {
+      ...getTenantFilter(req),
+    };
+
+    if (userFrameworkId) {
+      filter.userFrameworkId = userFrameworkId;
+    }
+
+    if (expertFrameworkId) {
+      filter.expertFrameworkId = expertFrameworkId;
+    }
+
+    if (customFrameworkId) {
+      filter.customFrameworkId = customFrameworkId;
+    }
+
+    if (status) {
+      filter["aiProcessing.status"] = status;
+    }
+
+    // Define allowed sort fields
+    const allowedSortFields = [
+      "createdAt",
+      "updatedAt",
+      "expertFrameworkName",
+      "aiProcessing.status",
+      "aiProcessing.comparisonScore",
+      "aiProcessing.resultsCount",
+      "aiProcessing.processedAt",
+    ];
+
+    const result = await paginateWithSearch(FrameworkComparison, {
+      page: req.query.page,
+      limit: req.query.limit || 10,
+      search: search,
+      searchFields: ["expertFrameworkName"],
+      filter: filter,
+      select: "-aiProcessing.comparisonResults", // Results are only returned by the detail endpoint
+      sort: req.query.sort,
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      allowedSortFields: allowedSortFields,
+      populate: userFrameworkPopulate,
+      transform: (doc) => formatComparison(doc),
+    });
+
+    let message = "Framework comparisons retrieved successfully";
+    if (result.data.length === 0) {
+      if (
+        search ||
+        userFrameworkId ||
+        expertFrameworkId ||
+        customFrameworkId ||
+        status
+      ) {
+        message =
+          "No comparisons match your search criteria. Try adjusting your filters.";
+      } else {
+        message =
+          "You haven't run any comparisons yet. Compare a framework to get started.";
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: {
+        comparisons: result.data,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting framework comparisons:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving framework comparisons",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get framework comparison by ID (poll job status and results)
+const getFrameworkComparisonById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const comparison = await FrameworkComparison.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    }).populate(userFrameworkPopulate);
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework comparison not found",
+      });
+    }
+
+    const data = formatComparison(comparison, true);
+    data.comparisonResults = sortComparisonResults(
+      data.comparisonResults.map((row) => row.toObject()),
+      req.query
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Framework comparison retrieved successfully",
+      data: {
+        comparison: data,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting framework comparison by ID:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving framework comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get gap analysis report for a completed comparison
+const getComparisonGapAnalysis = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const comparison = await FrameworkComparison.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    }).populate(userFrameworkPopulate);
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework comparison not found",
+      });
+    }
+
+    if (comparison.aiProcessing.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        message: `Gap analysis is only available for completed comparisons. Current status: ${comparison.aiProcessing.status}`,
+      });
+    }
+
+    const thresholds = getGapThresholds(req.query);
+    if (thresholds.partial > thresholds.covered) {
+      return res.status(400).json({
+        success: false,
+        message: "Partial threshold cannot be greater than covered threshold",
+        field: "partialThreshold",
+      });
+    }
+
+    const gapAnalysis = await buildComparisonGapAnalysis(
+      comparison,
+      thresholds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Gap analysis generated: ${gapAnalysis.summary.covered} covered, ${gapAnalysis.summary.partial} partially covered and ${gapAnalysis.summary.missing} missing controls`,
+      data: {
+        comparison: formatComparison(comparison),
+        gapAnalysis,
+      },
+    });
+  } catch (error) {
+    console.error("Error generating gap analysis:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating gap analysis",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Export comparison and gap results as CSV, XLSX or PDF
+const exportFrameworkComparison = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || "csv";
+
+    const comparison = await FrameworkComparison.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    }).populate(userFrameworkPopulate);
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework comparison not found",
+      });
+    }
+
+    if (comparison.aiProcessing.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        message: `Only completed comparisons can be exported. Current status: ${comparison.aiProcessing.status}`,
+      });
+    }
+
+    const thresholds = getGapThresholds(req.query);
+    if (thresholds.partial > thresholds.covered) {
+      return res.status(400).json({
+        success: false,
+        message: "Partial threshold cannot be greater than covered threshold",
+        field: "partialThreshold",
+      });
+    }
+
+    const report = {
+      userFrameworkName: comparison.userFrameworkId?.frameworkName || null,
+      expertFrameworkName: comparison.expertFrameworkName,
+      averageScore: comparison.aiProcessing.comparisonScore || 0,
+      effectiveScore: formatComparison(comparison).effectiveScore,
+      comparedAt: comparison.aiProcessing.processedAt,
+      rows: getEffectiveResults(comparison.aiProcessing.comparisonResults).map(
+        (row) => row.toObject()
+      ),
+      gapAnalysis: await buildComparisonGapAnalysis(comparison, thresholds),
+    };
+
+    const fileName = `${comparison.expertFrameworkName.replace(
+      /[^A-Za-z0-9\-_\.() ]/g,
+      ""
+    )} comparison.${EXPORT_FORMATS[format].extension}`;
+
+    // Set appropriate headers for download
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Type", "application/octet-stream");
+
+    if (format === "xlsx") {
+      await writeComparisonXlsx(report, res);
+      return res.end();
+    }
+
+    if (format === "pdf") {
+      return writeComparisonPdf(report, res);
+    }
+
+    res.send(buildComparisonCsv(report));
+  } catch (error) {
+    console.error("Error exporting framework comparison:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while exporting framework comparison",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Accept or reject a single result mapping
+const reviewComparisonResult = async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const { decision, reason } = req.body;
+
+    const comparison = await findReviewableComparison(req, res);
+    if (!comparison) return;
+
+    const row = comparison.aiProcessing.comparisonResults.id(resultId);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison result not found",
+      });
+    }
+
+    const reviewedAt = new Date();
+    row.review = {
+      status: decision,
+      reviewedBy: req.user._id,
+      reviewedAt,
+      reason: reason || null,
+    };
+    row.reviewHistory.push({
+      action: decision,
+      reviewedBy: req.user._id,
+      reviewedAt,
+      reason: reason || null,
+    });
+
+    refreshEffectiveScore(comparison);
+    await comparison.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Comparison result ${decision} successfully`,
+      data: {
+        result: row,
+        effectiveScore: comparison.aiProcessing.effectiveScore,
+        reviewSummary: getReviewSummary(
+          comparison.aiProcessing.comparisonResults
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error reviewing comparison result:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while reviewing comparison result",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Edit a single result mapping (e.g. reassign it to another expert control)
+const updateComparisonResult = async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const { reason } = req.body;
+
+    const comparison = await findReviewableComparison(req, res);
+    if (!comparison) return;
+
+    const row = comparison.aiProcessing.comparisonResults.id(resultId);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison result not found",
+      });
+    }
+
+    // Collect the new values for the fields that were sent
+    const updates = {};
+    Object.entries(editableResultFields).forEach(([bodyField, rowField]) => {
+      if (req.body[bodyField] !== undefined) {
+        updates[rowField] =
+          rowField === "Comparison_Score"
+            ? parseFloat(req.body[bodyField])
+            : req.body[bodyField];
+      }
+    });
+
+    // Reassigning the mapping pulls name and description from the expert control
+    if (
+      updates.Expert_Framework_Control_Id &&
+      updates.Expert_Framework_Control_Id !== row.Expert_Framework_Control_Id
+    ) {
+      const control = await findExpertControl(
+        comparison,
+        updates.Expert_Framework_Control_Id
+      );
+      if (!control) {
+        return res.status(400).json({
+          success: false,
+          message: `Expert control ${updates.Expert_Framework_Control_Id} not found in ${comparison.expertFrameworkName}`,
+          field: "expertControlId",
+          value: updates.Expert_Framework_Control_Id,
+        });
+      }
+      updates.Expert_Framework_Control_Name = control.Control_name;
+      updates.Expert_Framework_Control_Description =
+        control.Control_description;
+      if (updates.Deployment_Points === undefined) {
+        updates.Deployment_Points = control.Deployment_points;
+      }
+    }
+
+    const changes = {};
+    Object.entries(updates).forEach(([field, value]) => {
+      if (row[field] !== value) {
+        changes[field] = { from: row[field] ?? null, to: value };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes to apply to the comparison result",
+      });
+    }
+
+    // Keep the AI output the first time an AI mapping is edited
+    if (row.source === "ai" && !row.aiOriginal) {
+      row.aiOriginal = aiOriginalFields.reduce((original, field) => {
+        original[field] = row[field] ?? null;
+        return original;
+      }, {});
+    }
+
+    Object.entries(changes).forEach(([field, change]) => {
+      row[field] = change.to;
+    });
+
+    const reviewedAt = new Date();
+    row.review = {
+      status: "edited",
+      reviewedBy: req.user._id,
+      reviewedAt,
+      reason: reason || null,
+    };
+    row.reviewHistory.push({
+      action: "edited",
+      reviewedBy: req.user._id,
+      reviewedAt,
+      reason: reason || null,
+      changes,
+    });
+
+    refreshEffectiveScore(comparison);
+    await comparison.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comparison result updated successfully",
+      data: {
+        result: row,
+        effectiveScore: comparison.aiProcessing.effectiveScore,
+        reviewSummary: getReviewSummary(
+          comparison.aiProcessing.comparisonResults
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating comparison result:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating comparison result",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Add a mapping the AI missed
+const addComparisonResult = async (req, res) => {
+  try {
+    const {
+      userControlName,
+      userControlDescription,
+      expertControlId,
+      deploymentPoints,
+      comparisonScore,
+      reason,
+    } = req.body;
+
+    const comparison = await findReviewableComparison(req, res);
+    if (!comparison) return;
+
+    const control = await findExpertControl(comparison, expertControlId);
+    if (!control) {
+      return res.status(400).json({
+        success: false,
+        message: `Expert control ${expertControlId} not found in ${comparison.expertFrameworkName}`,
+        field: "expertControlId",
+        value: expertControlId,
+      });
+    }
+
+    const reviewedAt = new Date();
+    comparison.aiProcessing.comparisonResults.push({
+      User_Document_Control_Name: userControlName,
+      User_Document_Control_Description: userControlDescription || null,
+      Expert_Framework_Control_Id: control.Control_id,
+      Expert_Framework_Control_Name: control.Control_name,
+      Expert_Framework_Control_Description: control.Control_description,
+      Deployment_Points: deploymentPoints || control.Deployment_points,
+      Comparison_Score: parseFloat(comparisonScore),
+      source: "manual",
+      review: {
+        status: "accepted",
+        reviewedBy: req.user._id,
+        reviewedAt,
+        reason: reason || null,
+      },
+      reviewHistory: [
+        {
+          action: "added",
+          reviewedBy: req.user._id,
+          reviewedAt,
+          reason: reason || null,
+        },
+      ],
+    });
+
+    refreshEffectiveScore(comparison);
+    await comparison.save();
+
+    const results = comparison.aiProcessing.comparisonResults;
+
+    res.status(201).json({
+      success: true,
+      message: "Comparison result added successfully",
+      data: {
+        result: results[results.length - 1],
+        effectiveScore: comparison.aiProcessing.effectiveScore,
+        reviewSummary: getReviewSummary(results),
+      },
+    });
+  } catch (error) {
+    console.error("Error adding comparison result:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding comparison result",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Delete framework comparison (permanent delete)
+const deleteFrameworkComparison = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const comparison = await FrameworkComparison.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework comparison not found",
+      });
+    }
+
+    if (!canManageTenantResource(req, comparison.userId)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the creator or an organization owner or admin can delete this comparison",
+      });
+    }
+
+    // Stop the AI connection if the comparison is still running
+    frameworkComparisonAIService.closeConnection(comparison._id.toString());
+
+    // Remove the summary stored on the user framework
+    await UserFramework.updateOne(
+      { _id: comparison.userFrameworkId },
+      { $pull: { comparisonResults: { comparisonId: comparison._id } } }
+    );
+
+    await FrameworkComparison.findByIdAndDelete(id);
+
+    // Let the batch start its next comparison or finish without this one
+    if (comparison.batchId) {
+      await advanceBatch(comparison.batchId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Framework comparison permanently deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting framework comparison:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting framework comparison",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -122,4 +1035,14 @@ const startFrameworkComparison = async (req, res) => {
 
 module.exports = {
   startFrameworkComparison,
+  startBatchFrameworkComparison,
+  getFrameworkComparisonBatchById,
+  getFrameworkComparisons,
+  getFrameworkComparisonById,
+  getComparisonGapAnalysis,
+  exportFrameworkComparison,
+  reviewComparisonResult,
+  updateComparisonResult,
+  addComparisonResult,
+  deleteFrameworkComparison,
 };
@@ -0,0 +1,245 @@
+const {
+  ORGANIZATION_MANAGER_ROLES,
+  ORGANIZATION_ERROR_STATUS,
+  getUserOrganizations,
+  switchOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  formatOrganization,
+  formatOrganizationMembers,
+} = require("../../services/organization.service");
+
+// Helper function to send organization errors, returns false for unexpected errors
+const sendOrganizationError = (res, error) => {
+  const status = ORGANIZATION_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
+
+// Helper function to reject requests of roles that work without an active
+// organization (tenant:all), returns false when the request was answered
+const ensureActiveOrganization = (req, res) => {
+  if (req.organization) {
+    return true;
+  }
+  res.status(404).json({
+    success: false,
+    message: "You have no active organization",
+  });
+  return false;
+};
+
+// Helper function to format an organization together with its members
+const formatOrganizationWithMembers = async (organization, userId) => {
+  await organization.populate("members.userId", "name email");
+  return {
+    ...formatOrganization(organization, userId),
+    members: formatOrganizationMembers(organization),
+  };
+};
+
+// Get the organizations of the current user (organization switcher)
+const getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await getUserOrganizations(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Organizations retrieved successfully",
+      data: {
+        activeOrganizationId: req.organization?._id || null,
+        organizations: organizations.map((organization) => ({
+          ...formatOrganization(organization, req.user._id),
+          active: organization._id.equals(req.organization?._id),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting organizations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving organizations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Switch the active organization of the current session
+const switchActiveOrganization = async (req, res) => {
+  try {
+    const organization = await switchOrganization(
+      req.user,
+      req.authSession,
+      req.body.organizationId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Switched to ${organization.name}`,
+      data: {
+        organization: formatOrganization(organization, req.user._id),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error switching organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while switching organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get the active organization with its members
+const getCurrentOrganization = async (req, res) => {
+  try {
+    if (!ensureActiveOrganization(req, res)) return;
+
+    res.status(200).json({
+      success: true,
+      message: "Organization retrieved successfully",
+      data: {
+        organization: await formatOrganizationWithMembers(
+          req.organization,
+          req.user._id
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting current organization:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Add an existing user to the active organization
+const addCurrentOrganizationMember = async (req, res) => {
+  try {
+    const { email, role = "member" } = req.body;
+
+    // Ownership can only be handed out by owners
+    if (role === "owner" && req.organizationRole !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only owners can add another owner",
+      });
+    }
+
+    const organization = await addMember(
+      req.organization._id,
+      { email, role },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: {
+        organization: await formatOrganizationWithMembers(
+          organization,
+          req.user._id
+        ),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error adding organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Change the org role of a member of the active organization
+const updateCurrentOrganizationMember = async (req, res) => {
+  try {
+    const organization = await updateMemberRole(
+      req.organization._id,
+      req.params.userId,
+      req.body.role,
+      { canManageOwners: req.organizationRole === "owner" }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated successfully",
+      data: {
+        organization: await formatOrganizationWithMembers(
+          organization,
+          req.user._id
+        ),
+      },
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error updating organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Remove a member from the active organization (any member may leave)
+const removeCurrentOrganizationMember = async (req, res) => {
+  try {
+    if (!ensureActiveOrganization(req, res)) return;
+
+    const { userId } = req.params;
+    const isSelf = req.user._id.toString() === userId;
+
+    if (!isSelf && !ORGANIZATION_MANAGER_ROLES.includes(req.organizationRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only owners and admins can remove other members",
+      });
+    }
+
+    await removeMember(req.organization._id, userId, {
+      canManageOwners: req.organizationRole === "owner",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isSelf
+        ? "You left the organization"
+        : "Member removed successfully",
+    });
+  } catch (error) {
+    if (sendOrganizationError(res, error)) return;
+
+    console.error("Error removing organization member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing organization member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getMyOrganizations,
+  switchActiveOrganization,
+  getCurrentOrganization,
+  addCurrentOrganizationMember,
+  updateCurrentOrganizationMember,
+  removeCurrentOrganizationMember,
+};
@@ -0,0 +1,64 @@
+const {
+  SEARCH_TYPE_PERMISSIONS,
+  getAllowedSearchTypes,
+  searchAll,
+} = require("../../services/search.service");
+const { getTenantFilter } = require("../../services/organization.service");
+
+// Search documents, user frameworks, expert frameworks and controls at once
+const search = async (req, res) => {
+  try {
+    const { q, types, limit } = req.query;
+    const query = q.trim();
+
+    // Without ?types every type the user may read is searched
+    const allowedTypes = getAllowedSearchTypes(req.permissions);
+    const requestedTypes = types
+      ? [...new Set(types.split(","))]
+      : allowedTypes;
+
+    const deniedType = requestedTypes.find(
+      (type) => !allowedTypes.includes(type)
+    );
+    if (deniedType || requestedTypes.length === 0) {
+      const permissions = deniedType
+        ? SEARCH_TYPE_PERMISSIONS[deniedType]
+        : [...new Set(Object.values(SEARCH_TYPE_PERMISSIONS).flat())];
+      return res.status(403).json({
+        success: false,
+        message: `Access denied! Searching ${
+          deniedType ? `${deniedType} ` : ""
+        }requires one of the following permissions: ${permissions.join(
+          ", "
+        )}. Your role: ${req.user.role}`,
+      });
+    }
+
+    const results = await searchAll({
+      query,
+      types: requestedTypes,
+      limit: limit ? Number(limit) : undefined,
+      tenantFilter: getTenantFilter(req),
+      permissions: req.permissions,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Search completed successfully",
+      data: {
+        query,
+        types: requestedTypes,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while searching",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = { search };
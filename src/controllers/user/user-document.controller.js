@@ -2,17 +2,122 @@ const UserDocument = require("../../models/user-document.model");
 const {
   paginateWithSearch,
   formatDocumentUploadedBy,
+  formatFileSize,
 } = require("../../helpers/helper");
-const fs = require("fs");
 const {
   createDocumentUpload,
   getDocumentType,
-  deleteFile,
   removeFileExtension,
 } = require("../../config/multer.config");
+const { deleteObject } = require("../../services/storage/storage.service");
+const {
+  indexFileText,
+} = require("../../services/text-extraction/text-extraction.service");
+const {
+  DOWNLOAD_RESOURCE_TYPES,
+  createDownloadUrl,
+  sendDownload,
+} = require("../../services/download.service");
+const {
+  getTenantFilter,
+  getTenantId,
+  canManageTenantResource,
+} = require("../../services/organization.service");
+const {
+  startNewVersion,
+  restoreVersion,
+  listVersions,
+  getVersionFile,
+  setRetention,
+  deleteDocumentVersions,
+} = require("../../services/document-version.service");
+const {
+  FOLDER_ERROR_STATUS,
+  isRootFolder,
+  getFolder,
+  resolveFolder,
+  getSubtreeFolderIds,
+  moveDocumentsToFolder,
+} = require("../../services/document-folder.service");
+const {
+  METADATA_ERROR_STATUS,
+  listMetadataFields,
+  normalizeTags,
+  normalizeMetadata,
+  buildMetadataFilter,
+  getMetadataSearchFields,
+  listDocumentTags,
+  formatDocumentMetadata,
+  formatMetadataField,
+} = require("../../services/document-metadata.service");
+
+// Create upload instance with specific storage prefix for user documents
+const upload = createDocumentUpload("user-documents");
+
+// HTTP status of folder and metadata errors
+const DOCUMENT_ERROR_STATUS = {
+  ...FOLDER_ERROR_STATUS,
+  ...METADATA_ERROR_STATUS,
+};
+
+// Helper function to send folder and metadata errors, returns false for unexpected errors
+const sendDocumentError = (res, error) => {
+  const status = DOCUMENT_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+  });
+  return true;
+};
 
-// Create upload instance with specific directory for user documents
-const upload = createDocumentUpload("src/uploads/user-documents");
+// Fields searched in document lists, plus the text and select metadata fields
+const DOCUMENT_SEARCH_FIELDS = [
+  "documentName",
+  "originalFileName",
+  "originalUploadedBy.name",
+  "originalUploadedBy.email",
+  "tags",
+];
+
+// Helper function to add the folder, tag and metadata filters of the query:
+// folderId (or "root") with includeSubfolders, tags with tagMatch (all or any)
+// and metadata.<key>, metadata.<key>.from and metadata.<key>.to
+const buildDocumentListFilter = async (req, filter) => {
+  const { folderId, includeSubfolders, tags, tagMatch } = req.query;
+  const listFilter = { ...filter };
+
+  if (folderId && isRootFolder(folderId)) {
+    listFilter.folderId = null;
+  } else if (folderId) {
+    const folder = await getFolder(folderId, getTenantFilter(req));
+    listFilter.folderId =
+      String(includeSubfolders) === "true"
+        ? { $in: await getSubtreeFolderIds(folder) }
+        : folder._id;
+  }
+
+  const tagList = tags ? normalizeTags(tags) : [];
+  if (tagList.length > 0) {
+    listFilter.tags = tagMatch === "any" ? { $in: tagList } : { $all: tagList };
+  }
+
+  const metadataConditions = await buildMetadataFilter(req.query);
+  if (metadataConditions.length > 0) {
+    listFilter.$and = metadataConditions;
+  }
+
+  return listFilter;
+};
+
+// Helper function to check if a document list request filters anything
+const hasDocumentFilters = (query) =>
+  ["search", "documentType", "uploadedBy", "folderId", "tags"].some(
+    (name) => query[name]
+  ) || Object.keys(query).some((name) => name.startsWith("metadata."));
 
 // Create a new document
 const createDocument = async (req, res) => {
@@ -26,47 +131,71 @@ const createDocument = async (req, res) => {
       });
     }
 
-    const { documentName } = req.body;
+    const { documentName, folderId, tags, metadata } = req.body;
     const file = req.file;
 
     // Get document type from file extension
     const documentType = getDocumentType(file.originalname);
     if (!documentType) {
       // Delete uploaded file if type is invalid
-      deleteFile(file.path);
+      await deleteObject(file.key);
       return res.status(400).json({
         success: false,
         message: "Invalid file type detected.",
       });
     }
 
-    // Check if document with same original filename already exists
+    // Check if the user already uploaded this filename in the organization
     const existingDocument = await UserDocument.findOne({
       originalFileName: file.originalname,
       uploadedBy: req.user._id,
+      organizationId: getTenantId(req),
     });
 
+    // Check folder, tags and metadata before anything is stored
+    const folder =
+      folderId !== undefined
+        ? await resolveFolder(folderId, { organizationId: getTenantId(req) })
+        : undefined;
+    const documentTags = tags !== undefined ? normalizeTags(tags) : undefined;
+    const documentMetadata =
+      metadata !== undefined || !existingDocument
+        ? await normalizeMetadata(metadata, {
+            current: existingDocument
+              ? formatDocumentMetadata(existingDocument.metadata)
+              : {},
+            requireAll: !existingDocument,
+          })
+        : undefined;
+
     let document;
     let message;
 
     if (existingDocument) {
-      // Update existing document
+      // Update existing document, the previous file is kept as an archived version
+      await startNewVersion(existingDocument, {
+        file,
+        documentType,
+        uploadedBy: req.user._id,
+      });
       existingDocument.documentName =
         documentName || removeFileExtension(file.originalname);
-      existingDocument.fileUrl = file.path;
-      existingDocument.documentType = documentType;
-      existingDocument.fileSize = file.size;
-      existingDocument.updatedAt = new Date();
+      if (folder !== undefined) existingDocument.folderId = folder?._id || null;
+      if (documentTags !== undefined) existingDocument.tags = documentTags;
+      if (documentMetadata !== undefined) {
+        existingDocument.metadata = documentMetadata;
+      }
 
       await existingDocument.save();
       document = existingDocument;
-      message = "Document updated successfully";
+      message = `Document updated successfully, file uploaded as version ${document.currentVersion}`;
     } else {
       // Create new document record
       document = new UserDocument({
         documentName: documentName || removeFileExtension(file.originalname),
-        fileUrl: file.path,
+        fileUrl: file.key,
         documentType: documentType,
+        organizationId: getTenantId(req),
         uploadedBy: req.user._id,
         originalUploadedBy: {
           userId: req.user._id,
@@ -76,8 +205,14 @@ const createDocument = async (req, res) => {
         },
         fileSize: file.size,
         originalFileName: file.originalname,
+        checksum: file.checksum,
+        folderId: folder?._id || null,
+        tags: documentTags || [],
+        metadata: documentMetadata,
       });
 
+      // Extract the file's text so its contents are searchable
+      await indexFileText(document);
       await document.save();
       message = "Document uploaded successfully";
     }
@@ -95,6 +230,11 @@ const createDocument = async (req, res) => {
           documentType: document.documentType,
           fileSize: document.getFormattedFileSize(),
           originalFileName: document.originalFileName,
+          currentVersion: document.currentVersion,
+          folderId: document.folderId,
+          tags: document.tags,
+          metadata: formatDocumentMetadata(document.metadata),
+          textExtraction: document.textExtraction,
           uploadedBy: formatDocumentUploadedBy(document),
           createdAt: document.createdAt,
           updatedAt: document.updatedAt,
@@ -104,8 +244,9 @@ const createDocument = async (req, res) => {
   } catch (error) {
     // Delete uploaded file if document creation fails
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
+    if (sendDocumentError(res, error)) return;
 
     console.error("Error creating document:", error);
     res.status(500).json({
@@ -121,8 +262,11 @@ const getAllDocuments = async (req, res) => {
   try {
     const { search, documentType, uploadedBy } = req.query;
 
-    // Build additional filters
-    const additionalFilters = {};
+    // Build additional filters, limited to the active organization
+    const additionalFilters = await buildDocumentListFilter(
+      req,
+      getTenantFilter(req)
+    );
 
     if (documentType) {
       additionalFilters.documentType = documentType;
@@ -148,10 +292,8 @@ const getAllDocuments = async (req, res) => {
       limit: req.query.limit || 10,
       search: search,
       searchFields: [
-        "documentName",
-        "originalFileName",
-        "originalUploadedBy.name",
-        "originalUploadedBy.email",
+        ...DOCUMENT_SEARCH_FIELDS,
+        ...(await getMetadataSearchFields()),
       ],
       filter: additionalFilters,
       select: "", // Don't exclude any fields for documents
@@ -165,6 +307,9 @@ const getAllDocuments = async (req, res) => {
         documentType: doc.documentType,
         fileSize: doc.getFormattedFileSize(),
         originalFileName: doc.originalFileName,
+        folderId: doc.folderId,
+        tags: doc.tags,
+        metadata: formatDocumentMetadata(doc.metadata),
         uploadedBy: formatDocumentUploadedBy(doc),
         createdAt: doc.createdAt,
         updatedAt: doc.updatedAt,
@@ -174,7 +319,7 @@ const getAllDocuments = async (req, res) => {
     // Determine appropriate message based on data availability
     let message = "User documents retrieved successfully";
     if (result.data.length === 0) {
-      if (search || documentType || uploadedBy) {
+      if (hasDocumentFilters(req.query)) {
         message =
           "No documents match your search criteria. Try adjusting your filters.";
       } else {
@@ -192,6 +337,8 @@ const getAllDocuments = async (req, res) => {
       },
     });
   } catch (error) {
+    if (sendDocumentError(res, error)) return;
+
     console.error("Error getting documents:", error);
     res.status(500).json({
       success: false,
@@ -207,10 +354,10 @@ const getDocumentById = async (req, res) => {
     const { id } = req.params;
 
     // Fetch directly from database
-    const document = await UserDocument.findById(id).populate(
-      "uploadedBy",
-      "name email role"
-    );
+    const document = await UserDocument.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    }).populate("uploadedBy", "name email role");
 
     if (!document) {
       return res.status(404).json({
@@ -231,7 +378,14 @@ const getDocumentById = async (req, res) => {
             ? document.getFormattedFileSize()
             : "N/A",
           originalFileName: document.originalFileName,
+          currentVersion: document.currentVersion,
+          folderId: document.folderId,
+          tags: document.tags,
+          metadata: formatDocumentMetadata(document.metadata),
           fileUrl: document.fileUrl,
+          checksum: document.checksum,
+          versionRetention: document.versionRetention,
+          textExtraction: document.textExtraction,
           uploadedBy: formatDocumentUploadedBy(document),
           createdAt: document.createdAt,
           updatedAt: document.updatedAt,
@@ -252,9 +406,12 @@ const getDocumentById = async (req, res) => {
 const updateDocument = async (req, res) => {
   try {
     const { id } = req.params;
-    const { documentName } = req.body;
+    const { documentName, folderId, tags, metadata } = req.body;
 
-    const document = await UserDocument.findById(id);
+    const document = await UserDocument.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!document) {
       return res.status(404).json({
@@ -263,6 +420,32 @@ const updateDocument = async (req, res) => {
       });
     }
 
+    if (!canManageTenantResource(req, document.uploadedBy)) {
+      if (req.file) {
+        await deleteObject(req.file.key);
+      }
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can update this document",
+      });
+    }
+
+    // Check folder, tags and metadata before anything is changed
+    const folder =
+      folderId !== undefined
+        ? await resolveFolder(folderId, {
+            organizationId: document.organizationId,
+          })
+        : undefined;
+    const documentTags = tags !== undefined ? normalizeTags(tags) : undefined;
+    const documentMetadata =
+      metadata !== undefined
+        ? await normalizeMetadata(metadata, {
+            current: formatDocumentMetadata(document.metadata),
+          })
+        : undefined;
+
     // Handle file update if new file is uploaded
     if (req.file) {
       const file = req.file;
@@ -271,23 +454,19 @@ const updateDocument = async (req, res) => {
       const documentType = getDocumentType(file.originalname);
       if (!documentType) {
         // Delete uploaded file if type is invalid
-        deleteFile(file.path);
+        await deleteObject(file.key);
         return res.status(400).json({
           success: false,
           message: "Invalid file type detected.",
         });
       }
 
-      // Delete old file if it exists
-      if (document.fileUrl && fs.existsSync(document.fileUrl)) {
-        deleteFile(document.fileUrl);
-      }
-
-      // Update file-related fields
-      document.fileUrl = file.path;
-      document.documentType = documentType;
-      document.fileSize = file.size;
-      document.originalFileName = file.originalname;
+      // Keep the previous file as an archived version
+      await startNewVersion(document, {
+        file,
+        documentType,
+        uploadedBy: req.user._id,
+      });
 
       // If no documentName provided in body, use filename without extension
       if (documentName === undefined) {
@@ -299,6 +478,15 @@ const updateDocument = async (req, res) => {
     if (documentName !== undefined) {
       document.documentName = documentName;
     }
+    if (folder !== undefined) {
+      document.folderId = folder?._id || null;
+    }
+    if (documentTags !== undefined) {
+      document.tags = documentTags;
+    }
+    if (documentMetadata !== undefined) {
+      document.metadata = documentMetadata;
+    }
 
     await document.save();
     await document.populate("uploadedBy", "name email role");
@@ -306,7 +494,7 @@ const updateDocument = async (req, res) => {
     res.status(200).json({
       success: true,
       message: req.file
-        ? "Document and file updated successfully"
+        ? `Document updated successfully, file uploaded as version ${document.currentVersion}`
         : "Document updated successfully",
       data: {
         document: {
@@ -315,6 +503,11 @@ const updateDocument = async (req, res) => {
           documentType: document.documentType,
           fileSize: document.getFormattedFileSize(),
           originalFileName: document.originalFileName,
+          currentVersion: document.currentVersion,
+          folderId: document.folderId,
+          tags: document.tags,
+          metadata: formatDocumentMetadata(document.metadata),
+          textExtraction: document.textExtraction,
           uploadedBy: formatDocumentUploadedBy(document),
           createdAt: document.createdAt,
           updatedAt: document.updatedAt,
@@ -324,8 +517,9 @@ const updateDocument = async (req, res) => {
   } catch (error) {
     // Delete uploaded file if update fails
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
+    if (sendDocumentError(res, error)) return;
 
     console.error("Error updating document:", error);
     res.status(500).json({
@@ -341,7 +535,10 @@ const deleteDocument = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const document = await UserDocument.findById(id);
+    const document = await UserDocument.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!document) {
       return res.status(404).json({
@@ -350,11 +547,20 @@ const deleteDocument = async (req, res) => {
       });
     }
 
-    // Delete physical file from filesystem
-    if (document.fileUrl) {
-      deleteFile(document.fileUrl);
+    if (!canManageTenantResource(req, document.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can delete this document",
+      });
     }
 
+    // Delete stored file
+    await deleteObject(document.fileUrl);
+
+    // Delete archived versions and their files
+    await deleteDocumentVersions(id);
+
     // Permanent delete from database
     await UserDocument.findByIdAndDelete(id);
 
@@ -377,7 +583,10 @@ const downloadDocument = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const document = await UserDocument.findById(id);
+    const document = await UserDocument.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!document) {
       return res.status(404).json({
@@ -386,38 +595,361 @@ const downloadDocument = async (req, res) => {
       });
     }
 
-    // Check if file exists
-    if (!fs.existsSync(document.fileUrl)) {
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.USER_DOCUMENT,
+      id: document._id,
+      fileKey: document.fileUrl,
+      fileName: document.originalFileName,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "File not found on server",
       });
     }
+  } catch (error) {
+    console.error("Error downloading document:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading document",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
 
-    // Set appropriate headers for download
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${document.originalFileName}"`
-    );
-    res.setHeader("Content-Type", "application/octet-stream");
-
-    // Send file
-    res.download(document.fileUrl, document.originalFileName, (err) => {
-      if (err) {
-        console.error("Error downloading file:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            message: "Error downloading file",
-          });
-        }
+// Create a short-lived signed URL to download the document file
+const getDocumentDownloadUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const document = await UserDocument.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found",
+      });
+    }
+
+    const { url, expiresAt } = await createDownloadUrl(
+      {
+        type: DOWNLOAD_RESOURCE_TYPES.USER_DOCUMENT,
+        id: document._id,
+        fileKey: document.fileUrl,
+        fileName: document.originalFileName,
+      },
+      {
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+        actorId: req.user._id,
+        email: req.user.email,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
       }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Download URL created successfully",
+      data: { url, expiresAt },
     });
   } catch (error) {
-    console.error("Error downloading document:", error);
+    console.error("Error creating document download URL:", error);
     res.status(500).json({
       success: false,
-      message: "Internal server error while downloading document",
+      message: "Internal server error while creating download URL",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Helper function to load a document of the active organization, or answer 404
+const findTenantDocument = async (req, res) => {
+  const document = await UserDocument.findOne({
+    _id: req.params.id,
+    ...getTenantFilter(req),
+  });
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: "Document not found",
+    });
+  }
+  return document;
+};
+
+// Get every uploaded version of a document
+const getDocumentVersions = async (req, res) => {
+  try {
+    const document = await findTenantDocument(req, res);
+    if (!document) return;
+
+    const versions = await listVersions(document);
+
+    res.status(200).json({
+      success: true,
+      message: `${versions.length} document versions retrieved successfully`,
+      data: {
+        currentVersion: document.currentVersion,
+        versionRetention: document.versionRetention,
+        versions: versions.map((version) => ({
+          ...version,
+          fileSize: formatFileSize(version.fileSize),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting document versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving document versions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Download the file of any document version
+const downloadDocumentVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+
+    const document = await findTenantDocument(req, res);
+    if (!document) return;
+
+    const file = await getVersionFile(document, version);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: `Document version ${version} not found`,
+      });
+    }
+
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.USER_DOCUMENT,
+      id: document._id,
+      fileKey: file.fileUrl,
+      fileName: file.originalFileName,
+      version,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found on server",
+      });
+    }
+  } catch (error) {
+    console.error("Error downloading document version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading document version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Restore an earlier document version (the current one is kept as a version)
+const restoreDocumentVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+
+    const document = await findTenantDocument(req, res);
+    if (!document) return;
+
+    if (!canManageTenantResource(req, document.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can restore versions of this document",
+      });
+    }
+
+    if (document.currentVersion === version) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} is already the current version`,
+      });
+    }
+
+    const restored = await restoreVersion(document, version);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: `Document version ${version} not found`,
+      });
+    }
+
+    await document.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Document restored to version ${version} successfully`,
+      data: {
+        document: {
+          id: document._id,
+          documentName: document.documentName,
+          documentType: document.documentType,
+          fileSize: document.getFormattedFileSize(),
+          originalFileName: document.originalFileName,
+          currentVersion: document.currentVersion,
+          updatedAt: document.updatedAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error restoring document version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while restoring document version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Set how many old versions of a document are kept and for how long
+const updateDocumentVersionRetention = async (req, res) => {
+  try {
+    const { maxVersions = null, maxAgeDays = null } = req.body;
+
+    const document = await findTenantDocument(req, res);
+    if (!document) return;
+
+    if (!canManageTenantResource(req, document.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can change the retention of this document",
+      });
+    }
+
+    const deletedVersions = await setRetention(document, {
+      maxVersions,
+      maxAgeDays,
+    });
+    await document.save();
+
+    res.status(200).json({
+      success: true,
+      message:
+        deletedVersions > 0
+          ? `Version retention updated successfully, ${deletedVersions} old versions deleted`
+          : "Version retention updated successfully",
+      data: {
+        versionRetention: document.versionRetention,
+        deletedVersions,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating document version retention:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating version retention",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Move documents into a folder (folderId null or "root" = top level)
+const moveDocuments = async (req, res) => {
+  try {
+    const { documentIds, folderId = null } = req.body;
+    const uniqueIds = [...new Set(documentIds)];
+
+    const documents = await UserDocument.find({
+      _id: { $in: uniqueIds },
+      ...getTenantFilter(req),
+    }).select("uploadedBy organizationId");
+
+    if (documents.length !== uniqueIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more documents not found",
+      });
+    }
+
+    if (
+      documents.some(
+        (document) => !canManageTenantResource(req, document.uploadedBy)
+      )
+    ) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can move these documents",
+      });
+    }
+
+    const folder = await resolveFolder(folderId, getTenantFilter(req));
+    await moveDocumentsToFolder(documents, folder);
+
+    res.status(200).json({
+      success: true,
+      message: `${documents.length} documents moved to ${
+        folder ? `folder "${folder.name}"` : "the top level"
+      } successfully`,
+      data: {
+        folderId: folder?._id || null,
+        documentIds: documents.map((document) => document._id),
+      },
+    });
+  } catch (error) {
+    if (sendDocumentError(res, error)) return;
+
+    console.error("Error moving documents:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while moving documents",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get every tag used in the documents of the active organization
+const getDocumentTags = async (req, res) => {
+  try {
+    const tags = await listDocumentTags(getTenantFilter(req));
+
+    res.status(200).json({
+      success: true,
+      message: "Document tags retrieved successfully",
+      data: { tags },
+    });
+  } catch (error) {
+    console.error("Error getting document tags:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving document tags",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Get the custom metadata fields documents can be described with
+const getDocumentMetadataFields = async (req, res) => {
+  try {
+    const fields = await listMetadataFields({ activeOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: "Document metadata fields retrieved successfully",
+      data: {
+        metadataFields: fields.map(formatMetadataField),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting document metadata fields:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving metadata fields",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -428,10 +960,11 @@ const getUserDocuments = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    // Build filter for user's documents
-    const filter = {
+    // Build filter for user's documents in the active organization
+    const filter = await buildDocumentListFilter(req, {
       uploadedBy: userId,
-    };
+      ...getTenantFilter(req),
+    });
 
     // Define allowed sort fields
     const allowedSortFields = [
@@ -449,10 +982,8 @@ const getUserDocuments = async (req, res) => {
       limit: req.query.limit || 10,
       search: req.query.search,
       searchFields: [
-        "documentName",
-        "originalFileName",
-        "originalUploadedBy.name",
-        "originalUploadedBy.email",
+        ...DOCUMENT_SEARCH_FIELDS,
+        ...(await getMetadataSearchFields()),
       ],
       filter: filter,
       select: "", // Don't exclude any fields for documents
@@ -466,6 +997,9 @@ const getUserDocuments = async (req, res) => {
         documentType: doc.documentType,
         fileSize: doc.getFormattedFileSize(),
         originalFileName: doc.originalFileName,
+        folderId: doc.folderId,
+        tags: doc.tags,
+        metadata: formatDocumentMetadata(doc.metadata),
         uploadedBy: formatDocumentUploadedBy(doc),
         createdAt: doc.createdAt,
         updatedAt: doc.updatedAt,
@@ -475,7 +1009,7 @@ const getUserDocuments = async (req, res) => {
     // Determine appropriate message based on data availability
     let message = "User documents retrieved successfully";
     if (result.data.length === 0) {
-      if (req.query.search) {
+      if (hasDocumentFilters(req.query)) {
         message =
           "No documents match your search criteria. Try adjusting your filters.";
       } else {
@@ -493,6 +1027,8 @@ const getUserDocuments = async (req, res) => {
       },
     });
   } catch (error) {
+    if (sendDocumentError(res, error)) return;
+
     console.error("Error getting user documents:", error);
     res.status(500).json({
       success: false,
@@ -510,5 +1046,13 @@ module.exports = {
   updateDocument,
   deleteDocument,
   downloadDocument,
+  getDocumentDownloadUrl,
+  getDocumentVersions,
+  downloadDocumentVersion,
+  restoreDocumentVersion,
+  updateDocumentVersionRetention,
+  moveDocuments,
+  getDocumentTags,
+  getDocumentMetadataFields,
   getUserDocuments,
 };
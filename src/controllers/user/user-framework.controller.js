@@ -1,25 +1,51 @@
 const UserFramework = require("../../models/user-framework.model");
 const FrameworkComparison = require("../../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../../models/framework-comparison-batch.model");
 const {
   paginateWithSearch,
   formatFrameworkUploadedBy,
   formatFileSize,
   formatAIProcessingData,
 } = require("../../helpers/helper");
-const fs = require("fs");
 const {
   createDocumentUpload,
   getDocumentType,
-  deleteFile,
   removeFileExtension,
 } = require("../../config/multer.config");
+const {
+  deleteObject,
+  statObject,
+} = require("../../services/storage/storage.service");
+const {
+  indexFileText,
+} = require("../../services/text-extraction/text-extraction.service");
+const {
+  DOWNLOAD_RESOURCE_TYPES,
+  createDownloadUrl,
+  sendDownload,
+} = require("../../services/download.service");
 const aiService = require("../../services/ai/user-ai.service");
+const { AI_SERVICE_DEGRADED } = require("../../services/ai/aiClient");
 const {
   sendToUser,
 } = require("../../websocket/framework-comparison.websocket");
+const {
+  startNewVersion,
+  rollbackToVersion,
+  listVersions,
+  getVersionFile,
+  getVersionControls,
+  diffControls,
+  deleteFrameworkVersions,
+} = require("../../services/framework-version.service");
+const {
+  getTenantFilter,
+  getTenantId,
+  canManageTenantResource,
+} = require("../../services/organization.service");
 
-// Create upload instance with specific directory for user frameworks
-const upload = createDocumentUpload("src/uploads/user-frameworks");
+// Create upload instance with specific storage prefix for user frameworks
+const upload = createDocumentUpload("user-frameworks");
 
 // Create a new framework
 const createFramework = async (req, res) => {
@@ -40,40 +66,45 @@ const createFramework = async (req, res) => {
     const frameworkType = getDocumentType(file.originalname);
     if (!frameworkType) {
       // Delete uploaded file if type is invalid
-      deleteFile(file.path);
+      await deleteObject(file.key);
       return res.status(400).json({
         success: false,
         message: "Invalid file type detected.",
       });
     }
 
-    // Check if framework with same original filename already exists
+    // Check if the user already uploaded this filename in the organization
     const existingFramework = await UserFramework.findOne({
       originalFileName: file.originalname,
       uploadedBy: req.user._id,
+      organizationId: getTenantId(req),
     });
 
     let framework;
     let message;
 
     if (existingFramework) {
-      // Update existing framework
+      // Update existing framework, the new upload replaces the stored file
+      const previousFileKey = existingFramework.fileUrl;
       existingFramework.frameworkName =
         frameworkName || removeFileExtension(file.originalname);
-      existingFramework.fileUrl = file.path;
+      existingFramework.fileUrl = file.key;
       existingFramework.frameworkType = frameworkType;
       existingFramework.fileSize = file.size;
       existingFramework.updatedAt = new Date();
+      await indexFileText(existingFramework);
 
       await existingFramework.save();
+      await deleteObject(previousFileKey);
       framework = existingFramework;
       message = "Framework updated successfully";
     } else {
       // Create new framework record
       framework = new UserFramework({
         frameworkName: frameworkName || removeFileExtension(file.originalname),
-        fileUrl: file.path,
+        fileUrl: file.key,
         frameworkType: frameworkType,
+        organizationId: getTenantId(req),
         uploadedBy: req.user._id,
         originalUploadedBy: {
           userId: req.user._id,
@@ -85,6 +116,8 @@ const createFramework = async (req, res) => {
         originalFileName: file.originalname,
       });
 
+      // Extract the file's text so its contents are searchable
+      await indexFileText(framework);
       await framework.save();
       message = "Framework uploaded successfully";
     }
@@ -118,7 +151,7 @@ const createFramework = async (req, res) => {
   } catch (error) {
     // Delete uploaded file if framework creation fails
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
 
     console.error("Error creating framework:", error);
@@ -135,8 +168,8 @@ const getAllFrameworks = async (req, res) => {
   try {
     const { search, frameworkType, uploadedBy } = req.query;
 
-    // Build additional filters
-    const additionalFilters = {};
+    // Build additional filters, limited to the active organization
+    const additionalFilters = { ...getTenantFilter(req) };
 
     if (frameworkType) {
       additionalFilters.frameworkType = frameworkType;
@@ -225,10 +258,10 @@ const getFrameworkById = async (req, res) => {
     // let framework = await cacheService.getFrameworkById(id);
 
     // Fetch directly from database
-    const framework = await UserFramework.findById(id).populate(
-      "uploadedBy",
-      "name email role"
-    );
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    }).populate("uploadedBy", "name email role");
 
     if (!framework) {
       return res.status(404).json({
@@ -245,6 +278,7 @@ const getFrameworkById = async (req, res) => {
         fileSize: formatFileSize(framework.fileSize),
         originalFileName: framework.originalFileName,
         fileUrl: framework.fileUrl,
+        currentVersion: framework.currentVersion,
         uploadedBy: formatFrameworkUploadedBy(framework),
         aiProcessing: formatAIProcessingData(framework.aiProcessing, true),
         comparisonResults: framework.comparisonResults || [],
@@ -287,7 +321,10 @@ const updateFramework = async (req, res) => {
     const { id } = req.params;
     const { frameworkName } = req.body;
 
-    const framework = await UserFramework.findById(id);
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!framework) {
       return res.status(404).json({
@@ -296,6 +333,17 @@ const updateFramework = async (req, res) => {
       });
     }
 
+    if (!canManageTenantResource(req, framework.uploadedBy)) {
+      if (req.file) {
+        await deleteObject(req.file.key);
+      }
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can update this framework",
+      });
+    }
+
     // Handle file update if new file is uploaded
     if (req.file) {
       const file = req.file;
@@ -304,23 +352,19 @@ const updateFramework = async (req, res) => {
       const frameworkType = getDocumentType(file.originalname);
       if (!frameworkType) {
         // Delete uploaded file if type is invalid
-        deleteFile(file.path);
+        await deleteObject(file.key);
         return res.status(400).json({
           success: false,
           message: "Invalid file type detected.",
         });
       }
 
-      // Delete old file if it exists
-      if (framework.fileUrl && fs.existsSync(framework.fileUrl)) {
-        deleteFile(framework.fileUrl);
-      }
-
-      // Update file-related fields
-      framework.fileUrl = file.path;
-      framework.frameworkType = frameworkType;
-      framework.fileSize = file.size;
-      framework.originalFileName = file.originalname;
+      // Keep the previous file as an archived version
+      await startNewVersion(framework, {
+        file,
+        frameworkType,
+        uploadedBy: req.user._id,
+      });
 
       // If no frameworkName provided in body, use filename without extension
       if (frameworkName === undefined) {
@@ -339,7 +383,7 @@ const updateFramework = async (req, res) => {
     res.status(200).json({
       success: true,
       message: req.file
-        ? "Framework and file updated successfully"
+        ? `Framework updated successfully, file uploaded as version ${framework.currentVersion}`
         : "Framework updated successfully",
       data: {
         framework: {
@@ -348,6 +392,7 @@ const updateFramework = async (req, res) => {
           frameworkType: framework.frameworkType,
           fileSize: formatFileSize(framework.fileSize),
           originalFileName: framework.originalFileName,
+          currentVersion: framework.currentVersion,
           uploadedBy: formatFrameworkUploadedBy(framework),
           createdAt: framework.createdAt,
           updatedAt: framework.updatedAt,
@@ -363,7 +408,7 @@ const updateFramework = async (req, res) => {
   } catch (error) {
     // Delete uploaded file if update fails
     if (req.file) {
-      deleteFile(req.file.path);
+      await deleteObject(req.file.key);
     }
 
     console.error("Error updating framework:", error);
@@ -380,7 +425,10 @@ const deleteFramework = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const framework = await UserFramework.findById(id);
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!framework) {
       return res.status(404).json({
@@ -389,11 +437,20 @@ const deleteFramework = async (req, res) => {
       });
     }
 
-    // Delete physical file from filesystem
-    if (framework.fileUrl) {
-      deleteFile(framework.fileUrl);
+    if (!canManageTenantResource(req, framework.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can delete this framework",
+      });
     }
 
+    // Delete stored file
+    await deleteObject(framework.fileUrl);
+
+    // Delete archived versions and their files
+    await deleteFrameworkVersions(id);
+
     // Clean up related data - remove comparison results that reference this framework
     await UserFramework.updateMany(
       { "comparisonResults.expertFrameworkId": id },
@@ -404,6 +461,7 @@ const deleteFramework = async (req, res) => {
     await FrameworkComparison.deleteMany({
       $or: [{ userFrameworkId: id }, { expertFrameworkId: id }],
     });
+    await FrameworkComparisonBatch.deleteMany({ userFrameworkId: id });
 
     // Permanent delete from database
     await UserFramework.findByIdAndDelete(id);
@@ -433,7 +491,10 @@ const downloadFramework = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const framework = await UserFramework.findById(id);
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!framework) {
       return res.status(404).json({
@@ -442,38 +503,74 @@ const downloadFramework = async (req, res) => {
       });
     }
 
-    // Check if file exists
-    if (!fs.existsSync(framework.fileUrl)) {
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.USER_FRAMEWORK,
+      id: framework._id,
+      fileKey: framework.fileUrl,
+      fileName: framework.originalFileName,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
       return res.status(404).json({
         success: false,
         message: "File not found on server",
       });
     }
+  } catch (error) {
+    console.error("Error downloading framework:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading framework",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Create a short-lived signed URL to download the framework file
+const getFrameworkDownloadUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
 
-    // Set appropriate headers for download
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${framework.originalFileName}"`
-    );
-    res.setHeader("Content-Type", "application/octet-stream");
-
-    // Send file
-    res.download(framework.fileUrl, framework.originalFileName, (err) => {
-      if (err) {
-        console.error("Error downloading file:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            message: "Error downloading file",
-          });
-        }
+    const { url, expiresAt } = await createDownloadUrl(
+      {
+        type: DOWNLOAD_RESOURCE_TYPES.USER_FRAMEWORK,
+        id: framework._id,
+        fileKey: framework.fileUrl,
+        fileName: framework.originalFileName,
+      },
+      {
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+        actorId: req.user._id,
+        email: req.user.email,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
       }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Download URL created successfully",
+      data: { url, expiresAt },
     });
   } catch (error) {
-    console.error("Error downloading framework:", error);
+    console.error("Error creating framework download URL:", error);
     res.status(500).json({
       success: false,
-      message: "Internal server error while downloading framework",
+      message: "Internal server error while creating download URL",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -484,9 +581,10 @@ const getUserFrameworks = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    // Build filter for user's frameworks
+    // Build filter for user's frameworks in the active organization
     const filter = {
       uploadedBy: userId,
+      ...getTenantFilter(req),
     };
 
     // Define allowed sort fields
@@ -565,7 +663,10 @@ const uploadFrameworkToAIService = async (req, res) => {
     const { id } = req.params;
     const userId = req.user._id.toString();
 
-    const framework = await UserFramework.findById(id);
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!framework) {
       return res.status(404).json({
@@ -574,7 +675,7 @@ const uploadFrameworkToAIService = async (req, res) => {
       });
     }
 
-    if (!fs.existsSync(framework.fileUrl)) {
+    if (!(await statObject(framework.fileUrl))) {
       return res.status(404).json({
         success: false,
         message: "Framework file not found on server",
@@ -613,7 +714,8 @@ const uploadFrameworkToAIService = async (req, res) => {
       id,
       async (message) => {
         const fw = await UserFramework.findById(id);
-        if (!fw) return;
+        // Ignore results for a version that was replaced or rolled back meanwhile
+        if (!fw || fw.aiProcessing.uuid !== aiResult.aiResponse.uuid) return;
 
         // Update framework based on AI message
         if (message.status === "completed") {
@@ -676,6 +778,13 @@ const uploadFrameworkToAIService = async (req, res) => {
       }
     }
 
+    if (error.code === AI_SERVICE_DEGRADED) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("AI service is not available")) {
       return res.status(503).json({
         success: false,
@@ -696,7 +805,10 @@ const checkAIProcessingStatus = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const framework = await UserFramework.findById(id);
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
 
     if (!framework) {
       return res.status(404).json({
@@ -731,6 +843,13 @@ const checkAIProcessingStatus = async (req, res) => {
   } catch (error) {
     console.error("Error checking AI processing status:", error);
 
+    if (error.code === AI_SERVICE_DEGRADED) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("AI service is not available")) {
       return res.status(503).json({
         success: false,
@@ -746,6 +865,227 @@ const checkAIProcessingStatus = async (req, res) => {
   }
 };
 
+// Get all versions of a framework
+const getFrameworkVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const versions = await listVersions(framework);
+
+    res.status(200).json({
+      success: true,
+      message: `${versions.length} framework versions retrieved successfully`,
+      data: {
+        currentVersion: framework.currentVersion,
+        versions: versions.map((version) => ({
+          ...version,
+          fileSize: formatFileSize(version.fileSize),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting framework versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving framework versions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Download the file of any framework version
+const downloadFrameworkVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const file = await getVersionFile(framework, version);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${version} not found`,
+      });
+    }
+
+    // Send file (audited), or 404 when it is missing from storage
+    const sent = await sendDownload(req, res, {
+      type: DOWNLOAD_RESOURCE_TYPES.USER_FRAMEWORK,
+      id: framework._id,
+      fileKey: file.fileUrl,
+      fileName: file.originalFileName,
+      version,
+      actorId: req.user._id,
+      email: req.user.email,
+    });
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found on server",
+      });
+    }
+  } catch (error) {
+    console.error("Error downloading framework version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while downloading framework version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Roll back to an earlier framework version (the current one is kept as a version)
+const rollbackFrameworkVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    if (!canManageTenantResource(req, framework.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the uploader or an organization owner or admin can roll back this framework",
+      });
+    }
+
+    if (framework.currentVersion === version) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} is already the current version`,
+      });
+    }
+
+    const restored = await rollbackToVersion(framework, version);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${version} not found`,
+      });
+    }
+
+    await framework.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Framework rolled back to version ${version} successfully`,
+      data: {
+        framework: {
+          id: framework._id,
+          frameworkName: framework.frameworkName,
+          frameworkType: framework.frameworkType,
+          fileSize: formatFileSize(framework.fileSize),
+          originalFileName: framework.originalFileName,
+          currentVersion: framework.currentVersion,
+          aiProcessing: formatAIProcessingData(framework.aiProcessing),
+          updatedAt: framework.updatedAt,
+        },
+      },
+    });
+
+    // Send WebSocket update for framework list refresh
+    sendToUser(req.user._id.toString(), {
+      type: "framework-list-refresh",
+      message: "Framework list updated",
+    });
+  } catch (error) {
+    console.error("Error rolling back framework version:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while rolling back framework version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Control-level diff between two framework versions
+const diffFrameworkVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const framework = await UserFramework.findOne({
+      _id: id,
+      ...getTenantFilter(req),
+    });
+
+    if (!framework) {
+      return res.status(404).json({
+        success: false,
+        message: "Framework not found",
+      });
+    }
+
+    const [fromControls, toControls] = await Promise.all([
+      getVersionControls(framework, from),
+      getVersionControls(framework, to),
+    ]);
+
+    if (!fromControls || !toControls) {
+      return res.status(404).json({
+        success: false,
+        message: `Framework version ${!fromControls ? from : to} not found`,
+      });
+    }
+
+    const diff = diffControls(fromControls, toControls);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${from} to ${to}: ${diff.summary.added} added, ${diff.summary.removed} removed and ${diff.summary.changed} changed controls`,
+      data: {
+        from,
+        to,
+        ...diff,
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing framework versions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while comparing framework versions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   upload,
   createFramework,
@@ -754,7 +1094,12 @@ module.exports = {
   updateFramework,
   deleteFramework,
   downloadFramework,
+  getFrameworkDownloadUrl,
   getUserFrameworks,
   uploadFrameworkToAIService,
   checkAIProcessingStatus,
+  getFrameworkVersions,
+  downloadFrameworkVersion,
+  rollbackFrameworkVersion,
+  diffFrameworkVersions,
 };
@@ -0,0 +1,109 @@
+// Load MONGODB_URI and the other settings from .env, as the API does
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const UserDocument = require("../../models/user-document.model");
+const UserFramework = require("../../models/user-framework.model");
+const FrameworkComparison = require("../../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../../models/framework-comparison-batch.model");
+const User = require("../../models/user.model");
+const {
+  resolveActiveOrganization,
+} = require("../../services/organization.service");
+
+/**
+ * Migration script to move existing data into organizations
+ * Every user that owns data gets a personal organization (unless they already
+ * belong to one) and their documents, frameworks and comparisons are assigned
+ * to it. Data of deleted users keeps no organization.
+ */
+async function migrateOrganizations() {
+  try {
+    console.log("Starting migration: Assigning data to organizations...");
+
+    // organizationId: null also matches records without the field
+    const [documentOwners, frameworkOwners, comparisonOwners, batchOwners] =
+      await Promise.all([
+        UserDocument.distinct("uploadedBy", { organizationId: null }),
+        UserFramework.distinct("uploadedBy", { organizationId: null }),
+        FrameworkComparison.distinct("userId", { organizationId: null }),
+        FrameworkComparisonBatch.distinct("userId", { organizationId: null }),
+      ]);
+
+    const ownerIds = [
+      ...new Set(
+        [
+          ...documentOwners,
+          ...frameworkOwners,
+          ...comparisonOwners,
+          ...batchOwners,
+        ].map((id) => id.toString())
+      ),
+    ];
+    console.log(`Found ${ownerIds.length} users with unassigned data`);
+
+    const users = await User.find({ _id: { $in: ownerIds }, role: "user" });
+
+    let organizationsUsed = 0;
+    let recordsUpdated = 0;
+    for (const user of users) {
+      const { organization } = await resolveActiveOrganization(user);
+      organizationsUsed++;
+
+      const results = await Promise.all([
+        UserDocument.updateMany(
+          { uploadedBy: user._id, organizationId: null },
+          { $set: { organizationId: organization._id } }
+        ),
+        UserFramework.updateMany(
+          { uploadedBy: user._id, organizationId: null },
+          { $set: { organizationId: organization._id } }
+        ),
+        FrameworkComparison.updateMany(
+          { userId: user._id, organizationId: null },
+          { $set: { organizationId: organization._id } }
+        ),
+        FrameworkComparisonBatch.updateMany(
+          { userId: user._id, organizationId: null },
+          { $set: { organizationId: organization._id } }
+        ),
+      ]);
+
+      recordsUpdated += results.reduce(
+        (total, result) => total + result.modifiedCount,
+        0
+      );
+    }
+
+    console.log(`Assigned data of ${organizationsUsed} users to organizations`);
+    console.log(
+      `Skipped ${ownerIds.length - users.length} deleted or non-user accounts`
+    );
+    console.log(`Total updated: ${recordsUpdated} records`);
+  } catch (error) {
+    console.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  mongoose
+    .connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/your-database"
+    )
+    .then(() => {
+      console.log("Connected to MongoDB");
+      return migrateOrganizations();
+    })
+    .then(() => {
+      console.log("Migration completed successfully");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateOrganizations };
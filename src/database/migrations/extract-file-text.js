@@ -0,0 +1,102 @@
+// Load MONGODB_URI and the other settings from .env, as the API does
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const UserDocument = require("../../models/user-document.model");
+const UserFramework = require("../../models/user-framework.model");
+const ExpertFramework = require("../../models/expert-framework.model");
+const Control = require("../../models/control.model");
+const {
+  TEXT_EXTRACTION_STATUS,
+  indexFileText,
+} = require("../../services/text-extraction/text-extraction.service");
+
+/**
+ * Migration script to extract the text of files uploaded before full-text
+ * search existed
+ * Records without a textExtraction status, or still pending, get the text of
+ * their current file extracted into `extractedText`. The text indexes of the
+ * searched collections are created as well. Records already processed are
+ * skipped, so the script can be run again; pass --retry-failed to extract
+ * files that failed before once more.
+ */
+
+// Models whose records reference an uploaded file
+const FILE_MODELS = [UserDocument, UserFramework, ExpertFramework];
+
+// Models searched with a text index
+const SEARCH_MODELS = [...FILE_MODELS, Control];
+
+async function extractFileText({ retryFailed = false } = {}) {
+  try {
+    console.log("Starting migration: Extracting text of uploaded files...");
+
+    for (const Model of SEARCH_MODELS) {
+      await Model.createIndexes();
+    }
+    console.log("Text indexes created");
+
+    const statuses = [TEXT_EXTRACTION_STATUS.PENDING, null];
+    if (retryFailed) statuses.push(TEXT_EXTRACTION_STATUS.FAILED);
+
+    const counts = {};
+    for (const Model of FILE_MODELS) {
+      const ids = await Model.find({
+        "textExtraction.status": { $in: statuses },
+      }).distinct("_id");
+      console.log(`Found ${ids.length} ${Model.modelName} records`);
+
+      // One record at a time, files can be large
+      for (const id of ids) {
+        const record = await Model.findById(id);
+        if (!record) continue;
+
+        const status = await indexFileText(record);
+        await Model.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              extractedText: record.extractedText,
+              textExtraction: record.textExtraction,
+            },
+          },
+          { timestamps: false }
+        );
+        counts[status] = (counts[status] || 0) + 1;
+      }
+    }
+
+    Object.values(TEXT_EXTRACTION_STATUS)
+      .filter((status) => counts[status])
+      .forEach((status) => {
+        console.log(`${status}: ${counts[status]} records`);
+      });
+  } catch (error) {
+    console.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  mongoose
+    .connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/your-database"
+    )
+    .then(() => {
+      console.log("Connected to MongoDB");
+      return extractFileText({
+        retryFailed: process.argv.includes("--retry-failed"),
+      });
+    })
+    .then(() => {
+      console.log("Migration completed successfully");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { extractFileText };
@@ -0,0 +1,82 @@
+// Load MONGODB_URI and the other settings from .env, as the API does
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const ExpertFramework = require("../../models/expert-framework.model");
+const Control = require("../../models/control.model");
+const { saveExtractedControls } = require("../../services/control.service");
+
+/**
+ * Migration script to move embedded aiProcessing.extractedControls of expert
+ * frameworks into the standalone controls collection
+ * The embedded array is removed once its controls are stored
+ */
+async function migrateExtractedControls() {
+  try {
+    console.log("Starting migration: Moving extracted controls...");
+
+    // extractedControls is no longer part of the schema, read the raw documents
+    const frameworks = await ExpertFramework.collection
+      .find(
+        { "aiProcessing.extractedControls": { $exists: true } },
+        { projection: { "aiProcessing.extractedControls": 1 } }
+      )
+      .toArray();
+
+    let frameworksMigrated = 0;
+    let controlsMoved = 0;
+    for (const framework of frameworks) {
+      const embedded = framework.aiProcessing?.extractedControls || [];
+
+      // Skip frameworks whose controls were already moved (e.g. a re-run)
+      const existing = await Control.countDocuments({
+        frameworkId: framework._id,
+      });
+
+      let controlsCount = existing;
+      if (existing === 0 && embedded.length > 0) {
+        controlsCount = await saveExtractedControls(framework._id, embedded);
+        controlsMoved += controlsCount;
+      }
+
+      await ExpertFramework.collection.updateOne(
+        { _id: framework._id },
+        {
+          $unset: { "aiProcessing.extractedControls": "" },
+          $set: { "aiProcessing.controlsCount": controlsCount },
+        }
+      );
+      frameworksMigrated++;
+    }
+
+    console.log("Migration completed successfully!");
+    console.log(
+      `Moved ${controlsMoved} controls from ${frameworksMigrated} ExpertFrameworks`
+    );
+  } catch (error) {
+    console.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  mongoose
+    .connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/your-database"
+    )
+    .then(() => {
+      console.log("Connected to MongoDB");
+      return migrateExtractedControls();
+    })
+    .then(() => {
+      console.log("Migration completed successfully");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateExtractedControls };
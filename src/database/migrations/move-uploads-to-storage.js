@@ -0,0 +1,118 @@
+// Load MONGODB_URI and the other settings from .env, as the API does
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const UserDocument = require("../../models/user-document.model");
+const UserFramework = require("../../models/user-framework.model");
+const ExpertFramework = require("../../models/expert-framework.model");
+const CustomFramework = require("../../models/custom-framework.model");
+const FrameworkVersion = require("../../models/framework-version.model");
+const {
+  getStorageDriver,
+  putObject,
+  statObject,
+} = require("../../services/storage/storage.service");
+
+/**
+ * Migration script to move uploaded files into the storage service
+ * Records used to keep the path of their file on the API server's disk in
+ * `fileUrl` (e.g. "src/uploads/user-documents/policy.pdf"). The path below the
+ * uploads directory becomes the object key ("user-documents/policy.pdf"), the
+ * file is copied into the configured storage when it is not there yet, and
+ * `fileUrl` is rewritten to the key. Records that already hold a key are
+ * skipped, so the script can be run again. Local files are left in place.
+ */
+
+// Models whose records reference an uploaded file
+const FILE_MODELS = [
+  UserDocument,
+  UserFramework,
+  ExpertFramework,
+  CustomFramework,
+  FrameworkVersion,
+];
+
+// Legacy paths always contain the uploads directory
+const LEGACY_PATH_PATTERN = /(?:^|[\\/])uploads[\\/](.+)$/;
+
+// Map a legacy file path to its object key, or null when it is a key already
+const toObjectKey = (fileUrl) => {
+  const match = LEGACY_PATH_PATTERN.exec(fileUrl);
+  return match ? match[1].replace(/\\/g, "/") : null;
+};
+
+async function migrateUploadsToStorage() {
+  try {
+    const driver = getStorageDriver();
+    console.log(
+      `Starting migration: Moving uploaded files to ${driver.name} storage...`
+    );
+
+    let recordsUpdated = 0;
+    let filesCopied = 0;
+    let filesMissing = 0;
+
+    for (const Model of FILE_MODELS) {
+      const records = await Model.find({
+        fileUrl: { $regex: /uploads[\\/]/ },
+      })
+        .select("fileUrl")
+        .lean();
+      console.log(`Found ${records.length} ${Model.modelName} records`);
+
+      for (const record of records) {
+        const key = toObjectKey(record.fileUrl);
+        if (!key) continue;
+
+        if (!(await statObject(key))) {
+          const filePath = path.resolve(record.fileUrl);
+          if (fs.existsSync(filePath)) {
+            await putObject(key, fs.createReadStream(filePath));
+            filesCopied++;
+          } else {
+            // The reference is rewritten anyway; downloads answer 404 as before
+            console.warn(`File missing for ${Model.modelName} ${record._id}`);
+            filesMissing++;
+          }
+        }
+
+        await Model.updateOne(
+          { _id: record._id },
+          { $set: { fileUrl: key } }
+        );
+        recordsUpdated++;
+      }
+    }
+
+    console.log(`Copied ${filesCopied} files into storage`);
+    console.log(`Missing ${filesMissing} files`);
+    console.log(`Total updated: ${recordsUpdated} records`);
+  } catch (error) {
+    console.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  mongoose
+    .connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/your-database"
+    )
+    .then(() => {
+      console.log("Connected to MongoDB");
+      return migrateUploadsToStorage();
+    })
+    .then(() => {
+      console.log("Migration completed successfully");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateUploadsToStorage };
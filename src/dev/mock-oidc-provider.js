@@ -0,0 +1,246 @@
+/**
+ * Mock OpenID Connect provider for local single sign-on testing
+ *
+ * Implements just enough of a provider for the authorization code flow with
+ * PKCE: discovery, an authorization endpoint that signs the user in without a
+ * login page, the token endpoint, the signing keys and userinfo. Every start
+ * generates a new signing key; codes and access tokens only live in memory.
+ *
+ * Run with `npm run mock:oidc`, then create an identity provider with
+ *   issuer: http://localhost:9090, clientId: cypher-sentinel,
+ *   clientSecret: mock-secret, roleClaim: groups
+ * The signed in user defaults to MOCK_OIDC_EMAIL / MOCK_OIDC_NAME /
+ * MOCK_OIDC_GROUPS (comma separated) and can be changed per login by adding
+ * email, name and groups to the authorization URL's query string.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 9090;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "cypher-sentinel";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+
+const DEFAULT_USER = {
+  email: process.env.MOCK_OIDC_EMAIL || "sso.user@example.com",
+  name: process.env.MOCK_OIDC_NAME || "SSO Test User",
+  groups: process.env.MOCK_OIDC_GROUPS || "",
+};
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const JWK = {
+  ...publicKey.export({ format: "jwk" }),
+  kid: KEY_ID,
+  use: "sig",
+  alg: "RS256",
+};
+
+// code -> login, access token -> claims
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Helper function to answer with an OAuth error
+const sendOAuthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+// Helper function to read the client credentials of a token request
+const getClientCredentials = (req) => {
+  const [scheme, value] = (req.get("authorization") || "").split(" ");
+  if (scheme === "Basic" && value) {
+    const [id, secret] = Buffer.from(value, "base64").toString().split(":");
+    return {
+      clientId: decodeURIComponent(id || ""),
+      clientSecret: decodeURIComponent(secret || ""),
+    };
+  }
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret,
+  };
+};
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: ["openid", "email", "profile"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+    ],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: ["sub", "email", "email_verified", "name", "groups"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [JWK] });
+});
+
+// Signs the user in right away and redirects back with a code
+app.get("/authorize", (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+  } = req.query;
+
+  if (clientId !== CLIENT_ID) {
+    return sendOAuthError(res, 400, "invalid_client", "Unknown client_id");
+  }
+  if (!redirectUri) {
+    return sendOAuthError(
+      res,
+      400,
+      "invalid_request",
+      "redirect_uri is required"
+    );
+  }
+  if (responseType !== "code") {
+    return sendOAuthError(
+      res,
+      400,
+      "unsupported_response_type",
+      "Only the code flow is supported"
+    );
+  }
+  if (!codeChallenge || codeChallengeMethod !== "S256") {
+    return sendOAuthError(
+      res,
+      400,
+      "invalid_request",
+      "PKCE with code_challenge_method=S256 is required"
+    );
+  }
+
+  const email = String(req.query.email || DEFAULT_USER.email).toLowerCase();
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri,
+    nonce,
+    codeChallenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      // Stable per email, like a real provider's subject
+      sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+      email,
+      email_verified: req.query.email_verified !== "false",
+      name: req.query.name || DEFAULT_USER.name,
+      groups: String(req.query.groups ?? DEFAULT_USER.groups)
+        .split(",")
+        .map((group) => group.trim())
+        .filter(Boolean),
+    },
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set("code", code);
+  if (state) {
+    location.searchParams.set("state", state);
+  }
+  res.redirect(location.toString());
+});
+
+app.post("/token", (req, res) => {
+  const { clientId, clientSecret } = getClientCredentials(req);
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendOAuthError(
+      res,
+      401,
+      "invalid_client",
+      "Invalid client credentials"
+    );
+  }
+  if (req.body.grant_type !== "authorization_code") {
+    return sendOAuthError(
+      res,
+      400,
+      "unsupported_grant_type",
+      "Only authorization_code is supported"
+    );
+  }
+
+  // Codes can only be used once
+  const login = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!login || login.expiresAt < Date.now()) {
+    return sendOAuthError(res, 400, "invalid_grant", "Invalid or expired code");
+  }
+  if (req.body.redirect_uri !== login.redirectUri) {
+    return sendOAuthError(res, 400, "invalid_grant", "redirect_uri mismatch");
+  }
+  const challenge = crypto
+    .createHash("sha256")
+    .update(req.body.code_verifier || "")
+    .digest("base64url");
+  if (challenge !== login.codeChallenge) {
+    return sendOAuthError(
+      res,
+      400,
+      "invalid_grant",
+      "PKCE verification failed"
+    );
+  }
+
+  const accessToken = crypto.randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, login.claims);
+  setTimeout(
+    () => accessTokens.delete(accessToken),
+    TOKEN_TTL_SECONDS * 1000
+  ).unref();
+
+  const idToken = jwt.sign(
+    { ...login.claims, ...(login.nonce && { nonce: login.nonce }) },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: TOKEN_TTL_SECONDS,
+    }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken,
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  const claims = scheme === "Bearer" && accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: "invalid_token" });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}, client secret: ${CLIENT_SECRET}`);
+  console.log(`Signs in as ${DEFAULT_USER.email} unless ?email= is given`);
+});
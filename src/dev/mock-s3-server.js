@@ -0,0 +1,248 @@
+/**
+ * Mock S3-compatible object store for local storage testing
+ *
+ * Implements just enough of the S3 REST API for the s3 storage driver, the
+ * way MinIO would answer it: PUT, GET (with Range), HEAD and DELETE of objects
+ * in path-style URLs (http://localhost:9000/<bucket>/<key>). Requests must be
+ * signed with Signature Version 4, either in the Authorization header or as a
+ * presigned URL. Buckets are created on first use and objects are kept as
+ * files below MOCK_S3_DIR.
+ *
+ * Run with `npm run mock:s3`, then start the API with
+ *   STORAGE_DRIVER=s3, S3_ENDPOINT=http://localhost:9000, S3_BUCKET=uploads,
+ *   S3_ACCESS_KEY_ID=minioadmin, S3_SECRET_ACCESS_KEY=minioadmin
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const PORT = Number(process.env.MOCK_S3_PORT) || 9000;
+const DATA_DIR = path.resolve(
+  process.env.MOCK_S3_DIR || path.join(os.tmpdir(), "mock-s3")
+);
+const ACCESS_KEY_ID = process.env.MOCK_S3_ACCESS_KEY_ID || "minioadmin";
+const SECRET_ACCESS_KEY = process.env.MOCK_S3_SECRET_ACCESS_KEY || "minioadmin";
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+// Allowed difference between the request date and the server clock
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hmac = (key, value) =>
+  crypto.createHmac("sha256", key).update(value).digest();
+
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// 20240101T000000Z -> Date
+const parseAmzDate = (value) =>
+  new Date(
+    String(value || "").replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+      "$1-$2-$3T$4:$5:$6Z"
+    )
+  );
+
+// Answer with an S3-style XML error
+const sendS3Error = (res, status, code, message) => {
+  res
+    .status(status)
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`
+    );
+};
+
+// Compute the signature the client should have sent
+const expectedSignature = (
+  req,
+  { credential, amzDate, signedHeaders },
+  query
+) => {
+  const [accessKeyId, day, region, service] = credential.split("/");
+  if (accessKeyId !== ACCESS_KEY_ID) return null;
+
+  const rawPath = req.originalUrl.split("?")[0];
+  const canonicalQuery = Object.keys(query)
+    .filter((name) => name !== "X-Amz-Signature")
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join("&");
+  const canonicalHeaders = signedHeaders
+    .map((name) => `${name}:${String(req.headers[name] ?? "").trim()}\n`)
+    .join("");
+  const payloadHash = query["X-Amz-Signature"]
+    ? UNSIGNED_PAYLOAD
+    : req.headers["x-amz-content-sha256"];
+
+  const canonicalRequest = [
+    req.method,
+    rawPath,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders.join(";"),
+    payloadHash,
+  ].join("\n");
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const signingKey = [day, region, service, "aws4_request"].reduce(
+    hmac,
+    `AWS4${SECRET_ACCESS_KEY}`
+  );
+  return crypto
+    .createHmac("sha256", signingKey)
+    .update([ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join("\n"))
+    .digest("hex");
+};
+
+// Check the Authorization header or the presigned query of a request
+const verifySignature = (req) => {
+  const query = Object.fromEntries(
+    new URLSearchParams(req.originalUrl.split("?")[1] || "")
+  );
+
+  if (query["X-Amz-Signature"]) {
+    const amzDate = query["X-Amz-Date"];
+    const expiresAt =
+      parseAmzDate(amzDate).getTime() + Number(query["X-Amz-Expires"]) * 1000;
+    if (!(expiresAt > Date.now())) return "Request has expired";
+
+    const expected = expectedSignature(
+      req,
+      {
+        credential: query["X-Amz-Credential"] || "",
+        amzDate,
+        signedHeaders: (query["X-Amz-SignedHeaders"] || "").split(";"),
+      },
+      query
+    );
+    return expected === query["X-Amz-Signature"]
+      ? null
+      : "Signature does not match";
+  }
+
+  const match =
+    /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(
+      req.headers.authorization || ""
+    );
+  if (!match) return "Missing or malformed Authorization header";
+
+  const amzDate = req.headers["x-amz-date"];
+  if (
+    Math.abs(parseAmzDate(amzDate).getTime() - Date.now()) > MAX_CLOCK_SKEW_MS
+  ) {
+    return "Request time too skewed";
+  }
+  const payloadHash = req.headers["x-amz-content-sha256"];
+  if (payloadHash !== UNSIGNED_PAYLOAD && payloadHash !== sha256(req.body)) {
+    return "Payload hash does not match";
+  }
+
+  const expected = expectedSignature(
+    req,
+    { credential: match[1], amzDate, signedHeaders: match[2].split(";") },
+    query
+  );
+  return expected === match[3] ? null : "Signature does not match";
+};
+
+// Map /<bucket>/<key> to the file holding the object
+const resolveObject = (req) => {
+  const [bucket, ...keyParts] = req.path
+    .split("/")
+    .slice(1)
+    .map(decodeURIComponent);
+  const key = keyParts.join("/");
+  if (!bucket || !key) return null;
+
+  const bucketDir = path.join(DATA_DIR, bucket);
+  const filePath = path.resolve(bucketDir, key);
+  return filePath.startsWith(bucketDir + path.sep) ? filePath : null;
+};
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: "100mb" }));
+// Requests without a body (GET, HEAD, DELETE) are signed as an empty payload
+app.use((req, res, next) => {
+  if (!Buffer.isBuffer(req.body)) req.body = Buffer.alloc(0);
+  next();
+});
+
+app.use((req, res) => {
+  const filePath = resolveObject(req);
+  if (!filePath) {
+    return sendS3Error(res, 400, "InvalidRequest", "Expected /<bucket>/<key>");
+  }
+
+  const authError = verifySignature(req);
+  if (authError) {
+    return sendS3Error(res, 403, "SignatureDoesNotMatch", authError);
+  }
+
+  if (req.method === "PUT") {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, req.body);
+    fs.writeFileSync(
+      `${filePath}.content-type`,
+      req.headers["content-type"] || "application/octet-stream"
+    );
+    return res
+      .set("ETag", `"${sha256(req.body)}"`)
+      .status(200)
+      .end();
+  }
+
+  if (req.method === "DELETE") {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.content-type`, { force: true });
+    return res.status(204).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return sendS3Error(res, 405, "MethodNotAllowed", "Method not allowed");
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return sendS3Error(res, 404, "NoSuchKey", "The key does not exist");
+  }
+
+  const stats = fs.statSync(filePath);
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": fs.readFileSync(`${filePath}.content-type`, "utf8"),
+    "Last-Modified": stats.mtime.toUTCString(),
+  });
+  if (req.query["response-content-disposition"]) {
+    res.set("Content-Disposition", req.query["response-content-disposition"]);
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (range && (range[1] || range[2])) {
+    start = range[1] ? Number(range[1]) : Math.max(stats.size - range[2], 0);
+    end = range[1] && range[2] ? Math.min(Number(range[2]), end) : end;
+    if (start > end) {
+      res.set("Content-Range", `bytes */${stats.size}`);
+      return sendS3Error(res, 416, "InvalidRange", "Range not satisfiable");
+    }
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+  }
+
+  res.set("Content-Length", String(end - start + 1));
+  if (req.method === "HEAD" || stats.size === 0) return res.end();
+  fs.createReadStream(filePath, { start, end }).pipe(res);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server listening on http://localhost:${PORT}`);
+  console.log(`Objects are stored in ${DATA_DIR}`);
+});
@@ -1,33 +1,5 @@
 const os = require("os");
 
-const generateTempPassword = (length = 12) => {
-  const upper = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-  const lower = "abcdefghijklmnopqrstuvwxyz";
-  const digits = "0123456789";
-  const specials = "@$!%*#?&";
-  const all = upper + lower + digits + specials;
-
-  // guarantee one from each set
-  let pwdChars = [
-    upper[Math.floor(Math.random() * upper.length)],
-    lower[Math.floor(Math.random() * lower.length)],
-    digits[Math.floor(Math.random() * digits.length)],
-    specials[Math.floor(Math.random() * specials.length)],
-  ];
-
-  for (let i = pwdChars.length; i < length; i++) {
-    pwdChars.push(all[Math.floor(Math.random() * all.length)]);
-  }
-
-  // shuffle
-  for (let i = pwdChars.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [pwdChars[i], pwdChars[j]] = [pwdChars[j], pwdChars[i]];
-  }
-
-  return pwdChars.join("");
-};
-
 /**
  * Build search filter for MongoDB queries
  * @param {string} searchTerm - Search term from query params
@@ -342,7 +314,6 @@ const formatDocumentUploadedBy = (document) => {
 };
 
 module.exports = {
-  generateTempPassword,
   paginate,
   buildSearchFilter,
   paginateWithSearch,
@@ -1,9 +1,24 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/user.model");
+const {
+  SESSION_ERRORS,
+  verifyAccessToken,
+} = require("../services/session.service");
+const { API_KEY_ERRORS, verifyApiKey } = require("../services/api-key.service");
 // const cacheService = require("../services/cache.service");
 
+// Accepts a Bearer access token or an API key in the X-API-Key header
 const authenticateToken = async (req, res, next) => {
   try {
+    // Machine access: no session, permissions limited to the key's scopes
+    const apiKeyHeader = req.headers["x-api-key"];
+    if (apiKeyHeader) {
+      const { user, apiKey } = await verifyApiKey(apiKeyHeader, req.ip);
+
+      req.user = user;
+      req.apiKey = apiKey;
+      req.authSession = null;
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(" ")[1];
 
@@ -15,33 +30,29 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    // Checks the signature and that the token's session is still active
+    const { user, session } = await verifyAccessToken(token);
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token - user not found",
-      });
-    }
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    console.error("Authentication error:", error);
 
-    // Check if token version matches current user's token version
-    if (decoded.tokenVersion !== user.tokenVersion) {
+    if (
+      error.code === SESSION_ERRORS.SESSION_REVOKED ||
+      error.code === API_KEY_ERRORS.INVALID
+    ) {
       return res.status(401).json({
         success: false,
-        message: "Token has been invalidated. Please login again.",
+        message: error.message,
       });
     }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error("Authentication error:", error);
-
     if (error.name === "TokenExpiredError") {
       return res.status(401).json({
         success: false,
-        message: "Token has expired. Please login again.",
+        message: "Token has expired. Please refresh your token or login again.",
         expiredAt: error.expiredAt,
       });
     }
@@ -68,4 +79,17 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Rejects requests made with an API key, for endpoints that manage the login
+// session or credentials (run after authenticateToken)
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message:
+        "This endpoint is not available with an API key. Please login and try again.",
+    });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requireSession };
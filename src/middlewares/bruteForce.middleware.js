@@ -0,0 +1,27 @@
+const { getAttemptBlock } = require("../services/brute-force.service");
+
+// Refuse the request while the account is locked or delayed, or the IP is blocked
+const sendAttemptBlock = (res, block) => {
+  res.set("Retry-After", String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    message: block.message,
+    retryAfter: block.retryAfter,
+  });
+};
+
+// Guard for endpoints that check a password or code (runs after validation)
+const bruteForceGuard = async (req, res, next) => {
+  const block = await getAttemptBlock({
+    email: req.body?.email,
+    ipAddress: req.ip,
+  });
+
+  if (block) {
+    return sendAttemptBlock(res, block);
+  }
+
+  next();
+};
+
+module.exports = { bruteForceGuard, sendAttemptBlock };
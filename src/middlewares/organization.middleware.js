@@ -0,0 +1,76 @@
+const { PERMISSIONS } = require("../services/permission.service");
+const {
+  ORGANIZATION_MANAGER_ROLES,
+  findMemberOrganization,
+  resolveActiveOrganization,
+  setSessionOrganization,
+  getMemberRole,
+} = require("../services/organization.service");
+
+// Loads the active organization of the session (or of the API key) into
+// req.organization and the user's org role into req.organizationRole
+// (run after requirePermission)
+const requireOrganization = async (req, res, next) => {
+  try {
+    // Roles working across every organization are not scoped to one
+    if (req.permissions?.includes(PERMISSIONS.TENANT_ALL)) {
+      return next();
+    }
+
+    // API keys are bound to the organization they were created for
+    if (req.apiKey) {
+      const organization = req.apiKey.organizationId
+        ? await findMemberOrganization(req.apiKey.organizationId, req.user._id)
+        : null;
+      if (!organization) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "The organization of this API key is not available anymore. Please create a new key.",
+        });
+      }
+
+      req.organization = organization;
+      req.organizationRole = getMemberRole(organization, req.user._id);
+      return next();
+    }
+
+    let organization = req.authSession.organizationId
+      ? await findMemberOrganization(
+          req.authSession.organizationId,
+          req.user._id
+        )
+      : null;
+
+    // Sessions from before organizations existed, or the user was removed
+    if (!organization) {
+      ({ organization } = await resolveActiveOrganization(req.user));
+      await setSessionOrganization(req.authSession._id, organization._id);
+    }
+
+    req.organization = organization;
+    req.organizationRole = getMemberRole(organization, req.user._id);
+    next();
+  } catch (error) {
+    console.error("Organization context error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error while loading your organization",
+    });
+  }
+};
+
+// Only owners and admins of the active organization (run after requireOrganization)
+const requireOrganizationManager = (req, res, next) => {
+  if (!ORGANIZATION_MANAGER_ROLES.includes(req.organizationRole)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied! This action requires one of the following organization roles: ${ORGANIZATION_MANAGER_ROLES.join(
+        ", "
+      )}. Your organization role: ${req.organizationRole || "none"}`,
+    });
+  }
+  next();
+};
+
+module.exports = { requireOrganization, requireOrganizationManager };
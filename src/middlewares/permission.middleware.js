@@ -0,0 +1,55 @@
+const {
+  PERMISSIONS,
+  getRolePermissions,
+} = require("../services/permission.service");
+
+// Allows the request only if the user's role grants every listed permission.
+// Requests with an API key are also limited to the key's scopes.
+// Stores the granted permissions in req.permissions (run after authenticateToken)
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      // Check if user is authenticated (should be set by authenticateToken middleware)
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Unauthorized! User not authenticated.",
+        });
+      }
+
+      let permissions = await getRolePermissions(req.user.role);
+      if (req.apiKey) {
+        permissions = permissions.filter((permission) =>
+          req.apiKey.scopes.includes(permission)
+        );
+      }
+
+      const missing = requiredPermissions.filter(
+        (permission) => !permissions.includes(permission)
+      );
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied! This action requires the following permissions: ${missing.join(
+            ", "
+          )}. Your role: ${req.user.role}${
+            req.apiKey ? " (limited by API key scopes)" : ""
+          }`,
+        });
+      }
+
+      // User has the required permissions, proceed to next middleware
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Internal server error during permission verification",
+      });
+    }
+  };
+};
+
+module.exports = { requirePermission, PERMISSIONS };
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Personal or service-account key for machine access, sent in the X-API-Key
+// header. Only a hash of the key is stored; the key itself is shown once.
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // First characters of the key, shown so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: [true, "Prefix is required"],
+    },
+    // SHA-256 of the key
+    keyHash: {
+      type: String,
+      required: [true, "Key hash is required"],
+      unique: true,
+      select: false,
+    },
+    // Permissions the key may use; the owner's role still has to grant them
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // Organization the key works in (null for roles with tenant:all)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    // Updated at most once a minute
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+apiKeySchema.index({ organizationId: 1 });
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema, "api-keys");
+
+module.exports = ApiKey;
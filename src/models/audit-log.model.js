@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Append-only record of security-relevant events and file access
+const auditLogSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: {
+        values: ["security", "file-access"],
+        message: "Category must be one of: security, file-access",
+      },
+      required: [true, "Category is required"],
+    },
+    event: {
+      type: String,
+      required: [true, "Event is required"],
+      trim: true,
+    },
+    // Admin or user who triggered the event (null for anonymous requests)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Account the event is about
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ category: 1, createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ email: 1, createdAt: -1 });
+auditLogSchema.index({ ipAddress: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema, "audit-logs");
+
+module.exports = AuditLog;
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// Field names follow the AI extraction output so controls can be used as-is
+// by the comparison and gap analysis code
+const controlSchema = new mongoose.Schema(
+  {
+    frameworkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpertFramework",
+      required: [true, "Framework ID is required"],
+    },
+    Control_id: {
+      type: String,
+      required: [true, "Control ID is required"],
+      trim: true,
+    },
+    Control_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    Control_type: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    Control_description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    Deployment_points: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Where the control came from - manual controls are added by an expert
+    source: {
+      type: String,
+      enum: {
+        values: ["ai", "manual"],
+        message: "Source must be one of: ai, manual",
+      },
+      default: "ai",
+    },
+    // Position in the extraction output, keeps the framework's original order
+    order: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+controlSchema.index({ frameworkId: 1, Control_id: 1 }, { unique: true });
+controlSchema.index({ frameworkId: 1, order: 1 });
+controlSchema.index({ frameworkId: 1, Control_type: 1 });
+
+// Full-text search over the control contents
+controlSchema.index(
+  {
+    Control_id: "text",
+    Control_name: "text",
+    Control_type: "text",
+    Control_description: "text",
+    Deployment_points: "text",
+  },
+  {
+    name: "control_text_search",
+    weights: {
+      Control_id: 5,
+      Control_name: 3,
+      Control_type: 2,
+      Control_description: 1,
+      Deployment_points: 1,
+    },
+  }
+);
+
+const Control = mongoose.model("Control", controlSchema, "controls");
+
+module.exports = Control;
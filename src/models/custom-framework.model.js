@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+
+// Control copied from a processed expert framework. Controls are snapshots, so
+// later edits of the expert framework do not change a saved custom framework.
+const customFrameworkControlSchema = new mongoose.Schema({
+  sourceFrameworkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ExpertFramework",
+    required: [true, "Source framework ID is required"],
+  },
+  sourceFrameworkName: {
+    type: String,
+    required: [true, "Source framework name is required"],
+    trim: true,
+  },
+  sourceControlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Control",
+    required: [true, "Source control ID is required"],
+  },
+  Control_id: {
+    type: String,
+    required: [true, "Control ID is required"],
+    trim: true,
+  },
+  Control_name: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  Control_type: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  Control_description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  Deployment_points: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+});
+
+const customFrameworkSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Custom framework name is required"],
+      trim: true,
+      maxlength: [200, "Custom framework name cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+      default: "",
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+    },
+    // Controls in the order chosen by the owner
+    controls: {
+      type: [customFrameworkControlSchema],
+      default: [],
+    },
+    // Bumped on every change of the control list
+    controlsRevision: {
+      type: Number,
+      default: 0,
+    },
+    // Users who can view the framework and compare against it
+    sharedWith: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Generated workbook uploaded to the AI service for comparisons
+    fileUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    aiProcessing: {
+      uuid: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      status: {
+        type: String,
+        enum: {
+          values: ["pending", "uploaded", "processing", "completed", "failed"],
+          message:
+            "AI status must be one of: pending, uploaded, processing, completed, failed",
+        },
+        default: "pending",
+      },
+      control_extraction_status: {
+        type: String,
+        enum: {
+          values: ["pending", "started", "processing", "completed", "failed"],
+          message:
+            "Control extraction status must be one of: pending, started, processing, completed, failed",
+        },
+        default: "pending",
+      },
+      // controlsRevision the AI service copy was generated from
+      controlsRevision: {
+        type: Number,
+        default: null,
+      },
+      processedAt: {
+        type: Date,
+        default: null,
+      },
+      errorMessage: {
+        type: String,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Any change of the control list makes the AI service copy outdated
+customFrameworkSchema.pre("save", function () {
+  if (!this.isNew && this.isModified("controls")) {
+    this.controlsRevision += 1;
+  }
+});
+
+// Indexes for better query performance
+customFrameworkSchema.index({ ownerId: 1, createdAt: -1 });
+customFrameworkSchema.index({ sharedWith: 1 });
+customFrameworkSchema.index({ "aiProcessing.uuid": 1 });
+
+const CustomFramework = mongoose.model(
+  "CustomFramework",
+  customFrameworkSchema,
+  "custom-frameworks"
+);
+
+module.exports = CustomFramework;
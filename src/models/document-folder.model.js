@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Folder of the user documents of an organization. Folders nest: every folder
+// keeps the IDs of all its ancestors (root first), so a whole subtree is found
+// with one query on `ancestors`.
+const documentFolderSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Folder name is required"],
+      trim: true,
+      minlength: [1, "Folder name cannot be empty"],
+      maxlength: [100, "Folder name cannot exceed 100 characters"],
+    },
+    // null for folders at the top level
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DocumentFolder",
+      default: null,
+    },
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    // Tenant the folder belongs to, shared with every member of the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Folder names are unique within their parent
+documentFolderSchema.index(
+  { organizationId: 1, parentId: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+documentFolderSchema.index({ ancestors: 1 });
+
+const DocumentFolder = mongoose.model(
+  "DocumentFolder",
+  documentFolderSchema,
+  "document-folders"
+);
+
+module.exports = DocumentFolder;
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Custom metadata field defined by an admin, e.g. owner, review date or
+// classification level. Documents store their values in `metadata` by key.
+const documentMetadataFieldSchema = new mongoose.Schema(
+  {
+    // Name of the value in UserDocument.metadata; cannot change once created
+    key: {
+      type: String,
+      required: [true, "Field key is required"],
+      unique: true,
+      trim: true,
+      match: [
+        /^[a-z][a-zA-Z0-9]*$/,
+        "Field key must start with a lowercase letter and may only contain letters and numbers",
+      ],
+      maxlength: [40, "Field key cannot exceed 40 characters"],
+    },
+    label: {
+      type: String,
+      required: [true, "Field label is required"],
+      trim: true,
+      maxlength: [100, "Field label cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: null,
+    },
+    // user: ID of a user, e.g. the owner of the document
+    type: {
+      type: String,
+      required: [true, "Field type is required"],
+      enum: {
+        values: ["text", "number", "date", "select", "user"],
+        message: "Field type must be one of: text, number, date, select, user",
+      },
+    },
+    // Allowed values of select fields, e.g. public, internal, confidential
+    options: {
+      type: [String],
+      default: [],
+    },
+    // Must be set when a document is uploaded
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Inactive fields keep their values but cannot be set anymore
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Position of the field in forms and lists
+    order: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const DocumentMetadataField = mongoose.model(
+  "DocumentMetadataField",
+  documentMetadataFieldSchema,
+  "document-metadata-fields"
+);
+
+module.exports = DocumentMetadataField;
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Archived version of a user document. The current version always lives on
+// the document itself; every replaced file is kept here.
+const documentVersionSchema = new mongoose.Schema(
+  {
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UserDocument",
+      required: [true, "Document ID is required"],
+    },
+    versionNumber: {
+      type: Number,
+      required: [true, "Version number is required"],
+      min: [1, "Version number must be at least 1"],
+    },
+    documentName: {
+      type: String,
+      required: [true, "Document name is required"],
+      trim: true,
+    },
+    fileUrl: {
+      type: String,
+      required: [true, "File URL is required"],
+      trim: true,
+    },
+    documentType: {
+      type: String,
+      required: [true, "Document type is required"],
+      enum: {
+        values: ["pdf", "doc", "docx", "xls", "xlsx"],
+        message: "Document type must be one of: pdf, doc, docx, xls, xlsx",
+      },
+    },
+    fileSize: {
+      type: Number,
+      required: [true, "File size is required"],
+    },
+    originalFileName: {
+      type: String,
+      required: [true, "Original file name is required"],
+      trim: true,
+    },
+    // SHA-256 of the file (null for files uploaded before checksums were kept)
+    checksum: {
+      type: String,
+      default: null,
+    },
+    // Who uploaded the file of this version and when
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    uploadedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    // createdAt is when the version was replaced, used by retention rules
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+documentVersionSchema.index(
+  { documentId: 1, versionNumber: 1 },
+  { unique: true }
+);
+documentVersionSchema.index({ documentId: 1, createdAt: -1 });
+
+const DocumentVersion = mongoose.model(
+  "DocumentVersion",
+  documentVersionSchema,
+  "document-versions"
+);
+
+module.exports = DocumentVersion;
@@ -46,7 +46,6 @@ const expertFrameworkSchema = new mongoose.Schema(
       role: {
         type: String,
         required: true,
-        enum: ["user", "expert", "admin"],
       },
     },
     fileSize: {
@@ -58,6 +57,49 @@ const expertFrameworkSchema = new mongoose.Schema(
       required: [true, "Original file name is required"],
       trim: true,
     },
+    // Text of the current file, indexed for full-text search
+    extractedText: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    textExtraction: {
+      status: {
+        type: String,
+        enum: ["pending", "extracted", "empty", "unsupported", "failed"],
+        default: "pending",
+      },
+      extractedAt: {
+        type: Date,
+        default: null,
+      },
+      errorMessage: {
+        type: String,
+        default: null,
+      },
+    },
+    // Version currently in use; older uploads are kept in framework-versions
+    currentVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Highest version number ever uploaded, so new uploads never reuse a number
+    latestVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Upload details of the current version (fall back to createdAt / uploadedBy)
+    versionUploadedAt: {
+      type: Date,
+      default: null,
+    },
+    versionUploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     // AI Processing Fields
     aiProcessing: {
       uuid: {
@@ -91,32 +133,7 @@ const expertFrameworkSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
-      // Store extracted controls
-      extractedControls: [
-        {
-          Control_id: {
-            type: String,
-            trim: true,
-          },
-          Control_name: {
-            type: String,
-            trim: true,
-          },
-          Control_type: {
-            type: String,
-            trim: true,
-            default: "",
-          },
-          Control_description: {
-            type: String,
-            trim: true,
-          },
-          Deployment_points: {
-            type: String,
-            trim: true,
-          },
-        },
-      ],
+      // Extracted controls are stored in the controls collection (see control.model.js)
       controlsCount: {
         type: Number,
         default: 0,
@@ -139,6 +156,15 @@ expertFrameworkSchema.index({ createdAt: -1 });
 expertFrameworkSchema.index({ "aiProcessing.uuid": 1 });
 expertFrameworkSchema.index({ "aiProcessing.status": 1 });
 
+// Full-text search over names and file contents
+expertFrameworkSchema.index(
+  { frameworkName: "text", originalFileName: "text", extractedText: "text" },
+  {
+    name: "expert_framework_text_search",
+    weights: { frameworkName: 10, originalFileName: 5, extractedText: 1 },
+  }
+);
+
 const ExpertFramework = mongoose.model(
   "ExpertFramework",
   expertFrameworkSchema,
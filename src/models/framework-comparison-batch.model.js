@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const frameworkComparisonBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Tenant the batch belongs to, shared with every member of the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    userFrameworkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UserFramework",
+      required: [true, "User framework ID is required"],
+    },
+    expertFrameworkIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ExpertFramework",
+      },
+    ],
+    // Maximum number of comparisons running against the AI service at once
+    concurrency: {
+      type: Number,
+      min: 1,
+      default: 2,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "in-process", "completed", "error"],
+        message: "Status must be one of: pending, in-process, completed, error",
+      },
+      default: "pending",
+    },
+    // Cross-framework coverage matrix, built once every comparison has finished
+    coverageMatrix: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+frameworkComparisonBatchSchema.index({ userId: 1, createdAt: -1 });
+frameworkComparisonBatchSchema.index({ organizationId: 1, createdAt: -1 });
+frameworkComparisonBatchSchema.index({ userFrameworkId: 1 });
+frameworkComparisonBatchSchema.index({ status: 1 });
+
+const FrameworkComparisonBatch = mongoose.model(
+  "FrameworkComparisonBatch",
+  frameworkComparisonBatchSchema,
+  "framework-comparison-batches"
+);
+
+module.exports = FrameworkComparisonBatch;
@@ -7,6 +7,12 @@ const frameworkComparisonSchema = new mongoose.Schema(
       ref: "User",
       required: [true, "User ID is required"],
     },
+    // Tenant the comparison belongs to, shared with every member of the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     userFrameworkId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "UserFramework",
@@ -20,13 +26,36 @@ const frameworkComparisonSchema = new mongoose.Schema(
     expertFrameworkId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ExpertFramework",
-      required: [true, "Expert framework ID is required"],
+      required: [
+        function () {
+          return !this.customFrameworkId;
+        },
+        "Expert framework ID is required",
+      ],
+    },
+    // Set instead of expertFrameworkId when comparing against a custom framework;
+    // the expertFramework* fields then hold the custom framework's AI UUID and name
+    customFrameworkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomFramework",
+      default: null,
     },
     expertFrameworkUuid: {
       type: String,
       required: [true, "Expert framework UUID is required"],
       trim: true,
     },
+    expertFrameworkName: {
+      type: String,
+      required: [true, "Expert framework name is required"],
+      trim: true,
+    },
+    // Set when the comparison is part of a multi-framework batch
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FrameworkComparisonBatch",
+      default: null,
+    },
     // AI Processing Fields
     aiProcessing: {
       uuid: {
@@ -83,12 +112,103 @@ const frameworkComparisonSchema = new mongoose.Schema(
             min: 0,
             max: 1,
           },
+          // Where the mapping came from - manual rows are added by a reviewer
+          source: {
+            type: String,
+            enum: {
+              values: ["ai", "manual"],
+              message: "Source must be one of: ai, manual",
+            },
+            default: "ai",
+          },
+          // Latest review decision on this mapping
+          review: {
+            status: {
+              type: String,
+              enum: {
+                values: ["pending", "accepted", "rejected", "edited"],
+                message:
+                  "Review status must be one of: pending, accepted, rejected, edited",
+              },
+              default: "pending",
+            },
+            reviewedBy: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+              default: null,
+            },
+            reviewedAt: {
+              type: Date,
+              default: null,
+            },
+            reason: {
+              type: String,
+              trim: true,
+              default: null,
+            },
+          },
+          // AI output before the first edit, kept for comparison
+          aiOriginal: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+          },
+          // Every review applied to this mapping, oldest first
+          reviewHistory: [
+            {
+              action: {
+                type: String,
+                enum: {
+                  values: ["accepted", "rejected", "edited", "added"],
+                  message:
+                    "Review action must be one of: accepted, rejected, edited, added",
+                },
+                required: [true, "Review action is required"],
+              },
+              reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: [true, "Reviewer is required"],
+              },
+              reviewedAt: {
+                type: Date,
+                default: Date.now,
+              },
+              reason: {
+                type: String,
+                trim: true,
+                default: null,
+              },
+              // Field values changed by an edit: { field: { from, to } }
+              changes: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+              },
+            },
+          ],
         },
       ],
       resultsCount: {
         type: Number,
         default: 0,
       },
+      // Average Comparison_Score across all results (0-1)
+      comparisonScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0,
+      },
+      // Average Comparison_Score across reviewed results, rejected rows excluded (0-1)
+      effectiveScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null,
+      },
+      startedAt: {
+        type: Date,
+        default: null,
+      },
     },
   },
   {
@@ -98,11 +218,14 @@ const frameworkComparisonSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 frameworkComparisonSchema.index({ userId: 1 });
+frameworkComparisonSchema.index({ organizationId: 1, createdAt: -1 });
 frameworkComparisonSchema.index({ userFrameworkId: 1 });
 frameworkComparisonSchema.index({ expertFrameworkId: 1 });
+frameworkComparisonSchema.index({ customFrameworkId: 1 });
 frameworkComparisonSchema.index({ "aiProcessing.uuid": 1 });
 frameworkComparisonSchema.index({ "aiProcessing.status": 1 });
 frameworkComparisonSchema.index({ createdAt: -1 });
+frameworkComparisonSchema.index({ batchId: 1, "aiProcessing.status": 1 });
 
 // Compound index for user's comparisons
 frameworkComparisonSchema.index({ userId: 1, createdAt: -1 });
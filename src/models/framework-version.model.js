@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+// Archived version of an expert or user framework. The current version always
+// lives on the framework document itself; every other version is stored here.
+const frameworkVersionSchema = new mongoose.Schema(
+  {
+    frameworkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "frameworkModel",
+      required: [true, "Framework ID is required"],
+    },
+    frameworkModel: {
+      type: String,
+      required: [true, "Framework model is required"],
+      enum: {
+        values: ["ExpertFramework", "UserFramework"],
+        message:
+          "Framework model must be one of: ExpertFramework, UserFramework",
+      },
+    },
+    versionNumber: {
+      type: Number,
+      required: [true, "Version number is required"],
+      min: [1, "Version number must be at least 1"],
+    },
+    frameworkName: {
+      type: String,
+      required: [true, "Framework name is required"],
+      trim: true,
+    },
+    fileUrl: {
+      type: String,
+      required: [true, "File URL is required"],
+      trim: true,
+    },
+    frameworkType: {
+      type: String,
+      required: [true, "Framework type is required"],
+      enum: {
+        values: ["pdf", "doc", "docx", "xls", "xlsx"],
+        message: "Framework type must be one of: pdf, doc, docx, xls, xlsx",
+      },
+    },
+    fileSize: {
+      type: Number,
+      required: [true, "File size is required"],
+    },
+    originalFileName: {
+      type: String,
+      required: [true, "Original file name is required"],
+      trim: true,
+    },
+    // Who uploaded the file of this version and when
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    uploadedAt: {
+      type: Date,
+      default: null,
+    },
+    // AI processing state of this version (uuid, status, controlsCount, ...)
+    aiProcessing: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Controls extracted for this version, in AI output format
+    extractedControls: {
+      type: Array,
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+frameworkVersionSchema.index(
+  { frameworkId: 1, versionNumber: 1 },
+  { unique: true }
+);
+
+const FrameworkVersion = mongoose.model(
+  "FrameworkVersion",
+  frameworkVersionSchema,
+  "framework-versions"
+);
+
+module.exports = FrameworkVersion;
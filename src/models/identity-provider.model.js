@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+// Maps a value of the role claim to a role name
+const roleMappingSchema = new mongoose.Schema(
+  {
+    claimValue: {
+      type: String,
+      required: [true, "Claim value is required"],
+      trim: true,
+    },
+    role: {
+      type: String,
+      required: [true, "Role is required"],
+      trim: true,
+      lowercase: true,
+    },
+  },
+  { _id: false }
+);
+
+// OpenID Connect identity provider configured by an admin for single sign-on
+const identityProviderSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Identity provider name is required"],
+      trim: true,
+      minlength: [2, "Name must be at least 2 characters long"],
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // Used in the login URLs, e.g. /api/auth/sso/acme/authorize
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9][a-z0-9-]*$/,
+        "Slug may only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Issuer URL; the configuration is discovered from /.well-known/openid-configuration
+    issuer: {
+      type: String,
+      required: [true, "Issuer is required"],
+      trim: true,
+    },
+    clientId: {
+      type: String,
+      required: [true, "Client ID is required"],
+      trim: true,
+    },
+    // Encrypted like MFA secrets; empty for public clients
+    clientSecret: {
+      type: String,
+      select: false,
+      default: null,
+    },
+    tokenEndpointAuthMethod: {
+      type: String,
+      enum: {
+        values: ["client_secret_basic", "client_secret_post", "none"],
+        message:
+          "Token endpoint auth method must be one of: client_secret_basic, client_secret_post, none",
+      },
+      default: "client_secret_basic",
+    },
+    scopes: {
+      type: [String],
+      default: ["openid", "email", "profile"],
+    },
+    // Page of the frontend the provider sends the user back to (registered at the provider)
+    redirectUri: {
+      type: String,
+      required: [true, "Redirect URI is required"],
+      trim: true,
+    },
+    // Only these email domains may login (empty allows every domain)
+    allowedDomains: {
+      type: [String],
+      default: [],
+    },
+    // Reject or do not link accounts when the provider does not confirm the email
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: true,
+    },
+    // Create users on their first login (just-in-time provisioning)
+    autoProvision: {
+      type: Boolean,
+      default: true,
+    },
+    // Role of provisioned users when no role mapping matches
+    defaultRole: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "user",
+    },
+    // Claim holding the user's groups or roles, dot notation for nested claims
+    roleClaim: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Checked in order, the first mapping whose value is in the claim wins
+    roleMappings: {
+      type: [roleMappingSchema],
+      default: [],
+    },
+    // Update the role of existing users from the mappings on every login
+    syncRoleOnLogin: {
+      type: Boolean,
+      default: false,
+    },
+    // Organization provisioned users join as members
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const IdentityProvider = mongoose.model(
+  "IdentityProvider",
+  identityProviderSchema,
+  "identity-providers"
+);
+
+module.exports = IdentityProvider;
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Invitation of a user created by an admin. The emailed link holds a token
+// that is used once to choose a password; only its hash is stored.
+const invitationSchema = new mongoose.Schema(
+  {
+    // One invitation per user, resending replaces its token
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      unique: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      trim: true,
+      lowercase: true,
+    },
+    // SHA-256 of the token in the invitation link
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    // Times the invitation email was sent
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Invitation = mongoose.model(
+  "Invitation",
+  invitationSchema,
+  "invitations"
+);
+
+module.exports = Invitation;
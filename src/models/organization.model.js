@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Member user ID is required"],
+    },
+    // Owners and admins manage members and all content of the organization,
+    // members work with the content they upload
+    role: {
+      type: String,
+      enum: {
+        values: ["owner", "admin", "member"],
+        message: "Organization role must be one of: owner, admin, member",
+      },
+      default: "member",
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Tenant that owns user documents, user frameworks and comparisons
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Organization name must be at least 2 characters long"],
+      maxlength: [100, "Organization name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      required: [true, "Organization slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    // Created automatically for a user that did not belong to any organization
+    isPersonal: {
+      type: Boolean,
+      default: false,
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+organizationSchema.index({ "members.userId": 1 });
+organizationSchema.index({ createdAt: -1 });
+
+const Organization = mongoose.model(
+  "Organization",
+  organizationSchema,
+  "organizations"
+);
+
+module.exports = Organization;
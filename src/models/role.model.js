@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Named bundle of permissions; users reference a role by its name
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      immutable: true,
+      minlength: [2, "Role name must be at least 2 characters long"],
+      maxlength: [30, "Role name cannot exceed 30 characters"],
+      match: [
+        /^[a-z][a-z0-9-]*$/,
+        "Role name may only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: "",
+    },
+    // Permission names from the permission catalog, e.g. "framework:read"
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Built-in roles (admin, expert, user) cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+      immutable: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model("Role", roleSchema, "roles");
+
+module.exports = Role;
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Platform-wide security policy managed by admins (a single document)
+const securitySettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+      immutable: true,
+    },
+    // Roles that must use two-factor authentication to login
+    mfaRequiredRoles: {
+      type: [String],
+      default: [],
+    },
+    // Rules for new passwords; existing passwords are only affected by maxAgeDays
+    passwordPolicy: {
+      minLength: {
+        type: Number,
+        default: 8,
+        min: [8, "Minimum password length cannot be less than 8"],
+        max: [64, "Minimum password length cannot be more than 64"],
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: true,
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: true,
+      },
+      requireNumber: {
+        type: Boolean,
+        default: true,
+      },
+      requireSpecial: {
+        type: Boolean,
+        default: true,
+      },
+      // Days before a password must be changed at login, 0 means never
+      maxAgeDays: {
+        type: Number,
+        default: 0,
+        min: [0, "Maximum password age cannot be negative"],
+        max: [365, "Maximum password age cannot be more than 365 days"],
+      },
+      // Previous passwords that cannot be reused (the current one never can)
+      historyCount: {
+        type: Number,
+        default: 5,
+        min: [0, "Password history cannot be negative"],
+        max: [24, "Password history cannot be more than 24"],
+      },
+      blockCommonPasswords: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SecuritySettings = mongoose.model(
+  "SecuritySettings",
+  securitySettingsSchema,
+  "security-settings"
+);
+
+module.exports = SecuritySettings;
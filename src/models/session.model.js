@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// One login on one device. Access tokens carry the session ID and stay valid
+// only while the session is active; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // SHA-256 of the current refresh token (the token itself is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+    },
+    // Hashes of rotated refresh tokens, kept to detect token reuse
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device name cannot exceed 100 characters"],
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Organization the user works in on this device (see organization switcher)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // Updated on refresh and (at most once a minute) on authenticated requests
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moves forward on every refresh; expired sessions are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: [
+          "logout",
+          "logout-all",
+          "password-change",
+          "password-reset",
+          "password-expired",
+          "token-reuse",
+          "user-revoked",
+          "admin-revoked",
+        ],
+        message:
+          "Revoked reason must be one of: logout, logout-all, password-change, password-reset, password-expired, token-reuse, user-revoked, admin-revoked",
+      },
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema, "sessions");
+
+module.exports = Session;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A single sign-on login that was started and waits for the provider's
+// callback. Holds the PKCE verifier and nonce; used once, then deleted.
+const ssoLoginRequestSchema = new mongoose.Schema({
+  // SHA-256 of the state parameter (the state itself is never stored)
+  stateHash: {
+    type: String,
+    required: [true, "State hash is required"],
+    unique: true,
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "IdentityProvider",
+    required: [true, "Identity provider ID is required"],
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, "Code verifier is required"],
+  },
+  nonce: {
+    type: String,
+    required: [true, "Nonce is required"],
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  // Unfinished logins are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: [true, "Expiry date is required"],
+  },
+});
+
+ssoLoginRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SsoLoginRequest = mongoose.model(
+  "SsoLoginRequest",
+  ssoLoginRequestSchema,
+  "sso-login-requests"
+);
+
+module.exports = SsoLoginRequest;
@@ -22,6 +22,12 @@ const documentSchema = new mongoose.Schema(
         message: "Document type must be one of: pdf, doc, docx, xls, xlsx",
       },
     },
+    // Tenant the document belongs to, shared with every member of the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -46,7 +52,6 @@ const documentSchema = new mongoose.Schema(
       role: {
         type: String,
         required: true,
-        enum: ["user", "expert", "admin"],
       },
     },
     fileSize: {
@@ -58,6 +63,84 @@ const documentSchema = new mongoose.Schema(
       required: [true, "Original file name is required"],
       trim: true,
     },
+    // Text of the current file, indexed for full-text search
+    extractedText: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    textExtraction: {
+      status: {
+        type: String,
+        enum: ["pending", "extracted", "empty", "unsupported", "failed"],
+        default: "pending",
+      },
+      extractedAt: {
+        type: Date,
+        default: null,
+      },
+      errorMessage: {
+        type: String,
+        default: null,
+      },
+    },
+    // Folder the document is filed in (null = top level)
+    folderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DocumentFolder",
+      default: null,
+    },
+    // Free-form labels, stored in lowercase so filters match any spelling
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+    // Values of the custom metadata fields defined by admins, by field key
+    metadata: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // SHA-256 of the current file (null for files uploaded before checksums were kept)
+    checksum: {
+      type: String,
+      default: null,
+    },
+    // Version currently in use; replaced files are kept in document-versions
+    currentVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Highest version number ever uploaded, so new uploads never reuse a number
+    latestVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Upload details of the current version (fall back to createdAt / uploadedBy)
+    versionUploadedAt: {
+      type: Date,
+      default: null,
+    },
+    versionUploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // How many old versions are kept and for how long (null = no limit)
+    versionRetention: {
+      maxVersions: {
+        type: Number,
+        min: [0, "Max versions cannot be negative"],
+        default: null,
+      },
+      maxAgeDays: {
+        type: Number,
+        min: [1, "Max age must be at least 1 day"],
+        default: null,
+      },
+    },
   },
   {
     timestamps: true, // This adds createdAt and updatedAt automatically
@@ -66,9 +149,31 @@ const documentSchema = new mongoose.Schema(
 
 // Index for better query performance
 documentSchema.index({ uploadedBy: 1 });
+documentSchema.index({ organizationId: 1, createdAt: -1 });
+documentSchema.index({ organizationId: 1, folderId: 1 });
+documentSchema.index({ organizationId: 1, tags: 1 });
 documentSchema.index({ documentType: 1 });
 documentSchema.index({ createdAt: -1 });
 
+// Full-text search over names, tags and file contents (one text index per collection)
+documentSchema.index(
+  {
+    documentName: "text",
+    originalFileName: "text",
+    tags: "text",
+    extractedText: "text",
+  },
+  {
+    name: "document_text_search",
+    weights: {
+      documentName: 10,
+      originalFileName: 5,
+      tags: 5,
+      extractedText: 1,
+    },
+  }
+);
+
 // Virtual for file extension
 documentSchema.virtual("fileExtension").get(function () {
   return this.documentType;
@@ -22,6 +22,12 @@ const frameworkSchema = new mongoose.Schema(
         message: "Framework type must be one of: pdf, doc, docx, xls, xlsx",
       },
     },
+    // Tenant the framework belongs to, shared with every member of the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -46,7 +52,6 @@ const frameworkSchema = new mongoose.Schema(
       role: {
         type: String,
         required: true,
-        enum: ["user", "expert", "admin"],
       },
     },
     fileSize: {
@@ -58,6 +63,49 @@ const frameworkSchema = new mongoose.Schema(
       required: [true, "Original file name is required"],
       trim: true,
     },
+    // Text of the current file, indexed for full-text search
+    extractedText: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    textExtraction: {
+      status: {
+        type: String,
+        enum: ["pending", "extracted", "empty", "unsupported", "failed"],
+        default: "pending",
+      },
+      extractedAt: {
+        type: Date,
+        default: null,
+      },
+      errorMessage: {
+        type: String,
+        default: null,
+      },
+    },
+    // Version currently in use; older uploads are kept in framework-versions
+    currentVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Highest version number ever uploaded, so new uploads never reuse a number
+    latestVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Upload details of the current version (fall back to createdAt / uploadedBy)
+    versionUploadedAt: {
+      type: Date,
+      default: null,
+    },
+    versionUploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     // AI Processing Fields
     aiProcessing: {
       uuid: {
@@ -160,7 +208,7 @@ const frameworkSchema = new mongoose.Schema(
         comparisonId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "FrameworkComparison",
-          required: false, // Made optional since we're not using FrameworkComparison model
+          required: false, // Optional for results stored before comparisons were persisted
         },
       },
     ],
@@ -172,6 +220,7 @@ const frameworkSchema = new mongoose.Schema(
 
 // Index for better query performance
 frameworkSchema.index({ uploadedBy: 1 });
+frameworkSchema.index({ organizationId: 1, createdAt: -1 });
 frameworkSchema.index({ frameworkType: 1 });
 frameworkSchema.index({ createdAt: -1 });
 frameworkSchema.index({ "aiProcessing.uuid": 1 });
@@ -179,6 +228,31 @@ frameworkSchema.index({ "aiProcessing.status": 1 });
 frameworkSchema.index({ "comparisonResults.expertFrameworkId": 1 });
 frameworkSchema.index({ "comparisonResults.comparedAt": -1 });
 
+// Full-text search over names, file contents and extracted controls
+frameworkSchema.index(
+  {
+    frameworkName: "text",
+    originalFileName: "text",
+    extractedText: "text",
+    "aiProcessing.extractedControls.Control_id": "text",
+    "aiProcessing.extractedControls.Control_name": "text",
+    "aiProcessing.extractedControls.Control_description": "text",
+    "aiProcessing.extractedControls.Deployment_points": "text",
+  },
+  {
+    name: "framework_text_search",
+    weights: {
+      frameworkName: 10,
+      originalFileName: 5,
+      "aiProcessing.extractedControls.Control_id": 5,
+      "aiProcessing.extractedControls.Control_name": 3,
+      extractedText: 1,
+      "aiProcessing.extractedControls.Control_description": 1,
+      "aiProcessing.extractedControls.Deployment_points": 1,
+    },
+  }
+);
+
 const UserFramework = mongoose.model(
   "UserFramework",
   frameworkSchema,
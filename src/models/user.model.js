@@ -21,15 +21,42 @@ const userSchema = new mongoose.Schema({
     sparse: true,
     trim: true,
   },
+  // Name of a role in the roles collection (admin, expert, user or a custom role)
   role: {
     type: String,
-    enum: ["admin", "expert", "user"],
+    trim: true,
+    lowercase: true,
     default: "expert",
   },
+  // Length and complexity follow the admin password policy, checked before hashing
   password: {
     type: String,
-    required: [true, "Password is required"],
-    minlength: [6, "Password must be at least 6 characters long"],
+    required: [
+      function () {
+        return (
+          !this.isServiceAccount &&
+          !this.invitationPending &&
+          !this.identities?.length
+        );
+      },
+      "Password is required",
+    ],
+  },
+  passwordChangedAt: Date,
+  // Bcrypt hashes of previous passwords, newest first, to prevent reuse
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  // Machine user without a password that can only sign in with API keys
+  isServiceAccount: {
+    type: Boolean,
+    default: false,
+  },
+  // Invited by an admin and has not chosen a password yet (see Invitation)
+  invitationPending: {
+    type: Boolean,
+    default: false,
   },
   isEmailVerified: {
     type: Boolean,
@@ -39,13 +66,64 @@ const userSchema = new mongoose.Schema({
     code: String,
     expiresAt: Date,
   },
-  tokenVersion: {
-    type: Number,
-    default: 0,
+  // Two-factor authentication (TOTP); secrets are encrypted and never selected by default
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret of an enrolment that was started but not confirmed yet
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Accounts at single sign-on identity providers linked to this user; users
+  // provisioned at their first SSO login have no password
+  identities: [
+    {
+      providerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "IdentityProvider",
+        required: [true, "Identity provider ID is required"],
+      },
+      // "sub" claim of the provider
+      subject: {
+        type: String,
+        required: [true, "Subject is required"],
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      lastLoginAt: Date,
+      _id: false,
+    },
+  ],
+  // Organization selected last, used as the active one on the next login
+  lastOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    default: null,
   },
   createdBy: {
     type: String,
-    enum: ["self", "admin"],
+    enum: ["self", "admin", "sso"],
     default: "self",
   },
   createdByAdminId: {
@@ -69,13 +147,17 @@ userSchema.pre("save", async function () {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
 });
 
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index({ "identities.providerId": 1, "identities.subject": 1 });
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
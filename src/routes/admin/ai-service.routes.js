@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import controller
+const {
+  getAICircuitBreaker,
+  resetAICircuitBreaker,
+} = require("../../controllers/admin/ai-service.controller");
+
+/**
+ * @route   GET /api/admin/ai-service/circuit-breaker
+ * @desc    Get AI circuit breaker state (closed, open, half-open), error rate in the window and retry totals
+ * @access  Private (ai-service:manage)
+ */
+router.get(
+  "/circuit-breaker",
+  authenticateToken,
+  requirePermission(PERMISSIONS.AI_SERVICE_MANAGE),
+  getAICircuitBreaker
+);
+
+/**
+ * @route   POST /api/admin/ai-service/circuit-breaker/reset
+ * @desc    Close the AI circuit breaker and clear its statistics
+ * @access  Private (ai-service:manage)
+ */
+router.post(
+  "/circuit-breaker/reset",
+  authenticateToken,
+  requirePermission(PERMISSIONS.AI_SERVICE_MANAGE),
+  resetAICircuitBreaker
+);
+
+module.exports = router;
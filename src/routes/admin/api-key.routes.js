@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  getAllApiKeysValidation,
+  apiKeyIdValidation,
+} = require("../../validations/api-key.validation");
+
+// Import controller
+const {
+  getApiKeysByAdmin,
+  revokeApiKeyByAdmin,
+} = require("../../controllers/admin/api-key.controller");
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    Get the API keys of every user and service account, newest first
+ * @access  Private (api-key:manage)
+ * @query   page, limit, userId, includeInactive - Also return revoked and expired keys (true/false)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  getAllApiKeysValidation,
+  getApiKeysByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:apiKeyId
+ * @desc    Revoke the API key of any user
+ * @access  Private (api-key:manage)
+ */
+router.delete(
+  "/:apiKeyId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  apiKeyIdValidation,
+  revokeApiKeyByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  getAuditLogsQueryValidation,
+} = require("../../validations/lockout.validation");
+
+// Import controller
+const {
+  getAuditLogs,
+} = require("../../controllers/admin/audit-log.controller");
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get audit log entries (account locks and unlocks, IP blocks), newest first
+ * @access  Private (audit-log:read)
+ * @query   { page?, limit?, category?, event?, email?, ipAddress?, from?, to?, sortOrder? }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.AUDIT_LOG_READ),
+  getAuditLogsQueryValidation,
+  getAuditLogs
+);
+
+module.exports = router;
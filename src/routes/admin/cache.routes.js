@@ -3,7 +3,10 @@ const router = express.Router();
 
 // Import middlewares
 const { authenticateToken } = require("../../middlewares/auth.middleware");
-const { adminOnly } = require("../../middlewares/roleAccess.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
 
 // Import controller
 const {
@@ -19,51 +22,86 @@ const {
 /**
  * @route   GET /api/admin/cache/health
  * @desc    Get cache health status
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.get("/health", authenticateToken, adminOnly, getCacheHealth);
+router.get(
+  "/health",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  getCacheHealth
+);
 
 /**
  * @route   GET /api/admin/cache/stats
  * @desc    Get cache statistics
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.get("/stats", authenticateToken, adminOnly, getCacheStats);
+router.get(
+  "/stats",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  getCacheStats
+);
 
 /**
  * @route   POST /api/admin/cache/warmup
  * @desc    Warm up cache with frequently accessed data
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.post("/warmup", authenticateToken, adminOnly, warmupCache);
+router.post(
+  "/warmup",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  warmupCache
+);
 
 /**
  * @route   POST /api/admin/cache/clear
  * @desc    Clear cache by pattern
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  * @body    { pattern: string } - Pattern to clear (frameworks, documents, users, all, or custom pattern)
  */
-router.post("/clear", authenticateToken, adminOnly, clearCache);
+router.post(
+  "/clear",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  clearCache
+);
 
 /**
  * @route   POST /api/admin/cache/preload/:userId
  * @desc    Preload user-specific data into cache
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.post("/preload/:userId", authenticateToken, adminOnly, preloadUserData);
+router.post(
+  "/preload/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  preloadUserData
+);
 
 /**
  * @route   GET /api/admin/cache/framework-stats
  * @desc    Get framework statistics from cache
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.get("/framework-stats", authenticateToken, adminOnly, getFrameworkStats);
+router.get(
+  "/framework-stats",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  getFrameworkStats
+);
 
 /**
  * @route   GET /api/admin/cache/document-stats
  * @desc    Get document statistics from cache
- * @access  Private (Admin only)
+ * @access  Private (cache:manage)
  */
-router.get("/document-stats", authenticateToken, adminOnly, getDocumentStats);
+router.get(
+  "/document-stats",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CACHE_MANAGE),
+  getDocumentStats
+);
 
 module.exports = router;
@@ -3,10 +3,19 @@ const {
   getDashboardAnalytics,
 } = require("../../controllers/admin/dashboard.controller");
 const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
 
 const router = express.Router();
 
-// Get dashboard analytics (admin only)
-router.get("/analytics", authenticateToken, getDashboardAnalytics);
+// Get dashboard analytics (dashboard:read)
+router.get(
+  "/analytics",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DASHBOARD_READ),
+  getDashboardAnalytics
+);
 
 module.exports = router;
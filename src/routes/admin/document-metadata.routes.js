@@ -0,0 +1,94 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  createMetadataFieldValidation,
+  updateMetadataFieldValidation,
+  metadataFieldIdValidation,
+} = require("../../validations/document-metadata.validation");
+
+// Import controller
+const {
+  getMetadataFields,
+  getMetadataFieldById,
+  createMetadataFieldByAdmin,
+  updateMetadataFieldByAdmin,
+  deleteMetadataFieldByAdmin,
+} = require("../../controllers/admin/document-metadata.controller");
+
+/**
+ * @route   GET /api/admin/document-metadata-fields
+ * @desc    Get all custom metadata fields of documents, including inactive ones
+ * @access  Private (document-metadata:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_METADATA_MANAGE),
+  getMetadataFields
+);
+
+/**
+ * @route   POST /api/admin/document-metadata-fields
+ * @desc    Create a custom metadata field (e.g. owner, review date, classification level)
+ * @access  Private (document-metadata:manage)
+ * @body    { key, label, type: "text" | "number" | "date" | "select" | "user", description?,
+ *            options? (select fields), required?, isActive?, order? }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_METADATA_MANAGE),
+  createMetadataFieldValidation,
+  createMetadataFieldByAdmin
+);
+
+/**
+ * @route   GET /api/admin/document-metadata-fields/:id
+ * @desc    Get a custom metadata field
+ * @access  Private (document-metadata:manage)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_METADATA_MANAGE),
+  metadataFieldIdValidation,
+  getMetadataFieldById
+);
+
+/**
+ * @route   PUT /api/admin/document-metadata-fields/:id
+ * @desc    Update a custom metadata field (key and type cannot change)
+ * @access  Private (document-metadata:manage)
+ * @body    { label?, description?, options?, required?, isActive?, order? }
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_METADATA_MANAGE),
+  updateMetadataFieldValidation,
+  updateMetadataFieldByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/document-metadata-fields/:id
+ * @desc    Delete a custom metadata field and remove its value from every document
+ * @access  Private (document-metadata:manage)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_METADATA_MANAGE),
+  metadataFieldIdValidation,
+  deleteMetadataFieldByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  createIdentityProviderValidation,
+  updateIdentityProviderValidation,
+  identityProviderIdValidation,
+} = require("../../validations/sso.validation");
+
+// Import controller
+const {
+  getIdentityProviders,
+  getIdentityProviderById,
+  createIdentityProviderByAdmin,
+  updateIdentityProviderByAdmin,
+  deleteIdentityProviderByAdmin,
+  testIdentityProviderByAdmin,
+} = require("../../controllers/admin/identity-provider.controller");
+
+/**
+ * @route   GET /api/admin/identity-providers
+ * @desc    Get all OpenID Connect identity providers (client secrets are never returned)
+ * @access  Private (sso:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  getIdentityProviders
+);
+
+/**
+ * @route   POST /api/admin/identity-providers
+ * @desc    Create an OpenID Connect identity provider
+ * @access  Private (sso:manage)
+ * @body    { name, slug, issuer, clientId, clientSecret?, redirectUri, tokenEndpointAuthMethod?,
+ *            scopes?, enabled?, allowedDomains?, requireVerifiedEmail?, autoProvision?,
+ *            defaultRole?, roleClaim?, roleMappings?: [{ claimValue, role }], syncRoleOnLogin?,
+ *            organizationId? }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  createIdentityProviderValidation,
+  createIdentityProviderByAdmin
+);
+
+/**
+ * @route   GET /api/admin/identity-providers/:id
+ * @desc    Get an identity provider
+ * @access  Private (sso:manage)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  identityProviderIdValidation,
+  getIdentityProviderById
+);
+
+/**
+ * @route   PUT /api/admin/identity-providers/:id
+ * @desc    Update an identity provider (clientSecret: null removes the secret)
+ * @access  Private (sso:manage)
+ * @body    Any field of the create body
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  updateIdentityProviderValidation,
+  updateIdentityProviderByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/identity-providers/:id
+ * @desc    Delete an identity provider and unlink it from its users
+ * @access  Private (sso:manage)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  identityProviderIdValidation,
+  deleteIdentityProviderByAdmin
+);
+
+/**
+ * @route   POST /api/admin/identity-providers/:id/test
+ * @desc    Load the provider's OpenID configuration and report its endpoints
+ * @access  Private (sso:manage)
+ */
+router.post(
+  "/:id/test",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  identityProviderIdValidation,
+  testIdentityProviderByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  unlockAccountByAdminValidation,
+  unblockIpValidation,
+} = require("../../validations/lockout.validation");
+
+// Import controller
+const {
+  getLockouts,
+  unlockAccountByAdmin,
+  unblockIpByAdmin,
+} = require("../../controllers/admin/lockout.controller");
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    Get accounts locked and IP addresses blocked after too many failed attempts
+ * @access  Private (lockout:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LOCKOUT_MANAGE),
+  getLockouts
+);
+
+/**
+ * @route   DELETE /api/admin/lockouts/accounts/:email
+ * @desc    Unlock an account and reset its failed attempts
+ * @access  Private (lockout:manage)
+ */
+router.delete(
+  "/accounts/:email",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LOCKOUT_MANAGE),
+  unlockAccountByAdminValidation,
+  unlockAccountByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/lockouts/ips/:ip
+ * @desc    Unblock an IP address and reset its failed attempts
+ * @access  Private (lockout:manage)
+ */
+router.delete(
+  "/ips/:ip",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LOCKOUT_MANAGE),
+  unblockIpValidation,
+  unblockIpByAdmin
+);
+
+module.exports = router;
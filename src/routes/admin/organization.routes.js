@@ -0,0 +1,143 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  getOrganizationsQueryValidation,
+  createOrganizationValidation,
+  updateOrganizationValidation,
+  organizationIdValidation,
+  addOrganizationMemberValidation,
+  updateOrganizationMemberValidation,
+  organizationMemberIdValidation,
+} = require("../../validations/organization.validation");
+
+// Import controller
+const {
+  getOrganizations,
+  createOrganizationByAdmin,
+  getOrganizationByAdmin,
+  updateOrganizationByAdmin,
+  deleteOrganizationByAdmin,
+  addOrganizationMemberByAdmin,
+  updateOrganizationMemberByAdmin,
+  removeOrganizationMemberByAdmin,
+} = require("../../controllers/admin/organization.controller");
+
+/**
+ * @route   GET /api/admin/organizations
+ * @desc    Get all organizations with pagination and search
+ * @access  Private (organization:admin)
+ * @query   { page?, limit?, search?, userId?, sortBy?, sortOrder? }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  getOrganizationsQueryValidation,
+  getOrganizations
+);
+
+/**
+ * @route   POST /api/admin/organizations
+ * @desc    Create an organization, optionally with an existing user as owner
+ * @access  Private (organization:admin)
+ * @body    { name: string, description?: string, ownerEmail?: string }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  createOrganizationValidation,
+  createOrganizationByAdmin
+);
+
+/**
+ * @route   GET /api/admin/organizations/:id
+ * @desc    Get an organization with its members and usage
+ * @access  Private (organization:admin)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  organizationIdValidation,
+  getOrganizationByAdmin
+);
+
+/**
+ * @route   PATCH /api/admin/organizations/:id
+ * @desc    Update the name or description of an organization
+ * @access  Private (organization:admin)
+ * @body    { name?: string, description?: string }
+ */
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  updateOrganizationValidation,
+  updateOrganizationByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/organizations/:id
+ * @desc    Delete an organization that has no documents or frameworks left
+ * @access  Private (organization:admin)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  organizationIdValidation,
+  deleteOrganizationByAdmin
+);
+
+/**
+ * @route   POST /api/admin/organizations/:id/members
+ * @desc    Add an existing user to an organization
+ * @access  Private (organization:admin)
+ * @body    { email: string, role?: "owner" | "admin" | "member" }
+ */
+router.post(
+  "/:id/members",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  addOrganizationMemberValidation,
+  addOrganizationMemberByAdmin
+);
+
+/**
+ * @route   PATCH /api/admin/organizations/:id/members/:userId
+ * @desc    Change the org role of an organization member
+ * @access  Private (organization:admin)
+ * @body    { role: "owner" | "admin" | "member" }
+ */
+router.patch(
+  "/:id/members/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  updateOrganizationMemberValidation,
+  updateOrganizationMemberByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/organizations/:id/members/:userId
+ * @desc    Remove a member from an organization
+ * @access  Private (organization:admin)
+ */
+router.delete(
+  "/:id/members/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_ADMIN),
+  organizationMemberIdValidation,
+  removeOrganizationMemberByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  createRoleValidation,
+  updateRoleValidation,
+  roleNameValidation,
+} = require("../../validations/role.validation");
+
+// Import controller
+const {
+  getPermissions,
+  getRoles,
+  getRoleByName,
+  createRoleByAdmin,
+  updateRoleByAdmin,
+  deleteRoleByAdmin,
+} = require("../../controllers/admin/role.controller");
+
+/**
+ * @route   GET /api/admin/roles/permissions
+ * @desc    Get every permission that can be granted to a role
+ * @access  Private (role:manage)
+ */
+router.get(
+  "/permissions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  getPermissions
+);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get all roles with their permissions and number of users
+ * @access  Private (role:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  getRoles
+);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role
+ * @access  Private (role:manage)
+ * @body    { name: string, description?: string, permissions: string[] }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  createRoleValidation,
+  createRoleByAdmin
+);
+
+/**
+ * @route   GET /api/admin/roles/:name
+ * @desc    Get a role by name
+ * @access  Private (role:manage)
+ */
+router.get(
+  "/:name",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  roleNameValidation,
+  getRoleByName
+);
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Update the description or permissions of a role (built-in roles included)
+ * @access  Private (role:manage)
+ * @body    { description?: string, permissions?: string[] }
+ */
+router.put(
+  "/:name",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  updateRoleValidation,
+  updateRoleByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role that no user has anymore
+ * @access  Private (role:manage)
+ */
+router.delete(
+  "/:name",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ROLE_MANAGE),
+  roleNameValidation,
+  deleteRoleByAdmin
+);
+
+module.exports = router;
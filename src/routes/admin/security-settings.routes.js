@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  updateSecuritySettingsValidation,
+} = require("../../validations/security-settings.validation");
+
+// Import controller
+const {
+  getSecuritySettingsByAdmin,
+  updateSecuritySettingsByAdmin,
+} = require("../../controllers/admin/security-settings.controller");
+
+/**
+ * @route   GET /api/admin/security-settings
+ * @desc    Get the platform security policy (roles that must use two-factor authentication)
+ * @access  Private (security-settings:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SECURITY_SETTINGS_MANAGE),
+  getSecuritySettingsByAdmin
+);
+
+/**
+ * @route   PUT /api/admin/security-settings
+ * @desc    Update the platform security policy
+ * @access  Private (security-settings:manage)
+ * @body    { mfaRequiredRoles?: ("admin" | "expert" | "user")[] }
+ */
+router.put(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SECURITY_SETTINGS_MANAGE),
+  updateSecuritySettingsValidation,
+  updateSecuritySettingsByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  createServiceAccountValidation,
+  serviceAccountIdValidation,
+  getServiceAccountApiKeysValidation,
+  createServiceAccountApiKeyValidation,
+} = require("../../validations/api-key.validation");
+
+// Import controller
+const {
+  getServiceAccounts,
+  createServiceAccountByAdmin,
+  deleteServiceAccountByAdmin,
+  getServiceAccountApiKeys,
+  createServiceAccountApiKey,
+} = require("../../controllers/admin/service-account.controller");
+
+/**
+ * @route   GET /api/admin/service-accounts
+ * @desc    Get all service accounts with their organizations and active API keys
+ * @access  Private (api-key:manage)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  getServiceAccounts
+);
+
+/**
+ * @route   POST /api/admin/service-accounts
+ * @desc    Create a service account (a user without password that signs in with API keys)
+ * @access  Private (api-key:manage)
+ * @body    { name: string, role: string, organizationId?: string }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  createServiceAccountValidation,
+  createServiceAccountByAdmin
+);
+
+/**
+ * @route   DELETE /api/admin/service-accounts/:id
+ * @desc    Delete a service account and its API keys (uploaded data is kept)
+ * @access  Private (api-key:manage)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  serviceAccountIdValidation,
+  deleteServiceAccountByAdmin
+);
+
+/**
+ * @route   GET /api/admin/service-accounts/:id/api-keys
+ * @desc    Get the API keys of a service account
+ * @access  Private (api-key:manage)
+ * @query   includeInactive - Also return revoked and expired keys (true/false)
+ */
+router.get(
+  "/:id/api-keys",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  getServiceAccountApiKeysValidation,
+  getServiceAccountApiKeys
+);
+
+/**
+ * @route   POST /api/admin/service-accounts/:id/api-keys
+ * @desc    Create an API key for a service account (the key is only shown once)
+ * @access  Private (api-key:manage)
+ * @body    { name: string, scopes: string[], expiresInDays?: number, organizationId?: string }
+ */
+router.post(
+  "/:id/api-keys",
+  authenticateToken,
+  requirePermission(PERMISSIONS.API_KEY_MANAGE),
+  createServiceAccountApiKeyValidation,
+  createServiceAccountApiKey
+);
+
+module.exports = router;
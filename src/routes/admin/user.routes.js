@@ -1,12 +1,26 @@
 const express = require("express");
-const { authenticateToken } = require("../../middlewares/auth.middleware");
-const { adminOnly } = require("../../middlewares/roleAccess.middleware");
+const {
+  authenticateToken,
+  requireSession,
+} = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
 const {
   profileUpdateValidation,
   createUserValidation,
   updateUserValidation,
   deleteUserValidation,
 } = require("../../validations/user.validation");
+const {
+  userSessionsValidation,
+  userSessionIdValidation,
+} = require("../../validations/session.validation");
+const { userMfaValidation } = require("../../validations/mfa.validation");
+const {
+  userInvitationValidation,
+} = require("../../validations/invitation.validation");
 const {
   getUserById,
   getProfile,
@@ -15,37 +29,97 @@ const {
   deleteUser,
   createUserByAdmin,
   updateUserByAdmin,
+  getUserSessionsByAdmin,
+  revokeUserSessionByAdmin,
+  revokeAllUserSessionsByAdmin,
+  resetUserMfaByAdmin,
+  resendInvitationByAdmin,
+  revokeInvitationByAdmin,
 } = require("../../controllers/admin/user-management.controller");
 
 const router = express.Router();
 
-router.get("/all-users", authenticateToken, adminOnly, getAllUsers);
+router.get(
+  "/all-users",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  getAllUsers
+);
 router.post(
   "/create",
   authenticateToken,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   createUserValidation,
   createUserByAdmin
 );
 router.put(
   "/update/:id",
   authenticateToken,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   updateUserValidation,
   updateUserByAdmin
 );
 router.delete(
   "/:id",
   authenticateToken,
-  adminOnly,
+  requirePermission(PERMISSIONS.USER_MANAGE),
   deleteUserValidation,
   deleteUser
 );
-router.get("/profile", authenticateToken, getProfile);
-router.get("/:id", authenticateToken, adminOnly, getUserById);
+router.get(
+  "/:id/sessions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userSessionsValidation,
+  getUserSessionsByAdmin
+);
+router.delete(
+  "/:id/sessions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userSessionsValidation,
+  revokeAllUserSessionsByAdmin
+);
+router.delete(
+  "/:id/sessions/:sessionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userSessionIdValidation,
+  revokeUserSessionByAdmin
+);
+router.delete(
+  "/:id/mfa",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userMfaValidation,
+  resetUserMfaByAdmin
+);
+router.post(
+  "/:id/invitation/resend",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userInvitationValidation,
+  resendInvitationByAdmin
+);
+router.delete(
+  "/:id/invitation",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  userInvitationValidation,
+  revokeInvitationByAdmin
+);
+// The own profile is managed from a login session, never with an API key
+router.get("/profile", authenticateToken, requireSession, getProfile);
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USER_MANAGE),
+  getUserById
+);
 router.put(
   "/profile/update",
   authenticateToken,
+  requireSession,
   profileUpdateValidation,
   editProfile
 );
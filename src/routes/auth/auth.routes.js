@@ -4,48 +4,203 @@ const {
   verifyOTP,
   resendOTP,
   login,
+  loginWithMfa,
+  loginMfaSetup,
+  loginMfaEnable,
+  loginPasswordChange,
+  refresh,
+  unlockAccount,
   logout,
   logoutAllDevices,
+  getSessions,
+  revokeSessionById,
   changePassword,
   forgotPassword,
   resetPassword,
   sendVerificationOTP,
+  getSsoProviders,
+  startSso,
+  loginWithSso,
 } = require("../../controllers/auth/auth.controller");
 const {
   registerValidation,
   otpValidation,
   loginValidation,
+  loginPasswordChangeValidation,
+  refreshTokenValidation,
+  unlockAccountValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
   resendOtpValidation,
   sendVerificationOTPValidation,
   changePasswordValidation,
 } = require("../../validations/user.validation");
-const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  getMfa,
+  setupMfa,
+  enableMfa,
+  disableMfaForUser,
+  regenerateMfaRecoveryCodes,
+} = require("../../controllers/auth/mfa.controller");
+const {
+  mfaLoginValidation,
+  mfaLoginSetupValidation,
+  mfaLoginEnableValidation,
+  mfaEnableValidation,
+  mfaDisableValidation,
+  mfaRecoveryCodesValidation,
+} = require("../../validations/mfa.validation");
+const {
+  getMyApiKeys,
+  createMyApiKey,
+  revokeMyApiKey,
+} = require("../../controllers/auth/api-key.controller");
+const {
+  getApiKeysValidation,
+  createApiKeyValidation,
+  apiKeyIdValidation,
+} = require("../../validations/api-key.validation");
+const {
+  startSsoValidation,
+  ssoCallbackValidation,
+} = require("../../validations/sso.validation");
+const {
+  getInvitation,
+  acceptInvitationByUser,
+} = require("../../controllers/auth/invitation.controller");
+const {
+  invitationTokenValidation,
+  acceptInvitationValidation,
+} = require("../../validations/invitation.validation");
+const { sessionIdValidation } = require("../../validations/session.validation");
+const {
+  authenticateToken,
+  requireSession,
+} = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const { bruteForceGuard } = require("../../middlewares/bruteForce.middleware");
 
 const router = express.Router();
 
 // Public routes - validation middleware runs BEFORE controller
 router.post("/register", registerValidation, register);
-router.post("/verify-otp", otpValidation, verifyOTP);
+router.post("/verify-otp", otpValidation, bruteForceGuard, verifyOTP);
 router.post("/resend-otp", resendOtpValidation, resendOTP);
-router.post("/login", loginValidation, login);
+router.post("/login", loginValidation, bruteForceGuard, login);
+router.post("/login/mfa", mfaLoginValidation, bruteForceGuard, loginWithMfa);
+router.post("/login/mfa/setup", mfaLoginSetupValidation, loginMfaSetup);
+router.post(
+  "/login/mfa/enable",
+  mfaLoginEnableValidation,
+  bruteForceGuard,
+  loginMfaEnable
+);
+router.post(
+  "/login/password",
+  loginPasswordChangeValidation,
+  loginPasswordChange
+);
+router.post("/unlock-account", unlockAccountValidation, unlockAccount);
+router.post("/invitations/verify", invitationTokenValidation, getInvitation);
+router.post(
+  "/invitations/accept",
+  acceptInvitationValidation,
+  acceptInvitationByUser
+);
+router.post("/refresh", refreshTokenValidation, refresh);
 router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
-router.post("/reset-password", resetPasswordValidation, resetPassword);
+router.post(
+  "/reset-password",
+  resetPasswordValidation,
+  bruteForceGuard,
+  resetPassword
+);
 router.post(
   "/verify-email",
   sendVerificationOTPValidation,
   sendVerificationOTP
 );
 
-// Protected routes - require authentication
-router.post("/logout", authenticateToken, logout);
-router.post("/logout-all-devices", authenticateToken, logoutAllDevices);
+// Single sign-on - the frontend posts back the code and state it receives
+// on the provider's redirect URI
+router.get("/sso/providers", getSsoProviders);
+router.post("/sso/:slug/authorize", startSsoValidation, startSso);
+router.post("/sso/callback", ssoCallbackValidation, loginWithSso);
+
+// Protected routes - require a login session (not available with API keys)
+router.post("/logout", authenticateToken, requireSession, logout);
+router.post(
+  "/logout-all-devices",
+  authenticateToken,
+  requireSession,
+  logoutAllDevices
+);
+router.get("/sessions", authenticateToken, requireSession, getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  requireSession,
+  sessionIdValidation,
+  revokeSessionById
+);
 router.post(
   "/change-password",
   authenticateToken,
+  requireSession,
   changePasswordValidation,
   changePassword
 );
 
+// Two-factor authentication management - require a login session
+router.get("/mfa", authenticateToken, requireSession, getMfa);
+router.post("/mfa/setup", authenticateToken, requireSession, setupMfa);
+router.post(
+  "/mfa/enable",
+  authenticateToken,
+  requireSession,
+  mfaEnableValidation,
+  enableMfa
+);
+router.post(
+  "/mfa/disable",
+  authenticateToken,
+  requireSession,
+  mfaDisableValidation,
+  disableMfaForUser
+);
+router.post(
+  "/mfa/recovery-codes",
+  authenticateToken,
+  requireSession,
+  mfaRecoveryCodesValidation,
+  regenerateMfaRecoveryCodes
+);
+
+// Personal API keys - managed from a login session only
+router.get(
+  "/api-keys",
+  authenticateToken,
+  requireSession,
+  getApiKeysValidation,
+  getMyApiKeys
+);
+router.post(
+  "/api-keys",
+  authenticateToken,
+  requireSession,
+  requirePermission(PERMISSIONS.API_KEY_CREATE),
+  createApiKeyValidation,
+  createMyApiKey
+);
+router.delete(
+  "/api-keys/:apiKeyId",
+  authenticateToken,
+  requireSession,
+  apiKeyIdValidation,
+  revokeMyApiKey
+);
+
 module.exports = router;
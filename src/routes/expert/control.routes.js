@@ -0,0 +1,117 @@
+const express = require("express");
+// mergeParams exposes the framework :id from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  frameworkIdValidation,
+  controlIdValidation,
+  getControlsQueryValidation,
+  createControlValidation,
+  updateControlValidation,
+} = require("../../validations/control.validation");
+
+// Import controller
+const {
+  getControls,
+  getControlTypes,
+  getControlById,
+  createControl,
+  updateControl,
+  deleteControl,
+} = require("../../controllers/expert/control.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/expert/frameworks/:id/controls
+ * @desc    Get framework controls with pagination, search and filtering
+ * @access  Private (control:read)
+ * @query   { page?, limit?, search?, controlType?, source?, sort?, sortBy?, sortOrder? }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_READ),
+  frameworkIdValidation,
+  getControlsQueryValidation,
+  getControls
+);
+
+/**
+ * @route   GET /api/expert/frameworks/:id/controls/types
+ * @desc    Get the control types used in a framework with their counts
+ * @access  Private (control:read)
+ */
+router.get(
+  "/types",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_READ),
+  frameworkIdValidation,
+  getControlTypes
+);
+
+/**
+ * @route   GET /api/expert/frameworks/:id/controls/:controlId
+ * @desc    Get control by ID
+ * @access  Private (control:read)
+ */
+router.get(
+  "/:controlId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_READ),
+  controlIdValidation,
+  getControlById
+);
+
+/**
+ * @route   POST /api/expert/frameworks/:id/controls
+ * @desc    Create a control manually
+ * @access  Private (control:create)
+ * @body    { controlId: string, controlName: string, controlType?, controlDescription?, deploymentPoints? }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_CREATE),
+  frameworkIdValidation,
+  createControlValidation,
+  createControl
+);
+
+/**
+ * @route   PUT /api/expert/frameworks/:id/controls/:controlId
+ * @desc    Update control
+ * @access  Private (control:update)
+ * @body    { controlId?, controlName?, controlType?, controlDescription?, deploymentPoints? }
+ */
+router.put(
+  "/:controlId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_UPDATE),
+  controlIdValidation,
+  updateControlValidation,
+  updateControl
+);
+
+/**
+ * @route   DELETE /api/expert/frameworks/:id/controls/:controlId
+ * @desc    Delete control (permanent delete)
+ * @access  Private (control:delete)
+ */
+router.delete(
+  "/:controlId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CONTROL_DELETE),
+  controlIdValidation,
+  deleteControl
+);
+
+module.exports = router;
@@ -4,11 +4,9 @@ const router = express.Router();
 // Import middlewares
 const { authenticateToken } = require("../../middlewares/auth.middleware");
 const {
-  canExpertCreate,
-  canExpertUpdate,
-  canExpertDelete,
-  allRoles, // For GET operations - all roles can view
-} = require("../../middlewares/roleAccess.middleware");
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
 
 // Import validations
 const {
@@ -19,6 +17,11 @@ const {
   getExpertFrameworksQueryValidation,
 } = require("../../validations/expert-framework.validation");
 
+const {
+  frameworkVersionParamsValidation,
+  frameworkVersionDiffValidation,
+} = require("../../validations/framework-version.validation");
+
 // Import controller
 const {
   upload,
@@ -28,9 +31,14 @@ const {
   updateFramework,
   deleteFramework,
   downloadFramework,
+  getFrameworkDownloadUrl,
   getExpertFrameworks,
   uploadFrameworkToAIService,
   checkAIProcessingStatus,
+  getFrameworkVersions,
+  downloadFrameworkVersion,
+  rollbackFrameworkVersion,
+  diffFrameworkVersions,
 } = require("../../controllers/expert/expert-framework.controller");
 
 // Routes
@@ -38,13 +46,13 @@ const {
 /**
  * @route   POST /api/expert/frameworks
  * @desc    Create a new framework (upload file)
- * @access  Private (Expert only)
+ * @access  Private (expert-framework:create)
  * @body    { frameworkName?: string } (multipart/form-data with field name "file")
  */
 router.post(
   "/",
   authenticateToken,
-  canExpertCreate, // Only experts can create frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_CREATE),
   upload.single("file"), // Handle file upload with field name "file"
   expertFrameworkUploadValidation, // Validate using the same pattern as auth/user
   createFramework
@@ -53,13 +61,13 @@ router.post(
 /**
  * @route   GET /api/expert/frameworks
  * @desc    Get all frameworks with pagination, filtering, and search
- * @access  Private (All roles can view)
+ * @access  Private (expert-framework:read)
  * @query   { page?, limit?, sort?, search?, frameworkType?, uploadedBy? }
  */
 router.get(
   "/",
   authenticateToken,
-  allRoles, // All roles can view frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
   getExpertFrameworksQueryValidation,
   getAllFrameworks
 );
@@ -67,25 +75,25 @@ router.get(
 /**
  * @route   GET /api/expert/frameworks/my-frameworks
  * @desc    Get current user's frameworks (frameworks uploaded by the logged-in user)
- * @access  Private (All roles can view their own frameworks)
+ * @access  Private (expert-framework:read)
  * @query   { page?, limit?, sort? }
  */
 router.get(
   "/my-frameworks",
   authenticateToken,
-  allRoles, // All roles can view frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
   getExpertFrameworks
 );
 
 /**
  * @route   GET /api/expert/frameworks/:id
  * @desc    Get framework by ID
- * @access  Private (All roles can view)
+ * @access  Private (expert-framework:read)
  */
 router.get(
   "/:id",
   authenticateToken,
-  allRoles, // All roles can view frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
   getExpertFrameworkByIdValidation,
   getFrameworkById
 );
@@ -93,26 +101,93 @@ router.get(
 /**
  * @route   GET /api/expert/frameworks/:id/download
  * @desc    Download framework file
- * @access  Private (All roles can download)
+ * @access  Private (expert-framework:read)
  */
 router.get(
   "/:id/download",
   authenticateToken,
-  allRoles, // All roles can download frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
   getExpertFrameworkByIdValidation,
   downloadFramework
 );
 
+/**
+ * @route   POST /api/expert/frameworks/:id/download-url
+ * @desc    Create a short-lived signed URL to download the framework file
+ * @access  Private (expert-framework:read)
+ */
+router.post(
+  "/:id/download-url",
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
+  getExpertFrameworkByIdValidation,
+  getFrameworkDownloadUrl
+);
+
+/**
+ * @route   GET /api/expert/frameworks/:id/versions
+ * @desc    Get every uploaded version of a framework
+ * @access  Private (expert-framework:read)
+ */
+router.get(
+  "/:id/versions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
+  getExpertFrameworkByIdValidation,
+  getFrameworkVersions
+);
+
+/**
+ * @route   GET /api/expert/frameworks/:id/versions/diff
+ * @desc    Control-level diff between two versions (added, removed and changed controls by Control_id)
+ * @access  Private (expert-framework:read)
+ * @query   { from: number, to: number }
+ */
+router.get(
+  "/:id/versions/diff",
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
+  getExpertFrameworkByIdValidation,
+  frameworkVersionDiffValidation,
+  diffFrameworkVersions
+);
+
+/**
+ * @route   GET /api/expert/frameworks/:id/versions/:version/download
+ * @desc    Download the file of any framework version
+ * @access  Private (expert-framework:read)
+ */
+router.get(
+  "/:id/versions/:version/download",
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
+  frameworkVersionParamsValidation,
+  downloadFrameworkVersion
+);
+
+/**
+ * @route   POST /api/expert/frameworks/:id/versions/:version/rollback
+ * @desc    Make an earlier version current again (the current version is kept)
+ * @access  Private (expert-framework:update)
+ */
+router.post(
+  "/:id/versions/:version/rollback",
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_UPDATE),
+  frameworkVersionParamsValidation,
+  rollbackFrameworkVersion
+);
+
 /**
  * @route   PUT /api/expert/frameworks/:id
  * @desc    Update framework details and optionally replace file
- * @access  Private (Expert only)
+ * @access  Private (expert-framework:update)
  * @body    { frameworkName? } (multipart/form-data with optional field name "file")
  */
 router.put(
   "/:id",
   authenticateToken,
-  canExpertUpdate, // Only experts can update frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_UPDATE),
   upload.single("file"), // Handle optional file upload
   getExpertFrameworkByIdValidation,
   updateExpertFrameworkValidation,
@@ -122,12 +197,12 @@ router.put(
 /**
  * @route   DELETE /api/expert/frameworks/:id
  * @desc    Delete framework (soft delete)
- * @access  Private (Expert only)
+ * @access  Private (expert-framework:delete)
  */
 router.delete(
   "/:id",
   authenticateToken,
-  canExpertDelete, // Only experts can delete frameworks
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_DELETE),
   deleteExpertFrameworkValidation,
   deleteFramework
 );
@@ -135,12 +210,12 @@ router.delete(
 /**
  * @route   POST /api/expert/frameworks/:id/upload-to-ai
  * @desc    Upload framework to AI service for processing
- * @access  Private (Expert only)
+ * @access  Private (expert-framework:update)
  */
 router.post(
   "/:id/upload-to-ai",
   authenticateToken,
-  canExpertCreate, // Only experts can upload to AI service
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_UPDATE),
   getExpertFrameworkByIdValidation, // Validate id in params
   uploadFrameworkToAIService
 );
@@ -148,12 +223,12 @@ router.post(
 /**
  * @route   GET /api/expert/frameworks/:id/ai-status
  * @desc    Check AI processing status for framework
- * @access  Private (All roles can check status)
+ * @access  Private (expert-framework:read)
  */
 router.get(
   "/:id/ai-status",
   authenticateToken,
-  allRoles, // All roles can check AI status
+  requirePermission(PERMISSIONS.EXPERT_FRAMEWORK_READ),
   getExpertFrameworkByIdValidation, // Validate id in params
   checkAIProcessingStatus
 );
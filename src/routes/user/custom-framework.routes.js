@@ -0,0 +1,191 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+
+// Import validations
+const {
+  customFrameworkIdValidation,
+  customFrameworkControlIdValidation,
+  customFrameworkUserIdValidation,
+  getCustomFrameworksQueryValidation,
+  getAvailableControlsQueryValidation,
+  createCustomFrameworkValidation,
+  updateCustomFrameworkValidation,
+  customFrameworkControlsValidation,
+  shareCustomFrameworkValidation,
+} = require("../../validations/custom-framework.validation");
+
+// Import controller
+const {
+  getAvailableControls,
+  getCustomFrameworks,
+  getCustomFrameworkById,
+  createCustomFramework,
+  updateCustomFramework,
+  addCustomFrameworkControls,
+  removeCustomFrameworkControl,
+  reorderCustomFrameworkControls,
+  shareCustomFramework,
+  unshareCustomFramework,
+  deleteCustomFramework,
+} = require("../../controllers/user/custom-framework.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/users/custom-frameworks/available-controls
+ * @desc    Browse controls of processed expert frameworks to build a custom framework from
+ * @access  Private (custom-framework:read)
+ * @query   { page?, limit?, search?, expertFrameworkId?, controlType?, sort?, sortBy?, sortOrder? }
+ */
+router.get(
+  "/available-controls",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_READ),
+  getAvailableControlsQueryValidation,
+  getAvailableControls
+);
+
+/**
+ * @route   GET /api/users/custom-frameworks
+ * @desc    Get custom frameworks owned by or shared with the current user
+ * @access  Private (custom-framework:read)
+ * @query   { page?, limit?, search?, scope?: "owned" | "shared", sort?, sortBy?, sortOrder? }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_READ),
+  getCustomFrameworksQueryValidation,
+  getCustomFrameworks
+);
+
+/**
+ * @route   GET /api/users/custom-frameworks/:id
+ * @desc    Get custom framework with its controls
+ * @access  Private (custom-framework:read)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_READ),
+  customFrameworkIdValidation,
+  getCustomFrameworkById
+);
+
+/**
+ * @route   POST /api/users/custom-frameworks
+ * @desc    Create a custom framework, optionally with an initial control selection
+ * @access  Private (custom-framework:create)
+ * @body    { name: string, description?: string, controlIds?: string[] (Control IDs) }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_CREATE),
+  createCustomFrameworkValidation,
+  createCustomFramework
+);
+
+/**
+ * @route   PUT /api/users/custom-frameworks/:id
+ * @desc    Rename a custom framework or change its description
+ * @access  Private (custom-framework:update)
+ * @body    { name?: string, description?: string }
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE),
+  updateCustomFrameworkValidation,
+  updateCustomFramework
+);
+
+/**
+ * @route   POST /api/users/custom-frameworks/:id/controls
+ * @desc    Add controls of processed expert frameworks; controls already added are skipped
+ * @access  Private (custom-framework:update)
+ * @body    { controlIds: string[] (Control IDs) }
+ */
+router.post(
+  "/:id/controls",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE),
+  customFrameworkControlsValidation,
+  addCustomFrameworkControls
+);
+
+/**
+ * @route   PUT /api/users/custom-frameworks/:id/controls/order
+ * @desc    Reorder controls; the body lists every custom framework control ID in the new order
+ * @access  Private (custom-framework:update)
+ * @body    { controlIds: string[] (custom framework control IDs) }
+ */
+router.put(
+  "/:id/controls/order",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE),
+  customFrameworkControlsValidation,
+  reorderCustomFrameworkControls
+);
+
+/**
+ * @route   DELETE /api/users/custom-frameworks/:id/controls/:controlId
+ * @desc    Remove a control from a custom framework
+ * @access  Private (custom-framework:update)
+ */
+router.delete(
+  "/:id/controls/:controlId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE),
+  customFrameworkControlIdValidation,
+  removeCustomFrameworkControl
+);
+
+/**
+ * @route   POST /api/users/custom-frameworks/:id/share
+ * @desc    Share a custom framework with other users so they can view and compare against it
+ * @access  Private (custom-framework:share)
+ * @body    { emails: string[] }
+ */
+router.post(
+  "/:id/share",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_SHARE),
+  shareCustomFrameworkValidation,
+  shareCustomFramework
+);
+
+/**
+ * @route   DELETE /api/users/custom-frameworks/:id/share/:userId
+ * @desc    Stop sharing a custom framework with a user
+ * @access  Private (custom-framework:share)
+ */
+router.delete(
+  "/:id/share/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_SHARE),
+  customFrameworkUserIdValidation,
+  unshareCustomFramework
+);
+
+/**
+ * @route   DELETE /api/users/custom-frameworks/:id
+ * @desc    Delete custom framework and the comparisons run against it (permanent delete)
+ * @access  Private (custom-framework:delete)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.CUSTOM_FRAMEWORK_DELETE),
+  customFrameworkIdValidation,
+  deleteCustomFramework
+);
+
+module.exports = router;
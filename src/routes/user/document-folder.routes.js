@@ -0,0 +1,103 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+} = require("../../middlewares/organization.middleware");
+
+// Import validations
+const {
+  folderIdValidation,
+  createFolderValidation,
+  updateFolderValidation,
+} = require("../../validations/document-folder.validation");
+
+// Import controller
+const {
+  getFolders,
+  getFolderById,
+  createDocumentFolder,
+  updateDocumentFolder,
+  deleteDocumentFolder,
+} = require("../../controllers/user/document-folder.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/users/document-folders
+ * @desc    Get every document folder of the organization as a tree, with document counts
+ * @access  Private (document:read)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  getFolders
+);
+
+/**
+ * @route   POST /api/users/document-folders
+ * @desc    Create a document folder
+ * @access  Private (document:create)
+ * @body    { name: string, parentId?: string | "root" | null }
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_CREATE),
+  requireOrganization,
+  createFolderValidation,
+  createDocumentFolder
+);
+
+/**
+ * @route   GET /api/users/document-folders/:id
+ * @desc    Get a document folder with its path from the top level
+ * @access  Private (document:read)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  folderIdValidation,
+  getFolderById
+);
+
+/**
+ * @route   PUT /api/users/document-folders/:id
+ * @desc    Rename a document folder or move it, with its subfolders and documents
+ * @access  Private (document:update)
+ * @body    { name?: string, parentId?: string | "root" | null }
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_UPDATE),
+  requireOrganization,
+  updateFolderValidation,
+  updateDocumentFolder
+);
+
+/**
+ * @route   DELETE /api/users/document-folders/:id
+ * @desc    Delete an empty document folder
+ * @access  Private (document:delete)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_DELETE),
+  requireOrganization,
+  folderIdValidation,
+  deleteDocumentFolder
+);
+
+module.exports = router;
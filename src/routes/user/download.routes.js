@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+
+// Import validations
+const {
+  downloadTokenValidation,
+} = require("../../validations/download.validation");
+
+// Import controller
+const {
+  downloadSignedFile,
+} = require("../../controllers/user/download.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/downloads/:token
+ * @desc    Download a file through a signed, expiring download URL (supports Range requests)
+ * @access  Public (the signed token grants access)
+ */
+router.get("/:token", downloadTokenValidation, downloadSignedFile);
+
+module.exports = router;
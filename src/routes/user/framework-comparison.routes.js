@@ -4,31 +4,211 @@ const router = express.Router();
 // Import middlewares
 const { authenticateToken } = require("../../middlewares/auth.middleware");
 const {
-  canUserCreate,
-} = require("../../middlewares/roleAccess.middleware");
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+} = require("../../middlewares/organization.middleware");
 
 // Import validations
 const {
   startFrameworkComparisonValidation,
+  startBatchFrameworkComparisonValidation,
+  frameworkComparisonBatchIdValidation,
+  frameworkComparisonIdValidation,
+  getFrameworkComparisonsQueryValidation,
+  gapAnalysisQueryValidation,
+  exportFrameworkComparisonValidation,
+  comparisonResultIdValidation,
+  reviewComparisonResultValidation,
+  updateComparisonResultValidation,
+  addComparisonResultValidation,
 } = require("../../validations/framework-comparison.validation");
 
 // Import controller
 const {
   startFrameworkComparison,
+  startBatchFrameworkComparison,
+  getFrameworkComparisonBatchById,
+  getFrameworkComparisons,
+  getFrameworkComparisonById,
+  getComparisonGapAnalysis,
+  exportFrameworkComparison,
+  reviewComparisonResult,
+  updateComparisonResult,
+  addComparisonResult,
+  deleteFrameworkComparison,
 } = require("../../controllers/user/framework-comparison.controller");
 
 /**
  * @route   POST /api/users/framework-comparisons
- * @desc    Start framework comparison between user and expert frameworks
- * @access  Private (User only)
- * @body    { userFrameworkId: string, expertFrameworkId: string }
+ * @desc    Start framework comparison between a user framework and an expert or custom framework
+ * @access  Private (comparison:start)
+ * @body    { userFrameworkId: string, expertFrameworkId?: string, customFrameworkId?: string } - exactly one of expertFrameworkId / customFrameworkId
  */
 router.post(
   "/",
   authenticateToken,
-  canUserCreate, // Only users can create framework comparisons
+  requirePermission(PERMISSIONS.COMPARISON_START),
+  requireOrganization,
   startFrameworkComparisonValidation,
   startFrameworkComparison
 );
 
+/**
+ * @route   POST /api/users/framework-comparisons/batch
+ * @desc    Compare a user framework against several expert frameworks with bounded concurrency
+ * @access  Private (comparison:start)
+ * @body    { userFrameworkId: string, expertFrameworkIds: string[] (1-10) }
+ */
+router.post(
+  "/batch",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_START),
+  requireOrganization,
+  startBatchFrameworkComparisonValidation,
+  startBatchFrameworkComparison
+);
+
+/**
+ * @route   GET /api/users/framework-comparisons/batch/:batchId
+ * @desc    Get batch progress, its comparisons and the cross-framework coverage matrix
+ * @access  Private (comparison:read)
+ */
+router.get(
+  "/batch/:batchId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_READ),
+  requireOrganization,
+  frameworkComparisonBatchIdValidation,
+  getFrameworkComparisonBatchById
+);
+
+/**
+ * @route   GET /api/users/framework-comparisons
+ * @desc    Get current user's comparison history with pagination, filtering, and search
+ * @access  Private (comparison:read)
+ * @query   { page?, limit?, search?, sort?, sortBy?, sortOrder?, userFrameworkId?, expertFrameworkId?, customFrameworkId?, status? }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_READ),
+  requireOrganization,
+  getFrameworkComparisonsQueryValidation,
+  getFrameworkComparisons
+);
+
+/**
+ * @route   GET /api/users/framework-comparisons/:id
+ * @desc    Get framework comparison status and results (for polling)
+ * @access  Private (comparison:read)
+ * @query   { sort?, sortBy?, sortOrder? } - Sort result rows (e.g. sort=-Comparison_Score)
+ */
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_READ),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  getFrameworkComparisonById
+);
+
+/**
+ * @route   GET /api/users/framework-comparisons/:id/gap-analysis
+ * @desc    Gap analysis report: covered, partial and missing expert controls, coverage by control type
+ * @access  Private (comparison:read)
+ * @query   { coveredThreshold?: number (0-1), partialThreshold?: number (0-1) }
+ */
+router.get(
+  "/:id/gap-analysis",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_READ),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  gapAnalysisQueryValidation,
+  getComparisonGapAnalysis
+);
+
+/**
+ * @route   GET /api/users/framework-comparisons/:id/export
+ * @desc    Download comparison report (control mapping, average score, unmatched expert controls)
+ * @access  Private (comparison:read)
+ * @query   { format?: "csv" | "xlsx" | "pdf" (default csv), coveredThreshold?, partialThreshold? }
+ */
+router.get(
+  "/:id/export",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_READ),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  exportFrameworkComparisonValidation,
+  exportFrameworkComparison
+);
+
+/**
+ * @route   POST /api/users/framework-comparisons/:id/results
+ * @desc    Add a mapping the AI missed (recalculates the effective score)
+ * @access  Private (comparison:review)
+ * @body    { userControlName: string, expertControlId: string, comparisonScore: number (0-1), userControlDescription?, deploymentPoints?, reason? }
+ */
+router.post(
+  "/:id/results",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_REVIEW),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  addComparisonResultValidation,
+  addComparisonResult
+);
+
+/**
+ * @route   PATCH /api/users/framework-comparisons/:id/results/:resultId
+ * @desc    Edit a mapping, e.g. reassign the user control to another expert control (original AI output is kept)
+ * @access  Private (comparison:review)
+ * @body    { userControlName?, userControlDescription?, expertControlId?, deploymentPoints?, comparisonScore?, reason? }
+ */
+router.patch(
+  "/:id/results/:resultId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_REVIEW),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  comparisonResultIdValidation,
+  updateComparisonResultValidation,
+  updateComparisonResult
+);
+
+/**
+ * @route   PATCH /api/users/framework-comparisons/:id/results/:resultId/review
+ * @desc    Accept or reject a mapping (rejected mappings are left out of the effective score and reports)
+ * @access  Private (comparison:review)
+ * @body    { decision: "accepted" | "rejected", reason?: string }
+ */
+router.patch(
+  "/:id/results/:resultId/review",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_REVIEW),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  comparisonResultIdValidation,
+  reviewComparisonResultValidation,
+  reviewComparisonResult
+);
+
+/**
+ * @route   DELETE /api/users/framework-comparisons/:id
+ * @desc    Delete framework comparison (permanent delete)
+ * @access  Private (comparison:delete)
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPARISON_DELETE),
+  requireOrganization,
+  frameworkComparisonIdValidation,
+  deleteFrameworkComparison
+);
+
 module.exports = router;
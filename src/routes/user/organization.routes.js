@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const {
+  authenticateToken,
+  requireSession,
+} = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+  requireOrganizationManager,
+} = require("../../middlewares/organization.middleware");
+
+// Import validations
+const {
+  switchOrganizationValidation,
+  addMemberValidation,
+  updateMemberValidation,
+  memberIdValidation,
+} = require("../../validations/organization.validation");
+
+// Import controller
+const {
+  getMyOrganizations,
+  switchActiveOrganization,
+  getCurrentOrganization,
+  addCurrentOrganizationMember,
+  updateCurrentOrganizationMember,
+  removeCurrentOrganizationMember,
+} = require("../../controllers/user/organization.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/users/organizations
+ * @desc    Get the organizations of the current user and the active one
+ * @access  Private (organization:read)
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_READ),
+  requireOrganization,
+  getMyOrganizations
+);
+
+/**
+ * @route   POST /api/users/organizations/switch
+ * @desc    Switch the active organization of the current session
+ * @access  Private (organization:read)
+ * @body    { organizationId: string }
+ */
+router.post(
+  "/switch",
+  authenticateToken,
+  requireSession,
+  requirePermission(PERMISSIONS.ORGANIZATION_READ),
+  switchOrganizationValidation,
+  switchActiveOrganization
+);
+
+/**
+ * @route   GET /api/users/organizations/current
+ * @desc    Get the active organization with its members
+ * @access  Private (organization:read)
+ */
+router.get(
+  "/current",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_READ),
+  requireOrganization,
+  getCurrentOrganization
+);
+
+/**
+ * @route   POST /api/users/organizations/current/members
+ * @desc    Add an existing user to the active organization
+ * @access  Private (organization:update, organization owner or admin)
+ * @body    { email: string, role?: "owner" | "admin" | "member" }
+ */
+router.post(
+  "/current/members",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_UPDATE),
+  requireOrganization,
+  requireOrganizationManager,
+  addMemberValidation,
+  addCurrentOrganizationMember
+);
+
+/**
+ * @route   PATCH /api/users/organizations/current/members/:userId
+ * @desc    Change the org role of a member of the active organization
+ * @access  Private (organization:update, organization owner or admin)
+ * @body    { role: "owner" | "admin" | "member" }
+ */
+router.patch(
+  "/current/members/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_UPDATE),
+  requireOrganization,
+  requireOrganizationManager,
+  updateMemberValidation,
+  updateCurrentOrganizationMember
+);
+
+/**
+ * @route   DELETE /api/users/organizations/current/members/:userId
+ * @desc    Remove a member from the active organization, or leave it
+ * @access  Private (organization:update, organization owner or admin; any member for themselves)
+ */
+router.delete(
+  "/current/members/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ORGANIZATION_UPDATE),
+  requireOrganization,
+  memberIdValidation,
+  removeCurrentOrganizationMember
+);
+
+module.exports = router;
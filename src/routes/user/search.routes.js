@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+
+// Import middlewares
+const { authenticateToken } = require("../../middlewares/auth.middleware");
+const {
+  requirePermission,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+} = require("../../middlewares/organization.middleware");
+
+// Import validations
+const { searchValidation } = require("../../validations/search.validation");
+
+// Import controller
+const { search } = require("../../controllers/user/search.controller");
+
+// Routes
+
+/**
+ * @route   GET /api/search
+ * @desc    Full-text search over the names and file contents of documents, user frameworks
+ *          and expert frameworks, and over extracted controls, with highlighted snippets.
+ *          Documents and user frameworks are limited to the active organization.
+ *          Query syntax: words match any form of the word, "quoted phrases" match as written,
+ *          -word excludes results containing the word
+ * @access  Private (documents: document:read, userFrameworks: framework:read,
+ *          expertFrameworks: expert-framework:read, controls: control:read or framework:read)
+ * @query   { q: string, types?: comma-separated "documents" | "userFrameworks" |
+ *            "expertFrameworks" | "controls", limit?: number (results per type, max 20) }
+ */
+router.get(
+  "/",
+  authenticateToken,
+  // No single permission is required; each type is checked by the controller
+  requirePermission(),
+  requireOrganization,
+  searchValidation,
+  search
+);
+
+module.exports = router;
@@ -4,12 +4,12 @@ const router = express.Router();
 // Import middlewares
 const { authenticateToken } = require("../../middlewares/auth.middleware");
 const {
-  canUserCreate,
-  canUserUpdate,
-  canUserDelete,
-  canUserView,
-  allRoles,
-} = require("../../middlewares/roleAccess.middleware");
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+} = require("../../middlewares/organization.middleware");
 
 // Import validations
 const {
@@ -18,8 +18,14 @@ const {
   getDocumentByIdValidation,
   deleteDocumentValidation,
   getDocumentsQueryValidation,
+  moveDocumentsValidation,
 } = require("../../validations/user-document.validation");
 
+const {
+  documentVersionParamsValidation,
+  documentVersionRetentionValidation,
+} = require("../../validations/document-version.validation");
+
 // Import controller
 const {
   upload,
@@ -29,6 +35,14 @@ const {
   updateDocument,
   deleteDocument,
   downloadDocument,
+  getDocumentDownloadUrl,
+  getDocumentVersions,
+  downloadDocumentVersion,
+  restoreDocumentVersion,
+  updateDocumentVersionRetention,
+  moveDocuments,
+  getDocumentTags,
+  getDocumentMetadataFields,
   getUserDocuments,
 } = require("../../controllers/user/user-document.controller");
 
@@ -37,13 +51,15 @@ const {
 /**
  * @route   POST /api/documents
  * @desc    Create a new document (upload file)
- * @access  Private (User only)
- * @body    { documentName?: string } (multipart/form-data with file)
+ * @access  Private (document:create)
+ * @body    { documentName?: string, folderId?: string, tags?: string (comma-separated),
+ *            metadata?: string (JSON of values by field key) } (multipart/form-data with file)
  */
 router.post(
   "/",
   authenticateToken,
-  canUserCreate, // Only users can create documents
+  requirePermission(PERMISSIONS.DOCUMENT_CREATE),
+  requireOrganization,
   upload.single("document"), // Handle file upload with field name "document"
   documentUploadValidation, // Validate using the same pattern as auth/user
   createDocument
@@ -52,13 +68,16 @@ router.post(
 /**
  * @route   GET /api/documents
  * @desc    Get all documents with pagination, filtering, and search
- * @access  Private (User only)
- * @query   { page?, limit?, sort?, search?, documentType?, uploadedBy? }
+ * @access  Private (document:read)
+ * @query   { page?, limit?, sort?, search?, documentType?, uploadedBy?, folderId? (ID or "root"),
+ *            includeSubfolders?, tags? (comma-separated), tagMatch? ("all" | "any"),
+ *            metadata.<key>?, metadata.<key>.from?, metadata.<key>.to? }
  */
 router.get(
   "/",
   authenticateToken,
-  allRoles, // All user can view documents
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
   // documentListCache, // Cache middleware (commented out)
   getDocumentsQueryValidation,
   getAllDocuments
@@ -67,26 +86,70 @@ router.get(
 /**
  * @route   GET /api/documents/my-documents
  * @desc    Get current user's documents
- * @access  Private (User only)
- * @query   { page?, limit?, sort? }
+ * @access  Private (document:read)
+ * @query   { page?, limit?, sort?, search?, folderId?, includeSubfolders?, tags?, tagMatch?,
+ *            metadata.<key>?, metadata.<key>.from?, metadata.<key>.to? }
  */
 router.get(
   "/my-documents",
   authenticateToken,
-  canUserView, // Only users can view their own documents
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
   // userDocumentsCache, // Cache middleware (commented out)
   getUserDocuments
 );
 
+/**
+ * @route   GET /api/documents/tags
+ * @desc    Get every tag used in the organization's documents, most used first
+ * @access  Private (document:read)
+ */
+router.get(
+  "/tags",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  getDocumentTags
+);
+
+/**
+ * @route   GET /api/documents/metadata-fields
+ * @desc    Get the custom metadata fields documents can be described with
+ * @access  Private (document:read)
+ */
+router.get(
+  "/metadata-fields",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  getDocumentMetadataFields
+);
+
+/**
+ * @route   POST /api/documents/move
+ * @desc    Move documents into a folder
+ * @access  Private (document:update)
+ * @body    { documentIds: string[], folderId: string | "root" | null }
+ */
+router.post(
+  "/move",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_UPDATE),
+  requireOrganization,
+  moveDocumentsValidation,
+  moveDocuments
+);
+
 /**
  * @route   GET /api/documents/:id
  * @desc    Get document by ID
- * @access  Private (User only)
+ * @access  Private (document:read)
  */
 router.get(
   "/:id",
   authenticateToken,
-  allRoles, // All users can view documents
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
   // documentByIdCache, // Cache middleware (commented out)
   getDocumentByIdValidation,
   getDocumentById
@@ -95,26 +158,101 @@ router.get(
 /**
  * @route   GET /api/documents/:id/download
  * @desc    Download document file
- * @access  Private (User only)
+ * @access  Private (document:read)
  */
 router.get(
   "/:id/download",
   authenticateToken,
-  canUserView, // Only users can download documents
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
   getDocumentByIdValidation,
   downloadDocument
 );
 
+/**
+ * @route   POST /api/documents/:id/download-url
+ * @desc    Create a short-lived signed URL to download the document file
+ * @access  Private (document:read)
+ */
+router.post(
+  "/:id/download-url",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  getDocumentByIdValidation,
+  getDocumentDownloadUrl
+);
+
+/**
+ * @route   GET /api/documents/:id/versions
+ * @desc    Get every uploaded version of a document (uploader, date, size, checksum)
+ * @access  Private (document:read)
+ */
+router.get(
+  "/:id/versions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  getDocumentByIdValidation,
+  getDocumentVersions
+);
+
+/**
+ * @route   PUT /api/documents/:id/versions/retention
+ * @desc    Set how many old versions are kept and for how long (null = no limit)
+ * @access  Private (document:update)
+ * @body    { maxVersions?: number|null, maxAgeDays?: number|null }
+ */
+router.put(
+  "/:id/versions/retention",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_UPDATE),
+  requireOrganization,
+  getDocumentByIdValidation,
+  documentVersionRetentionValidation,
+  updateDocumentVersionRetention
+);
+
+/**
+ * @route   GET /api/documents/:id/versions/:version/download
+ * @desc    Download the file of any document version
+ * @access  Private (document:read)
+ */
+router.get(
+  "/:id/versions/:version/download",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_READ),
+  requireOrganization,
+  documentVersionParamsValidation,
+  downloadDocumentVersion
+);
+
+/**
+ * @route   POST /api/documents/:id/versions/:version/restore
+ * @desc    Make an earlier version current again (the current version is kept)
+ * @access  Private (document:update)
+ */
+router.post(
+  "/:id/versions/:version/restore",
+  authenticateToken,
+  requirePermission(PERMISSIONS.DOCUMENT_UPDATE),
+  requireOrganization,
+  documentVersionParamsValidation,
+  restoreDocumentVersion
+);
+
 /**
  * @route   PUT /api/documents/:id
  * @desc    Update document details and optionally replace file
- * @access  Private (User only)
- * @body    { documentName? } (multipart/form-data with optional file)
+ * @access  Private (document:update)
+ * @body    { documentName?, folderId?, tags?, metadata? } (multipart/form-data with optional file,
+ *            or JSON; metadata values are merged, null removes one)
  */
 router.put(
   "/:id",
   authenticateToken,
-  canUserUpdate, // Only users can update documents
+  requirePermission(PERMISSIONS.DOCUMENT_UPDATE),
+  requireOrganization,
   upload.single("document"), // Handle optional file upload
   getDocumentByIdValidation,
   updateDocumentValidation,
@@ -124,12 +262,13 @@ router.put(
 /**
  * @route   DELETE /api/documents/:id
  * @desc    Delete document (soft delete)
- * @access  Private (User only)
+ * @access  Private (document:delete)
  */
 router.delete(
   "/:id",
   authenticateToken,
-  canUserDelete, // Only users can delete documents
+  requirePermission(PERMISSIONS.DOCUMENT_DELETE),
+  requireOrganization,
   deleteDocumentValidation,
   deleteDocument
 );
@@ -4,12 +4,12 @@ const router = express.Router();
 // Import middlewares
 const { authenticateToken } = require("../../middlewares/auth.middleware");
 const {
-  canUserCreate,
-  canUserUpdate,
-  canUserDelete,
-  canUserView,
-  allRoles,
-} = require("../../middlewares/roleAccess.middleware");
+  requirePermission,
+  PERMISSIONS,
+} = require("../../middlewares/permission.middleware");
+const {
+  requireOrganization,
+} = require("../../middlewares/organization.middleware");
 
 // Import validations
 const {
@@ -21,6 +21,11 @@ const {
   uploadFrameworkToAIValidation,
 } = require("../../validations/user-framework.validation");
 
+const {
+  frameworkVersionParamsValidation,
+  frameworkVersionDiffValidation,
+} = require("../../validations/framework-version.validation");
+
 // Import controller
 const {
   upload,
@@ -30,9 +35,14 @@ const {
   updateFramework,
   deleteFramework,
   downloadFramework,
+  getFrameworkDownloadUrl,
   getUserFrameworks,
   uploadFrameworkToAIService,
   checkAIProcessingStatus,
+  getFrameworkVersions,
+  downloadFrameworkVersion,
+  rollbackFrameworkVersion,
+  diffFrameworkVersions,
 } = require("../../controllers/user/user-framework.controller");
 
 // Routes
@@ -40,13 +50,14 @@ const {
 /**
  * @route   POST /api/frameworks
  * @desc    Create a new framework (upload file)
- * @access  Private (User only)
+ * @access  Private (framework:create)
  * @body    { frameworkName?: string } (multipart/form-data with field name "file")
  */
 router.post(
   "/",
   authenticateToken,
-  canUserCreate, // Only users can create frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_CREATE),
+  requireOrganization,
   upload.single("file"), // Handle file upload with field name "file"
   frameworkUploadValidation, // Validate using the same pattern as auth/user
   createFramework
@@ -55,13 +66,14 @@ router.post(
 /**
  * @route   GET /api/frameworks
  * @desc    Get all frameworks with pagination, filtering, and search
- * @access  Private (User only)
+ * @access  Private (framework:read)
  * @query   { page?, limit?, sort?, search?, frameworkType?, uploadedBy? }
  */
 router.get(
   "/",
   authenticateToken,
-  allRoles, // All users can view frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
   // frameworkListCache, // Cache middleware (commented out)
   getFrameworksQueryValidation,
   getAllFrameworks
@@ -70,13 +82,14 @@ router.get(
 /**
  * @route   GET /api/frameworks/my-frameworks
  * @desc    Get current user's frameworks
- * @access  Private (User only)
+ * @access  Private (framework:read)
  * @query   { page?, limit?, sort? }
  */
 router.get(
   "/my-frameworks",
   authenticateToken,
-  canUserView, // Only users can view their own frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
   // userFrameworksCache, // Cache middleware (commented out)
   getUserFrameworks
 );
@@ -84,12 +97,13 @@ router.get(
 /**
  * @route   GET /api/frameworks/:id
  * @desc    Get framework by ID
- * @access  Private (User only)
+ * @access  Private (framework:read)
  */
 router.get(
   "/:id",
   authenticateToken,
-  allRoles, // All users can view frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
   // frameworkByIdCache, // Cache middleware (commented out)
   getFrameworkByIdValidation,
   getFrameworkById
@@ -98,26 +112,100 @@ router.get(
 /**
  * @route   GET /api/frameworks/:id/download
  * @desc    Download framework file
- * @access  Private (User only)
+ * @access  Private (framework:read)
  */
 router.get(
   "/:id/download",
   authenticateToken,
-  canUserView, // Only users can download frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
   getFrameworkByIdValidation,
   downloadFramework
 );
 
+/**
+ * @route   POST /api/frameworks/:id/download-url
+ * @desc    Create a short-lived signed URL to download the framework file
+ * @access  Private (framework:read)
+ */
+router.post(
+  "/:id/download-url",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
+  getFrameworkByIdValidation,
+  getFrameworkDownloadUrl
+);
+
+/**
+ * @route   GET /api/frameworks/:id/versions
+ * @desc    Get every uploaded version of a framework
+ * @access  Private (framework:read)
+ */
+router.get(
+  "/:id/versions",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
+  getFrameworkByIdValidation,
+  getFrameworkVersions
+);
+
+/**
+ * @route   GET /api/frameworks/:id/versions/diff
+ * @desc    Control-level diff between two versions (added, removed and changed controls by Control_id)
+ * @access  Private (framework:read)
+ * @query   { from: number, to: number }
+ */
+router.get(
+  "/:id/versions/diff",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
+  getFrameworkByIdValidation,
+  frameworkVersionDiffValidation,
+  diffFrameworkVersions
+);
+
+/**
+ * @route   GET /api/frameworks/:id/versions/:version/download
+ * @desc    Download the file of any framework version
+ * @access  Private (framework:read)
+ */
+router.get(
+  "/:id/versions/:version/download",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
+  frameworkVersionParamsValidation,
+  downloadFrameworkVersion
+);
+
+/**
+ * @route   POST /api/frameworks/:id/versions/:version/rollback
+ * @desc    Make an earlier version current again (the current version is kept)
+ * @access  Private (framework:update)
+ */
+router.post(
+  "/:id/versions/:version/rollback",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FRAMEWORK_UPDATE),
+  requireOrganization,
+  frameworkVersionParamsValidation,
+  rollbackFrameworkVersion
+);
+
 /**
  * @route   PUT /api/frameworks/:id
  * @desc    Update framework details and optionally replace file
- * @access  Private (User only)
+ * @access  Private (framework:update)
  * @body    { frameworkName? } (multipart/form-data with optional field name "file")
  */
 router.put(
   "/:id",
   authenticateToken,
-  canUserUpdate, // Only users can update frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_UPDATE),
+  requireOrganization,
   upload.single("file"), // Handle optional file upload
   getFrameworkByIdValidation,
   updateFrameworkValidation,
@@ -127,12 +215,13 @@ router.put(
 /**
  * @route   POST /api/frameworks/:id/upload-to-ai
  * @desc    Upload framework to AI service for processing
- * @access  Private (User only)
+ * @access  Private (framework:update)
  */
 router.post(
   "/:id/upload-to-ai",
   authenticateToken,
-  canUserUpdate, // Only users can upload their frameworks to AI
+  requirePermission(PERMISSIONS.FRAMEWORK_UPDATE),
+  requireOrganization,
   uploadFrameworkToAIValidation,
   uploadFrameworkToAIService
 );
@@ -140,12 +229,13 @@ router.post(
 /**
  * @route   GET /api/frameworks/:id/ai-status
  * @desc    Check AI processing status for framework
- * @access  Private (User only)
+ * @access  Private (framework:read)
  */
 router.get(
   "/:id/ai-status",
   authenticateToken,
-  canUserView, // Only users can check AI status
+  requirePermission(PERMISSIONS.FRAMEWORK_READ),
+  requireOrganization,
   getFrameworkByIdValidation, // Validate id in params
   checkAIProcessingStatus
 );
@@ -153,12 +243,13 @@ router.get(
 /**
  * @route   DELETE /api/frameworks/:id
  * @desc    Delete framework (soft delete)
- * @access  Private (User only)
+ * @access  Private (framework:delete)
  */
 router.delete(
   "/:id",
   authenticateToken,
-  canUserDelete, // Only users can delete frameworks
+  requirePermission(PERMISSIONS.FRAMEWORK_DELETE),
+  requireOrganization,
   deleteFrameworkValidation,
   deleteFramework
 );
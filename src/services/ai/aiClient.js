@@ -1,15 +1,60 @@
 const axios = require("axios");
+const { CircuitBreaker } = require("./circuitBreaker");
 
 /**
  * AI Client Configuration
  *
  * Provides a centralized HTTP client for AI API communication
  * with base URL configuration and common request handling.
+ *
+ * Failed idempotent calls are retried with exponential backoff and jitter.
+ * Every attempt is recorded by a circuit breaker that fails fast with
+ * "AI service degraded" while the AI service error rate is too high.
  */
 
 // AI API Base Configuration
 const AI_BASE_URL = process.env.AI_BASE_URL_API;
 
+// Read a non-negative number from the environment, falling back to a default
+const readNumberEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Retry configuration for failed AI calls
+const RETRY_CONFIG = {
+  retries: readNumberEnv("AI_RETRY_ATTEMPTS", 3),
+  baseDelayMs: readNumberEnv("AI_RETRY_BASE_DELAY_MS", 500),
+  maxDelayMs: readNumberEnv("AI_RETRY_MAX_DELAY_MS", 5000),
+};
+
+// Methods that are safe to send twice
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Network errors that mean the AI service could not be reached
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ETIMEDOUT",
+];
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Error code of calls rejected while the circuit breaker is open
+const AI_SERVICE_DEGRADED = "AI_SERVICE_DEGRADED";
+
+// Circuit breaker shared by every AI API call
+const aiCircuitBreaker = new CircuitBreaker({
+  windowMs: readNumberEnv("AI_BREAKER_WINDOW_MS", 60000),
+  minRequests: readNumberEnv("AI_BREAKER_MIN_REQUESTS", 5),
+  errorThreshold: readNumberEnv("AI_BREAKER_ERROR_THRESHOLD", 0.5),
+  cooldownMs: readNumberEnv("AI_BREAKER_COOLDOWN_MS", 30000),
+});
+
 // Create axios instance with base configuration
 const aiAxiosInstance = axios.create({
   baseURL: AI_BASE_URL,
@@ -46,98 +91,165 @@ aiAxiosInstance.interceptors.response.use(
   }
 );
 
+// Whether an error means the AI service itself is unhealthy (not a bad request)
+const isServiceFailure = (error) =>
+  NETWORK_ERROR_CODES.includes(error.code) ||
+  !error.response ||
+  error.response.status >= 500 ||
+  error.response.status === 429;
+
+// Whether a failed call can be sent again. A refused connection never reached
+// the AI service, so even non-idempotent calls (uploads) can be retried.
+const isRetryable = (error, idempotent) => {
+  if (error.code === "ECONNREFUSED") return true;
+  if (!idempotent) return false;
+  return (
+    NETWORK_ERROR_CODES.includes(error.code) ||
+    RETRYABLE_STATUSES.includes(error.response?.status)
+  );
+};
+
+// Exponential backoff with jitter: a random delay between half and all of the step
+const getRetryDelay = (attempt) => {
+  const step = Math.min(
+    RETRY_CONFIG.maxDelayMs,
+    RETRY_CONFIG.baseDelayMs * 2 ** attempt
+  );
+  return step / 2 + Math.random() * (step / 2);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Error thrown while the circuit breaker is open
+const createDegradedError = (endpoint) => {
+  const degradedError = new Error(
+    "AI service degraded. Please try again later."
+  );
+  degradedError.code = AI_SERVICE_DEGRADED;
+  degradedError.endpoint = endpoint;
+  degradedError.retryAt = aiCircuitBreaker.getState().retryAt;
+  return degradedError;
+};
+
+// Turn an axios error into an error with a user facing message
+const toAIRequestError = (error, endpoint) => {
+  // Handle specific error types
+  if (error.code === "ECONNREFUSED") {
+    const connectionError = new Error(
+      "AI service is not available. Please try again later."
+    );
+    connectionError.code = "ECONNREFUSED";
+    connectionError.originalError = error;
+    connectionError.endpoint = endpoint;
+    return connectionError;
+  }
+
+  if (error.code === "ENOTFOUND") {
+    const dnsError = new Error(
+      "AI service is not available. Please check configuration."
+    );
+    dnsError.code = "ENOTFOUND";
+    dnsError.originalError = error;
+    dnsError.endpoint = endpoint;
+    return dnsError;
+  }
+
+  if (error.code === "ETIMEDOUT") {
+    const timeoutError = new Error(
+      "AI service request timed out. Please try again later."
+    );
+    timeoutError.code = "ETIMEDOUT";
+    timeoutError.originalError = error;
+    timeoutError.endpoint = endpoint;
+    return timeoutError;
+  }
+
+  // Re-throw with additional context for other errors
+  const enhancedError = new Error(`AI API request failed: ${error.message}`);
+  enhancedError.originalError = error;
+  enhancedError.endpoint = endpoint;
+  enhancedError.status = error.response?.status;
+  enhancedError.responseData = error.response?.data;
+  return enhancedError;
+};
+
 /**
  * Common request method for AI API calls
  * @param {string} endpoint - API endpoint (e.g., '/upload')
  * @param {Object} options - Request options
  * @param {string} options.method - HTTP method (GET, POST, etc.)
- * @param {Object} options.data - Request data
+ * @param {Object} options.data - Request data (must be re-sendable, e.g. a Buffer, for retries)
  * @param {Object} options.headers - Additional headers
+ * @param {boolean} options.idempotent - Override whether the call may be retried (defaults by method)
  * @returns {Promise} Axios response promise
  */
 const addRequest = async (endpoint, options = {}) => {
-  try {
-    // Validate inputs
-    if (!endpoint) {
-      throw new Error("Endpoint is required");
+  // Validate inputs
+  if (!endpoint) {
+    throw new Error("Endpoint is required");
+  }
+
+  if (!AI_BASE_URL) {
+    throw new Error("AI_BASE_URL is not configured");
+  }
+
+  const {
+    method = "GET",
+    data = null,
+    headers = {},
+    idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase()),
+    ...otherOptions
+  } = options;
+
+  const config = {
+    method,
+    url: endpoint,
+    headers: {
+      ...headers,
+    },
+    ...otherOptions,
+  };
+
+  // Add data based on method
+  if (data) {
+    if (method.toLowerCase() === "get") {
+      config.params = data;
+    } else {
+      config.data = data;
     }
+  }
 
-    if (!AI_BASE_URL) {
-      throw new Error("AI_BASE_URL is not configured");
+  for (let attempt = 0; ; attempt++) {
+    if (!aiCircuitBreaker.allowRequest()) {
+      throw createDegradedError(endpoint);
     }
 
-    const {
-      method = "GET",
-      data = null,
-      headers = {},
-      ...otherOptions
-    } = options;
-
-    const config = {
-      method,
-      url: endpoint,
-      headers: {
-        ...headers,
-      },
-      ...otherOptions,
-    };
-
-    // Add data based on method
-    if (data) {
-      if (method.toLowerCase() === "get") {
-        config.params = data;
+    try {
+      const response = await aiAxiosInstance(config);
+      aiCircuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      // A 4xx answer still means the AI service is up
+      if (isServiceFailure(error)) {
+        aiCircuitBreaker.recordFailure(error);
       } else {
-        config.data = data;
+        aiCircuitBreaker.recordSuccess();
       }
-    }
-
-    const response = await aiAxiosInstance(config);
-    return response;
-  } catch (error) {
-    // Handle specific error types
-    if (error.code === "ECONNREFUSED") {
-      const connectionError = new Error(
-        "AI service is not available. Please try again later."
-      );
-      connectionError.code = "ECONNREFUSED";
-      connectionError.originalError = error;
-      connectionError.endpoint = endpoint;
-      throw connectionError;
-    }
 
-    if (error.code === "ENOTFOUND") {
-      const dnsError = new Error(
-        "AI service is not available. Please check configuration."
-      );
-      dnsError.code = "ENOTFOUND";
-      dnsError.originalError = error;
-      dnsError.endpoint = endpoint;
-      throw dnsError;
-    }
+      if (attempt >= RETRY_CONFIG.retries || !isRetryable(error, idempotent)) {
+        throw toAIRequestError(error, endpoint);
+      }
 
-    if (error.code === "ETIMEDOUT") {
-      const timeoutError = new Error(
-        "AI service request timed out. Please try again later."
-      );
-      timeoutError.code = "ETIMEDOUT";
-      timeoutError.originalError = error;
-      timeoutError.endpoint = endpoint;
-      throw timeoutError;
+      aiCircuitBreaker.recordRetry();
+      await sleep(getRetryDelay(attempt));
     }
-
-    // Re-throw with additional context for other errors
-    const enhancedError = new Error(`AI API request failed: ${error.message}`);
-    enhancedError.originalError = error;
-    enhancedError.endpoint = endpoint;
-    enhancedError.status = error.response?.status;
-    enhancedError.responseData = error.response?.data;
-
-    throw enhancedError;
   }
 };
 
 module.exports = {
   AI_BASE_URL,
+  AI_SERVICE_DEGRADED,
   aiAxiosInstance,
+  aiCircuitBreaker,
   addRequest,
 };
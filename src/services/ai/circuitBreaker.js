@@ -0,0 +1,183 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks the outcome of AI API calls over a rolling time window. Once enough
+ * calls failed (error rate at or above the threshold) the breaker opens and
+ * calls fail fast until the cooldown is over. The next call is then let through
+ * as a trial (half-open): success closes the breaker, failure opens it again.
+ */
+
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - Rolling window the error rate is computed over
+   * @param {number} options.minRequests - Calls needed in the window before the breaker may open
+   * @param {number} options.errorThreshold - Error rate (0-1) that opens the breaker
+   * @param {number} options.cooldownMs - Time the breaker stays open before a trial call
+   */
+  constructor({ windowMs, minRequests, errorThreshold, cooldownMs }) {
+    this.windowMs = windowMs;
+    this.minRequests = minRequests;
+    this.errorThreshold = errorThreshold;
+    this.cooldownMs = cooldownMs;
+    this.reset();
+  }
+
+  /**
+   * Close the breaker and clear the rolling window and the totals
+   */
+  reset() {
+    this.close();
+    this.lastFailure = null;
+    this.totals = { requests: 0, failures: 0, retries: 0, rejected: 0 };
+  }
+
+  // Close the breaker and start a fresh rolling window
+  close() {
+    this.state = STATES.CLOSED;
+    this.outcomes = []; // { at, success }
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Drop outcomes that fell out of the rolling window
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Whether a call may go out now; moves an open breaker to half-open after the cooldown
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.state = STATES.HALF_OPEN;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      // Only one trial call at a time while half-open
+      if (this.trialInFlight) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    this.totals.requests++;
+    if (this.state === STATES.HALF_OPEN) {
+      this.close();
+      return;
+    }
+    this.outcomes.push({ at: Date.now(), success: true });
+    this.prune();
+  }
+
+  /**
+   * Record a failed call and open the breaker when the error rate is too high
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    const now = Date.now();
+    this.totals.requests++;
+    this.totals.failures++;
+    this.lastFailure = { message: error.message, at: new Date(now) };
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.open(now);
+      return;
+    }
+
+    this.outcomes.push({ at: now, success: false });
+    this.prune(now);
+
+    const { requests, errorRate } = this.getWindowStats();
+    if (requests >= this.minRequests && errorRate >= this.errorThreshold) {
+      this.open(now);
+    }
+  }
+
+  /**
+   * Count a retry of a failed call
+   */
+  recordRetry() {
+    this.totals.retries++;
+  }
+
+  // Fail fast until the cooldown is over
+  open(now = Date.now()) {
+    this.state = STATES.OPEN;
+    this.openedAt = now;
+    this.trialInFlight = false;
+    console.error(
+      `❌ AI circuit breaker opened for ${this.cooldownMs}ms: ${
+        this.lastFailure?.message || "error rate above threshold"
+      }`
+    );
+  }
+
+  // Calls and error rate inside the rolling window
+  getWindowStats() {
+    const requests = this.outcomes.length;
+    const failures = this.outcomes.filter((outcome) => !outcome.success).length;
+    return {
+      requests,
+      failures,
+      errorRate: requests > 0 ? failures / requests : 0,
+    };
+  }
+
+  /**
+   * Snapshot of the breaker for monitoring
+   * @returns {Object} State, window statistics, configuration and totals
+   */
+  getState() {
+    this.prune();
+    // Report the half-open transition even before the next call arrives
+    const cooledDown =
+      this.state === STATES.OPEN &&
+      Date.now() - this.openedAt >= this.cooldownMs;
+
+    return {
+      state: cooledDown ? STATES.HALF_OPEN : this.state,
+      window: this.getWindowStats(),
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt:
+        this.state === STATES.OPEN && !cooledDown
+          ? new Date(this.openedAt + this.cooldownMs)
+          : null,
+      lastFailure: this.lastFailure,
+      totals: { ...this.totals },
+      config: {
+        windowMs: this.windowMs,
+        minRequests: this.minRequests,
+        errorThreshold: this.errorThreshold,
+        cooldownMs: this.cooldownMs,
+      },
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+};
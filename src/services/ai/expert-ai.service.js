@@ -1,6 +1,10 @@
 const FormData = require("form-data");
-const fs = require("fs");
 const path = require("path");
+const {
+  STORAGE_ERRORS,
+  statObject,
+  readObject,
+} = require("../storage/storage.service");
 const WebSocket = require("ws");
 const { addRequest, AI_BASE_URL } = require("./aiClient");
 
@@ -15,21 +19,21 @@ class AIService {
 
   /**
    * Upload framework to AI service
-   * @param {string} filePath - Path to framework file
+   * @param {string} fileKey - Storage key of the framework file
    * @returns {Promise<Object>} AI response
    */
-  async uploadFramework(filePath) {
+  async uploadFramework(fileKey) {
     try {
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`File not found: ${filePath}`);
+      const fileStats = await statObject(fileKey);
+      if (!fileStats) {
+        throw new Error(`File not found: ${fileKey}`);
       }
 
-      const fileStats = fs.statSync(filePath);
       if (fileStats.size === 0) {
         throw new Error("File is empty");
       }
 
-      const fileExtension = path.extname(filePath).toLowerCase();
+      const fileExtension = path.extname(fileKey).toLowerCase();
       const supportedTypes = [".pdf", ".doc", ".docx", ".xls", ".xlsx"];
 
       if (!supportedTypes.includes(fileExtension)) {
@@ -41,7 +45,8 @@ class AIService {
       }
 
       const formData = new FormData();
-      const fileStream = fs.createReadStream(filePath);
+      // Buffered (not streamed) so aiClient can send the body again on retry
+      const fileBuffer = await readObject(fileKey);
 
       let contentType = "application/octet-stream";
       switch (fileExtension) {
@@ -64,14 +69,14 @@ class AIService {
           break;
       }
 
-      formData.append("file", fileStream, {
-        filename: path.basename(filePath),
+      formData.append("file", fileBuffer, {
+        filename: path.basename(fileKey),
         contentType: contentType,
       });
 
       const response = await addRequest("/expert/framework/upload", {
         method: "POST",
-        data: formData,
+        data: formData.getBuffer(),
         headers: {
           ...formData.getHeaders(),
         },
@@ -88,15 +93,15 @@ class AIService {
         message: "Framework uploaded successfully to AI service",
         aiResponse: {
           status: response.data.status,
-          filename: response.data.filename || path.basename(filePath),
+          filename: response.data.filename || path.basename(fileKey),
           uuid: response.data.uuid,
           control_extraction_status:
             response.data.control_extraction_status || "pending",
         },
       };
     } catch (error) {
-      if (error.code === "ENOENT") {
-        throw new Error(`File not found: ${filePath}`);
+      if (error.code === STORAGE_ERRORS.NOT_FOUND) {
+        throw new Error(`File not found: ${fileKey}`);
       }
       if (error.response?.status === 413) {
         throw new Error("File too large for AI processing");
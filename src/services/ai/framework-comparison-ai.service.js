@@ -14,14 +14,17 @@ class FrameworkComparisonAIService {
    * Start framework comparison with AI service
    * @param {string} userFrameworkUuid - User framework UUID
    * @param {string} expertFrameworkUuid - Expert framework UUID
-   * @param {string} userFrameworkId - User framework ID for connection tracking
+   * @param {string} comparisonId - Framework comparison ID for connection tracking
    * @param {Function} onMessage - Callback for AI messages
+   * @param {Function} [onError] - Callback when the AI connection fails or closes
+   *   before a final message
    */
   startFrameworkComparison(
     userFrameworkUuid,
     expertFrameworkUuid,
-    userFrameworkId,
-    onMessage
+    comparisonId,
+    onMessage,
+    onError
   ) {
     try {
       const aiWsUrl = `${AI_BASE_URL.replace(
@@ -29,8 +32,25 @@ class FrameworkComparisonAIService {
         "ws"
       )}/user/websocket/comparison?user_framework_uuid=${userFrameworkUuid}&expert_framework_uuid=${expertFrameworkUuid}`;
       const aiWs = new WebSocket(aiWsUrl);
+      // Set once a final message arrived or the failure was reported
+      let settled = false;
 
-      this.activeConnections.set(userFrameworkId, aiWs);
+      this.activeConnections.set(comparisonId, aiWs);
+
+      const reportFailure = async (error) => {
+        if (settled) return;
+        settled = true;
+        if (!onError) return;
+
+        try {
+          await onError(error);
+        } catch (callbackError) {
+          console.error(
+            `❌ Error handling AI WebSocket failure for comparison ${comparisonId}:`,
+            callbackError
+          );
+        }
+      };
 
       aiWs.on("open", () => {
         // Connected to AI WebSocket
@@ -39,19 +59,19 @@ class FrameworkComparisonAIService {
       aiWs.on("message", async (data) => {
         try {
           const message = JSON.parse(data.toString());
+          const isFinal = ["completed", "error", "failed", "done"].includes(
+            message.status
+          );
+          if (isFinal) settled = true;
 
           if (onMessage) {
             await onMessage(message);
           }
 
           // Close connection on completion or error
-          if (
-            message.status === "completed" ||
-            message.status === "error" ||
-            message.status === "done"
-          ) {
+          if (isFinal) {
             setTimeout(() => {
-              this.closeConnection(userFrameworkId);
+              this.closeConnection(comparisonId);
             }, 1000);
           }
         } catch (parseError) {
@@ -59,43 +79,66 @@ class FrameworkComparisonAIService {
         }
       });
 
-      aiWs.on("error", (error) => {
+      aiWs.on("error", async (error) => {
         console.error(
-          `❌ AI WebSocket error for comparison ${userFrameworkId}:`,
+          `❌ AI WebSocket error for comparison ${comparisonId}:`,
           error
         );
-        this.closeConnection(userFrameworkId);
+        this.closeConnection(comparisonId);
+        await reportFailure(error);
       });
 
-      aiWs.on("close", () => {
-        this.activeConnections.delete(userFrameworkId);
+      aiWs.on("close", async () => {
+        // Only handle the socket if it is still the tracked one: closeConnection
+        // forgets it first, and a resumed run may have replaced it
+        if (this.activeConnections.get(comparisonId) !== aiWs) return;
+        this.activeConnections.delete(comparisonId);
+
+        // The AI service dropped the connection without a final message
+        if (!settled) {
+          console.error(
+            `❌ AI WebSocket for comparison ${comparisonId} closed before the comparison finished`
+          );
+          await reportFailure(
+            new Error("AI connection closed before the comparison finished")
+          );
+        }
       });
     } catch (error) {
       console.error(
-        `❌ Error creating AI WebSocket connection for comparison ${userFrameworkId}:`,
+        `❌ Error creating AI WebSocket connection for comparison ${comparisonId}:`,
         error
       );
       throw error;
     }
   }
 
+  /**
+   * Check whether a comparison still has an open AI connection
+   * @param {string} comparisonId - Framework comparison ID
+   * @returns {boolean}
+   */
+  isRunning(comparisonId) {
+    return this.activeConnections.has(comparisonId);
+  }
+
   /**
    * Close WebSocket connection
-   * @param {string} userFrameworkId - User framework ID
+   * @param {string} comparisonId - Framework comparison ID
    */
-  closeConnection(userFrameworkId) {
-    const aiWs = this.activeConnections.get(userFrameworkId);
+  closeConnection(comparisonId) {
+    const aiWs = this.activeConnections.get(comparisonId);
     if (aiWs && aiWs.readyState === WebSocket.OPEN) {
       aiWs.close();
     }
-    this.activeConnections.delete(userFrameworkId);
+    this.activeConnections.delete(comparisonId);
   }
 
   /**
    * Close all connections
    */
   closeAllConnections() {
-    for (const [userFrameworkId, aiWs] of this.activeConnections) {
+    for (const [comparisonId, aiWs] of this.activeConnections) {
       if (aiWs && aiWs.readyState === WebSocket.OPEN) {
         aiWs.close();
       }
@@ -0,0 +1,431 @@
+/**
+ * API Key Service
+ *
+ * API keys let scripts and CI pipelines call the API without the interactive
+ * login. A key belongs to a user (a person or a service account), is limited to
+ * a set of permission scopes and works in one organization. Keys expire, are
+ * stored as SHA-256 hashes and are shown only once, when they are created.
+ * Service accounts are users without a password that can only use API keys.
+ */
+
+const crypto = require("crypto");
+const ApiKey = require("../models/api-key.model");
+const User = require("../models/user.model");
+const Organization = require("../models/organization.model");
+const { hashToken } = require("./session.service");
+const { PERMISSIONS, getRolePermissions } = require("./permission.service");
+const { findMemberOrganization } = require("./organization.service");
+const { recordAuditEvent } = require("./audit.service");
+
+// Keys start with this prefix so they are easy to spot in logs and secret scanners
+const API_KEY_PREFIX = "cs_";
+
+// Characters of the key kept in clear text to identify it in lists
+const DISPLAY_PREFIX_LENGTH = 10;
+
+const readNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const DEFAULT_API_KEY_TTL_DAYS = 90;
+const MAX_API_KEY_TTL_DAYS = readNumberEnv("API_KEY_MAX_TTL_DAYS", 365);
+
+// Active keys a single user may have at the same time
+const MAX_ACTIVE_API_KEYS = 25;
+
+// Authenticated requests refresh lastUsedAt at most this often
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Service accounts get an address on the reserved .invalid domain, so no
+// email is ever delivered to them
+const SERVICE_ACCOUNT_EMAIL_DOMAIN = "service-accounts.invalid";
+
+const API_KEY_ERRORS = {
+  INVALID: "API_KEY_INVALID",
+  NOT_FOUND: "API_KEY_NOT_FOUND",
+  SCOPE_NOT_ALLOWED: "API_KEY_SCOPE_NOT_ALLOWED",
+  ORGANIZATION_REQUIRED: "API_KEY_ORGANIZATION_REQUIRED",
+  ORGANIZATION_NOT_FOUND: "API_KEY_ORGANIZATION_NOT_FOUND",
+  LIMIT_REACHED: "API_KEY_LIMIT_REACHED",
+  SERVICE_ACCOUNT_NOT_FOUND: "SERVICE_ACCOUNT_NOT_FOUND",
+};
+
+// HTTP status for each error, shared by the user and admin controllers
+const API_KEY_ERROR_STATUS = {
+  [API_KEY_ERRORS.INVALID]: 401,
+  [API_KEY_ERRORS.NOT_FOUND]: 404,
+  [API_KEY_ERRORS.SCOPE_NOT_ALLOWED]: 403,
+  [API_KEY_ERRORS.ORGANIZATION_REQUIRED]: 400,
+  [API_KEY_ERRORS.ORGANIZATION_NOT_FOUND]: 404,
+  [API_KEY_ERRORS.LIMIT_REACHED]: 409,
+  [API_KEY_ERRORS.SERVICE_ACCOUNT_NOT_FOUND]: 404,
+};
+
+const AUDIT_EVENTS = {
+  API_KEY_CREATED: "api-key-created",
+  API_KEY_REVOKED: "api-key-revoked",
+  SERVICE_ACCOUNT_CREATED: "service-account-created",
+  SERVICE_ACCOUNT_DELETED: "service-account-deleted",
+};
+
+const apiKeyError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const generateApiKey = () =>
+  `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Create an API key for a user
+ * @param {Object} user - Owner of the key (user document)
+ * @param {Object} data - { name, scopes, expiresInDays, organizationId }
+ * @param {Object} context - { actorId, ipAddress, userAgent }
+ * @returns {Promise<Object>} { apiKey, key } where key is the only copy of the plain key
+ * @throws SCOPE_NOT_ALLOWED when the owner's role does not grant a scope,
+ *   ORGANIZATION_REQUIRED / ORGANIZATION_NOT_FOUND for keys scoped to one
+ *   organization, LIMIT_REACHED when the owner has too many active keys
+ */
+const createApiKey = async (
+  user,
+  { name, scopes, expiresInDays = DEFAULT_API_KEY_TTL_DAYS, organizationId },
+  { actorId = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const uniqueScopes = [...new Set(scopes)];
+
+  // A key can never do more than its owner
+  const rolePermissions = await getRolePermissions(user.role);
+  const notGranted = uniqueScopes.filter(
+    (scope) => !rolePermissions.includes(scope)
+  );
+  if (notGranted.length > 0) {
+    throw apiKeyError(
+      API_KEY_ERRORS.SCOPE_NOT_ALLOWED,
+      `The role "${
+        user.role
+      }" does not grant the following permissions: ${notGranted.join(", ")}`
+    );
+  }
+
+  // Keys without tenant:all work in one organization the owner belongs to
+  let organization = null;
+  if (!uniqueScopes.includes(PERMISSIONS.TENANT_ALL)) {
+    if (!organizationId) {
+      throw apiKeyError(
+        API_KEY_ERRORS.ORGANIZATION_REQUIRED,
+        "An organization is required for API keys without the tenant:all scope"
+      );
+    }
+
+    organization = await findMemberOrganization(organizationId, user._id);
+    if (!organization) {
+      throw apiKeyError(
+        API_KEY_ERRORS.ORGANIZATION_NOT_FOUND,
+        "Organization not found or the key owner is not a member of it"
+      );
+    }
+  }
+
+  const activeCount = await ApiKey.countDocuments({
+    userId: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeCount >= MAX_ACTIVE_API_KEYS) {
+    throw apiKeyError(
+      API_KEY_ERRORS.LIMIT_REACHED,
+      `A user can have at most ${MAX_ACTIVE_API_KEYS} active API keys. Revoke an unused key first`
+    );
+  }
+
+  const key = generateApiKey();
+  const apiKey = await ApiKey.create({
+    userId: user._id,
+    name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key),
+    scopes: uniqueScopes,
+    organizationId: organization?._id || null,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    createdBy: actorId,
+  });
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.API_KEY_CREATED,
+    actorId,
+    targetUserId: user._id,
+    email: user.email,
+    ipAddress,
+    userAgent,
+    details: {
+      apiKeyId: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      organizationId: apiKey.organizationId,
+      expiresAt: apiKey.expiresAt,
+    },
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Verify an API key from the X-API-Key header
+ * @param {string} key - Plain API key
+ * @param {string} ipAddress - Address of the request, stored as last used
+ * @returns {Promise<Object>} { user, apiKey }
+ * @throws INVALID when the key is unknown, revoked, expired or its owner is gone
+ */
+const verifyApiKey = async (key, ipAddress = null) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!apiKey) {
+    throw apiKeyError(
+      API_KEY_ERRORS.INVALID,
+      "Invalid, expired or revoked API key."
+    );
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) {
+    throw apiKeyError(
+      API_KEY_ERRORS.INVALID,
+      "Invalid API key - user not found"
+    );
+  }
+
+  // Throttled so every request does not cost a write
+  const now = new Date();
+  if (
+    !apiKey.lastUsedAt ||
+    now - apiKey.lastUsedAt >= LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    apiKey.lastUsedAt = now;
+    apiKey.lastUsedIp = ipAddress;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ipAddress } }
+    );
+  }
+
+  return { user, apiKey };
+};
+
+/**
+ * Get the API keys of a user, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeInactive } to also return revoked and expired keys
+ * @returns {Promise<Array>} API keys
+ */
+const getUserApiKeys = (userId, { includeInactive = false } = {}) => {
+  const filter = { userId };
+  if (!includeInactive) {
+    filter.revokedAt = null;
+    filter.expiresAt = { $gt: new Date() };
+  }
+
+  return ApiKey.find(filter).sort({ createdAt: -1 });
+};
+
+/**
+ * Revoke an API key
+ * @param {string} apiKeyId - API key ID
+ * @param {Object} context - { userId } the key must belong to (optional), { actorId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Revoked API key
+ * @throws NOT_FOUND when there is no active key with this ID
+ */
+const revokeApiKey = async (
+  apiKeyId,
+  { userId = null, actorId = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    {
+      _id: apiKeyId,
+      ...(userId && { userId }),
+      revokedAt: null,
+    },
+    { $set: { revokedAt: new Date(), revokedBy: actorId } },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    throw apiKeyError(API_KEY_ERRORS.NOT_FOUND, "Active API key not found");
+  }
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.API_KEY_REVOKED,
+    actorId,
+    targetUserId: apiKey.userId,
+    ipAddress,
+    userAgent,
+    details: {
+      apiKeyId: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+    },
+  });
+
+  return apiKey;
+};
+
+/**
+ * Find a service account
+ * @param {string} userId - User ID of the service account
+ * @returns {Promise<Object>} Service account (user document)
+ * @throws SERVICE_ACCOUNT_NOT_FOUND
+ */
+const getServiceAccount = async (userId) => {
+  const account = await User.findOne({ _id: userId, isServiceAccount: true });
+  if (!account) {
+    throw apiKeyError(
+      API_KEY_ERRORS.SERVICE_ACCOUNT_NOT_FOUND,
+      "Service account not found"
+    );
+  }
+  return account;
+};
+
+/**
+ * Create a service account, optionally as member of an organization
+ * @param {Object} data - { name, role, organizationId }
+ * @param {Object} context - { actorId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Service account (user document)
+ * @throws ORGANIZATION_NOT_FOUND
+ */
+const createServiceAccount = async (
+  { name, role, organizationId },
+  { actorId = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const organization = organizationId
+    ? await Organization.findById(organizationId)
+    : null;
+  if (organizationId && !organization) {
+    throw apiKeyError(
+      API_KEY_ERRORS.ORGANIZATION_NOT_FOUND,
+      "Organization not found"
+    );
+  }
+
+  const slug =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "service";
+
+  const account = await User.create({
+    name,
+    email: `${slug}-${crypto
+      .randomBytes(4)
+      .toString("hex")}@${SERVICE_ACCOUNT_EMAIL_DOMAIN}`,
+    role,
+    isServiceAccount: true,
+    isEmailVerified: true,
+    createdBy: "admin",
+    createdByAdminId: actorId,
+  });
+
+  if (organization) {
+    await Organization.updateOne(
+      { _id: organization._id },
+      {
+        $push: {
+          members: { userId: account._id, role: "member", addedBy: actorId },
+        },
+      }
+    );
+  }
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.SERVICE_ACCOUNT_CREATED,
+    actorId,
+    targetUserId: account._id,
+    email: account.email,
+    ipAddress,
+    userAgent,
+    details: {
+      name: account.name,
+      role: account.role,
+      organizationId: organization?._id || null,
+    },
+  });
+
+  return account;
+};
+
+/**
+ * Delete a service account and its API keys. Data it uploaded is kept.
+ * @param {string} userId - User ID of the service account
+ * @param {Object} context - { actorId, ipAddress, userAgent }
+ * @throws SERVICE_ACCOUNT_NOT_FOUND
+ */
+const deleteServiceAccount = async (
+  userId,
+  { actorId = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const account = await getServiceAccount(userId);
+
+  await ApiKey.deleteMany({ userId: account._id });
+  await Organization.updateMany(
+    { "members.userId": account._id },
+    { $pull: { members: { userId: account._id } } }
+  );
+  await User.deleteOne({ _id: account._id });
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.SERVICE_ACCOUNT_DELETED,
+    actorId,
+    targetUserId: account._id,
+    email: account.email,
+    ipAddress,
+    userAgent,
+    details: { name: account.name, role: account.role },
+  });
+};
+
+/**
+ * Shape an API key for API responses
+ * @param {Object} apiKey - API key document
+ * @returns {Object} API key without its hash
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  userId: apiKey.userId,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  organizationId: apiKey.organizationId,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: !apiKey.revokedAt && apiKey.expiresAt > new Date(),
+});
+
+module.exports = {
+  API_KEY_ERRORS,
+  API_KEY_ERROR_STATUS,
+  AUDIT_EVENTS,
+  DEFAULT_API_KEY_TTL_DAYS,
+  MAX_API_KEY_TTL_DAYS,
+  createApiKey,
+  verifyApiKey,
+  getUserApiKeys,
+  revokeApiKey,
+  getServiceAccount,
+  createServiceAccount,
+  deleteServiceAccount,
+  formatApiKey,
+};
@@ -0,0 +1,26 @@
+/**
+ * Audit Service
+ *
+ * Writes audit log entries. Writing an entry never fails the request that
+ * triggered it; errors are only logged.
+ */
+
+const AuditLog = require("../models/audit-log.model");
+
+/**
+ * Record an audit event
+ * @param {Object} entry - { category, event, actorId, targetUserId, email, ipAddress, userAgent, details }
+ * @returns {Promise<Object|null>} Saved entry, or null when it could not be written
+ */
+const recordAuditEvent = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Error writing audit event ${entry.event}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAuditEvent,
+};
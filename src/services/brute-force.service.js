@@ -0,0 +1,466 @@
+/**
+ * Brute-force Protection Service
+ *
+ * Counts failed login, OTP, password reset and MFA attempts in Redis, per
+ * account (email) and per IP address, over a rolling window. After a few free
+ * attempts every failure makes the account wait longer before the next try;
+ * at the limit the account is locked for a while and the owner gets an unlock
+ * email. An IP address with too many failures is blocked. Locks, blocks and
+ * unlocks are written to the audit log.
+ *
+ * When Redis is not configured or not reachable, failures are counted in the
+ * memory of this process instead, so the protection keeps working on a single
+ * instance; a warning is logged when this starts.
+ */
+
+const crypto = require("crypto");
+const { generateCacheKey, redisClient } = require("../config/cache.config");
+const User = require("../models/user.model");
+const { recordAuditEvent } = require("./audit.service");
+const { sendAccountUnlockEmail } = require("./email.service");
+const { createMemoryStore } = require("./memory-store");
+
+const readNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const BRUTE_FORCE_CONFIG = {
+  // Failures are counted over this window
+  windowSeconds: readNumberEnv("BRUTE_FORCE_WINDOW_SECONDS", 15 * 60),
+  // Failures per account before delays start
+  freeAttempts: readNumberEnv("BRUTE_FORCE_FREE_ATTEMPTS", 3),
+  // Failures per account that lock it
+  maxAccountAttempts: readNumberEnv("BRUTE_FORCE_MAX_ACCOUNT_ATTEMPTS", 10),
+  // Failures per IP address that block it
+  maxIpAttempts: readNumberEnv("BRUTE_FORCE_MAX_IP_ATTEMPTS", 50),
+  baseDelayMs: readNumberEnv("BRUTE_FORCE_BASE_DELAY_MS", 1000),
+  maxDelayMs: readNumberEnv("BRUTE_FORCE_MAX_DELAY_MS", 30 * 1000),
+  lockoutSeconds: readNumberEnv("ACCOUNT_LOCKOUT_SECONDS", 15 * 60),
+};
+
+const LOCK_TYPES = {
+  ACCOUNT: "account",
+  IP: "ip",
+};
+
+const AUDIT_EVENTS = {
+  ACCOUNT_LOCKED: "account-locked",
+  ACCOUNT_UNLOCKED: "account-unlocked",
+  IP_BLOCKED: "ip-blocked",
+  IP_UNBLOCKED: "ip-unblocked",
+};
+
+const KEY_PREFIX = "bf";
+
+const failureKey = (type, id) => generateCacheKey(KEY_PREFIX, "fail", type, id);
+const delayKey = (email) => generateCacheKey(KEY_PREFIX, "delay", email);
+const lockKey = (type, id) => generateCacheKey(KEY_PREFIX, "lock", type, id);
+const unlockTokenKey = (tokenHash) =>
+  generateCacheKey(KEY_PREFIX, "unlock", tokenHash);
+
+// Stand-in for Redis while it is not configured or down
+const memoryStore = createMemoryStore();
+let usingMemoryStore = false;
+
+// Connected Redis client, or the memory store when Redis is not available
+const getClient = () => {
+  const client = redisClient();
+  if (client && client.isReady) {
+    if (usingMemoryStore) {
+      console.log(
+        "🛡️ Brute-force protection is counting failures in Redis again"
+      );
+      usingMemoryStore = false;
+    }
+    return client;
+  }
+
+  if (!usingMemoryStore) {
+    console.warn(
+      "⚠️ Redis is not available, brute-force protection counts failures in memory of this process only"
+    );
+    usingMemoryStore = true;
+  }
+  return memoryStore;
+};
+
+const normalizeEmail = (email) =>
+  typeof email === "string" && email.trim() ? email.trim().toLowerCase() : null;
+
+// Wait before the next attempt, doubling with every failure past the free ones
+const getDelayMs = (failures) => {
+  const over = failures - BRUTE_FORCE_CONFIG.freeAttempts;
+  if (over <= 0) return 0;
+  return Math.min(
+    BRUTE_FORCE_CONFIG.baseDelayMs * 2 ** (over - 1),
+    BRUTE_FORCE_CONFIG.maxDelayMs
+  );
+};
+
+// Increment a failure counter; the window starts with the first failure
+const incrementFailures = async (client, key) => {
+  const failures = await client.incr(key);
+  if (failures === 1) {
+    await client.expire(key, BRUTE_FORCE_CONFIG.windowSeconds);
+  }
+  return failures;
+};
+
+/**
+ * Whether an attempt for this account or from this IP must be refused now
+ * @param {Object} attempt - { email, ipAddress }
+ * @returns {Promise<Object|null>} { type, status, message, retryAfter } or null
+ */
+const getAttemptBlock = async ({ email, ipAddress }) => {
+  const client = getClient();
+  const account = normalizeEmail(email);
+
+  try {
+    if (ipAddress) {
+      const ttl = await client.ttl(lockKey(LOCK_TYPES.IP, ipAddress));
+      if (ttl > 0) {
+        return {
+          type: LOCK_TYPES.IP,
+          status: 429,
+          message:
+            "Too many failed attempts from your network. Please try again later.",
+          retryAfter: ttl,
+        };
+      }
+    }
+
+    if (account) {
+      const ttl = await client.ttl(lockKey(LOCK_TYPES.ACCOUNT, account));
+      if (ttl > 0) {
+        return {
+          type: LOCK_TYPES.ACCOUNT,
+          status: 423,
+          message:
+            "This account is temporarily locked after too many failed attempts. Check your email to unlock it or try again later.",
+          retryAfter: ttl,
+        };
+      }
+
+      const delayMs = await client.pTTL(delayKey(account));
+      if (delayMs > 0) {
+        return {
+          type: "delay",
+          status: 429,
+          message: "Too many failed attempts. Please wait before trying again.",
+          retryAfter: Math.ceil(delayMs / 1000),
+        };
+      }
+    }
+  } catch (error) {
+    console.error("Brute-force check error:", error);
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed attempt; may delay or lock the account and block the IP
+ * @param {string} action - Endpoint that failed (login, verify-otp, reset-password, mfa)
+ * @param {Object} attempt - { email, ipAddress, userAgent }
+ */
+const recordFailedAttempt = async (action, { email, ipAddress, userAgent }) => {
+  const client = getClient();
+  const account = normalizeEmail(email);
+
+  try {
+    if (ipAddress) {
+      const ipFailures = await incrementFailures(
+        client,
+        failureKey(LOCK_TYPES.IP, ipAddress)
+      );
+      if (ipFailures >= BRUTE_FORCE_CONFIG.maxIpAttempts) {
+        await blockIp(client, ipAddress, {
+          action,
+          failures: ipFailures,
+          userAgent,
+        });
+      }
+    }
+
+    if (account) {
+      const failures = await incrementFailures(
+        client,
+        failureKey(LOCK_TYPES.ACCOUNT, account)
+      );
+
+      if (failures >= BRUTE_FORCE_CONFIG.maxAccountAttempts) {
+        await lockAccount(client, account, {
+          action,
+          failures,
+          ipAddress,
+          userAgent,
+        });
+      } else {
+        const delayMs = getDelayMs(failures);
+        if (delayMs > 0) {
+          await client.pSetEx(delayKey(account), delayMs, "1");
+        }
+      }
+    }
+  } catch (error) {
+    console.error("Brute-force record error:", error);
+  }
+};
+
+/**
+ * Forget the failures of an account after a successful attempt
+ * @param {string} email - Account email
+ */
+const clearFailedAttempts = async (email) => {
+  const client = getClient();
+  const account = normalizeEmail(email);
+  if (!account) return;
+
+  try {
+    await client.del([
+      failureKey(LOCK_TYPES.ACCOUNT, account),
+      delayKey(account),
+    ]);
+  } catch (error) {
+    console.error("Brute-force clear error:", error);
+  }
+};
+
+// Lock an account, invalidate its pending OTP and email the owner an unlock link
+const lockAccount = async (client, account, details) => {
+  const { lockoutSeconds } = BRUTE_FORCE_CONFIG;
+  const lockedAt = new Date();
+
+  // Only the failure that crosses the limit creates (and audits) the lock
+  const created = await client.set(
+    lockKey(LOCK_TYPES.ACCOUNT, account),
+    JSON.stringify({
+      email: account,
+      lockedAt,
+      action: details.action,
+      failures: details.failures,
+      ipAddress: details.ipAddress || null,
+    }),
+    { expiration: { type: "EX", value: lockoutSeconds }, condition: "NX" }
+  );
+  if (!created) return;
+
+  await client.del([
+    failureKey(LOCK_TYPES.ACCOUNT, account),
+    delayKey(account),
+  ]);
+
+  // Locks also apply to unknown emails so responses do not reveal accounts
+  const user = await User.findOne({ email: account });
+  if (user) {
+    // A guessed OTP must not work once the lock expires
+    await User.updateOne({ _id: user._id }, { $unset: { otp: "" } });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await client.setEx(
+      unlockTokenKey(crypto.createHash("sha256").update(token).digest("hex")),
+      lockoutSeconds,
+      account
+    );
+
+    const lockedUntil = new Date(lockedAt.getTime() + lockoutSeconds * 1000);
+    const emailSent = await sendAccountUnlockEmail(
+      user.email,
+      token,
+      lockedUntil,
+      user.name
+    );
+    if (!emailSent) {
+      console.error(
+        `Failed to send unlock email for locked account ${account}`
+      );
+    }
+  }
+
+  console.warn(
+    `🔒 Account ${account} locked for ${lockoutSeconds}s after ${details.failures} failed ${details.action} attempts`
+  );
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.ACCOUNT_LOCKED,
+    targetUserId: user?._id || null,
+    email: account,
+    ipAddress: details.ipAddress || null,
+    userAgent: details.userAgent || null,
+    details: {
+      action: details.action,
+      failures: details.failures,
+      lockoutSeconds,
+      userExists: !!user,
+    },
+  });
+};
+
+// Block an IP address for the lockout period
+const blockIp = async (client, ipAddress, details) => {
+  const { lockoutSeconds } = BRUTE_FORCE_CONFIG;
+  const key = lockKey(LOCK_TYPES.IP, ipAddress);
+
+  // Only the failure that crosses the limit creates (and audits) the block
+  const created = await client.set(
+    key,
+    JSON.stringify({
+      ipAddress,
+      lockedAt: new Date(),
+      action: details.action,
+      failures: details.failures,
+    }),
+    { expiration: { type: "EX", value: lockoutSeconds }, condition: "NX" }
+  );
+  if (!created) return;
+
+  await client.del(failureKey(LOCK_TYPES.IP, ipAddress));
+
+  console.warn(
+    `🔒 IP ${ipAddress} blocked for ${lockoutSeconds}s after ${details.failures} failed attempts`
+  );
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.IP_BLOCKED,
+    ipAddress,
+    userAgent: details.userAgent || null,
+    details: {
+      action: details.action,
+      failures: details.failures,
+      lockoutSeconds,
+    },
+  });
+};
+
+/**
+ * Unlock an account and reset its failures
+ * @param {string} email - Account email
+ * @param {Object} context - { actorId, ipAddress, via: "admin" | "email" }
+ * @returns {Promise<boolean>} Whether the account was locked
+ */
+const unlockAccount = async (
+  email,
+  { actorId = null, ipAddress = null, via }
+) => {
+  const client = getClient();
+
+  const account = normalizeEmail(email);
+  const removed = await client.del(lockKey(LOCK_TYPES.ACCOUNT, account));
+  await client.del([
+    failureKey(LOCK_TYPES.ACCOUNT, account),
+    delayKey(account),
+  ]);
+
+  if (removed > 0) {
+    const user = await User.findOne({ email: account }).select("_id");
+    await recordAuditEvent({
+      category: "security",
+      event: AUDIT_EVENTS.ACCOUNT_UNLOCKED,
+      actorId,
+      targetUserId: user?._id || null,
+      email: account,
+      ipAddress,
+      details: { via },
+    });
+  }
+
+  return removed > 0;
+};
+
+/**
+ * Unlock an account with the token from the unlock email (single use)
+ * @param {string} token - Unlock token
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<boolean>} Whether the token was valid
+ */
+const unlockAccountWithToken = async (token, { ipAddress = null } = {}) => {
+  const client = getClient();
+
+  const key = unlockTokenKey(
+    crypto.createHash("sha256").update(token).digest("hex")
+  );
+  const account = await client.getDel(key);
+  if (!account) return false;
+
+  const user = await User.findOne({ email: account }).select("_id");
+  await unlockAccount(account, {
+    actorId: user?._id || null,
+    ipAddress,
+    via: "email",
+  });
+  return true;
+};
+
+/**
+ * Unblock an IP address and reset its failures
+ * @param {string} ipAddress - IP address
+ * @param {Object} context - { actorId }
+ * @returns {Promise<boolean>} Whether the IP address was blocked
+ */
+const unblockIp = async (ipAddress, { actorId = null }) => {
+  const client = getClient();
+
+  const removed = await client.del(lockKey(LOCK_TYPES.IP, ipAddress));
+  await client.del(failureKey(LOCK_TYPES.IP, ipAddress));
+
+  if (removed > 0) {
+    await recordAuditEvent({
+      category: "security",
+      event: AUDIT_EVENTS.IP_UNBLOCKED,
+      actorId,
+      ipAddress,
+      details: { via: "admin" },
+    });
+  }
+
+  return removed > 0;
+};
+
+/**
+ * Current account locks and IP blocks
+ * @returns {Promise<Object>} { accounts, ips } with the time left on each
+ */
+const getActiveLockouts = async () => {
+  const client = getClient();
+
+  const lockouts = { accounts: [], ips: [] };
+
+  for (const type of Object.values(LOCK_TYPES)) {
+    for await (const keys of client.scanIterator({
+      MATCH: lockKey(type, "*"),
+      COUNT: 100,
+    })) {
+      for (const key of keys) {
+        const [value, ttl] = await Promise.all([
+          client.get(key),
+          client.ttl(key),
+        ]);
+        if (!value || ttl <= 0) continue;
+
+        const lock = JSON.parse(value);
+        lockouts[type === LOCK_TYPES.ACCOUNT ? "accounts" : "ips"].push({
+          ...lock,
+          retryAfter: ttl,
+          lockedUntil: new Date(Date.now() + ttl * 1000),
+        });
+      }
+    }
+  }
+
+  return lockouts;
+};
+
+module.exports = {
+  BRUTE_FORCE_CONFIG,
+  AUDIT_EVENTS,
+  getAttemptBlock,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockAccount,
+  unlockAccountWithToken,
+  unblockIp,
+  getActiveLockouts,
+};
@@ -0,0 +1,110 @@
+const Control = require("../models/control.model");
+const ExpertFramework = require("../models/expert-framework.model");
+
+/**
+ * Control Service
+ *
+ * Expert framework controls are stored one document per control in the
+ * `controls` collection. These helpers replace a framework's controls after AI
+ * extraction and load them back in the shape the AI service returned them.
+ */
+
+// Fields copied from an AI extracted control
+const CONTROL_FIELDS = [
+  "Control_id",
+  "Control_name",
+  "Control_type",
+  "Control_description",
+  "Deployment_points",
+];
+
+// Keep only known control fields and drop controls without an ID or seen before
+const normalizeExtractedControls = (controls = []) => {
+  const seen = new Set();
+  return controls.filter((control) => {
+    const controlId = control?.Control_id?.toString().trim();
+    if (!controlId || seen.has(controlId)) return false;
+    seen.add(controlId);
+    return true;
+  });
+};
+
+/**
+ * Replace every control of a framework with a fresh AI extraction, or with the
+ * controls of a restored framework version
+ * @param {string|ObjectId} frameworkId - ExpertFramework ID
+ * @param {Array} controls - Controls as returned by the AI service
+ * @returns {Promise<number>} Number of controls stored
+ */
+const saveExtractedControls = async (frameworkId, controls = []) => {
+  const docs = normalizeExtractedControls(controls).map((control, index) => {
+    const doc = {
+      frameworkId,
+      // AI output has no source, restored versions keep their manual controls
+      source: control.source === "manual" ? "manual" : "ai",
+      order: index,
+    };
+    CONTROL_FIELDS.forEach((field) => {
+      if (control[field] !== undefined && control[field] !== null) {
+        doc[field] = control[field].toString();
+      }
+    });
+    return doc;
+  });
+
+  await Control.deleteMany({ frameworkId });
+  if (docs.length > 0) {
+    await Control.insertMany(docs);
+  }
+
+  return docs.length;
+};
+
+/**
+ * Load a framework's controls in extraction order
+ * @param {string|ObjectId} frameworkId - ExpertFramework ID
+ * @returns {Promise<Array>} Plain control objects
+ */
+const getFrameworkControls = (frameworkId) =>
+  Control.find({ frameworkId }).sort({ order: 1, createdAt: 1 }).lean();
+
+/**
+ * Load controls of several frameworks, grouped by framework ID
+ * @param {Array} frameworkIds - ExpertFramework IDs
+ * @returns {Promise<Map>} frameworkId string → plain control objects
+ */
+const getControlsByFramework = async (frameworkIds = []) => {
+  const controls = await Control.find({ frameworkId: { $in: frameworkIds } })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+
+  const grouped = new Map();
+  controls.forEach((control) => {
+    const key = control.frameworkId.toString();
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(control);
+  });
+  return grouped;
+};
+
+/**
+ * Keep ExpertFramework.aiProcessing.controlsCount in line with the collection
+ * @param {string|ObjectId} frameworkId - ExpertFramework ID
+ * @returns {Promise<number>} Current number of controls
+ */
+const syncControlsCount = async (frameworkId) => {
+  const controlsCount = await Control.countDocuments({ frameworkId });
+  await ExpertFramework.updateOne(
+    { _id: frameworkId },
+    { $set: { "aiProcessing.controlsCount": controlsCount } }
+  );
+  return controlsCount;
+};
+
+module.exports = {
+  CONTROL_FIELDS,
+  saveExtractedControls,
+  getFrameworkControls,
+  getControlsByFramework,
+  syncControlsCount,
+};
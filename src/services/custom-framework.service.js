@@ -0,0 +1,170 @@
+const ExcelJS = require("exceljs");
+const CustomFramework = require("../models/custom-framework.model");
+const aiService = require("./ai/expert-ai.service");
+const { CONTROL_FIELDS } = require("./control.service");
+const { putObject, deleteObject } = require("./storage/storage.service");
+const { sendToUser } = require("../websocket/framework-comparison.websocket");
+
+/**
+ * Custom Framework Service
+ *
+ * A custom framework is a named list of controls picked from processed expert
+ * frameworks. The AI service only compares frameworks it has ingested, so
+ * before a comparison the controls are written to a workbook and uploaded like
+ * an expert framework file. The upload is reused until the control list changes.
+ */
+
+// Storage prefix of generated custom framework workbooks
+const CUSTOM_FRAMEWORK_STORAGE_PREFIX = "custom-frameworks";
+
+// Columns of the generated workbook
+const WORKBOOK_COLUMNS = [
+  { header: "Control ID", key: "Control_id", width: 18 },
+  { header: "Control Name", key: "Control_name", width: 40 },
+  { header: "Control Type", key: "Control_type", width: 20 },
+  { header: "Control Description", key: "Control_description", width: 60 },
+  { header: "Deployment Points", key: "Deployment_points", width: 60 },
+  { header: "Source Framework", key: "sourceFrameworkName", width: 30 },
+];
+
+/**
+ * Filter matching custom frameworks a user owns or that were shared with them
+ * @param {string|ObjectId} userId - User ID
+ * @returns {Object} Mongo filter
+ */
+const accessibleByUser = (userId) => ({
+  $or: [{ ownerId: userId }, { sharedWith: userId }],
+});
+
+/**
+ * Copy a Control document into a custom framework control
+ * @param {Object} control - Control document of an expert framework
+ * @param {Object} expertFramework - The control's ExpertFramework
+ * @returns {Object} Custom framework control
+ */
+const toCustomControl = (control, expertFramework) => {
+  const customControl = {
+    sourceFrameworkId: expertFramework._id,
+    sourceFrameworkName: expertFramework.frameworkName,
+    sourceControlId: control._id,
+  };
+  CONTROL_FIELDS.forEach((field) => {
+    customControl[field] = control[field] ?? "";
+  });
+  return customControl;
+};
+
+/**
+ * Load the controls of a custom framework in the owner's order
+ * @param {string|ObjectId} customFrameworkId - CustomFramework ID
+ * @returns {Promise<Array>} Plain control objects (empty when the framework is gone)
+ */
+const getCustomFrameworkControls = async (customFrameworkId) => {
+  const framework = await CustomFramework.findById(customFrameworkId)
+    .select("controls")
+    .lean();
+  return framework ? framework.controls : [];
+};
+
+// Write the framework's controls to a new workbook and return its storage key
+const writeControlsWorkbook = async (framework) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "VORA";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Controls");
+  sheet.columns = WORKBOOK_COLUMNS;
+  framework.controls.forEach((control) => sheet.addRow(control.toObject()));
+  sheet.getRow(1).font = { bold: true };
+
+  const fileName = `${framework._id}-r${framework.controlsRevision}.xlsx`;
+  const fileKey = `${CUSTOM_FRAMEWORK_STORAGE_PREFIX}/${fileName}`;
+  await putObject(fileKey, Buffer.from(await workbook.xlsx.writeBuffer()), {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+  return fileKey;
+};
+
+// Follow the AI processing of an uploaded custom framework workbook
+const monitorAIProcessing = (frameworkId, uuid, userId) => {
+  aiService.startBackgroundMonitoring(uuid, frameworkId, async (message) => {
+    const fw = await CustomFramework.findById(frameworkId);
+    // Ignore results for a workbook that was replaced meanwhile
+    if (!fw || fw.aiProcessing.uuid !== uuid) return;
+
+    if (message.status === "completed") {
+      fw.aiProcessing.status = "completed";
+      fw.aiProcessing.control_extraction_status = "completed";
+      await fw.save();
+    } else if (message.status === "error" || message.status === "failed") {
+      fw.aiProcessing.status = "failed";
+      fw.aiProcessing.control_extraction_status = "failed";
+      fw.aiProcessing.errorMessage = message.message || "AI processing failed";
+      await fw.save();
+    }
+
+    sendToUser(userId, {
+      type: "custom-framework-ai-update",
+      customFrameworkId: frameworkId,
+      aiMessage: message,
+    });
+  });
+};
+
+/**
+ * Make sure the AI service has the current controls of a custom framework
+ * Uploads a fresh workbook when the controls changed since the last upload
+ * @param {Object} framework - CustomFramework document
+ * @param {string|ObjectId} userId - User notified about AI progress
+ * @returns {Promise<string>} AI UUID to compare against
+ */
+const syncCustomFrameworkWithAI = async (framework, userId) => {
+  if (
+    framework.aiProcessing.uuid &&
+    framework.aiProcessing.status !== "failed" &&
+    framework.aiProcessing.controlsRevision === framework.controlsRevision
+  ) {
+    return framework.aiProcessing.uuid;
+  }
+
+  const fileKey = await writeControlsWorkbook(framework);
+
+  let aiResult;
+  try {
+    aiResult = await aiService.uploadFramework(fileKey);
+  } catch (error) {
+    await deleteObject(fileKey);
+    throw error;
+  }
+
+  if (framework.fileUrl && framework.fileUrl !== fileKey) {
+    await deleteObject(framework.fileUrl);
+  }
+
+  framework.fileUrl = fileKey;
+  framework.aiProcessing.uuid = aiResult.aiResponse.uuid;
+  framework.aiProcessing.status = aiResult.aiResponse.status;
+  framework.aiProcessing.control_extraction_status =
+    aiResult.aiResponse.control_extraction_status;
+  framework.aiProcessing.controlsRevision = framework.controlsRevision;
+  framework.aiProcessing.processedAt = new Date();
+  framework.aiProcessing.errorMessage = null;
+  await framework.save();
+
+  monitorAIProcessing(
+    framework._id.toString(),
+    aiResult.aiResponse.uuid,
+    userId.toString()
+  );
+
+  return aiResult.aiResponse.uuid;
+};
+
+module.exports = {
+  CUSTOM_FRAMEWORK_STORAGE_PREFIX,
+  accessibleByUser,
+  toCustomControl,
+  getCustomFrameworkControls,
+  syncCustomFrameworkWithAI,
+};
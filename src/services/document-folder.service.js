@@ -0,0 +1,366 @@
+/**
+ * Document Folder Service
+ *
+ * User documents of an organization are filed in a tree of folders. Every
+ * folder keeps the IDs of its ancestors, so the documents of a whole subtree
+ * are found with one query and moving a folder only rewrites the ancestors of
+ * the folders below it. Only empty folders can be deleted.
+ */
+
+const mongoose = require("mongoose");
+const DocumentFolder = require("../models/document-folder.model");
+const UserDocument = require("../models/user-document.model");
+
+// Deepest level a folder can be nested at
+const MAX_FOLDER_DEPTH = 10;
+
+// Value of folderId that stands for the top level in queries and request bodies
+const ROOT_FOLDER = "root";
+
+const FOLDER_ERRORS = {
+  NOT_FOUND: "FOLDER_NOT_FOUND",
+  ALREADY_EXISTS: "FOLDER_ALREADY_EXISTS",
+  INVALID_MOVE: "FOLDER_INVALID_MOVE",
+  TOO_DEEP: "FOLDER_TOO_DEEP",
+  NOT_EMPTY: "FOLDER_NOT_EMPTY",
+};
+
+// HTTP status for each error
+const FOLDER_ERROR_STATUS = {
+  [FOLDER_ERRORS.NOT_FOUND]: 404,
+  [FOLDER_ERRORS.ALREADY_EXISTS]: 409,
+  [FOLDER_ERRORS.INVALID_MOVE]: 400,
+  [FOLDER_ERRORS.TOO_DEEP]: 400,
+  [FOLDER_ERRORS.NOT_EMPTY]: 409,
+};
+
+const folderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to compare ObjectIds and strings (null matches null)
+const sameId = (left, right) =>
+  (left || null)?.toString() === (right || null)?.toString();
+
+/**
+ * Whether a folderId value means the top level (null, "" or "root")
+ * @param {string|null} folderId - Folder ID from a request
+ * @returns {boolean}
+ */
+const isRootFolder = (folderId) =>
+  folderId === null || folderId === "" || folderId === ROOT_FOLDER;
+
+/**
+ * Get a folder of the tenant
+ * @param {string} folderId - Folder ID
+ * @param {Object} filter - Tenant filter of the request
+ * @returns {Promise<Object>} Folder
+ * @throws NOT_FOUND
+ */
+const getFolder = async (folderId, filter = {}) => {
+  const folder = mongoose.isValidObjectId(folderId)
+    ? await DocumentFolder.findOne({ _id: folderId, ...filter })
+    : null;
+  if (!folder) {
+    throw folderError(FOLDER_ERRORS.NOT_FOUND, "Folder not found");
+  }
+  return folder;
+};
+
+/**
+ * Resolve the target folder of a request body value (null = top level)
+ * @param {string|null} folderId - Folder ID, null, "" or "root"
+ * @param {Object} filter - Tenant filter of the request
+ * @returns {Promise<Object|null>} Folder, or null for the top level
+ * @throws NOT_FOUND
+ */
+const resolveFolder = (folderId, filter = {}) =>
+  isRootFolder(folderId) ? null : getFolder(folderId, filter);
+
+// Folder names are unique within their parent, ignoring case
+const assertNameAvailable = async (
+  { organizationId, parentId, name },
+  exceptId = null
+) => {
+  const existing = await DocumentFolder.findOne({
+    organizationId,
+    parentId,
+    name,
+    ...(exceptId && { _id: { $ne: exceptId } }),
+  }).collation({ locale: "en", strength: 2 });
+
+  if (existing) {
+    throw folderError(
+      FOLDER_ERRORS.ALREADY_EXISTS,
+      `A folder named "${name}" already exists here`
+    );
+  }
+};
+
+/**
+ * Create a folder
+ * @param {Object} data - { name, parentId } (parentId null = top level)
+ * @param {Object} context - { organizationId, createdBy }
+ * @returns {Promise<Object>} Folder
+ * @throws NOT_FOUND, ALREADY_EXISTS, TOO_DEEP
+ */
+const createFolder = async (
+  { name, parentId = null },
+  { organizationId = null, createdBy = null } = {}
+) => {
+  const folderName = name.trim();
+  const parent = await resolveFolder(parentId, { organizationId });
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  if (ancestors.length >= MAX_FOLDER_DEPTH) {
+    throw folderError(
+      FOLDER_ERRORS.TOO_DEEP,
+      `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+    );
+  }
+  await assertNameAvailable({
+    organizationId,
+    parentId: parent?._id || null,
+    name: folderName,
+  });
+
+  return DocumentFolder.create({
+    name: folderName,
+    parentId: parent?._id || null,
+    ancestors,
+    organizationId,
+    createdBy,
+  });
+};
+
+/**
+ * Rename a folder and/or move it, with everything in it, to another parent
+ * @param {Object} folder - Folder document
+ * @param {Object} updates - { name, parentId } (parentId null = top level)
+ * @returns {Promise<Object>} Folder
+ * @throws NOT_FOUND, ALREADY_EXISTS, INVALID_MOVE, TOO_DEEP
+ */
+const updateFolder = async (folder, { name, parentId }) => {
+  const newName = name?.trim() ?? folder.name;
+  const moving =
+    parentId !== undefined &&
+    !sameId(isRootFolder(parentId) ? null : parentId, folder.parentId);
+
+  let ancestors = folder.ancestors;
+  const descendants = moving
+    ? await DocumentFolder.find({ ancestors: folder._id }).select("ancestors")
+    : [];
+
+  if (moving) {
+    const parent = await resolveFolder(parentId, {
+      organizationId: folder.organizationId,
+    });
+    if (
+      parent &&
+      (sameId(parent._id, folder._id) ||
+        parent.ancestors.some((id) => sameId(id, folder._id)))
+    ) {
+      throw folderError(
+        FOLDER_ERRORS.INVALID_MOVE,
+        "A folder cannot be moved into itself or one of its subfolders"
+      );
+    }
+    ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+    // Levels the subtree reaches below the folder itself
+    const subtreeDepth = Math.max(
+      0,
+      ...descendants.map(
+        (descendant) => descendant.ancestors.length - folder.ancestors.length
+      )
+    );
+    if (ancestors.length + subtreeDepth >= MAX_FOLDER_DEPTH) {
+      throw folderError(
+        FOLDER_ERRORS.TOO_DEEP,
+        `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+      );
+    }
+  }
+
+  const newParentId = ancestors.length ? ancestors[ancestors.length - 1] : null;
+  if (moving || newName !== folder.name) {
+    await assertNameAvailable(
+      {
+        organizationId: folder.organizationId,
+        parentId: newParentId,
+        name: newName,
+      },
+      folder._id
+    );
+  }
+
+  const previousDepth = folder.ancestors.length;
+  folder.name = newName;
+  folder.parentId = newParentId;
+  folder.ancestors = ancestors;
+  await folder.save();
+
+  // The subfolders keep their place below the folder
+  if (descendants.length > 0) {
+    await DocumentFolder.bulkWrite(
+      descendants.map((descendant) => ({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              ancestors: [
+                ...ancestors,
+                ...descendant.ancestors.slice(previousDepth),
+              ],
+            },
+          },
+        },
+      }))
+    );
+  }
+
+  return folder;
+};
+
+/**
+ * Delete a folder that holds no documents or subfolders
+ * @param {Object} folder - Folder document
+ * @throws NOT_EMPTY
+ */
+const deleteFolder = async (folder) => {
+  const [folderCount, documentCount] = await Promise.all([
+    DocumentFolder.countDocuments({ parentId: folder._id }),
+    UserDocument.countDocuments({ folderId: folder._id }),
+  ]);
+  if (folderCount > 0 || documentCount > 0) {
+    throw folderError(
+      FOLDER_ERRORS.NOT_EMPTY,
+      `Folder still holds ${folderCount} folders and ${documentCount} documents. Move or delete them first.`
+    );
+  }
+
+  await DocumentFolder.deleteOne({ _id: folder._id });
+};
+
+/**
+ * IDs of a folder and every folder below it
+ * @param {Object} folder - Folder document
+ * @returns {Promise<Array>} Folder IDs
+ */
+const getSubtreeFolderIds = async (folder) => [
+  folder._id,
+  ...(await DocumentFolder.find({ ancestors: folder._id }).distinct("_id")),
+];
+
+/**
+ * Folders from the top level down to the parent of a folder, for breadcrumbs
+ * @param {Object} folder - Folder document
+ * @returns {Promise<Array>} [{ id, name }]
+ */
+const getFolderPath = async (folder) => {
+  const ancestors = await DocumentFolder.find({
+    _id: { $in: folder.ancestors },
+  }).select("name");
+
+  return folder.ancestors
+    .map((id) => ancestors.find((ancestor) => sameId(ancestor._id, id)))
+    .filter(Boolean)
+    .map((ancestor) => ({ id: ancestor._id, name: ancestor.name }));
+};
+
+/**
+ * Every folder of the tenant as a tree, with the number of documents in each
+ * @param {Object} filter - Tenant filter of the request
+ * @returns {Promise<Object>} { folders (top level, with children), unfiledDocuments }
+ */
+const getFolderTree = async (filter) => {
+  const [folders, counts] = await Promise.all([
+    DocumentFolder.find(filter).sort({ name: 1 }).lean(),
+    UserDocument.aggregate([
+      { $match: filter },
+      { $group: { _id: "$folderId", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countOf = (id) =>
+    counts.find((item) => sameId(item._id, id))?.count || 0;
+  const nodes = folders.map((folder) => ({
+    id: folder._id,
+    name: folder.name,
+    parentId: folder.parentId,
+    documentCount: countOf(folder._id),
+    children: [],
+  }));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId
+      ? nodes.find((item) => sameId(item.id, node.parentId))
+      : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return { folders: roots, unfiledDocuments: countOf(null) };
+};
+
+/**
+ * Move documents into a folder of their organization
+ * @param {Array} documents - UserDocument documents
+ * @param {Object|null} folder - Target folder, null for the top level
+ * @returns {Promise<number>} Number of documents moved
+ * @throws INVALID_MOVE
+ */
+const moveDocumentsToFolder = async (documents, folder) => {
+  if (
+    folder &&
+    documents.some(
+      (document) => !sameId(document.organizationId, folder.organizationId)
+    )
+  ) {
+    throw folderError(
+      FOLDER_ERRORS.INVALID_MOVE,
+      "Documents can only be moved into folders of their own organization"
+    );
+  }
+
+  const result = await UserDocument.updateMany(
+    { _id: { $in: documents.map((document) => document._id) } },
+    { $set: { folderId: folder?._id || null } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Shape a folder for API responses
+ * @param {Object} folder - Folder document
+ * @returns {Object}
+ */
+const formatFolder = (folder) => ({
+  id: folder._id,
+  name: folder.name,
+  parentId: folder.parentId,
+  depth: folder.ancestors.length + 1,
+  createdBy: folder.createdBy,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt,
+});
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  ROOT_FOLDER,
+  FOLDER_ERRORS,
+  FOLDER_ERROR_STATUS,
+  isRootFolder,
+  getFolder,
+  resolveFolder,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  getSubtreeFolderIds,
+  getFolderPath,
+  getFolderTree,
+  moveDocumentsToFolder,
+  formatFolder,
+};
@@ -0,0 +1,478 @@
+/**
+ * Document Metadata Service
+ *
+ * User documents carry free-form tags and the values of custom metadata fields
+ * defined by admins (owner, review date, classification level, ...). Values
+ * are stored by field key in `metadata` after they are checked and converted
+ * to the type of their field (dates become Date, owners must be users), so
+ * they can be filtered in MongoDB. Deleting a field removes its values.
+ */
+
+const mongoose = require("mongoose");
+const DocumentMetadataField = require("../models/document-metadata-field.model");
+const UserDocument = require("../models/user-document.model");
+const User = require("../models/user.model");
+
+const METADATA_FIELD_TYPES = ["text", "number", "date", "select", "user"];
+
+// Fields that can be updated after creation; key and type are fixed
+const EDITABLE_FIELD_PROPERTIES = [
+  "label",
+  "description",
+  "options",
+  "required",
+  "isActive",
+  "order",
+];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_TEXT_VALUE_LENGTH = 500;
+
+const METADATA_ERRORS = {
+  FIELD_NOT_FOUND: "METADATA_FIELD_NOT_FOUND",
+  FIELD_EXISTS: "METADATA_FIELD_EXISTS",
+  INVALID_FIELD: "METADATA_INVALID_FIELD",
+  INVALID_VALUE: "METADATA_INVALID_VALUE",
+};
+
+// HTTP status for each error
+const METADATA_ERROR_STATUS = {
+  [METADATA_ERRORS.FIELD_NOT_FOUND]: 404,
+  [METADATA_ERRORS.FIELD_EXISTS]: 409,
+  [METADATA_ERRORS.INVALID_FIELD]: 400,
+  [METADATA_ERRORS.INVALID_VALUE]: 400,
+};
+
+const metadataError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to match user input literally in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper function to read a list sent as an array or a comma-separated string
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Select fields need options, the other types have none
+const normalizeOptions = (type, options) => {
+  if (type !== "select") return [];
+
+  const unique = [...new Set(toList(options || []))];
+  if (unique.length === 0) {
+    throw metadataError(
+      METADATA_ERRORS.INVALID_FIELD,
+      "Select fields need at least one option"
+    );
+  }
+  return unique;
+};
+
+/**
+ * Get the custom metadata fields, in form order
+ * @param {Object} options - { activeOnly }
+ * @returns {Promise<Array>} Metadata fields
+ */
+const listMetadataFields = ({ activeOnly = false } = {}) =>
+  DocumentMetadataField.find(activeOnly ? { isActive: true } : {}).sort({
+    order: 1,
+    label: 1,
+  });
+
+/**
+ * Get a metadata field by ID
+ * @param {string} id - Metadata field ID
+ * @returns {Promise<Object>} Metadata field
+ * @throws FIELD_NOT_FOUND
+ */
+const getMetadataField = async (id) => {
+  const field = mongoose.isValidObjectId(id)
+    ? await DocumentMetadataField.findById(id)
+    : null;
+  if (!field) {
+    throw metadataError(
+      METADATA_ERRORS.FIELD_NOT_FOUND,
+      "Metadata field not found"
+    );
+  }
+  return field;
+};
+
+/**
+ * Create a custom metadata field
+ * @param {Object} data - { key, label, description, type, options, required, isActive, order }
+ * @param {Object} context - { actorId }
+ * @returns {Promise<Object>} Metadata field
+ * @throws FIELD_EXISTS, INVALID_FIELD
+ */
+const createMetadataField = async (data, { actorId = null } = {}) => {
+  if (await DocumentMetadataField.exists({ key: data.key })) {
+    throw metadataError(
+      METADATA_ERRORS.FIELD_EXISTS,
+      `A metadata field with the key "${data.key}" already exists`
+    );
+  }
+
+  const field = new DocumentMetadataField({
+    key: data.key,
+    type: data.type,
+    createdBy: actorId,
+    updatedBy: actorId,
+  });
+  EDITABLE_FIELD_PROPERTIES.forEach((property) => {
+    if (data[property] !== undefined) field[property] = data[property];
+  });
+  field.options = normalizeOptions(field.type, data.options);
+
+  await field.save();
+  return field;
+};
+
+/**
+ * Update a custom metadata field. Values stored before options were removed
+ * from a select field are kept.
+ * @param {string} id - Metadata field ID
+ * @param {Object} updates - { label, description, options, required, isActive, order }
+ * @param {Object} context - { actorId }
+ * @returns {Promise<Object>} Metadata field
+ * @throws FIELD_NOT_FOUND, INVALID_FIELD
+ */
+const updateMetadataField = async (id, updates, { actorId = null } = {}) => {
+  const field = await getMetadataField(id);
+
+  EDITABLE_FIELD_PROPERTIES.forEach((property) => {
+    if (updates[property] !== undefined) field[property] = updates[property];
+  });
+  if (updates.options !== undefined) {
+    field.options = normalizeOptions(field.type, updates.options);
+  }
+  field.updatedBy = actorId;
+
+  await field.save();
+  return field;
+};
+
+/**
+ * Delete a custom metadata field and its value on every document
+ * @param {string} id - Metadata field ID
+ * @returns {Promise<Object>} { field, documentsUpdated }
+ * @throws FIELD_NOT_FOUND
+ */
+const deleteMetadataField = async (id) => {
+  const field = await getMetadataField(id);
+  const path = `metadata.${field.key}`;
+
+  const result = await UserDocument.updateMany(
+    { [path]: { $exists: true } },
+    { $unset: { [path]: "" } }
+  );
+  await DocumentMetadataField.deleteOne({ _id: field._id });
+
+  return { field, documentsUpdated: result.modifiedCount };
+};
+
+/**
+ * Clean up tags sent as an array or a comma-separated string
+ * @param {Array|string} value - Tags
+ * @returns {Array} Unique lowercase tags
+ * @throws INVALID_VALUE
+ */
+const normalizeTags = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+
+  const tags = [...new Set(toList(value).map((tag) => tag.toLowerCase()))];
+  if (tags.length > MAX_TAGS) {
+    throw metadataError(
+      METADATA_ERRORS.INVALID_VALUE,
+      `A document can have at most ${MAX_TAGS} tags`
+    );
+  }
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw metadataError(
+      METADATA_ERRORS.INVALID_VALUE,
+      `Tag "${tooLong}" cannot exceed ${MAX_TAG_LENGTH} characters`
+    );
+  }
+  return tags;
+};
+
+// Convert a value to the type of its field
+const convertMetadataValue = async (field, value) => {
+  const invalid = (message) =>
+    metadataError(METADATA_ERRORS.INVALID_VALUE, `${field.label}: ${message}`);
+
+  switch (field.type) {
+    case "number": {
+      const number = Number(value);
+      if (typeof value === "boolean" || !Number.isFinite(number)) {
+        throw invalid("must be a number");
+      }
+      return number;
+    }
+    case "date": {
+      const date = new Date(value);
+      if (typeof value === "boolean" || Number.isNaN(date.getTime())) {
+        throw invalid("must be a date, e.g. 2025-12-31");
+      }
+      return date;
+    }
+    case "select": {
+      if (!field.options.includes(String(value))) {
+        throw invalid(`must be one of: ${field.options.join(", ")}`);
+      }
+      return String(value);
+    }
+    case "user": {
+      if (
+        !mongoose.isValidObjectId(value) ||
+        !(await User.exists({ _id: value }))
+      ) {
+        throw invalid("must be the ID of an existing user");
+      }
+      return new mongoose.Types.ObjectId(String(value));
+    }
+    default: {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_VALUE_LENGTH) {
+        throw invalid(`cannot exceed ${MAX_TEXT_VALUE_LENGTH} characters`);
+      }
+      return text;
+    }
+  }
+};
+
+/**
+ * Check metadata values against the active fields and merge them into the
+ * current values of a document. null or "" removes a value.
+ * @param {Object|string} input - Values by field key (multipart forms send JSON)
+ * @param {Object} options - { current (values of the document), requireAll (check required fields) }
+ * @returns {Promise<Object>} Complete metadata of the document
+ * @throws INVALID_VALUE
+ */
+const normalizeMetadata = async (
+  input,
+  { current = {}, requireAll = false } = {}
+) => {
+  let values = input ?? {};
+  if (typeof values === "string") {
+    try {
+      values = values.trim() ? JSON.parse(values) : {};
+    } catch (error) {
+      values = null;
+    }
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw metadataError(
+      METADATA_ERRORS.INVALID_VALUE,
+      "Metadata must be an object of values by field key"
+    );
+  }
+
+  const fields = await listMetadataFields({ activeOnly: true });
+  const metadata = { ...current };
+
+  for (const [key, value] of Object.entries(values)) {
+    const field = fields.find((item) => item.key === key);
+    if (!field) {
+      throw metadataError(
+        METADATA_ERRORS.INVALID_VALUE,
+        `Unknown metadata field "${key}"`
+      );
+    }
+
+    if (value === null || value === "") {
+      delete metadata[key];
+    } else if (typeof value === "object") {
+      throw metadataError(
+        METADATA_ERRORS.INVALID_VALUE,
+        `${field.label}: must be a single value`
+      );
+    } else {
+      metadata[key] = await convertMetadataValue(field, value);
+    }
+  }
+
+  const missing = fields.find(
+    (field) =>
+      field.required &&
+      metadata[field.key] === undefined &&
+      (requireAll || values[field.key] !== undefined)
+  );
+  if (missing) {
+    throw metadataError(
+      METADATA_ERRORS.INVALID_VALUE,
+      `${missing.label} is required`
+    );
+  }
+
+  return metadata;
+};
+
+// Date-only upper bounds include the whole day
+const toDateBound = (value, upper) => {
+  const date = new Date(value);
+  if (upper && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { $lt: date };
+  }
+  return upper ? { $lte: date } : { $gte: date };
+};
+
+/**
+ * Build MongoDB conditions from metadata query parameters:
+ * - metadata.<key>=value  text fields contain the value, other fields equal it
+ *                         (comma-separated for several select options or users)
+ * - metadata.<key>.from / metadata.<key>.to  range of number and date fields
+ * @param {Object} query - Request query
+ * @returns {Promise<Array>} Conditions to combine with $and
+ * @throws INVALID_VALUE
+ */
+const buildMetadataFilter = async (query) => {
+  const params = Object.keys(query)
+    .map((name) => ({
+      name,
+      match: /^metadata\.([a-zA-Z0-9]+)(?:\.(from|to))?$/.exec(name),
+    }))
+    .filter(({ match }) => match);
+  if (params.length === 0) return [];
+
+  const fields = await listMetadataFields();
+  const conditions = [];
+
+  for (const { name, match } of params) {
+    const [, key, bound] = match;
+    const field = fields.find((item) => item.key === key);
+    const value = String(query[name]).trim();
+    const path = `metadata.${key}`;
+    const invalid = (message) =>
+      metadataError(METADATA_ERRORS.INVALID_VALUE, `${name}: ${message}`);
+
+    if (!field) throw invalid("unknown metadata field");
+    if (!value) continue;
+
+    if (bound) {
+      if (field.type === "number") {
+        if (!Number.isFinite(Number(value))) throw invalid("must be a number");
+        conditions.push({
+          [path]: { [bound === "from" ? "$gte" : "$lte"]: Number(value) },
+        });
+      } else if (field.type === "date") {
+        if (Number.isNaN(new Date(value).getTime())) {
+          throw invalid("must be a date");
+        }
+        conditions.push({ [path]: toDateBound(value, bound === "to") });
+      } else {
+        throw invalid("ranges are only supported for number and date fields");
+      }
+      continue;
+    }
+
+    switch (field.type) {
+      case "text":
+        conditions.push({ [path]: new RegExp(escapeRegex(value), "i") });
+        break;
+      case "number":
+        if (!Number.isFinite(Number(value))) throw invalid("must be a number");
+        conditions.push({ [path]: Number(value) });
+        break;
+      case "date":
+        if (Number.isNaN(new Date(value).getTime())) {
+          throw invalid("must be a date");
+        }
+        conditions.push({
+          [path]: { ...toDateBound(value, false), ...toDateBound(value, true) },
+        });
+        break;
+      case "user": {
+        const ids = toList(value);
+        if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+          throw invalid("must be user IDs");
+        }
+        conditions.push({
+          [path]: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+        });
+        break;
+      }
+      default:
+        conditions.push({ [path]: { $in: toList(value) } });
+    }
+  }
+
+  return conditions;
+};
+
+/**
+ * Metadata paths included in the free-text search (text and select fields)
+ * @returns {Promise<Array>} e.g. ["metadata.owner", "metadata.classification"]
+ */
+const getMetadataSearchFields = async () =>
+  (await listMetadataFields())
+    .filter((field) => ["text", "select"].includes(field.type))
+    .map((field) => `metadata.${field.key}`);
+
+/**
+ * Every tag used in the documents matching a filter, with how often
+ * @param {Object} filter - Tenant filter of the request
+ * @returns {Promise<Array>} [{ tag, count }] most used first
+ */
+const listDocumentTags = async (filter) => {
+  const tags = await UserDocument.aggregate([
+    { $match: filter },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+  return tags.map((item) => ({ tag: item._id, count: item.count }));
+};
+
+/**
+ * Plain object of the metadata values of a document
+ * @param {Map|Object} metadata - UserDocument.metadata
+ * @returns {Object}
+ */
+const formatDocumentMetadata = (metadata) =>
+  metadata instanceof Map ? Object.fromEntries(metadata) : { ...metadata };
+
+/**
+ * Shape a metadata field for API responses
+ * @param {Object} field - DocumentMetadataField document
+ * @returns {Object}
+ */
+const formatMetadataField = (field) => ({
+  id: field._id,
+  key: field.key,
+  label: field.label,
+  description: field.description,
+  type: field.type,
+  options: field.options,
+  required: field.required,
+  isActive: field.isActive,
+  order: field.order,
+  createdAt: field.createdAt,
+  updatedAt: field.updatedAt,
+});
+
+module.exports = {
+  METADATA_FIELD_TYPES,
+  METADATA_ERRORS,
+  METADATA_ERROR_STATUS,
+  MAX_TAGS,
+  listMetadataFields,
+  getMetadataField,
+  createMetadataField,
+  updateMetadataField,
+  deleteMetadataField,
+  normalizeTags,
+  normalizeMetadata,
+  buildMetadataFilter,
+  getMetadataSearchFields,
+  listDocumentTags,
+  formatDocumentMetadata,
+  formatMetadataField,
+};
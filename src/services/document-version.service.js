@@ -0,0 +1,251 @@
+const DocumentVersion = require("../models/document-version.model");
+const { deleteObject } = require("./storage/storage.service");
+const { indexFileText } = require("./text-extraction/text-extraction.service");
+
+/**
+ * Document Version Service
+ *
+ * Every file upload of a user document is a numbered version, so replaced
+ * compliance evidence stays retrievable. The document always holds the current
+ * version (file, size, checksum); the others are archived in
+ * `document-versions`. Replacing the file or restoring an old version swaps
+ * the current version with an archived one. A retention rule on the document
+ * limits how many archived versions are kept and for how long.
+ */
+
+/**
+ * Archive the document's current version in document-versions
+ * @param {Object} document - UserDocument document
+ * @returns {Promise<Object>} The created DocumentVersion
+ */
+const archiveCurrentVersion = (document) =>
+  DocumentVersion.create({
+    documentId: document._id,
+    versionNumber: document.currentVersion || 1,
+    documentName: document.documentName,
+    fileUrl: document.fileUrl,
+    documentType: document.documentType,
+    fileSize: document.fileSize,
+    originalFileName: document.originalFileName,
+    checksum: document.checksum || null,
+    uploadedBy: document.versionUploadedBy || document.uploadedBy || null,
+    uploadedAt: document.versionUploadedAt || document.createdAt,
+  });
+
+/**
+ * Archived versions a retention rule no longer keeps: more than maxVersions
+ * old versions, or replaced over maxAgeDays ago
+ * @param {Array<Object>} archived - Archived versions, newest first
+ * @param {Object} rule - { maxVersions, maxAgeDays } (null = no limit)
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} Versions to delete
+ */
+const findExpiredVersions = (
+  archived,
+  { maxVersions = null, maxAgeDays = null },
+  now = Date.now()
+) => {
+  const cutoff =
+    maxAgeDays !== null
+      ? new Date(now - maxAgeDays * 24 * 60 * 60 * 1000)
+      : null;
+  return archived.filter(
+    (version, index) =>
+      (maxVersions !== null && index >= maxVersions) ||
+      (cutoff && version.createdAt < cutoff)
+  );
+};
+
+/**
+ * Delete archived versions (and their files) beyond the document's retention rule
+ * @param {Object} document - UserDocument document
+ * @returns {Promise<number>} Number of versions deleted
+ */
+const applyRetention = async (document) => {
+  const { maxVersions = null, maxAgeDays = null } =
+    document.versionRetention || {};
+  if (maxVersions === null && maxAgeDays === null) return 0;
+
+  const archived = await DocumentVersion.find({ documentId: document._id })
+    .select("fileUrl createdAt")
+    .sort({ createdAt: -1, versionNumber: -1 });
+
+  const expired = findExpiredVersions(archived, { maxVersions, maxAgeDays });
+  if (expired.length === 0) return 0;
+
+  await Promise.all(expired.map((version) => deleteObject(version.fileUrl)));
+  await DocumentVersion.deleteMany({
+    _id: { $in: expired.map((version) => version._id) },
+  });
+  return expired.length;
+};
+
+/**
+ * Archive the current version and make an uploaded file the new current version
+ * The caller saves the document
+ * @param {Object} document - UserDocument document
+ * @param {Object} options - { file, documentType, uploadedBy }
+ * @returns {Promise<number>} The new version number
+ */
+const startNewVersion = async (
+  document,
+  { file, documentType, uploadedBy }
+) => {
+  await archiveCurrentVersion(document);
+
+  const versionNumber = (document.latestVersion || 1) + 1;
+
+  document.fileUrl = file.key;
+  document.documentType = documentType;
+  document.fileSize = file.size;
+  document.originalFileName = file.originalname;
+  document.checksum = file.checksum || null;
+  document.currentVersion = versionNumber;
+  document.latestVersion = versionNumber;
+  document.versionUploadedAt = new Date();
+  document.versionUploadedBy = uploadedBy;
+  await indexFileText(document);
+
+  await applyRetention(document);
+  return versionNumber;
+};
+
+/**
+ * Make an archived version current again; the current version is archived
+ * The caller saves the document
+ * @param {Object} document - UserDocument document
+ * @param {number} versionNumber - Archived version to restore
+ * @returns {Promise<boolean>} false when the version does not exist
+ */
+const restoreVersion = async (document, versionNumber) => {
+  const target = await DocumentVersion.findOne({
+    documentId: document._id,
+    versionNumber,
+  });
+  if (!target) return false;
+
+  await archiveCurrentVersion(document);
+
+  document.fileUrl = target.fileUrl;
+  document.documentType = target.documentType;
+  document.fileSize = target.fileSize;
+  document.originalFileName = target.originalFileName;
+  document.checksum = target.checksum;
+  document.currentVersion = target.versionNumber;
+  document.versionUploadedAt = target.uploadedAt;
+  document.versionUploadedBy = target.uploadedBy;
+  await indexFileText(document);
+
+  await DocumentVersion.deleteOne({ _id: target._id });
+  return true;
+};
+
+/**
+ * List every version of a document, newest first
+ * @param {Object} document - UserDocument document
+ * @returns {Promise<Array>} Version summaries
+ */
+const listVersions = async (document) => {
+  const archived = await DocumentVersion.find({ documentId: document._id })
+    .populate("uploadedBy", "name email role")
+    .lean();
+
+  await document.populate([
+    { path: "uploadedBy", select: "name email role" },
+    { path: "versionUploadedBy", select: "name email role" },
+  ]);
+
+  const current = {
+    versionNumber: document.currentVersion || 1,
+    documentName: document.documentName,
+    documentType: document.documentType,
+    fileSize: document.fileSize,
+    originalFileName: document.originalFileName,
+    checksum: document.checksum,
+    uploadedBy: document.versionUploadedBy || document.uploadedBy,
+    uploadedAt: document.versionUploadedAt || document.createdAt,
+    replacedAt: null,
+  };
+
+  return [
+    current,
+    ...archived.map((version) => ({
+      ...version,
+      replacedAt: version.createdAt,
+    })),
+  ]
+    .map((version) => ({
+      versionNumber: version.versionNumber,
+      isCurrent: version === current,
+      documentName: version.documentName,
+      documentType: version.documentType,
+      fileSize: version.fileSize,
+      originalFileName: version.originalFileName,
+      checksum: version.checksum || null,
+      uploadedBy: version.uploadedBy?.name
+        ? {
+            id: version.uploadedBy._id,
+            name: version.uploadedBy.name,
+            email: version.uploadedBy.email,
+            role: version.uploadedBy.role,
+          }
+        : null,
+      uploadedAt: version.uploadedAt,
+      replacedAt: version.replacedAt,
+    }))
+    .sort((a, b) => b.versionNumber - a.versionNumber);
+};
+
+/**
+ * Find the file of any version
+ * @param {Object} document - UserDocument document
+ * @param {number} versionNumber - Version to download
+ * @returns {Promise<Object|null>} { fileUrl, originalFileName } or null
+ */
+const getVersionFile = async (document, versionNumber) => {
+  if (versionNumber === (document.currentVersion || 1)) {
+    return {
+      fileUrl: document.fileUrl,
+      originalFileName: document.originalFileName,
+    };
+  }
+
+  return DocumentVersion.findOne({
+    documentId: document._id,
+    versionNumber,
+  }).select("fileUrl originalFileName");
+};
+
+/**
+ * Set the retention rule of a document and apply it right away
+ * The caller saves the document
+ * @param {Object} document - UserDocument document
+ * @param {Object} rule - { maxVersions, maxAgeDays } (null = no limit)
+ * @returns {Promise<number>} Number of versions deleted
+ */
+const setRetention = (document, { maxVersions = null, maxAgeDays = null }) => {
+  document.versionRetention = { maxVersions, maxAgeDays };
+  return applyRetention(document);
+};
+
+/**
+ * Delete every archived version of a document and its files
+ * @param {string|ObjectId} documentId - Document ID
+ */
+const deleteDocumentVersions = async (documentId) => {
+  const versions = await DocumentVersion.find({ documentId }).select("fileUrl");
+  await Promise.all(versions.map((version) => deleteObject(version.fileUrl)));
+  await DocumentVersion.deleteMany({ documentId });
+};
+
+module.exports = {
+  archiveCurrentVersion,
+  findExpiredVersions,
+  applyRetention,
+  startNewVersion,
+  restoreVersion,
+  listVersions,
+  getVersionFile,
+  setRetention,
+  deleteDocumentVersions,
+};
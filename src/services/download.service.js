@@ -0,0 +1,199 @@
+/**
+ * Download Service
+ *
+ * Uploaded files are never served publicly. A user who may see a document or
+ * framework asks for a download URL; the URL carries a token signed with HMAC
+ * that names the file and expires after DOWNLOAD_URL_TTL_SECONDS, so it can be
+ * opened by a browser or download manager without the user's credentials.
+ * Downloads support range requests and every one of them, through a signed
+ * URL or an authenticated download endpoint, is written to the audit log.
+ */
+
+const crypto = require("crypto");
+const { sendObject } = require("./storage/storage.service");
+const { recordAuditEvent } = require("./audit.service");
+
+const readNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// How long a signed download URL can be used
+const DOWNLOAD_URL_TTL_SECONDS = readNumberEnv("DOWNLOAD_URL_TTL_SECONDS", 300);
+
+const DOWNLOAD_RESOURCE_TYPES = {
+  USER_DOCUMENT: "user-document",
+  USER_FRAMEWORK: "user-framework",
+  EXPERT_FRAMEWORK: "expert-framework",
+};
+
+const DOWNLOAD_ERRORS = {
+  INVALID_LINK: "DOWNLOAD_INVALID_LINK",
+  LINK_EXPIRED: "DOWNLOAD_LINK_EXPIRED",
+};
+
+// HTTP status for each error
+const DOWNLOAD_ERROR_STATUS = {
+  [DOWNLOAD_ERRORS.INVALID_LINK]: 403,
+  [DOWNLOAD_ERRORS.LINK_EXPIRED]: 410,
+};
+
+const AUDIT_EVENTS = {
+  DOWNLOAD_URL_ISSUED: "download-url-issued",
+  FILE_DOWNLOADED: "file-downloaded",
+};
+
+const downloadError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Key the download tokens are signed with
+const getSigningKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `download:${
+        process.env.DOWNLOAD_SIGNING_SECRET || process.env.JWT_SECRET
+      }`
+    )
+    .digest();
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", getSigningKey())
+    .update(payload)
+    .digest("base64url");
+
+/**
+ * Issue a signed download URL for the current file of a resource
+ * @param {Object} resource - { type, id, fileKey, fileName }
+ * @param {Object} context - { baseUrl, actorId, email, ipAddress, userAgent }
+ * @returns {Promise<Object>} { url, expiresAt }
+ */
+const createDownloadUrl = async (
+  { type, id, fileKey, fileName },
+  {
+    baseUrl = "",
+    actorId = null,
+    email = null,
+    ipAddress = null,
+    userAgent = null,
+  } = {}
+) => {
+  const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000);
+  const payload = Buffer.from(
+    JSON.stringify({
+      type,
+      id: id.toString(),
+      key: fileKey,
+      name: fileName,
+      sub: actorId ? actorId.toString() : null,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    })
+  ).toString("base64url");
+  const token = `${payload}.${sign(payload)}`;
+
+  await recordAuditEvent({
+    category: "file-access",
+    event: AUDIT_EVENTS.DOWNLOAD_URL_ISSUED,
+    actorId,
+    email,
+    ipAddress,
+    userAgent,
+    details: { resourceType: type, resourceId: id, fileName, expiresAt },
+  });
+
+  return { url: `${baseUrl}/api/downloads/${token}`, expiresAt };
+};
+
+/**
+ * Check the signature and expiry of a download token
+ * @param {string} token - Token from a signed download URL
+ * @returns {Object} { type, id, key, name, sub, exp }
+ * @throws INVALID_LINK, LINK_EXPIRED
+ */
+const verifyDownloadToken = (token) => {
+  const [payload, signature, ...rest] = String(token || "").split(".");
+  const expected = payload ? sign(payload) : "";
+
+  const valid =
+    payload &&
+    signature &&
+    rest.length === 0 &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    throw downloadError(
+      DOWNLOAD_ERRORS.INVALID_LINK,
+      "This download link is invalid"
+    );
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (claims.exp * 1000 <= Date.now()) {
+    throw downloadError(
+      DOWNLOAD_ERRORS.LINK_EXPIRED,
+      "This download link has expired. Please request a new one"
+    );
+  }
+  return claims;
+};
+
+/**
+ * Stream a file to the client (honouring the Range header) and audit it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} download - { type, id, fileKey, fileName, version, actorId, email, signedUrl }
+ * @returns {Promise<boolean>} false when the file is missing from storage
+ */
+const sendDownload = async (
+  req,
+  res,
+  {
+    type,
+    id,
+    fileKey,
+    fileName,
+    version = null,
+    actorId = null,
+    email = null,
+    signedUrl = false,
+  }
+) => {
+  const sent = await sendObject(res, fileKey, fileName, {
+    range: req.headers.range,
+  });
+  if (!sent || req.method === "HEAD") return sent;
+
+  await recordAuditEvent({
+    category: "file-access",
+    event: AUDIT_EVENTS.FILE_DOWNLOADED,
+    actorId,
+    email,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+    details: {
+      resourceType: type,
+      resourceId: id,
+      fileName,
+      ...(version && { version }),
+      signedUrl,
+      status: res.statusCode,
+      ...(req.headers.range && { range: req.headers.range }),
+    },
+  });
+  return true;
+};
+
+module.exports = {
+  DOWNLOAD_URL_TTL_SECONDS,
+  DOWNLOAD_RESOURCE_TYPES,
+  DOWNLOAD_ERRORS,
+  DOWNLOAD_ERROR_STATUS,
+  AUDIT_EVENTS,
+  createDownloadUrl,
+  verifyDownloadToken,
+  sendDownload,
+};
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const nodemailer = require("nodemailer");
 
 // Create transporter
@@ -17,9 +18,9 @@ const createTransporter = async () => {
   });
 };
 
-// Generate OTP
+// Generate OTP (cryptographically random, so codes cannot be predicted)
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 // Send OTP email
@@ -113,15 +114,24 @@ const sendOTPEmail = async (email, otp) => {
   }
 };
 
-// Send temporary password email
-const sendTempPasswordEmail = async (email, tempPassword, userName) => {
+// Send invitation email with the link to choose a password
+const sendInvitationEmail = async (
+  email,
+  invitationToken,
+  expiresAt,
+  userName,
+  invitedByName
+) => {
   try {
     const transporter = await createTransporter();
+    const invitationUrl = `${
+      process.env.FRONTEND_URL || "http://localhost:3000"
+    }/accept-invitation?token=${invitationToken}`;
 
     const mailOptions = {
       from: process.env.EMAIL_USER || "noreply@cypher-sentinel.com",
       to: email,
-      subject: "Your Temporary Password - VORA",
+      subject: "You're Invited to VORA",
       html: `
         <div style="background:#f4f6f8;padding:30px 0;">
     <div style="
@@ -133,7 +143,7 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
       overflow:hidden;
       font-family:'Segoe UI',Roboto,Arial,sans-serif;
     ">
-      
+
       <!-- Header -->
       <div style="background:linear-gradient(135deg,#0f2027,#203a43,#2c5364);
         padding:24px;
@@ -143,7 +153,7 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
           VORA
         </h1>
         <p style="margin:6px 0 0;font-size:13px;opacity:0.85;">
-          Account Created Successfully
+          Account Invitation
         </p>
       </div>
 
@@ -154,27 +164,134 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
         </h2>
 
         <p style="color:#555;font-size:14px;line-height:1.6;">
-          Your account has been created successfully by the administrator. 
-          Please use the temporary password below to log in and 
-          <strong style="color:#e74c3c;">update your password immediately</strong> for security.
+          ${invitedByName || "An administrator"} created an account for you.
+          Choose your password to activate it and sign in.
         </p>
 
-        <!-- Password Box -->
+        <!-- Accept Button -->
+        <div style="text-align:center;margin:24px 0;">
+          <a href="${invitationUrl}" style="
+            display:inline-block;
+            padding:12px 28px;
+            font-size:15px;
+            font-weight:600;
+            color:#ffffff;
+            background:#2c5364;
+            border-radius:8px;
+            text-decoration:none;
+          ">Accept invitation</a>
+        </div>
+
         <div style="
-          margin:24px 0;
+          background:#fff3cd;
+          border:1px solid #ffeaa7;
+          border-radius:8px;
           padding:16px;
-          font-size:16px;
-          font-weight:600;
-          color:#2c5364;
-          background:#f0f4f8;
-          border-radius:10px;
-          border:1px solid #ddd;
-          word-break:break-all;
+          margin:20px 0;
         ">
-          <strong>Temporary Password:</strong><br>
-          <span style="font-family:monospace;font-size:18px;color:#e74c3c;">
-            ${tempPassword}
-          </span>
+          <p style="margin:0;color:#856404;font-size:13px;">
+            <strong>⚠️ Important:</strong><br>
+            This link can only be used once and expires on
+            <strong>${expiresAt.toUTCString()}</strong>. Do not share it with anyone.
+          </p>
+        </div>
+      </div>
+
+      <!-- Footer -->
+      <div style="
+        background:#f8f9fa;
+        padding:16px;
+        text-align:center;
+        font-size:12px;
+        color:#999;
+      ">
+        © ${new Date().getFullYear()} VORA · All rights reserved<br>
+        If you didn't expect this invitation, you can ignore this email.
+      </div>
+
+    </div>
+  </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error("Error sending invitation email:", error.message);
+    return false;
+  }
+};
+
+// Send account unlock email after a lockout
+const sendAccountUnlockEmail = async (
+  email,
+  unlockToken,
+  lockedUntil,
+  userName
+) => {
+  try {
+    const transporter = await createTransporter();
+    const unlockUrl = `${
+      process.env.FRONTEND_URL || "http://localhost:3000"
+    }/unlock-account?token=${unlockToken}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER || "noreply@cypher-sentinel.com",
+      to: email,
+      subject: "Your Account Has Been Locked - VORA",
+      html: `
+        <div style="background:#f4f6f8;padding:30px 0;">
+    <div style="
+      max-width:520px;
+      margin:auto;
+      background:#ffffff;
+      border-radius:12px;
+      box-shadow:0 10px 30px rgba(0,0,0,0.08);
+      overflow:hidden;
+      font-family:'Segoe UI',Roboto,Arial,sans-serif;
+    ">
+
+      <!-- Header -->
+      <div style="background:linear-gradient(135deg,#0f2027,#203a43,#2c5364);
+        padding:24px;
+        text-align:center;
+        color:#ffffff;">
+        <h1 style="margin:0;font-size:22px;letter-spacing:1px;">
+          VORA
+        </h1>
+        <p style="margin:6px 0 0;font-size:13px;opacity:0.85;">
+          Account Security Alert
+        </p>
+      </div>
+
+      <!-- Body -->
+      <div style="padding:30px;">
+        <h2 style="margin-top:0;color:#333;font-size:20px;">
+          Hi ${userName},
+        </h2>
+
+        <p style="color:#555;font-size:14px;line-height:1.6;">
+          We temporarily locked your account after too many failed sign-in or
+          verification attempts. It unlocks automatically at
+          <strong>${lockedUntil.toUTCString()}</strong>.
+        </p>
+
+        <p style="color:#555;font-size:14px;line-height:1.6;">
+          If these attempts were yours, you can unlock your account now:
+        </p>
+
+        <!-- Unlock Button -->
+        <div style="text-align:center;margin:24px 0;">
+          <a href="${unlockUrl}" style="
+            display:inline-block;
+            padding:12px 28px;
+            font-size:15px;
+            font-weight:600;
+            color:#ffffff;
+            background:#2c5364;
+            border-radius:8px;
+            text-decoration:none;
+          ">Unlock my account</a>
         </div>
 
         <div style="
@@ -185,9 +302,9 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
           margin:20px 0;
         ">
           <p style="margin:0;color:#856404;font-size:13px;">
-            <strong>⚠️ Important Security Notice:</strong><br>
-            Please change this temporary password immediately after your first login. 
-            Do not share this password with anyone.
+            <strong>⚠️ Not you?</strong><br>
+            Someone may be trying to access your account. Do not unlock it and
+            change your password once the lock expires.
           </p>
         </div>
       </div>
@@ -200,8 +317,7 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
         font-size:12px;
         color:#999;
       ">
-        © ${new Date().getFullYear()} VORA · All rights reserved<br>
-        If you didn't expect this email, please contact support immediately.
+        © ${new Date().getFullYear()} VORA · All rights reserved
       </div>
 
     </div>
@@ -209,10 +325,10 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
       `,
     };
 
-    const info = await transporter.sendMail(mailOptions);
+    await transporter.sendMail(mailOptions);
     return true;
   } catch (error) {
-    console.error("Error sending temporary password email:", error.message);
+    console.error("Error sending account unlock email:", error.message);
     return false;
   }
 };
@@ -220,5 +336,6 @@ const sendTempPasswordEmail = async (email, tempPassword, userName) => {
 module.exports = {
   generateOTP,
   sendOTPEmail,
-  sendTempPasswordEmail,
+  sendInvitationEmail,
+  sendAccountUnlockEmail,
 };
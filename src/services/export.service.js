@@ -0,0 +1,246 @@
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+/**
+ * Export Service
+ *
+ * Renders a comparison report (framework names, average score, control mapping
+ * table and unmatched expert controls) as CSV, XLSX or PDF. Rejected mappings
+ * are expected to be filtered out of the report rows already.
+ */
+
+// Supported export formats and their file extensions
+const EXPORT_FORMATS = {
+  csv: { extension: "csv" },
+  xlsx: { extension: "xlsx" },
+  pdf: { extension: "pdf" },
+};
+
+// Columns of the per-control mapping table
+const MAPPING_COLUMNS = [
+  {
+    header: "Expert Control ID",
+    key: "Expert_Framework_Control_Id",
+    width: 18,
+  },
+  {
+    header: "Expert Control Name",
+    key: "Expert_Framework_Control_Name",
+    width: 40,
+  },
+  { header: "User Control Name", key: "User_Document_Control_Name", width: 40 },
+  { header: "Comparison Score", key: "Comparison_Score", width: 16 },
+  { header: "Deployment Points", key: "Deployment_Points", width: 60 },
+];
+
+// Columns of the unmatched expert controls table
+const UNMATCHED_COLUMNS = [
+  { header: "Control ID", key: "controlId", width: 18 },
+  { header: "Control Name", key: "controlName", width: 40 },
+  { header: "Control Type", key: "controlType", width: 20 },
+  { header: "Deployment Points", key: "deploymentPoints", width: 60 },
+];
+
+const formatScore = (score) =>
+  typeof score === "number" ? parseFloat(score.toFixed(4)) : "";
+
+const formatPercent = (score) =>
+  typeof score === "number" ? `${(score * 100).toFixed(2)}%` : "N/A";
+
+// Summary lines shared by every format
+const buildSummaryRows = (report) => [
+  ["User Framework", report.userFrameworkName || "N/A"],
+  ["Expert Framework", report.expertFrameworkName || "N/A"],
+  ["Average Score", formatPercent(report.averageScore)],
+  ["Effective Score (after review)", formatPercent(report.effectiveScore)],
+  ["Compared At", report.comparedAt ? report.comparedAt.toISOString() : "N/A"],
+  ["Mapped Controls", report.rows.length],
+  ["Covered Controls", report.gapAnalysis.summary.covered],
+  ["Partially Covered Controls", report.gapAnalysis.summary.partial],
+  ["Missing Controls", report.gapAnalysis.summary.missing],
+  ["Unmatched Expert Controls", report.gapAnalysis.summary.unmatched],
+];
+
+// Spreadsheet apps run text starting with these characters as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Keep user text from running as a formula by prefixing it with a quote
+const escapeFormula = (value) =>
+  typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+// Values of a table row, keyed by column, with formulas escaped
+const toSheetRow = (columns, source) =>
+  Object.fromEntries(
+    columns.map((column) => [column.key, escapeFormula(source[column.key])])
+  );
+
+// Escape a single CSV cell (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = String(escapeFormula(value));
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(",");
+
+/**
+ * Build the CSV export
+ * @param {Object} report - Comparison report
+ * @returns {string} CSV content
+ */
+const buildComparisonCsv = (report) => {
+  const lines = [];
+
+  buildSummaryRows(report).forEach((row) => lines.push(toCsvLine(row)));
+
+  lines.push("");
+  lines.push(toCsvLine(MAPPING_COLUMNS.map((column) => column.header)));
+  report.rows.forEach((row) => {
+    lines.push(
+      toCsvLine(
+        MAPPING_COLUMNS.map((column) =>
+          column.key === "Comparison_Score"
+            ? formatScore(row[column.key])
+            : row[column.key]
+        )
+      )
+    );
+  });
+
+  lines.push("");
+  lines.push(toCsvLine(["Unmatched Expert Controls"]));
+  lines.push(toCsvLine(UNMATCHED_COLUMNS.map((column) => column.header)));
+  report.gapAnalysis.unmatched.forEach((control) => {
+    lines.push(
+      toCsvLine(UNMATCHED_COLUMNS.map((column) => control[column.key]))
+    );
+  });
+
+  return lines.join("\r\n");
+};
+
+/**
+ * Write the XLSX export to a stream
+ * @param {Object} report - Comparison report
+ * @param {Stream} stream - Writable stream (e.g. express response)
+ * @returns {Promise<void>}
+ */
+const writeComparisonXlsx = async (report, stream) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "VORA";
+  workbook.created = new Date();
+
+  const summarySheet = workbook.addWorksheet("Summary");
+  summarySheet.columns = [
+    { header: "Field", key: "field", width: 30 },
+    { header: "Value", key: "value", width: 50 },
+  ];
+  buildSummaryRows(report).forEach(([field, value]) =>
+    summarySheet.addRow({ field, value: escapeFormula(value) })
+  );
+  summarySheet.getRow(1).font = { bold: true };
+
+  const mappingSheet = workbook.addWorksheet("Control Mapping");
+  mappingSheet.columns = MAPPING_COLUMNS;
+  report.rows.forEach((row) =>
+    mappingSheet.addRow({
+      ...toSheetRow(MAPPING_COLUMNS, row),
+      Comparison_Score: formatScore(row.Comparison_Score),
+    })
+  );
+  mappingSheet.getRow(1).font = { bold: true };
+
+  const unmatchedSheet = workbook.addWorksheet("Unmatched Controls");
+  unmatchedSheet.columns = UNMATCHED_COLUMNS;
+  report.gapAnalysis.unmatched.forEach((control) =>
+    unmatchedSheet.addRow(toSheetRow(UNMATCHED_COLUMNS, control))
+  );
+  unmatchedSheet.getRow(1).font = { bold: true };
+
+  await workbook.xlsx.write(stream);
+};
+
+/**
+ * Write the printable PDF report to a stream
+ * @param {Object} report - Comparison report
+ * @param {Stream} stream - Writable stream (e.g. express response)
+ */
+const writeComparisonPdf = (report, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(18).text("Framework Comparison Report", { align: "center" });
+  doc.moveDown();
+
+  doc.fontSize(10);
+  buildSummaryRows(report).forEach(([field, value]) => {
+    doc.font("Helvetica-Bold").text(`${field}: `, { continued: true });
+    doc.font("Helvetica").text(String(value));
+  });
+
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(14).text("Control Mapping");
+  doc.moveDown(0.5);
+
+  if (report.rows.length === 0) {
+    doc.font("Helvetica").fontSize(10).text("No mapped controls.");
+  }
+  report.rows.forEach((row) => {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(
+        `${row.Expert_Framework_Control_Id || "N/A"} - ${
+          row.Expert_Framework_Control_Name || "N/A"
+        } (${formatPercent(row.Comparison_Score)})`
+      );
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`User control: ${row.User_Document_Control_Name || "N/A"}`);
+    if (row.Deployment_Points) {
+      doc.text(`Deployment points: ${row.Deployment_Points}`);
+    }
+    doc.moveDown(0.5);
+  });
+
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(14).text("Unmatched Expert Controls");
+  doc.moveDown(0.5);
+
+  if (report.gapAnalysis.unmatched.length === 0) {
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text("Every expert control was matched by at least one user control.");
+  }
+  report.gapAnalysis.unmatched.forEach((control) => {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(
+        `${control.controlId} - ${control.controlName || "N/A"} [${
+          control.controlType
+        }]`
+      );
+    if (control.deploymentPoints) {
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .text(`Deployment points: ${control.deploymentPoints}`);
+    }
+    doc.moveDown(0.5);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildComparisonCsv,
+  writeComparisonXlsx,
+  writeComparisonPdf,
+};
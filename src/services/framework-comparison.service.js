@@ -0,0 +1,384 @@
+const FrameworkComparison = require("../models/framework-comparison.model");
+const FrameworkComparisonBatch = require("../models/framework-comparison-batch.model");
+const UserFramework = require("../models/user-framework.model");
+const frameworkComparisonAIService = require("./ai/framework-comparison-ai.service");
+const { buildCoverageMatrix } = require("./gap-analysis.service");
+const {
+  getControlsByFramework,
+  getFrameworkControls,
+} = require("./control.service");
+const { getCustomFrameworkControls } = require("./custom-framework.service");
+const { sendToUser } = require("../websocket/framework-comparison.websocket");
+
+/**
+ * Framework Comparison Service
+ *
+ * Runs comparison jobs that are persisted as FrameworkComparison documents.
+ * Status moves pending → in-process → completed/error, so any job that was
+ * still running when the server stopped can be picked up again on startup.
+ *
+ * Batch comparisons create one pending job per expert framework and start them
+ * a few at a time; each finished job starts the next one until the batch is done.
+ *
+ * The comparison target is an expert framework or a custom framework built from
+ * expert framework controls; both are known to the AI service by their UUID.
+ *
+ * Completed result rows can be reviewed afterwards. Rejected rows are left out
+ * of the effective score and of the reports built from the results.
+ */
+
+// Statuses that mean the job has not finished yet
+const ACTIVE_STATUSES = ["pending", "in-process"];
+
+// Default number of comparisons a batch runs against the AI service at once
+const DEFAULT_BATCH_CONCURRENCY =
+  parseInt(process.env.COMPARISON_BATCH_CONCURRENCY) || 2;
+
+// Pending advanceBatch calls per batch, so two jobs finishing together
+// cannot both start the same pending comparison
+const batchLocks = new Map();
+
+// Average Comparison_Score across AI results
+const calculateAverageScore = (results = []) => {
+  if (results.length === 0) return 0;
+  return (
+    results.reduce((sum, item) => sum + (item.Comparison_Score || 0), 0) /
+    results.length
+  );
+};
+
+// Result rows that still count after review (rejected mappings are dropped)
+const getEffectiveResults = (results = []) =>
+  results.filter((row) => row.review?.status !== "rejected");
+
+/**
+ * Count result rows per review status
+ * @param {Array} results - Comparison result rows
+ * @returns {Object} { total, pending, accepted, rejected, edited, manual }
+ */
+const getReviewSummary = (results = []) => {
+  const summary = {
+    total: results.length,
+    pending: 0,
+    accepted: 0,
+    rejected: 0,
+    edited: 0,
+    manual: 0,
+  };
+  results.forEach((row) => {
+    summary[row.review?.status || "pending"]++;
+    if (row.source === "manual") summary.manual++;
+  });
+  return summary;
+};
+
+// Send a comparison update to the user who owns the job
+const notifyUser = (comparison, aiMessage) => {
+  sendToUser(comparison.userId.toString(), {
+    type: "comparison-update",
+    comparisonId: comparison._id,
+    userFrameworkId: comparison.userFrameworkId,
+    expertFrameworkId: comparison.expertFrameworkId,
+    customFrameworkId: comparison.customFrameworkId || null,
+    batchId: comparison.batchId || null,
+    aiMessage,
+  });
+};
+
+/**
+ * Load the controls of the framework a comparison ran against
+ * @param {Object} comparison - FrameworkComparison document
+ * @returns {Promise<Array>} Plain control objects
+ */
+const getTargetControls = (comparison) =>
+  comparison.customFrameworkId
+    ? getCustomFrameworkControls(comparison.customFrameworkId)
+    : getFrameworkControls(comparison.expertFrameworkId);
+
+/**
+ * Count batch comparisons per status
+ * @param {Array} comparisons - FrameworkComparison documents of one batch
+ * @returns {Object} { total, pending, inProcess, completed, failed }
+ */
+const getBatchProgress = (comparisons) => {
+  const progress = {
+    total: comparisons.length,
+    pending: 0,
+    inProcess: 0,
+    completed: 0,
+    failed: 0,
+  };
+  comparisons.forEach((comparison) => {
+    const status = comparison.aiProcessing.status;
+    if (status === "pending") progress.pending++;
+    else if (status === "in-process") progress.inProcess++;
+    else if (status === "completed") progress.completed++;
+    else progress.failed++;
+  });
+  return progress;
+};
+
+// Build the cross-framework coverage matrix from the batch comparisons
+const buildBatchCoverageMatrix = async (comparisons) => {
+  const controlsByFramework = await getControlsByFramework(
+    comparisons.map((comparison) => comparison.expertFrameworkId)
+  );
+
+  return buildCoverageMatrix(
+    comparisons.map((comparison) => ({
+      expertFrameworkId: comparison.expertFrameworkId,
+      expertFrameworkName: comparison.expertFrameworkName,
+      comparisonId: comparison._id,
+      status: comparison.aiProcessing.status,
+      averageScore: comparison.aiProcessing.comparisonScore,
+      results: getEffectiveResults(comparison.aiProcessing.comparisonResults),
+      expertControls:
+        controlsByFramework.get(comparison.expertFrameworkId.toString()) || [],
+    }))
+  );
+};
+
+// Start pending comparisons up to the batch concurrency, or finish the batch
+const processBatch = async (batchId) => {
+  const batch = await FrameworkComparisonBatch.findById(batchId);
+  if (!batch || !ACTIVE_STATUSES.includes(batch.status)) return;
+
+  const comparisons = await FrameworkComparison.find({ batchId: batch._id });
+  const progress = getBatchProgress(comparisons);
+
+  if (progress.pending === 0 && progress.inProcess === 0) {
+    batch.coverageMatrix = await buildBatchCoverageMatrix(comparisons);
+    batch.status = progress.completed > 0 ? "completed" : "error";
+    batch.completedAt = new Date();
+    await batch.save();
+
+    sendToUser(batch.userId.toString(), {
+      type: "comparison-batch-update",
+      batchId: batch._id,
+      userFrameworkId: batch.userFrameworkId,
+      status: batch.status,
+      progress,
+      coverageMatrix: batch.coverageMatrix,
+    });
+    return;
+  }
+
+  let slots = Math.max(batch.concurrency - progress.inProcess, 0);
+  for (const comparison of comparisons) {
+    if (slots === 0) break;
+    if (comparison.aiProcessing.status !== "pending") continue;
+
+    try {
+      await runFrameworkComparison(comparison);
+      progress.pending--;
+      progress.inProcess++;
+    } catch (error) {
+      // runFrameworkComparison already marked the comparison as failed
+      progress.pending--;
+      progress.failed++;
+    }
+    slots--;
+  }
+
+  if (batch.status === "pending") {
+    batch.status = "in-process";
+    await batch.save();
+  }
+
+  sendToUser(batch.userId.toString(), {
+    type: "comparison-batch-update",
+    batchId: batch._id,
+    userFrameworkId: batch.userFrameworkId,
+    status: batch.status,
+    progress,
+  });
+};
+
+/**
+ * Move a batch forward after one of its comparisons changed state
+ * @param {string|ObjectId} batchId - FrameworkComparisonBatch ID
+ * @returns {Promise<void>}
+ */
+const advanceBatch = (batchId) => {
+  const key = batchId.toString();
+  const previous = batchLocks.get(key) || Promise.resolve();
+
+  const next = previous
+    .then(() => processBatch(key))
+    .catch((error) => {
+      console.error(`❌ Failed to advance comparison batch ${key}:`, error);
+    });
+
+  batchLocks.set(key, next);
+  next.then(() => {
+    if (batchLocks.get(key) === next) batchLocks.delete(key);
+  });
+
+  return next;
+};
+
+// Mark a comparison as failed and tell the user
+const markComparisonFailed = async (comparisonId, errorMessage) => {
+  const comparison = await FrameworkComparison.findById(comparisonId);
+  if (!comparison || comparison.aiProcessing.status === "completed") return;
+
+  comparison.aiProcessing.status = "error";
+  comparison.aiProcessing.errorMessage = errorMessage;
+  comparison.aiProcessing.processedAt = new Date();
+  await comparison.save();
+
+  notifyUser(comparison, { status: "error", message: errorMessage });
+
+  if (comparison.batchId) {
+    advanceBatch(comparison.batchId);
+  }
+};
+
+// Store completed results on the comparison and on the user framework
+const completeComparison = async (comparisonId, results) => {
+  const comparison = await FrameworkComparison.findById(comparisonId);
+  if (!comparison) return;
+
+  const averageScore = calculateAverageScore(results);
+
+  comparison.aiProcessing.status = "completed";
+  comparison.aiProcessing.comparisonResults = results;
+  comparison.aiProcessing.resultsCount = results.length;
+  comparison.aiProcessing.comparisonScore = averageScore;
+  comparison.aiProcessing.effectiveScore = averageScore;
+  comparison.aiProcessing.processedAt = new Date();
+  comparison.aiProcessing.errorMessage = null;
+  await comparison.save();
+
+  // Keep the summary on the user framework for existing consumers, which
+  // only know expert framework comparisons
+  const fw = comparison.customFrameworkId
+    ? null
+    : await UserFramework.findById(comparison.userFrameworkId);
+  if (fw) {
+    fw.comparisonResults = fw.comparisonResults || [];
+    fw.comparisonResults.push({
+      expertFrameworkId: comparison.expertFrameworkId,
+      expertFrameworkName: comparison.expertFrameworkName,
+      comparisonData: results,
+      comparisonScore: averageScore,
+      resultsCount: results.length,
+      comparedAt: comparison.aiProcessing.processedAt,
+      comparisonId: comparison._id,
+    });
+    await fw.save();
+  }
+
+  notifyUser(comparison, {
+    status: "completed",
+    data: results,
+    resultsCount: results.length,
+    averageScore,
+  });
+
+  if (comparison.batchId) {
+    advanceBatch(comparison.batchId);
+  }
+};
+
+/**
+ * Run (or re-run) a persisted comparison job against the AI service
+ * @param {Object} comparison - FrameworkComparison document
+ * @returns {Promise<Object>} The comparison marked as in-process
+ */
+const runFrameworkComparison = async (comparison) => {
+  const comparisonId = comparison._id.toString();
+
+  comparison.aiProcessing.status = "in-process";
+  comparison.aiProcessing.errorMessage = null;
+  comparison.aiProcessing.startedAt = new Date();
+  await comparison.save();
+
+  notifyUser(comparison, { status: "in-process" });
+
+  try {
+    frameworkComparisonAIService.startFrameworkComparison(
+      comparison.userFrameworkUuid,
+      comparison.expertFrameworkUuid,
+      comparisonId,
+      async (message) => {
+        if (message.status === "completed") {
+          const results = Array.isArray(message.data) ? message.data : [];
+          await completeComparison(comparisonId, results);
+        } else if (message.status === "error" || message.status === "failed") {
+          await markComparisonFailed(
+            comparisonId,
+            message.message || "Comparison failed"
+          );
+        } else {
+          // Send processing updates
+          notifyUser(comparison, message);
+        }
+      },
+      async () => {
+        await markComparisonFailed(
+          comparisonId,
+          "Connection to AI service failed"
+        );
+      }
+    );
+  } catch (error) {
+    await markComparisonFailed(comparisonId, error.message);
+    throw error;
+  }
+
+  return comparison;
+};
+
+/**
+ * Resume comparisons that were pending or in-process when the server stopped
+ * Pending batch comparisons are left to their batch so concurrency still applies
+ * @returns {Promise<number>} Number of comparisons resumed
+ */
+const resumePendingComparisons = async () => {
+  const comparisons = await FrameworkComparison.find({
+    $or: [
+      { "aiProcessing.status": "in-process" },
+      { "aiProcessing.status": "pending", batchId: null },
+    ],
+  });
+
+  let resumed = 0;
+  for (const comparison of comparisons) {
+    if (frameworkComparisonAIService.isRunning(comparison._id.toString())) {
+      continue;
+    }
+
+    try {
+      await runFrameworkComparison(comparison);
+      resumed++;
+    } catch (error) {
+      console.error(
+        `❌ Failed to resume framework comparison ${comparison._id}:`,
+        error.message
+      );
+    }
+  }
+
+  const batches = await FrameworkComparisonBatch.find({
+    status: { $in: ACTIVE_STATUSES },
+  }).select("_id");
+  for (const batch of batches) {
+    await advanceBatch(batch._id);
+  }
+
+  return resumed;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  DEFAULT_BATCH_CONCURRENCY,
+  calculateAverageScore,
+  getEffectiveResults,
+  getReviewSummary,
+  getTargetControls,
+  getBatchProgress,
+  runFrameworkComparison,
+  advanceBatch,
+  resumePendingComparisons,
+};
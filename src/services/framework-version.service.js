@@ -0,0 +1,347 @@
+const FrameworkVersion = require("../models/framework-version.model");
+const { deleteObject } = require("./storage/storage.service");
+const { indexFileText } = require("./text-extraction/text-extraction.service");
+const {
+  CONTROL_FIELDS,
+  saveExtractedControls,
+  getFrameworkControls,
+} = require("./control.service");
+
+/**
+ * Framework Version Service
+ *
+ * Every file upload of an expert or user framework is a numbered version. The
+ * framework document always holds the current version (file, AI processing
+ * state, controls); the others are archived in `framework-versions`. Uploading
+ * a new file or rolling back swaps the current version with an archived one.
+ */
+
+// AI processing fields that belong to a single version
+const AI_PROCESSING_FIELDS = [
+  "uuid",
+  "status",
+  "control_extraction_status",
+  "processedAt",
+  "errorMessage",
+  "controlsCount",
+  "controlsExtractedAt",
+];
+
+// Values of a fresh, never processed version
+const AI_PROCESSING_DEFAULTS = {
+  status: "pending",
+  control_extraction_status: "pending",
+};
+
+// Control fields compared by the version diff
+const DIFF_FIELDS = CONTROL_FIELDS.filter((field) => field !== "Control_id");
+
+// Expert framework controls live in the controls collection, user ones are embedded
+const usesControlCollection = (framework) =>
+  framework.constructor.modelName === "ExpertFramework";
+
+// Keep only the control fields of a control document
+const toControlSnapshot = (control) => {
+  const snapshot = { source: control.source || "ai" };
+  CONTROL_FIELDS.forEach((field) => {
+    snapshot[field] = control[field] ?? "";
+  });
+  return snapshot;
+};
+
+// Controls of the framework's current version
+const getCurrentControls = async (framework) => {
+  if (usesControlCollection(framework)) {
+    const controls = await getFrameworkControls(framework._id);
+    return controls.map(toControlSnapshot);
+  }
+  return (framework.aiProcessing?.extractedControls || []).map((control) =>
+    toControlSnapshot(control.toObject ? control.toObject() : control)
+  );
+};
+
+// Replace the controls of the framework's current version
+const setCurrentControls = async (framework, controls) => {
+  if (usesControlCollection(framework)) {
+    framework.aiProcessing.controlsCount = await saveExtractedControls(
+      framework._id,
+      controls
+    );
+    return;
+  }
+  framework.aiProcessing.extractedControls = controls;
+  framework.aiProcessing.controlsCount = controls.length;
+};
+
+/**
+ * Archive the framework's current version in framework-versions
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @returns {Promise<Object>} The created FrameworkVersion
+ */
+const archiveCurrentVersion = async (framework) => {
+  const aiProcessing = {};
+  AI_PROCESSING_FIELDS.forEach((field) => {
+    aiProcessing[field] = framework.aiProcessing?.[field] ?? null;
+  });
+
+  return FrameworkVersion.create({
+    frameworkId: framework._id,
+    frameworkModel: framework.constructor.modelName,
+    versionNumber: framework.currentVersion || 1,
+    frameworkName: framework.frameworkName,
+    fileUrl: framework.fileUrl,
+    frameworkType: framework.frameworkType,
+    fileSize: framework.fileSize,
+    originalFileName: framework.originalFileName,
+    uploadedBy: framework.versionUploadedBy || framework.uploadedBy || null,
+    uploadedAt: framework.versionUploadedAt || framework.createdAt,
+    aiProcessing,
+    extractedControls: await getCurrentControls(framework),
+  });
+};
+
+/**
+ * Archive the current version and make an uploaded file the new current version
+ * The caller saves the framework
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @param {Object} options - { file, frameworkType, uploadedBy }
+ * @returns {Promise<number>} The new version number
+ */
+const startNewVersion = async (
+  framework,
+  { file, frameworkType, uploadedBy }
+) => {
+  await archiveCurrentVersion(framework);
+
+  const versionNumber = (framework.latestVersion || 1) + 1;
+
+  framework.fileUrl = file.key;
+  framework.frameworkType = frameworkType;
+  framework.fileSize = file.size;
+  framework.originalFileName = file.originalname;
+  framework.currentVersion = versionNumber;
+  framework.latestVersion = versionNumber;
+  framework.versionUploadedAt = new Date();
+  framework.versionUploadedBy = uploadedBy;
+  await indexFileText(framework);
+
+  // The new file has not been processed by the AI service yet
+  AI_PROCESSING_FIELDS.forEach((field) => {
+    if (field === "controlsCount") return;
+    framework.aiProcessing[field] = AI_PROCESSING_DEFAULTS[field] ?? null;
+  });
+  await setCurrentControls(framework, []);
+
+  return versionNumber;
+};
+
+/**
+ * Make an archived version current again; the current version is archived
+ * The caller saves the framework
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @param {number} versionNumber - Archived version to restore
+ * @returns {Promise<boolean>} false when the version does not exist
+ */
+const rollbackToVersion = async (framework, versionNumber) => {
+  const target = await FrameworkVersion.findOne({
+    frameworkId: framework._id,
+    versionNumber,
+  });
+  if (!target) return false;
+
+  await archiveCurrentVersion(framework);
+
+  framework.fileUrl = target.fileUrl;
+  framework.frameworkType = target.frameworkType;
+  framework.fileSize = target.fileSize;
+  framework.originalFileName = target.originalFileName;
+  framework.currentVersion = target.versionNumber;
+  framework.versionUploadedAt = target.uploadedAt;
+  framework.versionUploadedBy = target.uploadedBy;
+  await indexFileText(framework);
+
+  AI_PROCESSING_FIELDS.forEach((field) => {
+    if (field === "controlsCount") return;
+    framework.aiProcessing[field] =
+      target.aiProcessing?.[field] ?? AI_PROCESSING_DEFAULTS[field] ?? null;
+  });
+  await setCurrentControls(framework, target.extractedControls || []);
+
+  await FrameworkVersion.deleteOne({ _id: target._id });
+  return true;
+};
+
+/**
+ * List every version of a framework, newest first
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @returns {Promise<Array>} Version summaries
+ */
+const listVersions = async (framework) => {
+  const archived = await FrameworkVersion.find({ frameworkId: framework._id })
+    .select("-extractedControls")
+    .populate("uploadedBy", "name email role")
+    .lean();
+
+  await framework.populate([
+    { path: "uploadedBy", select: "name email role" },
+    { path: "versionUploadedBy", select: "name email role" },
+  ]);
+
+  const current = {
+    versionNumber: framework.currentVersion || 1,
+    frameworkName: framework.frameworkName,
+    frameworkType: framework.frameworkType,
+    fileSize: framework.fileSize,
+    originalFileName: framework.originalFileName,
+    uploadedBy: framework.versionUploadedBy || framework.uploadedBy,
+    uploadedAt: framework.versionUploadedAt || framework.createdAt,
+    aiProcessing: framework.aiProcessing,
+  };
+
+  return [current, ...archived]
+    .map((version) => ({
+      versionNumber: version.versionNumber,
+      isCurrent: version === current,
+      frameworkName: version.frameworkName,
+      frameworkType: version.frameworkType,
+      fileSize: version.fileSize,
+      originalFileName: version.originalFileName,
+      uploadedBy: version.uploadedBy?.name
+        ? {
+            id: version.uploadedBy._id,
+            name: version.uploadedBy.name,
+            email: version.uploadedBy.email,
+            role: version.uploadedBy.role,
+          }
+        : null,
+      uploadedAt: version.uploadedAt,
+      aiProcessing: {
+        status: version.aiProcessing?.status || "pending",
+        control_extraction_status:
+          version.aiProcessing?.control_extraction_status || "pending",
+        controlsCount: version.aiProcessing?.controlsCount || 0,
+        processedAt: version.aiProcessing?.processedAt || null,
+      },
+    }))
+    .sort((a, b) => b.versionNumber - a.versionNumber);
+};
+
+/**
+ * Find the file of any version
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @param {number} versionNumber - Version to download
+ * @returns {Promise<Object|null>} { fileUrl, originalFileName } or null
+ */
+const getVersionFile = async (framework, versionNumber) => {
+  if (versionNumber === (framework.currentVersion || 1)) {
+    return {
+      fileUrl: framework.fileUrl,
+      originalFileName: framework.originalFileName,
+    };
+  }
+
+  return FrameworkVersion.findOne({
+    frameworkId: framework._id,
+    versionNumber,
+  }).select("fileUrl originalFileName");
+};
+
+/**
+ * Load the controls of any version
+ * @param {Object} framework - ExpertFramework or UserFramework document
+ * @param {number} versionNumber - Version number
+ * @returns {Promise<Array|null>} Controls, or null when the version does not exist
+ */
+const getVersionControls = async (framework, versionNumber) => {
+  if (versionNumber === (framework.currentVersion || 1)) {
+    return getCurrentControls(framework);
+  }
+
+  const version = await FrameworkVersion.findOne({
+    frameworkId: framework._id,
+    versionNumber,
+  }).select("extractedControls");
+
+  return version ? version.extractedControls : null;
+};
+
+/**
+ * Control-level diff between two versions, matched by Control_id
+ * @param {Array} fromControls - Controls of the older version
+ * @param {Array} toControls - Controls of the newer version
+ * @returns {Object} Summary with added, removed and changed controls
+ */
+const diffControls = (fromControls = [], toControls = []) => {
+  const fromById = new Map(
+    fromControls.map((control) => [control.Control_id, control])
+  );
+  const toById = new Map(
+    toControls.map((control) => [control.Control_id, control])
+  );
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [controlId, control] of toById) {
+    const previous = fromById.get(controlId);
+    if (!previous) {
+      added.push(control);
+      continue;
+    }
+
+    const changes = {};
+    DIFF_FIELDS.forEach((field) => {
+      const from = previous[field] ?? "";
+      const to = control[field] ?? "";
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ Control_id: controlId, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = [...fromById.keys()]
+    .filter((controlId) => !toById.has(controlId))
+    .map((controlId) => fromById.get(controlId));
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+    },
+    added,
+    removed,
+    changed,
+  };
+};
+
+/**
+ * Delete every archived version of a framework and its files
+ * @param {string|ObjectId} frameworkId - Framework ID
+ */
+const deleteFrameworkVersions = async (frameworkId) => {
+  const versions = await FrameworkVersion.find({ frameworkId }).select(
+    "fileUrl"
+  );
+  await Promise.all(versions.map((version) => deleteObject(version.fileUrl)));
+  await FrameworkVersion.deleteMany({ frameworkId });
+};
+
+module.exports = {
+  archiveCurrentVersion,
+  startNewVersion,
+  rollbackToVersion,
+  listVersions,
+  getVersionFile,
+  getVersionControls,
+  diffControls,
+  deleteFrameworkVersions,
+};
@@ -0,0 +1,257 @@
+/**
+ * Gap Analysis Service
+ *
+ * Groups expert framework controls into covered, partially covered and missing
+ * based on the best Comparison_Score any user control reached against them.
+ */
+
+// Read a score threshold (0-1) from the environment; 0 is a valid threshold
+const readThresholdEnv = (name, fallback) => {
+  if (!process.env[name]?.trim()) return fallback;
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : fallback;
+};
+
+// Default score thresholds (0-1), overridable through env or per request
+const DEFAULT_GAP_THRESHOLDS = {
+  covered: readThresholdEnv("GAP_COVERED_THRESHOLD", 0.75),
+  partial: readThresholdEnv("GAP_PARTIAL_THRESHOLD", 0.5),
+};
+
+const UNCATEGORIZED_TYPE = "Uncategorized";
+
+// Round a ratio to a percentage with two decimals
+const toPercent = (part, total) =>
+  total > 0 ? parseFloat(((part / total) * 100).toFixed(2)) : 0;
+
+/**
+ * Classify a best score against the thresholds
+ * @param {number|null} score - Best Comparison_Score, null when never matched
+ * @param {Object} thresholds - { covered, partial }
+ * @returns {string} covered | partial | missing
+ */
+const classifyScore = (score, thresholds) => {
+  if (score === null || score === undefined) return "missing";
+  if (score >= thresholds.covered) return "covered";
+  if (score >= thresholds.partial) return "partial";
+  return "missing";
+};
+
+/**
+ * Build a gap analysis from comparison results and expert controls
+ * @param {Array} results - Comparison result rows from the AI service
+ * @param {Array} expertControls - Controls of the expert framework (control.model.js)
+ * @param {Object} [thresholds] - { covered, partial } score thresholds (0-1)
+ * @returns {Object} Summary, grouped controls, unmatched controls and coverage by type
+ */
+const buildGapAnalysis = (
+  results = [],
+  expertControls = [],
+  thresholds = DEFAULT_GAP_THRESHOLDS
+) => {
+  // Index every expert control by Control_id, keeping extraction order
+  const controls = new Map();
+  expertControls.forEach((control) => {
+    if (!control?.Control_id || controls.has(control.Control_id)) return;
+    controls.set(control.Control_id, {
+      controlId: control.Control_id,
+      controlName: control.Control_name || null,
+      controlType: control.Control_type || UNCATEGORIZED_TYPE,
+      controlDescription: control.Control_description || null,
+      deploymentPoints: control.Deployment_points || null,
+      bestScore: null,
+      matches: [],
+    });
+  });
+
+  // Attach each result row to the expert control it was mapped to
+  results.forEach((row) => {
+    const controlId = row.Expert_Framework_Control_Id;
+    if (!controlId) return;
+
+    if (!controls.has(controlId)) {
+      // Control missing from the extraction, fall back to the result row details
+      controls.set(controlId, {
+        controlId,
+        controlName: row.Expert_Framework_Control_Name || null,
+        controlType: UNCATEGORIZED_TYPE,
+        controlDescription: row.Expert_Framework_Control_Description || null,
+        deploymentPoints: row.Deployment_Points || null,
+        bestScore: null,
+        matches: [],
+      });
+    }
+
+    const control = controls.get(controlId);
+    const score = row.Comparison_Score || 0;
+    control.matches.push({
+      userControlName: row.User_Document_Control_Name || null,
+      score,
+    });
+    if (control.bestScore === null || score > control.bestScore) {
+      control.bestScore = score;
+    }
+  });
+
+  const groups = { covered: [], partial: [], missing: [] };
+  const unmatched = [];
+  const byType = new Map();
+
+  for (const control of controls.values()) {
+    const status = classifyScore(control.bestScore, thresholds);
+    const entry = {
+      controlId: control.controlId,
+      controlName: control.controlName,
+      controlType: control.controlType,
+      bestScore: control.bestScore,
+      matchCount: control.matches.length,
+      matches: control.matches,
+    };
+
+    // Remediation guidance is only useful where there is a gap
+    if (status !== "covered") {
+      entry.controlDescription = control.controlDescription;
+      entry.deploymentPoints = control.deploymentPoints;
+    }
+
+    groups[status].push(entry);
+    if (control.matches.length === 0) {
+      unmatched.push(entry);
+    }
+
+    if (!byType.has(control.controlType)) {
+      byType.set(control.controlType, {
+        controlType: control.controlType,
+        total: 0,
+        covered: 0,
+        partial: 0,
+        missing: 0,
+      });
+    }
+    const typeStats = byType.get(control.controlType);
+    typeStats.total++;
+    typeStats[status]++;
+  }
+
+  const totalControls = controls.size;
+
+  return {
+    thresholds,
+    summary: {
+      totalControls,
+      covered: groups.covered.length,
+      partial: groups.partial.length,
+      missing: groups.missing.length,
+      unmatched: unmatched.length,
+      coveragePercent: toPercent(groups.covered.length, totalControls),
+      // Partially covered controls count as half covered
+      weightedCoveragePercent: toPercent(
+        groups.covered.length + groups.partial.length / 2,
+        totalControls
+      ),
+    },
+    covered: groups.covered,
+    partial: groups.partial,
+    missing: groups.missing,
+    unmatched,
+    coverageByType: [...byType.values()].map((typeStats) => ({
+      ...typeStats,
+      coveragePercent: toPercent(typeStats.covered, typeStats.total),
+    })),
+  };
+};
+
+/**
+ * Build a cross-framework coverage matrix for one user framework
+ * @param {Array} frameworks - [{ expertFrameworkId, expertFrameworkName, comparisonId, status, results, expertControls }]
+ * @param {Object} [thresholds] - { covered, partial } score thresholds (0-1)
+ * @returns {Object} Per-framework coverage summary and per user control coverage across frameworks
+ */
+const buildCoverageMatrix = (
+  frameworks = [],
+  thresholds = DEFAULT_GAP_THRESHOLDS
+) => {
+  const userControls = new Map();
+
+  const frameworkSummaries = frameworks.map((framework) => {
+    const frameworkKey = framework.expertFrameworkId.toString();
+    const results = framework.results || [];
+    const summary = {
+      expertFrameworkId: framework.expertFrameworkId,
+      expertFrameworkName: framework.expertFrameworkName,
+      comparisonId: framework.comparisonId,
+      status: framework.status,
+      averageScore: framework.averageScore || 0,
+    };
+
+    if (framework.status !== "completed") {
+      return summary;
+    }
+
+    summary.gapSummary = buildGapAnalysis(
+      results,
+      framework.expertControls || [],
+      thresholds
+    ).summary;
+
+    // Best score each user control reached in this expert framework
+    results.forEach((row) => {
+      const userControlName = row.User_Document_Control_Name;
+      if (!userControlName) return;
+
+      if (!userControls.has(userControlName)) {
+        userControls.set(userControlName, {
+          userControlName,
+          coverage: {},
+        });
+      }
+
+      const coverage = userControls.get(userControlName).coverage;
+      const score = row.Comparison_Score || 0;
+      const cell = coverage[frameworkKey];
+
+      if (!cell) {
+        coverage[frameworkKey] = {
+          bestScore: score,
+          status: classifyScore(score, thresholds),
+          expertControlIds: row.Expert_Framework_Control_Id
+            ? [row.Expert_Framework_Control_Id]
+            : [],
+        };
+        return;
+      }
+
+      if (
+        row.Expert_Framework_Control_Id &&
+        !cell.expertControlIds.includes(row.Expert_Framework_Control_Id)
+      ) {
+        cell.expertControlIds.push(row.Expert_Framework_Control_Id);
+      }
+      if (score > cell.bestScore) {
+        cell.bestScore = score;
+        cell.status = classifyScore(score, thresholds);
+      }
+    });
+
+    return summary;
+  });
+
+  return {
+    thresholds,
+    frameworks: frameworkSummaries,
+    // coverage is keyed by expertFrameworkId; missing keys mean no mapping
+    userControls: [...userControls.values()].map((control) => ({
+      ...control,
+      frameworksCovered: Object.values(control.coverage).filter(
+        (cell) => cell.status === "covered"
+      ).length,
+    })),
+  };
+};
+
+module.exports = {
+  DEFAULT_GAP_THRESHOLDS,
+  classifyScore,
+  buildGapAnalysis,
+  buildCoverageMatrix,
+};
@@ -0,0 +1,336 @@
+/**
+ * Invitation Service
+ *
+ * Users created by an admin are invited instead of receiving a password: they
+ * get an email with a single-use link that expires, and choose their own
+ * password when they open it. Until then the account has no password and
+ * cannot sign in. Admins can resend an invitation (with a new link) or
+ * revoke it while it is not accepted.
+ */
+
+const crypto = require("crypto");
+const Invitation = require("../models/invitation.model");
+const User = require("../models/user.model");
+const { hashToken } = require("./session.service");
+const { sendInvitationEmail } = require("./email.service");
+const { recordAuditEvent } = require("./audit.service");
+
+const readNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// How long an invitation link can be used
+const INVITATION_TTL_HOURS = readNumberEnv("INVITATION_TTL_HOURS", 72);
+
+const INVITATION_STATUSES = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  EXPIRED: "expired",
+  REVOKED: "revoked",
+};
+
+const INVITATION_ERRORS = {
+  NOT_FOUND: "INVITATION_NOT_FOUND",
+  NOT_PENDING: "INVITATION_NOT_PENDING",
+  INVALID_TOKEN: "INVITATION_INVALID_TOKEN",
+};
+
+// HTTP status for each error, shared by the auth and admin controllers
+const INVITATION_ERROR_STATUS = {
+  [INVITATION_ERRORS.NOT_FOUND]: 404,
+  [INVITATION_ERRORS.NOT_PENDING]: 400,
+  [INVITATION_ERRORS.INVALID_TOKEN]: 400,
+};
+
+const AUDIT_EVENTS = {
+  INVITATION_SENT: "invitation-sent",
+  INVITATION_RESENT: "invitation-resent",
+  INVITATION_REVOKED: "invitation-revoked",
+  INVITATION_ACCEPTED: "invitation-accepted",
+};
+
+const invitationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Status of an invitation at this moment
+ * @param {Object} invitation - Invitation document
+ * @returns {string} One of INVITATION_STATUSES
+ */
+const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return INVITATION_STATUSES.ACCEPTED;
+  if (invitation.revokedAt) return INVITATION_STATUSES.REVOKED;
+  if (invitation.expiresAt <= new Date()) return INVITATION_STATUSES.EXPIRED;
+  return INVITATION_STATUSES.PENDING;
+};
+
+// Helper function to give the invitation a new link and email it
+const sendInvitationLink = async (invitation, user, invitedByName) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(
+    Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  invitation.revokedAt = null;
+  invitation.revokedBy = null;
+  invitation.lastSentAt = new Date();
+  invitation.sentCount += 1;
+  await invitation.save();
+
+  return sendInvitationEmail(
+    user.email,
+    token,
+    invitation.expiresAt,
+    user.name,
+    invitedByName
+  );
+};
+
+/**
+ * Invite a user that was created without a password
+ * @param {Object} user - User document (invitationPending)
+ * @param {Object} context - { actorId, actorName, ipAddress, userAgent }
+ * @returns {Promise<Object>} { invitation, emailSent }
+ */
+const createInvitation = async (
+  user,
+  { actorId = null, actorName = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const invitation = new Invitation({
+    userId: user._id,
+    email: user.email,
+    invitedBy: actorId,
+  });
+  const emailSent = await sendInvitationLink(invitation, user, actorName);
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.INVITATION_SENT,
+    actorId,
+    targetUserId: user._id,
+    email: user.email,
+    ipAddress,
+    userAgent,
+    details: { expiresAt: invitation.expiresAt, emailSent },
+  });
+
+  return { invitation, emailSent };
+};
+
+// Helper function to load the invitation of a user that can still be changed
+const getOpenInvitation = async (userId) => {
+  const invitation = await Invitation.findOne({ userId });
+  if (!invitation) {
+    throw invitationError(
+      INVITATION_ERRORS.NOT_FOUND,
+      "This user has no invitation"
+    );
+  }
+  if (invitation.acceptedAt) {
+    throw invitationError(
+      INVITATION_ERRORS.NOT_PENDING,
+      "The invitation was already accepted"
+    );
+  }
+  return invitation;
+};
+
+/**
+ * Send a new invitation link; the previous link stops working. Also
+ * re-opens expired and revoked invitations.
+ * @param {string} userId - Invited user ID
+ * @param {Object} context - { actorId, actorName, ipAddress, userAgent }
+ * @returns {Promise<Object>} { invitation, emailSent }
+ * @throws NOT_FOUND, NOT_PENDING
+ */
+const resendInvitation = async (
+  userId,
+  { actorId = null, actorName = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const invitation = await getOpenInvitation(userId);
+  const user = await User.findById(userId);
+  if (!user) {
+    throw invitationError(INVITATION_ERRORS.NOT_FOUND, "User not found");
+  }
+
+  const previousStatus = getInvitationStatus(invitation);
+  const emailSent = await sendInvitationLink(invitation, user, actorName);
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.INVITATION_RESENT,
+    actorId,
+    targetUserId: user._id,
+    email: user.email,
+    ipAddress,
+    userAgent,
+    details: {
+      previousStatus,
+      expiresAt: invitation.expiresAt,
+      sentCount: invitation.sentCount,
+      emailSent,
+    },
+  });
+
+  return { invitation, emailSent };
+};
+
+/**
+ * Revoke an invitation so its link can no longer be used. The account stays
+ * without a password until the invitation is resent or the user deleted.
+ * @param {string} userId - Invited user ID
+ * @param {Object} context - { actorId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Invitation
+ * @throws NOT_FOUND, NOT_PENDING
+ */
+const revokeInvitation = async (
+  userId,
+  { actorId = null, ipAddress = null, userAgent = null } = {}
+) => {
+  const invitation = await getOpenInvitation(userId);
+  if (invitation.revokedAt) {
+    throw invitationError(
+      INVITATION_ERRORS.NOT_PENDING,
+      "The invitation was already revoked"
+    );
+  }
+
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = actorId;
+  await invitation.save();
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.INVITATION_REVOKED,
+    actorId,
+    targetUserId: invitation.userId,
+    email: invitation.email,
+    ipAddress,
+    userAgent,
+  });
+
+  return invitation;
+};
+
+// Query for the invitation of a link that can still be accepted
+const pendingTokenQuery = (token) => ({
+  tokenHash: hashToken(token),
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+const invalidTokenError = () =>
+  invitationError(
+    INVITATION_ERRORS.INVALID_TOKEN,
+    "This invitation link is invalid or has expired. Please ask an administrator for a new one"
+  );
+
+/**
+ * Look up a pending invitation by the token of its link
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object>} { invitation, user }
+ * @throws INVALID_TOKEN
+ */
+const getInvitationByToken = async (token) => {
+  const invitation = await Invitation.findOne(pendingTokenQuery(token));
+  const user = invitation && (await User.findById(invitation.userId));
+  if (!user) {
+    throw invalidTokenError();
+  }
+  return { invitation, user };
+};
+
+/**
+ * Accept an invitation: set the user's password and activate the account
+ * @param {string} token - Token from the invitation link
+ * @param {string} password - Password chosen by the user (checked by the validation)
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} User
+ * @throws INVALID_TOKEN
+ */
+const acceptInvitation = async (
+  token,
+  password,
+  { ipAddress = null, userAgent = null } = {}
+) => {
+  // Marked accepted first, so the same link cannot be used twice in parallel
+  const invitation = await Invitation.findOneAndUpdate(
+    pendingTokenQuery(token),
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+  const user = invitation && (await User.findById(invitation.userId));
+  if (!user) {
+    throw invalidTokenError();
+  }
+
+  user.password = password;
+  user.invitationPending = false;
+  // The link was delivered to the mailbox, which proves the address
+  user.isEmailVerified = true;
+  await user.save();
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.INVITATION_ACCEPTED,
+    actorId: user._id,
+    targetUserId: user._id,
+    email: user.email,
+    ipAddress,
+    userAgent,
+  });
+
+  return user;
+};
+
+/**
+ * Invitation status of several users, for user lists
+ * @param {Array} userIds - User IDs
+ * @returns {Promise<Map>} User ID (string) -> formatted invitation
+ */
+const getInvitationsByUser = async (userIds) => {
+  const invitations = await Invitation.find({ userId: { $in: userIds } });
+  return new Map(
+    invitations.map((invitation) => [
+      invitation.userId.toString(),
+      formatInvitation(invitation),
+    ])
+  );
+};
+
+/**
+ * Shape an invitation for responses
+ * @param {Object} invitation - Invitation document
+ * @returns {Object} Invitation with its current status
+ */
+const formatInvitation = (invitation) => ({
+  status: getInvitationStatus(invitation),
+  expiresAt: invitation.expiresAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  invitedBy: invitation.invitedBy,
+  createdAt: invitation.createdAt,
+});
+
+module.exports = {
+  INVITATION_TTL_HOURS,
+  INVITATION_STATUSES,
+  INVITATION_ERRORS,
+  INVITATION_ERROR_STATUS,
+  AUDIT_EVENTS,
+  getInvitationStatus,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+  getInvitationsByUser,
+  formatInvitation,
+};
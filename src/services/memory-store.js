@@ -0,0 +1,144 @@
+/**
+ * Memory Store
+ *
+ * A stand-in for the few Redis commands the brute-force protection uses, kept
+ * in the memory of this process. It is used while Redis is not configured or
+ * not reachable so failed attempts are still counted; counts are not shared
+ * between processes and are lost on restart. The number of keys is bounded:
+ * when full, expired keys are dropped first, then the oldest ones.
+ */
+
+const DEFAULT_MAX_KEYS = 10000;
+
+// Glob pattern of SCAN MATCH ("*" only) to a RegExp
+const matchPattern = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+
+/**
+ * Create an in-memory store
+ * @param {Object} [options] - { maxKeys }
+ * @returns {Object} Store with the node-redis method names it supports
+ */
+const createMemoryStore = ({ maxKeys = DEFAULT_MAX_KEYS } = {}) => {
+  // key -> { value, expiresAt } (expiresAt null when the key never expires)
+  const entries = new Map();
+
+  const isExpired = (entry) =>
+    entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const makeRoom = () => {
+    if (entries.size < maxKeys) return;
+    entries.forEach((entry, key) => {
+      if (isExpired(entry)) entries.delete(key);
+    });
+    // Map keeps insertion order, so the first keys are the oldest
+    for (const key of entries.keys()) {
+      if (entries.size < maxKeys) break;
+      entries.delete(key);
+    }
+  };
+
+  const write = (key, value, ttlMs = null) => {
+    if (!entries.has(key)) makeRoom();
+    entries.set(key, {
+      value: String(value),
+      expiresAt: ttlMs === null ? null : Date.now() + ttlMs,
+    });
+  };
+
+  // Time to live in ms: -2 when the key does not exist, -1 when it never expires
+  const remainingMs = (key) => {
+    const entry = getEntry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return entry.expiresAt - Date.now();
+  };
+
+  return {
+    async get(key) {
+      return getEntry(key)?.value ?? null;
+    },
+
+    async getDel(key) {
+      const value = getEntry(key)?.value ?? null;
+      entries.delete(key);
+      return value;
+    },
+
+    async set(key, value, { expiration, condition } = {}) {
+      if (condition === "NX" && getEntry(key)) return null;
+      write(
+        key,
+        value,
+        expiration?.type === "EX" ? expiration.value * 1000 : null
+      );
+      return "OK";
+    },
+
+    async setEx(key, seconds, value) {
+      write(key, value, seconds * 1000);
+      return "OK";
+    },
+
+    async pSetEx(key, milliseconds, value) {
+      write(key, value, milliseconds);
+      return "OK";
+    },
+
+    async incr(key) {
+      const entry = getEntry(key);
+      const value = (entry ? Number(entry.value) : 0) + 1;
+      if (entry) entry.value = String(value);
+      else write(key, value);
+      return value;
+    },
+
+    async expire(key, seconds) {
+      const entry = getEntry(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+
+    async ttl(key) {
+      const ms = remainingMs(key);
+      return ms < 0 ? ms : Math.ceil(ms / 1000);
+    },
+
+    async pTTL(key) {
+      return remainingMs(key);
+    },
+
+    async del(keys) {
+      return [].concat(keys).filter((key) => {
+        const existed = getEntry(key) !== null;
+        entries.delete(key);
+        return existed;
+      }).length;
+    },
+
+    // Yields one batch with every matching key, like a single SCAN page
+    async *scanIterator({ MATCH = "*" } = {}) {
+      const pattern = matchPattern(MATCH);
+      yield [...entries.keys()].filter(
+        (key) => pattern.test(key) && getEntry(key)
+      );
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
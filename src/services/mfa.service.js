@@ -0,0 +1,488 @@
+/**
+ * MFA Service
+ *
+ * Two-factor authentication with TOTP (RFC 6238, HMAC-SHA1, 6 digits, 30s
+ * steps) and one-time recovery codes. Secrets are stored encrypted with
+ * AES-256-GCM; recovery codes are stored as SHA-256 hashes. Logging in with MFA
+ * is two steps: the password step returns a short-lived challenge token that the
+ * second step exchanges, together with a code, for a session.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "VORA";
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || "5m";
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before and after to tolerate clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const MFA_CHALLENGE_PURPOSES = {
+  // Password was correct, MFA code still needed
+  LOGIN: "mfa-login",
+  // Password was correct, but the role requires MFA and it is not set up yet
+  SETUP: "mfa-setup",
+  // Login checks passed, but the password has expired and must be replaced
+  PASSWORD_EXPIRED: "password-expired",
+};
+
+const MFA_ERRORS = {
+  INVALID_CODE: "MFA_INVALID_CODE",
+  INVALID_CHALLENGE: "MFA_INVALID_CHALLENGE",
+  NOT_ENABLED: "MFA_NOT_ENABLED",
+  ALREADY_ENABLED: "MFA_ALREADY_ENABLED",
+  SETUP_NOT_STARTED: "MFA_SETUP_NOT_STARTED",
+};
+
+const mfaError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to encode bytes as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Helper function to decode RFC 4648 base32 (padding and case ignored)
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Encryption key for stored secrets
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor (TOTP time step)
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Matching time step, or null when the code is invalid
+ */
+const findTotpStep = (secret, code) => {
+  const currentStep = getTimeStep();
+  const candidate = Buffer.from(String(code));
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (
+      expected.length === candidate.length &&
+      crypto.timingSafeEqual(expected, candidate)
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Provisioning URI for authenticator apps (rendered as a QR code by the client)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app, usually the email
+ * @returns {string} otpauth:// URI
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = `${encodeURIComponent(MFA_ISSUER)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = (code) =>
+  String(code)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Helper function to generate recovery codes like "a1b2c-3d4e5"
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+// Load the user with the MFA fields that are hidden by default
+const findUserWithMfa = (userId) =>
+  User.findById(userId).select(
+    "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep"
+  );
+
+/**
+ * Start enrolment: create a secret the user adds to their authenticator app
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+const startEnrolment = async (userId) => {
+  const user = await findUserWithMfa(userId);
+  if (user.mfa?.enabled) {
+    throw mfaError(
+      MFA_ERRORS.ALREADY_ENABLED,
+      "Two-factor authentication is already enabled"
+    );
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "mfa.pendingSecret": encryptSecret(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email),
+  };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Recovery codes (shown to the user once)
+ */
+const completeEnrolment = async (userId, code) => {
+  const user = await findUserWithMfa(userId);
+  if (user.mfa?.enabled) {
+    throw mfaError(
+      MFA_ERRORS.ALREADY_ENABLED,
+      "Two-factor authentication is already enabled"
+    );
+  }
+  if (!user.mfa?.pendingSecret) {
+    throw mfaError(
+      MFA_ERRORS.SETUP_NOT_STARTED,
+      "Two-factor authentication setup has not been started"
+    );
+  }
+
+  const step = findTotpStep(decryptSecret(user.mfa.pendingSecret), code);
+  if (step === null) {
+    throw mfaError(MFA_ERRORS.INVALID_CODE, "Invalid authentication code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "mfa.enabled": true,
+        "mfa.secret": user.mfa.pendingSecret,
+        "mfa.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        "mfa.lastUsedStep": step,
+        "mfa.enabledAt": new Date(),
+      },
+      $unset: { "mfa.pendingSecret": "" },
+    }
+  );
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or a recovery code of a user with MFA enabled.
+ * A TOTP code is accepted once; a recovery code is used up.
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { method, recoveryCodesRemaining }
+ */
+const verifyMfaCode = async (userId, { code, recoveryCode }) => {
+  const user = await findUserWithMfa(userId);
+  if (!user?.mfa?.enabled) {
+    throw mfaError(
+      MFA_ERRORS.NOT_ENABLED,
+      "Two-factor authentication is not enabled"
+    );
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    // Pull the code atomically so it cannot be used twice
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, "mfa.recoveryCodes": codeHash },
+      { $pull: { "mfa.recoveryCodes": codeHash } },
+      { new: true }
+    ).select("+mfa.recoveryCodes");
+
+    if (!updated) {
+      throw mfaError(MFA_ERRORS.INVALID_CODE, "Invalid recovery code");
+    }
+
+    return {
+      method: "recovery-code",
+      recoveryCodesRemaining: updated.mfa.recoveryCodes.length,
+    };
+  }
+
+  const step = findTotpStep(decryptSecret(user.mfa.secret), code);
+  if (step === null) {
+    throw mfaError(MFA_ERRORS.INVALID_CODE, "Invalid authentication code");
+  }
+
+  // Reject a code whose step was already used (replay)
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "mfa.lastUsedStep": { $lt: step } },
+        { "mfa.lastUsedStep": null },
+      ],
+    },
+    { $set: { "mfa.lastUsedStep": step } }
+  );
+  if (result.modifiedCount === 0) {
+    throw mfaError(
+      MFA_ERRORS.INVALID_CODE,
+      "Authentication code has already been used. Wait for the next code."
+    );
+  }
+
+  return {
+    method: "totp",
+    recoveryCodesRemaining: user.mfa.recoveryCodes.length,
+  };
+};
+
+/**
+ * Replace the recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} New recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "mfa.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turn MFA off and forget the secret and recovery codes
+ * @param {string} userId - User ID
+ */
+const disableMfa = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "mfa.enabled": false },
+      $unset: {
+        "mfa.secret": "",
+        "mfa.pendingSecret": "",
+        "mfa.recoveryCodes": "",
+        "mfa.lastUsedStep": "",
+        "mfa.enabledAt": "",
+      },
+    }
+  );
+};
+
+/**
+ * MFA status of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+const getMfaStatus = async (userId) => {
+  const user = await findUserWithMfa(userId);
+  return {
+    enabled: !!user.mfa?.enabled,
+    enabledAt: user.mfa?.enabledAt || null,
+    recoveryCodesRemaining: user.mfa?.enabled
+      ? user.mfa.recoveryCodes.length
+      : 0,
+  };
+};
+
+/**
+ * Sign the challenge token returned by the password step of login
+ * @param {Object} user - User that passed the password check
+ * @param {string} purpose - One of MFA_CHALLENGE_PURPOSES
+ * @param {Object} device - { deviceName } carried to the session created later
+ * @returns {Object} { challengeToken, challengeExpiresAt }
+ */
+const signChallengeToken = (user, purpose, { deviceName } = {}) => {
+  const challengeToken = jwt.sign(
+    {
+      userId: user._id,
+      purpose,
+      ...(deviceName && { deviceName }),
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    }
+  );
+
+  return {
+    challengeToken,
+    challengeExpiresAt: new Date(jwt.decode(challengeToken).exp * 1000),
+  };
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} challengeToken - Token from the password step
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded payload { userId, purpose, deviceName }
+ */
+const verifyChallengeToken = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+      throw new Error("Wrong challenge purpose");
+    }
+    return decoded;
+  } catch (error) {
+    throw mfaError(
+      MFA_ERRORS.INVALID_CHALLENGE,
+      "Invalid or expired login challenge. Please login again."
+    );
+  }
+};
+
+/**
+ * Load the user a challenge token was issued to
+ * @param {string} challengeToken - Token from the password step
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} { user, deviceName }
+ */
+const resolveChallenge = async (challengeToken, purpose) => {
+  const { userId, deviceName } = verifyChallengeToken(challengeToken, purpose);
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw mfaError(
+      MFA_ERRORS.INVALID_CHALLENGE,
+      "Invalid or expired login challenge. Please login again."
+    );
+  }
+
+  return { user, deviceName };
+};
+
+module.exports = {
+  MFA_CHALLENGE_PURPOSES,
+  MFA_ERRORS,
+  startEnrolment,
+  completeEnrolment,
+  verifyMfaCode,
+  regenerateRecoveryCodes,
+  disableMfa,
+  getMfaStatus,
+  signChallengeToken,
+  verifyChallengeToken,
+  resolveChallenge,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  getTimeStep,
+};
@@ -0,0 +1,364 @@
+/**
+ * OIDC Service
+ *
+ * OpenID Connect authorization code flow with PKCE (RFC 7636): discovery of
+ * the provider configuration, the authorization URL, the code exchange at the
+ * token endpoint and verification of the ID token against the provider's JWKS.
+ * Discovery documents and key sets are cached in memory.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// Discovery documents and key sets are fetched again after this long
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Signature algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+// Clock difference with the provider tolerated when checking exp and iat
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const OIDC_ERRORS = {
+  DISCOVERY_FAILED: "OIDC_DISCOVERY_FAILED",
+  TOKEN_EXCHANGE_FAILED: "OIDC_TOKEN_EXCHANGE_FAILED",
+  ID_TOKEN_INVALID: "OIDC_ID_TOKEN_INVALID",
+};
+
+const oidcError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// issuer / jwks_uri -> { value, expiresAt }
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const readCache = (cache, key) => {
+  const entry = cache.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+};
+
+const writeCache = (cache, key, value) =>
+  cache.set(key, { value, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+
+// Helper function to compare issuers that only differ by a trailing slash
+const normalizeIssuer = (issuer) => issuer.replace(/\/+$/, "");
+
+/**
+ * Fetch the provider configuration from /.well-known/openid-configuration
+ * @param {string} issuer - Issuer URL
+ * @param {Object} options - { refresh } to bypass the cache
+ * @returns {Promise<Object>} Discovery document
+ * @throws DISCOVERY_FAILED
+ */
+const discover = async (issuer, { refresh = false } = {}) => {
+  const cacheKey = normalizeIssuer(issuer);
+  const cached = !refresh && readCache(discoveryCache, cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let metadata;
+  try {
+    ({ data: metadata } = await axios.get(
+      `${cacheKey}/.well-known/openid-configuration`,
+      { timeout: HTTP_TIMEOUT_MS }
+    ));
+  } catch (error) {
+    throw oidcError(
+      OIDC_ERRORS.DISCOVERY_FAILED,
+      `Could not load the OpenID configuration of ${issuer}: ${error.message}`
+    );
+  }
+
+  const missing = [
+    "issuer",
+    "authorization_endpoint",
+    "token_endpoint",
+    "jwks_uri",
+  ].filter((field) => !metadata?.[field]);
+  if (missing.length > 0) {
+    throw oidcError(
+      OIDC_ERRORS.DISCOVERY_FAILED,
+      `The OpenID configuration of ${issuer} is missing: ${missing.join(", ")}`
+    );
+  }
+
+  // The configuration must be about the issuer it was fetched from
+  if (normalizeIssuer(metadata.issuer) !== cacheKey) {
+    throw oidcError(
+      OIDC_ERRORS.DISCOVERY_FAILED,
+      `The OpenID configuration belongs to issuer ${metadata.issuer}, expected ${issuer}`
+    );
+  }
+
+  writeCache(discoveryCache, cacheKey, metadata);
+  return metadata;
+};
+
+// Helper function to load the signing keys, optionally bypassing the cache
+const getJwks = async (jwksUri, refresh = false) => {
+  const cached = !refresh && readCache(jwksCache, jwksUri);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    const keys = Array.isArray(data?.keys) ? data.keys : [];
+    writeCache(jwksCache, jwksUri, keys);
+    return keys;
+  } catch (error) {
+    throw oidcError(
+      OIDC_ERRORS.DISCOVERY_FAILED,
+      `Could not load the signing keys from ${jwksUri}: ${error.message}`
+    );
+  }
+};
+
+// Helper function to pick the signing key of a token from a key set
+const findSigningKey = (keys, header) =>
+  keys.find(
+    (key) =>
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === "sig") &&
+      (!key.alg || key.alg === header.alg)
+  );
+
+/**
+ * Generate the random values of a new login: state, nonce and PKCE verifier
+ * @returns {Object} { state, nonce, codeVerifier, codeChallenge }
+ */
+const createAuthorizationParams = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  return {
+    state: crypto.randomBytes(32).toString("base64url"),
+    nonce: crypto.randomBytes(16).toString("base64url"),
+    codeVerifier,
+    codeChallenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+  };
+};
+
+/**
+ * Build the URL that sends the user to the provider's login page
+ * @param {Object} metadata - Discovery document
+ * @param {Object} params - { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }
+ * @returns {string} Authorization URL
+ */
+const buildAuthorizationUrl = (
+  metadata,
+  { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }
+) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", [...new Set(["openid", ...scopes])].join(" "));
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  if (loginHint) {
+    url.searchParams.set("login_hint", loginHint);
+  }
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint
+ * @param {Object} metadata - Discovery document
+ * @param {Object} client - { clientId, clientSecret, tokenEndpointAuthMethod, redirectUri }
+ * @param {Object} params - { code, codeVerifier }
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ * @throws TOKEN_EXCHANGE_FAILED
+ */
+const exchangeCode = async (
+  metadata,
+  { clientId, clientSecret, tokenEndpointAuthMethod, redirectUri },
+  { code, codeVerifier }
+) => {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (tokenEndpointAuthMethod === "client_secret_basic") {
+    // RFC 6749 section 2.3.1: both parts are form-encoded before base64
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(
+      clientSecret || ""
+    )}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString(
+      "base64"
+    )}`;
+  } else {
+    body.set("client_id", clientId);
+    if (tokenEndpointAuthMethod === "client_secret_post") {
+      body.set("client_secret", clientSecret || "");
+    }
+  }
+
+  let tokens;
+  try {
+    ({ data: tokens } = await axios.post(
+      metadata.token_endpoint,
+      body.toString(),
+      { headers, timeout: HTTP_TIMEOUT_MS }
+    ));
+  } catch (error) {
+    const reason =
+      error.response?.data?.error_description ||
+      error.response?.data?.error ||
+      error.message;
+    throw oidcError(
+      OIDC_ERRORS.TOKEN_EXCHANGE_FAILED,
+      `The identity provider rejected the login: ${reason}`
+    );
+  }
+
+  if (!tokens?.id_token) {
+    throw oidcError(
+      OIDC_ERRORS.TOKEN_EXCHANGE_FAILED,
+      "The identity provider did not return an ID token"
+    );
+  }
+
+  return tokens;
+};
+
+/**
+ * Verify the signature and claims of an ID token
+ * @param {Object} metadata - Discovery document
+ * @param {string} idToken - ID token (JWT)
+ * @param {Object} expected - { clientId, nonce }
+ * @returns {Promise<Object>} Claims of the token
+ * @throws ID_TOKEN_INVALID
+ */
+const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      "The ID token is malformed or uses an unsupported algorithm"
+    );
+  }
+
+  // Keys rotate at the provider, an unknown key ID reloads the key set once
+  let jwk = findSigningKey(await getJwks(metadata.jwks_uri), decoded.header);
+  if (!jwk) {
+    jwk = findSigningKey(
+      await getJwks(metadata.jwks_uri, true),
+      decoded.header
+    );
+  }
+  if (!jwk) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      "The ID token is signed with an unknown key"
+    );
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(
+      idToken,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      {
+        algorithms: [decoded.header.alg],
+        issuer: metadata.issuer,
+        audience: clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      }
+    );
+  } catch (error) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      `The ID token is invalid: ${error.message}`
+    );
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      "The ID token does not belong to this login (nonce mismatch)"
+    );
+  }
+
+  // With several audiences the token must be issued to this client
+  if (
+    Array.isArray(claims.aud) &&
+    claims.aud.length > 1 &&
+    claims.azp !== clientId
+  ) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      "The ID token was issued to another client"
+    );
+  }
+
+  if (!claims.sub) {
+    throw oidcError(
+      OIDC_ERRORS.ID_TOKEN_INVALID,
+      "The ID token has no subject"
+    );
+  }
+
+  return claims;
+};
+
+/**
+ * Load the claims of the userinfo endpoint, for providers that keep the
+ * email or groups out of the ID token
+ * @param {Object} metadata - Discovery document
+ * @param {string} accessToken - Access token from the token response
+ * @param {string} subject - "sub" of the ID token, must match
+ * @returns {Promise<Object>} Claims, empty when the provider has no userinfo endpoint
+ */
+const fetchUserInfo = async (metadata, accessToken, subject) => {
+  if (!metadata.userinfo_endpoint || !accessToken) {
+    return {};
+  }
+
+  try {
+    const { data } = await axios.get(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: HTTP_TIMEOUT_MS,
+    });
+
+    // Claims of another user must never be merged (OIDC Core 5.3.2)
+    return data?.sub === subject ? data : {};
+  } catch (error) {
+    console.error("Error loading OIDC userinfo:", error.message);
+    return {};
+  }
+};
+
+module.exports = {
+  OIDC_ERRORS,
+  discover,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+};
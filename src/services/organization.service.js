@@ -0,0 +1,457 @@
+/**
+ * Organization Service
+ *
+ * Organizations are the tenants of the platform: user documents, user
+ * frameworks and comparisons belong to one organization and are shared by its
+ * members. Each session works in one active organization at a time; users
+ * switch between the organizations they belong to. Roles with the tenant:all
+ * permission (admins and experts by default) are not scoped to an organization.
+ */
+
+const crypto = require("crypto");
+const Organization = require("../models/organization.model");
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const UserDocument = require("../models/user-document.model");
+const DocumentFolder = require("../models/document-folder.model");
+const UserFramework = require("../models/user-framework.model");
+const { PERMISSIONS, hasPermission } = require("./permission.service");
+
+const ORGANIZATION_ROLES = ["owner", "admin", "member"];
+
+// Org roles that manage members and every resource of the organization
+const ORGANIZATION_MANAGER_ROLES = ["owner", "admin"];
+
+const ORGANIZATION_ERRORS = {
+  NOT_FOUND: "ORGANIZATION_NOT_FOUND",
+  NOT_MEMBER: "ORGANIZATION_NOT_MEMBER",
+  USER_NOT_FOUND: "ORGANIZATION_USER_NOT_FOUND",
+  ALREADY_MEMBER: "ORGANIZATION_ALREADY_MEMBER",
+  MEMBER_NOT_FOUND: "ORGANIZATION_MEMBER_NOT_FOUND",
+  LAST_OWNER: "ORGANIZATION_LAST_OWNER",
+  OWNER_REQUIRED: "ORGANIZATION_OWNER_REQUIRED",
+  NOT_EMPTY: "ORGANIZATION_NOT_EMPTY",
+};
+
+// HTTP status for each error, shared by the user and admin controllers
+const ORGANIZATION_ERROR_STATUS = {
+  [ORGANIZATION_ERRORS.NOT_FOUND]: 404,
+  [ORGANIZATION_ERRORS.NOT_MEMBER]: 404,
+  [ORGANIZATION_ERRORS.USER_NOT_FOUND]: 404,
+  [ORGANIZATION_ERRORS.MEMBER_NOT_FOUND]: 404,
+  [ORGANIZATION_ERRORS.ALREADY_MEMBER]: 409,
+  [ORGANIZATION_ERRORS.NOT_EMPTY]: 409,
+  [ORGANIZATION_ERRORS.LAST_OWNER]: 400,
+  [ORGANIZATION_ERRORS.OWNER_REQUIRED]: 403,
+};
+
+const organizationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to build a URL friendly slug that is not taken yet
+const generateUniqueSlug = async (name) => {
+  const base =
+    name
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 50) || "organization";
+
+  let slug = base;
+  while (await Organization.exists({ slug })) {
+    slug = `${base}-${crypto.randomBytes(3).toString("hex")}`;
+  }
+  return slug;
+};
+
+// Helper function to compare ObjectIds and strings
+const sameId = (left, right) =>
+  !!left && !!right && left.toString() === right.toString();
+
+/**
+ * Create an organization with its first owner
+ * @param {Object} data - { name, description, ownerId, createdBy, isPersonal }
+ * @returns {Promise<Object>} Organization
+ */
+const createOrganization = async ({
+  name,
+  description,
+  ownerId,
+  createdBy = null,
+  isPersonal = false,
+}) => {
+  return Organization.create({
+    name,
+    slug: await generateUniqueSlug(name),
+    description,
+    isPersonal,
+    members: ownerId
+      ? [{ userId: ownerId, role: "owner", addedBy: createdBy }]
+      : [],
+    createdBy,
+  });
+};
+
+/**
+ * Get the organizations a user belongs to, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const getUserOrganizations = (userId) =>
+  Organization.find({ "members.userId": userId }).sort({ createdAt: 1 });
+
+/**
+ * Role of a user in an organization
+ * @param {Object} organization - Organization document
+ * @param {string} userId - User ID
+ * @returns {string|null} Org role, or null when the user is not a member
+ */
+const getMemberRole = (organization, userId) =>
+  organization.members.find((member) => sameId(member.userId, userId))?.role ||
+  null;
+
+/**
+ * Find an organization the user is a member of
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+const findMemberOrganization = (organizationId, userId) =>
+  Organization.findOne({ _id: organizationId, "members.userId": userId });
+
+/**
+ * Pick the organization a user works in after login: the one selected last,
+ * otherwise the oldest. Users scoped to an organization get a personal one if
+ * they have none yet.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { organization, organizations }
+ */
+const resolveActiveOrganization = async (user) => {
+  let organizations = await getUserOrganizations(user._id);
+
+  if (organizations.length === 0) {
+    if (await hasPermission(user.role, PERMISSIONS.TENANT_ALL)) {
+      return { organization: null, organizations };
+    }
+
+    organizations = [
+      await createOrganization({
+        name: `${user.name}'s Organization`,
+        ownerId: user._id,
+        createdBy: user._id,
+        isPersonal: true,
+      }),
+    ];
+  }
+
+  const organization =
+    organizations.find((org) => sameId(org._id, user.lastOrganizationId)) ||
+    organizations[0];
+
+  return { organization, organizations };
+};
+
+/**
+ * Store the active organization of a session
+ * @param {string} sessionId - Session ID
+ * @param {string} organizationId - Organization ID
+ */
+const setSessionOrganization = (sessionId, organizationId) =>
+  Session.updateOne({ _id: sessionId }, { $set: { organizationId } });
+
+/**
+ * Make an organization the active one of a session
+ * @param {Object} user - User document
+ * @param {Object} session - Current session
+ * @param {string} organizationId - Organization to switch to
+ * @returns {Promise<Object>} Organization
+ */
+const switchOrganization = async (user, session, organizationId) => {
+  const organization = await findMemberOrganization(organizationId, user._id);
+  if (!organization) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.NOT_MEMBER,
+      "Organization not found or you are not a member of it"
+    );
+  }
+
+  await setSessionOrganization(session._id, organization._id);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lastOrganizationId: organization._id } }
+  );
+
+  return organization;
+};
+
+/**
+ * Add an existing user to an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} member - { email, role }
+ * @param {string} actorId - User adding the member
+ * @returns {Promise<Object>} Updated organization
+ */
+const addMember = async (organizationId, { email, role }, actorId) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.USER_NOT_FOUND,
+      "No user with this email address"
+    );
+  }
+
+  const organization = await Organization.findOneAndUpdate(
+    { _id: organizationId, "members.userId": { $ne: user._id } },
+    { $push: { members: { userId: user._id, role, addedBy: actorId } } },
+    { new: true, runValidators: true }
+  );
+
+  if (!organization) {
+    if (await Organization.exists({ _id: organizationId })) {
+      throw organizationError(
+        ORGANIZATION_ERRORS.ALREADY_MEMBER,
+        "User is already a member of this organization"
+      );
+    }
+    throw organizationError(
+      ORGANIZATION_ERRORS.NOT_FOUND,
+      "Organization not found"
+    );
+  }
+
+  return organization;
+};
+
+// Helper function to load an organization and one of its members
+const loadMember = async (organizationId, userId) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.NOT_FOUND,
+      "Organization not found"
+    );
+  }
+
+  const member = organization.members.find((item) =>
+    sameId(item.userId, userId)
+  );
+  if (!member) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.MEMBER_NOT_FOUND,
+      "Member not found in this organization"
+    );
+  }
+
+  return { organization, member };
+};
+
+// Helper function to make sure an organization keeps at least one owner
+const assertOwnerRemains = (organization, member) => {
+  const owners = organization.members.filter((item) => item.role === "owner");
+  if (member.role === "owner" && owners.length === 1) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.LAST_OWNER,
+      "An organization must keep at least one owner"
+    );
+  }
+};
+
+/**
+ * Change the org role of a member
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Member user ID
+ * @param {string} role - New org role
+ * @param {Object} options - { canManageOwners } whether the actor may grant or revoke ownership
+ * @returns {Promise<Object>} Updated organization
+ */
+const updateMemberRole = async (
+  organizationId,
+  userId,
+  role,
+  { canManageOwners = false } = {}
+) => {
+  const { organization, member } = await loadMember(organizationId, userId);
+
+  if ((member.role === "owner" || role === "owner") && !canManageOwners) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.OWNER_REQUIRED,
+      "Only owners can grant or revoke ownership"
+    );
+  }
+
+  if (role !== "owner") {
+    assertOwnerRemains(organization, member);
+  }
+
+  member.role = role;
+  await organization.save();
+  return organization;
+};
+
+/**
+ * Remove a member; their sessions in this organization pick another one
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Member user ID
+ * @param {Object} options - { canManageOwners } whether the actor may remove owners
+ * @returns {Promise<Object>} Updated organization
+ */
+const removeMember = async (
+  organizationId,
+  userId,
+  { canManageOwners = false } = {}
+) => {
+  const { organization, member } = await loadMember(organizationId, userId);
+
+  if (member.role === "owner" && !canManageOwners) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.OWNER_REQUIRED,
+      "Only owners can remove an owner"
+    );
+  }
+  assertOwnerRemains(organization, member);
+
+  organization.members = organization.members.filter(
+    (item) => !sameId(item.userId, userId)
+  );
+  await organization.save();
+
+  await Session.updateMany(
+    { userId, organizationId: organization._id },
+    { $set: { organizationId: null } }
+  );
+  await User.updateOne(
+    { _id: userId, lastOrganizationId: organization._id },
+    { $set: { lastOrganizationId: null } }
+  );
+
+  return organization;
+};
+
+/**
+ * Delete an organization that no longer owns any documents or frameworks
+ * @param {string} organizationId - Organization ID
+ */
+const deleteOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.NOT_FOUND,
+      "Organization not found"
+    );
+  }
+
+  const [documentCount, frameworkCount] = await Promise.all([
+    UserDocument.countDocuments({ organizationId }),
+    UserFramework.countDocuments({ organizationId }),
+  ]);
+  if (documentCount > 0 || frameworkCount > 0) {
+    throw organizationError(
+      ORGANIZATION_ERRORS.NOT_EMPTY,
+      `Organization still owns ${documentCount} documents and ${frameworkCount} frameworks. Delete them first.`
+    );
+  }
+
+  await Organization.deleteOne({ _id: organizationId });
+  await DocumentFolder.deleteMany({ organizationId });
+  await Session.updateMany(
+    { organizationId },
+    { $set: { organizationId: null } }
+  );
+  await User.updateMany(
+    { lastOrganizationId: organizationId },
+    { $set: { lastOrganizationId: null } }
+  );
+};
+
+/**
+ * Query filter limiting tenant data to the active organization of the request
+ * Scoped users always have one (see requireOrganization); roles with the
+ * tenant:all permission see all
+ * @param {Object} req - Express request
+ * @returns {Object} Mongo filter
+ */
+const getTenantFilter = (req) => {
+  if (req.organization) {
+    return { organizationId: req.organization._id };
+  }
+  if (!req.permissions?.includes(PERMISSIONS.TENANT_ALL)) {
+    throw new Error("No active organization for this request");
+  }
+  return {};
+};
+
+/**
+ * Organization new tenant data is stored in
+ * @param {Object} req - Express request
+ * @returns {string|null} Active organization ID, null for tenant:all roles
+ */
+const getTenantId = (req) => req.organization?._id || null;
+
+/**
+ * Whether the current user may change or delete a resource of the organization
+ * @param {Object} req - Express request
+ * @param {string} ownerId - User that created the resource
+ * @returns {boolean}
+ */
+const canManageTenantResource = (req, ownerId) =>
+  sameId(ownerId, req.user._id) ||
+  ORGANIZATION_MANAGER_ROLES.includes(req.organizationRole);
+
+/**
+ * Shape an organization for API responses
+ * @param {Object} organization - Organization document
+ * @param {string} userId - Optional user whose org role is included
+ * @returns {Object}
+ */
+const formatOrganization = (organization, userId = null) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  description: organization.description,
+  isPersonal: organization.isPersonal,
+  memberCount: organization.members.length,
+  ...(userId && { role: getMemberRole(organization, userId) }),
+  createdAt: organization.createdAt,
+  updatedAt: organization.updatedAt,
+});
+
+/**
+ * Shape the members of an organization (members.userId must be populated)
+ * @param {Object} organization - Organization document
+ * @returns {Array}
+ */
+const formatOrganizationMembers = (organization) =>
+  organization.members.map((member) => ({
+    userId: member.userId?._id || member.userId,
+    name: member.userId?.name || "Deleted User",
+    email: member.userId?.email || "N/A",
+    role: member.role,
+    joinedAt: member.joinedAt,
+  }));
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ORGANIZATION_MANAGER_ROLES,
+  ORGANIZATION_ERRORS,
+  ORGANIZATION_ERROR_STATUS,
+  createOrganization,
+  getUserOrganizations,
+  getMemberRole,
+  findMemberOrganization,
+  resolveActiveOrganization,
+  setSessionOrganization,
+  switchOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  deleteOrganization,
+  getTenantFilter,
+  getTenantId,
+  canManageTenantResource,
+  formatOrganization,
+  formatOrganizationMembers,
+};
@@ -0,0 +1,186 @@
+/**
+ * Password Policy Service
+ *
+ * Applies the admin-configured password policy (stored with the security
+ * settings): per-rule checks for new passwords, an offline list of common
+ * passwords, reuse of previous passwords and the maximum password age.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const { getSecuritySettings } = require("./security-settings.service");
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+
+const COMMON_PASSWORDS_FILE = path.join(
+  __dirname,
+  "../config/common-passwords.txt"
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let commonPasswords = null;
+
+// Helper function to load the common password list once
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(COMMON_PASSWORDS_FILE, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Whether a password is on the common password list, either as is or with
+ * only digits and symbols appended (e.g. "Password123!")
+ * @param {string} password - Plain text password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const normalized = password.toLowerCase();
+  const baseWord = normalized.replace(/[^a-z]+$/, "");
+
+  return list.has(normalized) || (baseWord !== "" && list.has(baseWord));
+};
+
+/**
+ * Rules checked for every new password, in the order they are reported
+ * Each rule returns true when the password passes under the given policy
+ */
+const PASSWORD_RULES = [
+  {
+    rule: "minLength",
+    check: (password, policy) => password.length >= policy.minLength,
+    message: (policy) =>
+      `Password must be at least ${policy.minLength} characters long`,
+  },
+  {
+    rule: "maxLength",
+    check: (password) =>
+      Buffer.byteLength(password, "utf8") <= MAX_PASSWORD_LENGTH,
+    message: () => `Password must be at most ${MAX_PASSWORD_LENGTH} bytes long`,
+  },
+  {
+    rule: "uppercase",
+    check: (password, policy) =>
+      !policy.requireUppercase || /[A-Z]/.test(password),
+    message: () => "Password must contain at least one uppercase letter",
+  },
+  {
+    rule: "lowercase",
+    check: (password, policy) =>
+      !policy.requireLowercase || /[a-z]/.test(password),
+    message: () => "Password must contain at least one lowercase letter",
+  },
+  {
+    rule: "number",
+    check: (password, policy) => !policy.requireNumber || /\d/.test(password),
+    message: () => "Password must contain at least one number",
+  },
+  {
+    rule: "special",
+    check: (password, policy) =>
+      !policy.requireSpecial || /[^A-Za-z0-9\s]/.test(password),
+    message: () => "Password must contain at least one special character",
+  },
+  {
+    rule: "common",
+    check: (password, policy) =>
+      !policy.blockCommonPasswords || !isCommonPassword(password),
+    message: () =>
+      "Password is too common and appears in lists of breached passwords",
+  },
+];
+
+/**
+ * Get the current password policy
+ * @returns {Promise<Object>} Plain policy object
+ */
+const getPasswordPolicy = async () => {
+  const settings = await getSecuritySettings();
+  return settings.toObject().passwordPolicy;
+};
+
+/**
+ * Whether a password matches one of the user's previous passwords
+ * The user must be loaded with +passwordHistory
+ * @param {Object} user - User document
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Password policy
+ * @returns {Promise<boolean>}
+ */
+const isPasswordInHistory = async (user, password, policy) => {
+  const previousHashes = (user.passwordHistory || []).slice(
+    0,
+    policy.historyCount
+  );
+
+  for (const hash of previousHashes) {
+    if (hash && (await bcrypt.compare(password, hash))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Replace the password and keep the old hash in the history
+ * The user must be loaded with +passwordHistory; the caller saves the user
+ * @param {Object} user - User document
+ * @param {string} password - New plain text password (hashed on save)
+ * @param {Object} policy - Password policy
+ */
+const setUserPassword = (user, password, policy) => {
+  // Accounts without a password (single sign-on) have nothing to remember
+  user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, policy.historyCount);
+  user.password = password;
+};
+
+/**
+ * When the user's password expires under the policy
+ * @param {Object} user - User document
+ * @param {Object} policy - Password policy
+ * @returns {Date|null} Expiry date, or null when passwords do not expire
+ */
+const getPasswordExpiresAt = (user, policy) => {
+  // Users without a password (single sign-on, service accounts) have none to expire
+  if (!policy.maxAgeDays || !user.password) {
+    return null;
+  }
+
+  // Passwords set before the policy existed count from account creation
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return new Date(new Date(changedAt).getTime() + policy.maxAgeDays * DAY_MS);
+};
+
+/**
+ * Whether the user has to change the password before the next session
+ * @param {Object} user - User document
+ * @param {Object} policy - Password policy
+ * @returns {boolean}
+ */
+const isPasswordExpired = (user, policy) => {
+  const expiresAt = getPasswordExpiresAt(user, policy);
+  return expiresAt !== null && expiresAt <= new Date();
+};
+
+module.exports = {
+  MAX_PASSWORD_LENGTH,
+  PASSWORD_RULES,
+  isCommonPassword,
+  getPasswordPolicy,
+  isPasswordInHistory,
+  setUserPassword,
+  getPasswordExpiresAt,
+  isPasswordExpired,
+};
@@ -0,0 +1,491 @@
+/**
+ * Permission Service
+ *
+ * Access control is permission based: every route requires one or more named
+ * permissions (e.g. "framework:read") and a role is a named bundle of
+ * permissions stored in MongoDB. Users reference their role by name. The
+ * built-in roles admin, expert and user use the defaults below until an admin
+ * saves them for the first time; custom roles are created by admins.
+ */
+
+const Role = require("../models/role.model");
+const User = require("../models/user.model");
+const SecuritySettings = require("../models/security-settings.model");
+const { recordAuditEvent } = require("./audit.service");
+
+const PERMISSIONS = {
+  // User documents of the active organization
+  DOCUMENT_CREATE: "document:create",
+  DOCUMENT_READ: "document:read",
+  DOCUMENT_UPDATE: "document:update",
+  DOCUMENT_DELETE: "document:delete",
+  // User frameworks of the active organization
+  FRAMEWORK_CREATE: "framework:create",
+  FRAMEWORK_READ: "framework:read",
+  FRAMEWORK_UPDATE: "framework:update",
+  FRAMEWORK_DELETE: "framework:delete",
+  // Framework comparisons of the active organization
+  COMPARISON_START: "comparison:start",
+  COMPARISON_READ: "comparison:read",
+  COMPARISON_REVIEW: "comparison:review",
+  COMPARISON_DELETE: "comparison:delete",
+  // Custom frameworks built from expert controls
+  CUSTOM_FRAMEWORK_CREATE: "custom-framework:create",
+  CUSTOM_FRAMEWORK_READ: "custom-framework:read",
+  CUSTOM_FRAMEWORK_UPDATE: "custom-framework:update",
+  CUSTOM_FRAMEWORK_DELETE: "custom-framework:delete",
+  CUSTOM_FRAMEWORK_SHARE: "custom-framework:share",
+  // Expert frameworks and their controls
+  EXPERT_FRAMEWORK_CREATE: "expert-framework:create",
+  EXPERT_FRAMEWORK_READ: "expert-framework:read",
+  EXPERT_FRAMEWORK_UPDATE: "expert-framework:update",
+  EXPERT_FRAMEWORK_DELETE: "expert-framework:delete",
+  CONTROL_CREATE: "control:create",
+  CONTROL_READ: "control:read",
+  CONTROL_UPDATE: "control:update",
+  CONTROL_DELETE: "control:delete",
+  // Organizations the user belongs to
+  ORGANIZATION_READ: "organization:read",
+  ORGANIZATION_UPDATE: "organization:update",
+  // Personal API keys for machine access
+  API_KEY_CREATE: "api-key:create",
+  // Platform administration
+  ORGANIZATION_ADMIN: "organization:admin",
+  TENANT_ALL: "tenant:all",
+  USER_MANAGE: "user:manage",
+  ROLE_MANAGE: "role:manage",
+  API_KEY_MANAGE: "api-key:manage",
+  SSO_MANAGE: "sso:manage",
+  SECURITY_SETTINGS_MANAGE: "security-settings:manage",
+  LOCKOUT_MANAGE: "lockout:manage",
+  AUDIT_LOG_READ: "audit-log:read",
+  DOCUMENT_METADATA_MANAGE: "document-metadata:manage",
+  AI_SERVICE_MANAGE: "ai-service:manage",
+  CACHE_MANAGE: "cache:manage",
+  DASHBOARD_READ: "dashboard:read",
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.DOCUMENT_CREATE]: "Upload documents and create folders",
+  [PERMISSIONS.DOCUMENT_READ]: "View and download documents",
+  [PERMISSIONS.DOCUMENT_UPDATE]:
+    "Rename, tag and move documents and folders and replace document files",
+  [PERMISSIONS.DOCUMENT_DELETE]: "Delete documents and empty folders",
+  [PERMISSIONS.FRAMEWORK_CREATE]: "Upload frameworks",
+  [PERMISSIONS.FRAMEWORK_READ]: "View and download frameworks and versions",
+  [PERMISSIONS.FRAMEWORK_UPDATE]:
+    "Update frameworks, roll back versions and send them to the AI service",
+  [PERMISSIONS.FRAMEWORK_DELETE]: "Delete frameworks",
+  [PERMISSIONS.COMPARISON_START]: "Start framework comparisons",
+  [PERMISSIONS.COMPARISON_READ]:
+    "View, export and analyse framework comparisons",
+  [PERMISSIONS.COMPARISON_REVIEW]: "Review and edit comparison results",
+  [PERMISSIONS.COMPARISON_DELETE]: "Delete framework comparisons",
+  [PERMISSIONS.CUSTOM_FRAMEWORK_CREATE]: "Create custom frameworks",
+  [PERMISSIONS.CUSTOM_FRAMEWORK_READ]: "View custom frameworks",
+  [PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE]: "Edit custom frameworks",
+  [PERMISSIONS.CUSTOM_FRAMEWORK_DELETE]: "Delete custom frameworks",
+  [PERMISSIONS.CUSTOM_FRAMEWORK_SHARE]: "Share custom frameworks with users",
+  [PERMISSIONS.EXPERT_FRAMEWORK_CREATE]: "Upload expert frameworks",
+  [PERMISSIONS.EXPERT_FRAMEWORK_READ]:
+    "View and download expert frameworks and versions",
+  [PERMISSIONS.EXPERT_FRAMEWORK_UPDATE]:
+    "Update expert frameworks, roll back versions and send them to the AI service",
+  [PERMISSIONS.EXPERT_FRAMEWORK_DELETE]: "Delete expert frameworks",
+  [PERMISSIONS.CONTROL_CREATE]: "Add controls to expert frameworks",
+  [PERMISSIONS.CONTROL_READ]: "View expert framework controls",
+  [PERMISSIONS.CONTROL_UPDATE]: "Edit expert framework controls",
+  [PERMISSIONS.CONTROL_DELETE]: "Delete expert framework controls",
+  [PERMISSIONS.ORGANIZATION_READ]: "View and switch between own organizations",
+  [PERMISSIONS.ORGANIZATION_UPDATE]:
+    "Manage members of own organizations (organization role still applies)",
+  [PERMISSIONS.API_KEY_CREATE]:
+    "Create personal API keys limited to permissions of the own role",
+  [PERMISSIONS.ORGANIZATION_ADMIN]: "Manage every organization and its members",
+  [PERMISSIONS.TENANT_ALL]:
+    "Work across every organization instead of one active organization",
+  [PERMISSIONS.USER_MANAGE]:
+    "Create, update and delete users and their sessions",
+  [PERMISSIONS.ROLE_MANAGE]: "Create, update and delete roles",
+  [PERMISSIONS.API_KEY_MANAGE]:
+    "Manage service accounts and revoke the API keys of any user",
+  [PERMISSIONS.SSO_MANAGE]:
+    "Configure single sign-on identity providers and their role mappings",
+  [PERMISSIONS.SECURITY_SETTINGS_MANAGE]: "Change the platform security policy",
+  [PERMISSIONS.LOCKOUT_MANAGE]: "View and lift account and IP lockouts",
+  [PERMISSIONS.AUDIT_LOG_READ]: "View the security audit log",
+  [PERMISSIONS.DOCUMENT_METADATA_MANAGE]:
+    "Define the custom metadata fields of documents",
+  [PERMISSIONS.AI_SERVICE_MANAGE]:
+    "View and reset the AI service circuit breaker",
+  [PERMISSIONS.CACHE_MANAGE]: "View and clear the cache",
+  [PERMISSIONS.DASHBOARD_READ]: "View the admin dashboard analytics",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Defaults of the built-in roles. Users and experts keep the access of the
+// former fixed role checks; admins can also read the data of every organization
+const SYSTEM_ROLES = {
+  admin: {
+    description: "Platform administrator",
+    permissions: [
+      PERMISSIONS.DOCUMENT_READ,
+      PERMISSIONS.FRAMEWORK_READ,
+      PERMISSIONS.COMPARISON_READ,
+      PERMISSIONS.EXPERT_FRAMEWORK_READ,
+      PERMISSIONS.CONTROL_READ,
+      PERMISSIONS.ORGANIZATION_ADMIN,
+      PERMISSIONS.TENANT_ALL,
+      PERMISSIONS.USER_MANAGE,
+      PERMISSIONS.ROLE_MANAGE,
+      PERMISSIONS.API_KEY_CREATE,
+      PERMISSIONS.API_KEY_MANAGE,
+      PERMISSIONS.SSO_MANAGE,
+      PERMISSIONS.SECURITY_SETTINGS_MANAGE,
+      PERMISSIONS.LOCKOUT_MANAGE,
+      PERMISSIONS.AUDIT_LOG_READ,
+      PERMISSIONS.DOCUMENT_METADATA_MANAGE,
+      PERMISSIONS.AI_SERVICE_MANAGE,
+      PERMISSIONS.CACHE_MANAGE,
+      PERMISSIONS.DASHBOARD_READ,
+    ],
+  },
+  expert: {
+    description: "Maintains expert frameworks and their controls",
+    permissions: [
+      PERMISSIONS.DOCUMENT_READ,
+      PERMISSIONS.FRAMEWORK_READ,
+      PERMISSIONS.EXPERT_FRAMEWORK_CREATE,
+      PERMISSIONS.EXPERT_FRAMEWORK_READ,
+      PERMISSIONS.EXPERT_FRAMEWORK_UPDATE,
+      PERMISSIONS.EXPERT_FRAMEWORK_DELETE,
+      PERMISSIONS.CONTROL_CREATE,
+      PERMISSIONS.CONTROL_READ,
+      PERMISSIONS.CONTROL_UPDATE,
+      PERMISSIONS.CONTROL_DELETE,
+      PERMISSIONS.TENANT_ALL,
+      PERMISSIONS.API_KEY_CREATE,
+    ],
+  },
+  user: {
+    description: "Member of an organization working with its documents",
+    permissions: [
+      PERMISSIONS.DOCUMENT_CREATE,
+      PERMISSIONS.DOCUMENT_READ,
+      PERMISSIONS.DOCUMENT_UPDATE,
+      PERMISSIONS.DOCUMENT_DELETE,
+      PERMISSIONS.FRAMEWORK_CREATE,
+      PERMISSIONS.FRAMEWORK_READ,
+      PERMISSIONS.FRAMEWORK_UPDATE,
+      PERMISSIONS.FRAMEWORK_DELETE,
+      PERMISSIONS.COMPARISON_START,
+      PERMISSIONS.COMPARISON_READ,
+      PERMISSIONS.COMPARISON_REVIEW,
+      PERMISSIONS.COMPARISON_DELETE,
+      PERMISSIONS.CUSTOM_FRAMEWORK_CREATE,
+      PERMISSIONS.CUSTOM_FRAMEWORK_READ,
+      PERMISSIONS.CUSTOM_FRAMEWORK_UPDATE,
+      PERMISSIONS.CUSTOM_FRAMEWORK_DELETE,
+      PERMISSIONS.CUSTOM_FRAMEWORK_SHARE,
+      PERMISSIONS.EXPERT_FRAMEWORK_READ,
+      PERMISSIONS.CONTROL_READ,
+      PERMISSIONS.ORGANIZATION_READ,
+      PERMISSIONS.ORGANIZATION_UPDATE,
+      PERMISSIONS.API_KEY_CREATE,
+    ],
+  },
+};
+
+const ROLE_ERRORS = {
+  NOT_FOUND: "ROLE_NOT_FOUND",
+  ALREADY_EXISTS: "ROLE_ALREADY_EXISTS",
+  SYSTEM_ROLE: "ROLE_SYSTEM_ROLE",
+  IN_USE: "ROLE_IN_USE",
+  ADMIN_LOCKOUT: "ROLE_ADMIN_LOCKOUT",
+};
+
+// HTTP status for each error
+const ROLE_ERROR_STATUS = {
+  [ROLE_ERRORS.NOT_FOUND]: 404,
+  [ROLE_ERRORS.ALREADY_EXISTS]: 409,
+  [ROLE_ERRORS.SYSTEM_ROLE]: 400,
+  [ROLE_ERRORS.IN_USE]: 409,
+  [ROLE_ERRORS.ADMIN_LOCKOUT]: 400,
+};
+
+const AUDIT_EVENTS = {
+  ROLE_CREATED: "role-created",
+  ROLE_UPDATED: "role-updated",
+  ROLE_DELETED: "role-deleted",
+};
+
+// Permissions are checked on every request, so they are kept in memory for a
+// short time. Changes made on this instance clear the cache right away.
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to build an unsaved role with the defaults of a built-in role
+const buildSystemRole = (name) =>
+  new Role({ name, ...SYSTEM_ROLES[name], isSystem: true });
+
+/**
+ * Get a role by name
+ * @param {string} name - Role name
+ * @returns {Promise<Object|null>} Role document (unsaved for built-in roles
+ * that still use their defaults), or null
+ */
+const getRole = async (name) => {
+  const role = await Role.findOne({ name });
+  if (role) {
+    return role;
+  }
+  return SYSTEM_ROLES[name] ? buildSystemRole(name) : null;
+};
+
+/**
+ * Get every role, built-in roles first
+ * @returns {Promise<Array>} Roles
+ */
+const listRoles = async () => {
+  const roles = await Role.find().sort({ name: 1 });
+  const missingSystemRoles = Object.keys(SYSTEM_ROLES)
+    .filter((name) => !roles.some((role) => role.name === name))
+    .map(buildSystemRole);
+
+  return [...missingSystemRoles, ...roles].sort(
+    (a, b) => Number(b.isSystem) - Number(a.isSystem)
+  );
+};
+
+/**
+ * Whether a role with this name exists
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>}
+ */
+const roleExists = async (name) => Boolean(await getRole(name));
+
+/**
+ * Get the permissions granted by a role (cached briefly)
+ * @param {string} name - Role name
+ * @returns {Promise<Array<string>>} Permissions, empty for unknown roles
+ */
+const getRolePermissions = async (name) => {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await getRole(name);
+  const permissions = role ? [...role.permissions] : [];
+  permissionCache.set(name, {
+    permissions,
+    expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS,
+  });
+  return permissions;
+};
+
+/**
+ * Whether a role grants a permission
+ * @param {string} name - Role name
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (name, permission) =>
+  (await getRolePermissions(name)).includes(permission);
+
+/**
+ * Get the names of the roles that grant a permission
+ * @param {string} permission - Permission name
+ * @returns {Promise<Array<string>>} Role names
+ */
+const getRolesWithPermission = async (permission) =>
+  (await listRoles())
+    .filter((role) => role.permissions.includes(permission))
+    .map((role) => role.name);
+
+/**
+ * Create a custom role
+ * @param {Object} data - { name, description, permissions }
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<Object>} Role
+ */
+const createRole = async (
+  { name, description = "", permissions = [] },
+  { actorId = null, ipAddress = null } = {}
+) => {
+  if (await roleExists(name)) {
+    throw roleError(
+      ROLE_ERRORS.ALREADY_EXISTS,
+      `A role named "${name}" already exists`
+    );
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    createdBy: actorId,
+    updatedBy: actorId,
+  });
+  permissionCache.delete(name);
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.ROLE_CREATED,
+    actorId,
+    ipAddress,
+    details: { role: role.name, permissions: role.permissions },
+  });
+
+  return role;
+};
+
+/**
+ * Update the description or permissions of a role
+ * @param {string} name - Role name
+ * @param {Object} updates - { description?, permissions? }
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<Object>} Role
+ */
+const updateRole = async (
+  name,
+  { description, permissions },
+  { actorId = null, ipAddress = null } = {}
+) => {
+  const role = await getRole(name);
+  if (!role) {
+    throw roleError(ROLE_ERRORS.NOT_FOUND, "Role not found");
+  }
+
+  // Admins must keep the permission to manage roles, or nobody could fix it
+  if (
+    name === "admin" &&
+    permissions &&
+    !permissions.includes(PERMISSIONS.ROLE_MANAGE)
+  ) {
+    throw roleError(
+      ROLE_ERRORS.ADMIN_LOCKOUT,
+      `The admin role must keep the ${PERMISSIONS.ROLE_MANAGE} permission`
+    );
+  }
+
+  const previousPermissions = [...role.permissions];
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+  role.updatedBy = actorId;
+  await role.save();
+  permissionCache.delete(name);
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.ROLE_UPDATED,
+    actorId,
+    ipAddress,
+    details: {
+      role: role.name,
+      added: role.permissions.filter(
+        (permission) => !previousPermissions.includes(permission)
+      ),
+      removed: previousPermissions.filter(
+        (permission) => !role.permissions.includes(permission)
+      ),
+    },
+  });
+
+  return role;
+};
+
+/**
+ * Delete a custom role that no user has anymore
+ * @param {string} name - Role name
+ * @param {Object} context - { actorId, ipAddress }
+ */
+const deleteRole = async (name, { actorId = null, ipAddress = null } = {}) => {
+  if (SYSTEM_ROLES[name]) {
+    throw roleError(
+      ROLE_ERRORS.SYSTEM_ROLE,
+      "Built-in roles cannot be deleted"
+    );
+  }
+
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw roleError(ROLE_ERRORS.NOT_FOUND, "Role not found");
+  }
+
+  const userCount = await User.countDocuments({ role: name });
+  if (userCount > 0) {
+    throw roleError(
+      ROLE_ERRORS.IN_USE,
+      `${userCount} user(s) still have this role. Assign them another role first`
+    );
+  }
+
+  await Role.deleteOne({ _id: role._id });
+  await SecuritySettings.updateMany(
+    { mfaRequiredRoles: name },
+    { $pull: { mfaRequiredRoles: name } }
+  );
+  permissionCache.delete(name);
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.ROLE_DELETED,
+    actorId,
+    ipAddress,
+    details: { role: name },
+  });
+};
+
+/**
+ * Shape a role for API responses
+ * @param {Object} role - Role document
+ * @param {number} userCount - Optional number of users with the role
+ * @returns {Object}
+ */
+const formatRole = (role, userCount) => ({
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  isSystem: role.isSystem,
+  ...(userCount !== undefined && { userCount }),
+  createdAt: role.createdAt || null,
+  updatedAt: role.updatedAt || null,
+});
+
+/**
+ * Get the permission catalog for API responses
+ * @returns {Array} [{ permission, description }]
+ */
+const getPermissionCatalog = () =>
+  ALL_PERMISSIONS.map((permission) => ({
+    permission,
+    description: PERMISSION_DESCRIPTIONS[permission],
+  }));
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES,
+  ROLE_ERRORS,
+  ROLE_ERROR_STATUS,
+  AUDIT_EVENTS,
+  getRole,
+  listRoles,
+  roleExists,
+  getRolePermissions,
+  hasPermission,
+  getRolesWithPermission,
+  createRole,
+  updateRole,
+  deleteRole,
+  formatRole,
+  getPermissionCatalog,
+};
@@ -0,0 +1,486 @@
+const UserDocument = require("../models/user-document.model");
+const UserFramework = require("../models/user-framework.model");
+const ExpertFramework = require("../models/expert-framework.model");
+const Control = require("../models/control.model");
+const { PERMISSIONS } = require("./permission.service");
+
+/**
+ * Search Service
+ *
+ * Searches user documents, user frameworks, expert frameworks and controls at
+ * once through the MongoDB text index of each collection, which covers names
+ * and the text extracted from uploaded files. Results are ranked by text score
+ * within each type and come with highlighted snippets: HTML-escaped text where
+ * the matched words are wrapped in <mark> tags.
+ *
+ * Query syntax is MongoDB's: words match any form of the word ("encrypt"
+ * finds "encrypted"), "quoted phrases" must appear as written and -word
+ * excludes results containing the word.
+ */
+
+const SEARCH_TYPES = [
+  "documents",
+  "userFrameworks",
+  "expertFrameworks",
+  "controls",
+];
+
+// Permissions a type requires; controls need one of them, expert controls
+// are read with control:read and user framework controls with framework:read
+const SEARCH_TYPE_PERMISSIONS = {
+  documents: [PERMISSIONS.DOCUMENT_READ],
+  userFrameworks: [PERMISSIONS.FRAMEWORK_READ],
+  expertFrameworks: [PERMISSIONS.EXPERT_FRAMEWORK_READ],
+  controls: [PERMISSIONS.CONTROL_READ, PERMISSIONS.FRAMEWORK_READ],
+};
+
+const DEFAULT_RESULT_LIMIT = 5;
+const MAX_RESULT_LIMIT = 20;
+
+// Snippets shown per result and their length in characters
+const MAX_SNIPPETS = 3;
+const SNIPPET_LENGTH = 160;
+
+// User frameworks scanned for matching embedded controls
+const MAX_CONTROL_FRAMEWORKS = 50;
+
+// Weights of control fields when ranking controls of both sources
+const CONTROL_FIELD_WEIGHTS = {
+  Control_id: 5,
+  Control_name: 3,
+  Control_type: 2,
+  Control_description: 1,
+  Deployment_points: 1,
+};
+
+// Common English suffixes removed so highlights match other forms of a word,
+// close to the stemming of the text index
+const SUFFIX_PATTERN = /(ations?|ions?|ing|ed|es|s|ly|ment)$/;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a search query into words and phrases to highlight; excluded
+ * (-word) terms are left out
+ * @param {string} query - Search query
+ * @returns {Object} { words, phrases }
+ */
+const parseSearchQuery = (query) => {
+  const phrases = [];
+  const rest = query.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    const words = phrase.trim().split(/\s+/).filter(Boolean);
+    if (!negated && words.length > 0) phrases.push(words);
+    return " ";
+  });
+
+  const words = rest
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.split(/[^\p{L}\p{N}]+/u))
+    .filter((word) => word.length > 1);
+
+  return {
+    words: [...new Set(words.map((word) => word.toLowerCase()))],
+    phrases,
+  };
+};
+
+/**
+ * Build the regex matching every highlighted term of a query
+ * @param {Object} terms - { words, phrases } from parseSearchQuery
+ * @returns {RegExp|null} Global, case-insensitive regex, null without terms
+ */
+const buildHighlightPattern = ({ words, phrases }) => {
+  const stem = (word) => {
+    const stemmed = word.replace(SUFFIX_PATTERN, "");
+    return stemmed.length >= 3 ? stemmed : word;
+  };
+  const parts = [
+    ...phrases.map((phrase) => phrase.map(escapeRegex).join("\\s+")),
+    ...words.map((word) => `${escapeRegex(stem(word))}[\\p{L}\\p{N}]*`),
+  ];
+  if (parts.length === 0) return null;
+
+  // Longest alternatives first so phrases win over their single words
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join("|")})`, "giu");
+};
+
+/**
+ * HTML-escape a text and wrap the matches of a pattern in <mark> tags
+ * @param {string} text - Plain text
+ * @param {RegExp} pattern - Pattern from buildHighlightPattern
+ * @returns {string} HTML
+ */
+const highlightText = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+// Highlight a short field (a name), null when nothing in it matches
+const highlightField = (text, pattern) => {
+  if (!text || !pattern) return null;
+  return text.search(pattern) !== -1 ? highlightText(text, pattern) : null;
+};
+
+/**
+ * Cut highlighted snippets around the first matches of a long text
+ * @param {string} text - Plain text, e.g. the text extracted from a file
+ * @param {RegExp} pattern - Pattern from buildHighlightPattern
+ * @param {number} maxSnippets - Most snippets returned
+ * @returns {Array<string>} HTML snippets, "…" marks cut text
+ */
+const buildSnippets = (text, pattern, maxSnippets = MAX_SNIPPETS) => {
+  if (!text || !pattern) return [];
+
+  const snippets = [];
+  let coveredUntil = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (snippets.length >= maxSnippets) break;
+    if (match.index < coveredUntil) continue;
+
+    // Put the match about a third into the snippet, cut at whitespace
+    let start = Math.max(0, match.index - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (start > 0) {
+      const space = text.indexOf(" ", start);
+      if (space !== -1 && space < match.index) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > match.index + match[0].length) end = space;
+    }
+
+    const snippet = text.slice(start, end).replace(/\s+/g, " ").trim();
+    snippets.push(
+      `${start > 0 ? "…" : ""}${highlightText(snippet, pattern)}${
+        end < text.length ? "…" : ""
+      }`
+    );
+    coveredUntil = end;
+  }
+  return snippets;
+};
+
+// Text score projection and sort of $text queries
+const TEXT_SCORE = { score: { $meta: "textScore" } };
+
+// Run a $text query on a model: { total, records } ranked by text score
+const findTextMatches = async (Model, filter, { select, limit, populate }) => {
+  let query = Model.find(filter, TEXT_SCORE)
+    .select(select)
+    .sort(TEXT_SCORE)
+    .limit(limit);
+  if (populate) query = query.populate(populate);
+
+  const [records, total] = await Promise.all([
+    query.lean(),
+    Model.countDocuments(filter),
+  ]);
+  return { total, records };
+};
+
+const formatUploadedBy = (record) =>
+  record.uploadedBy?.name
+    ? {
+        id: record.uploadedBy._id,
+        name: record.uploadedBy.name,
+        email: record.uploadedBy.email,
+      }
+    : {
+        id: record.originalUploadedBy?.userId || null,
+        name: record.originalUploadedBy?.name || "Unknown",
+        email: record.originalUploadedBy?.email || null,
+      };
+
+// Search the user documents of the tenant
+const searchDocuments = async (
+  textFilter,
+  { tenantFilter, limit, pattern }
+) => {
+  const { total, records } = await findTextMatches(
+    UserDocument,
+    { ...textFilter, ...tenantFilter },
+    {
+      select:
+        "documentName documentType originalFileName folderId tags uploadedBy originalUploadedBy extractedText createdAt updatedAt",
+      limit,
+      populate: { path: "uploadedBy", select: "name email" },
+    }
+  );
+
+  return {
+    total,
+    items: records.map((document) => ({
+      id: document._id,
+      documentName: document.documentName,
+      documentType: document.documentType,
+      originalFileName: document.originalFileName,
+      folderId: document.folderId,
+      tags: document.tags,
+      uploadedBy: formatUploadedBy(document),
+      score: document.score,
+      highlights: {
+        documentName: highlightField(document.documentName, pattern),
+        tags: (document.tags || []).filter((tag) =>
+          highlightField(tag, pattern)
+        ),
+        content: buildSnippets(document.extractedText, pattern),
+      },
+      createdAt: document.createdAt,
+      updatedAt: document.updatedAt,
+    })),
+  };
+};
+
+// Weighted number of matches in the fields of a control
+const scoreControl = (control, pattern) => {
+  if (!pattern) return 0;
+  return Object.entries(CONTROL_FIELD_WEIGHTS).reduce(
+    (score, [field, weight]) =>
+      score + (control[field]?.match(pattern)?.length || 0) * weight,
+    0
+  );
+};
+
+// Controls of a user framework matching the query, best first
+const matchEmbeddedControls = (framework, pattern) =>
+  (framework.aiProcessing?.extractedControls || [])
+    .map((control) => ({ control, score: scoreControl(control, pattern) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+// Short form of a control with highlighted fields
+const formatControlHit = (control, pattern) => ({
+  Control_id: control.Control_id,
+  Control_name: control.Control_name,
+  Control_type: control.Control_type,
+  highlights: {
+    Control_id: highlightField(control.Control_id, pattern),
+    Control_name: highlightField(control.Control_name, pattern),
+    Control_description: buildSnippets(control.Control_description, pattern, 1),
+    Deployment_points: buildSnippets(control.Deployment_points, pattern, 1),
+  },
+});
+
+// Search the user frameworks of the tenant
+const searchUserFrameworks = async (
+  textFilter,
+  { tenantFilter, limit, pattern }
+) => {
+  const { total, records } = await findTextMatches(
+    UserFramework,
+    { ...textFilter, ...tenantFilter },
+    {
+      select:
+        "frameworkName frameworkType originalFileName uploadedBy originalUploadedBy extractedText aiProcessing.extractedControls createdAt updatedAt",
+      limit,
+      populate: { path: "uploadedBy", select: "name email" },
+    }
+  );
+
+  return {
+    total,
+    items: records.map((framework) => {
+      const matchedControls = matchEmbeddedControls(framework, pattern);
+      return {
+        id: framework._id,
+        frameworkName: framework.frameworkName,
+        frameworkType: framework.frameworkType,
+        originalFileName: framework.originalFileName,
+        uploadedBy: formatUploadedBy(framework),
+        score: framework.score,
+        highlights: {
+          frameworkName: highlightField(framework.frameworkName, pattern),
+          content: buildSnippets(framework.extractedText, pattern),
+        },
+        matchedControlsCount: matchedControls.length,
+        matchedControls: matchedControls
+          .slice(0, MAX_SNIPPETS)
+          .map(({ control }) => formatControlHit(control, pattern)),
+        createdAt: framework.createdAt,
+        updatedAt: framework.updatedAt,
+      };
+    }),
+  };
+};
+
+// Search the expert frameworks, shared by every organization
+const searchExpertFrameworks = async (textFilter, { limit, pattern }) => {
+  const { total, records } = await findTextMatches(
+    ExpertFramework,
+    textFilter,
+    {
+      select:
+        "frameworkName frameworkType originalFileName uploadedBy originalUploadedBy extractedText createdAt updatedAt",
+      limit,
+      populate: { path: "uploadedBy", select: "name email" },
+    }
+  );
+
+  return {
+    total,
+    items: records.map((framework) => ({
+      id: framework._id,
+      frameworkName: framework.frameworkName,
+      frameworkType: framework.frameworkType,
+      originalFileName: framework.originalFileName,
+      uploadedBy: formatUploadedBy(framework),
+      score: framework.score,
+      highlights: {
+        frameworkName: highlightField(framework.frameworkName, pattern),
+        content: buildSnippets(framework.extractedText, pattern),
+      },
+      createdAt: framework.createdAt,
+      updatedAt: framework.updatedAt,
+    })),
+  };
+};
+
+// Search expert framework controls and the controls extracted from the
+// tenant's user frameworks; both are ranked with CONTROL_FIELD_WEIGHTS
+const searchControls = async (
+  textFilter,
+  { tenantFilter, limit, pattern, permissions }
+) => {
+  const hits = [];
+  let total = 0;
+
+  if (permissions.includes(PERMISSIONS.CONTROL_READ)) {
+    const expert = await findTextMatches(Control, textFilter, {
+      select:
+        "frameworkId Control_id Control_name Control_type Control_description Deployment_points",
+      limit,
+      populate: { path: "frameworkId", select: "frameworkName" },
+    });
+    total += expert.total;
+    expert.records.forEach((control) => {
+      // Stemmed matches the highlight pattern misses still rank last
+      hits.push({
+        score: scoreControl(control, pattern),
+        source: "expert",
+        framework: control.frameworkId,
+        control,
+      });
+    });
+  }
+
+  if (permissions.includes(PERMISSIONS.FRAMEWORK_READ)) {
+    const frameworks = await UserFramework.find(
+      {
+        ...textFilter,
+        ...tenantFilter,
+        "aiProcessing.controlsCount": { $gt: 0 },
+      },
+      TEXT_SCORE
+    )
+      .select("frameworkName aiProcessing.extractedControls")
+      .sort(TEXT_SCORE)
+      .limit(MAX_CONTROL_FRAMEWORKS)
+      .lean();
+
+    frameworks.forEach((framework) => {
+      const matched = matchEmbeddedControls(framework, pattern);
+      total += matched.length;
+      matched.slice(0, limit).forEach(({ control, score }) => {
+        hits.push({ score, source: "user", framework, control });
+      });
+    });
+  }
+
+  return {
+    total,
+    items: hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ source, framework, control, score }) => ({
+        id: control._id,
+        source,
+        frameworkId: framework?._id || null,
+        frameworkName: framework?.frameworkName || null,
+        score,
+        ...formatControlHit(control, pattern),
+      })),
+  };
+};
+
+const SEARCHERS = {
+  documents: searchDocuments,
+  userFrameworks: searchUserFrameworks,
+  expertFrameworks: searchExpertFrameworks,
+  controls: searchControls,
+};
+
+/**
+ * Search types the given permissions allow
+ * @param {Array<string>} permissions - Granted permissions (req.permissions)
+ * @returns {Array<string>} Allowed entries of SEARCH_TYPES
+ */
+const getAllowedSearchTypes = (permissions = []) =>
+  SEARCH_TYPES.filter((type) =>
+    SEARCH_TYPE_PERMISSIONS[type].some((permission) =>
+      permissions.includes(permission)
+    )
+  );
+
+/**
+ * Full-text search over every requested type
+ * @param {Object} options - { query, types, limit, tenantFilter, permissions }
+ *   tenantFilter limits documents and user frameworks to the active
+ *   organization; types must already be limited to getAllowedSearchTypes
+ * @returns {Promise<Object>} { [type]: { total, items } } for each type
+ */
+const searchAll = async ({
+  query,
+  types = SEARCH_TYPES,
+  limit = DEFAULT_RESULT_LIMIT,
+  tenantFilter = {},
+  permissions = [],
+}) => {
+  const textFilter = { $text: { $search: query } };
+  const options = {
+    tenantFilter,
+    permissions,
+    limit: Math.min(
+      Math.max(Number(limit) || DEFAULT_RESULT_LIMIT, 1),
+      MAX_RESULT_LIMIT
+    ),
+    pattern: buildHighlightPattern(parseSearchQuery(query)),
+  };
+
+  const results = await Promise.all(
+    types.map((type) => SEARCHERS[type](textFilter, options))
+  );
+  return Object.fromEntries(types.map((type, index) => [type, results[index]]));
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_TYPE_PERMISSIONS,
+  DEFAULT_RESULT_LIMIT,
+  MAX_RESULT_LIMIT,
+  getAllowedSearchTypes,
+  parseSearchQuery,
+  buildHighlightPattern,
+  highlightText,
+  buildSnippets,
+  searchAll,
+};
@@ -0,0 +1,62 @@
+/**
+ * Security Settings Service
+ *
+ * Reads and updates the platform-wide security policy. Until an admin saves
+ * the policy for the first time, the defaults of the model apply.
+ */
+
+const SecuritySettings = require("../models/security-settings.model");
+
+const SETTINGS_KEY = "global";
+
+/**
+ * Get the current security policy
+ * @returns {Promise<Object>} Settings document, or an unsaved one with defaults
+ */
+const getSecuritySettings = async () => {
+  const settings = await SecuritySettings.findOne({ key: SETTINGS_KEY });
+  return settings || new SecuritySettings({ key: SETTINGS_KEY });
+};
+
+/**
+ * Update the security policy
+ * @param {Object} updates - Fields to change
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+const updateSecuritySettings = async (updates, adminId) => {
+  return SecuritySettings.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $set: { ...updates, updatedBy: adminId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Whether users with this role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+const isMfaRequiredForRole = async (role) => {
+  const settings = await getSecuritySettings();
+  return settings.mfaRequiredRoles.includes(role);
+};
+
+/**
+ * Shape the settings for API responses
+ * @param {Object} settings - Settings document
+ * @returns {Object}
+ */
+const formatSecuritySettings = (settings) => ({
+  mfaRequiredRoles: settings.mfaRequiredRoles,
+  passwordPolicy: settings.toObject().passwordPolicy,
+  updatedBy: settings.updatedBy,
+  updatedAt: settings.updatedAt || null,
+});
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  isMfaRequiredForRole,
+  formatSecuritySettings,
+};
@@ -0,0 +1,312 @@
+/**
+ * Session Service
+ *
+ * Issues short-lived access tokens and rotating refresh tokens, one session per
+ * device. Access tokens carry the session ID, so revoking a session cuts off its
+ * access tokens too. A refresh token that was already rotated out is treated as
+ * stolen: presenting it again revokes the whole session.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+const User = require("../models/user.model");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const readNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Idle lifetime of a session: every refresh pushes its expiry forward
+const REFRESH_TOKEN_TTL_MS =
+  readNumberEnv("REFRESH_TOKEN_TTL_DAYS", 30) * 24 * 60 * 60 * 1000;
+
+// Rotated hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+// Authenticated requests refresh lastSeenAt at most this often
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const SESSION_ERRORS = {
+  REFRESH_TOKEN_INVALID: "REFRESH_TOKEN_INVALID",
+  REFRESH_TOKEN_REUSED: "REFRESH_TOKEN_REUSED",
+  SESSION_REVOKED: "SESSION_REVOKED",
+};
+
+const sessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Sign an access token for the session
+const signAccessToken = (session) => {
+  const token = jwt.sign(
+    {
+      userId: session.userId,
+      sessionId: session._id,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    }
+  );
+
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+  };
+};
+
+/**
+ * Start a session for a user that just logged in
+ * @param {Object} user - Authenticated user
+ * @param {Object} device - { deviceName, userAgent, ipAddress }
+ * @param {Object} options - { organizationId } active organization of the session
+ * @returns {Promise<Object>} Session plus access and refresh tokens
+ */
+const createSession = async (
+  user,
+  { deviceName, userAgent, ipAddress } = {},
+  { organizationId } = {}
+) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: deviceName || null,
+    userAgent: userAgent || null,
+    ipAddress: ipAddress || null,
+    organizationId: organizationId || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    session,
+    ...signAccessToken(session),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token pair
+ * @param {string} refreshToken - Refresh token issued at login or by the last refresh
+ * @param {Object} device - { userAgent, ipAddress } of the caller
+ * @returns {Promise<Object>} User, session and the new tokens
+ */
+const rotateRefreshToken = async (
+  refreshToken,
+  { userAgent, ipAddress } = {}
+) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Atomic swap so two requests can never rotate the same token
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress }),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_PREVIOUS_TOKEN_HASHES,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token means it leaked (or the client is broken)
+    const reusedSession = await Session.findOneAndUpdate(
+      { previousTokenHashes: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "token-reuse" } },
+      { new: true }
+    );
+
+    if (reusedSession) {
+      console.warn(
+        `⚠️ Refresh token reuse detected, revoked session ${reusedSession._id} of user ${reusedSession.userId}`
+      );
+      throw sessionError(
+        SESSION_ERRORS.REFRESH_TOKEN_REUSED,
+        "Refresh token has already been used. The session has been revoked, please login again."
+      );
+    }
+
+    throw sessionError(
+      SESSION_ERRORS.REFRESH_TOKEN_INVALID,
+      "Invalid or expired refresh token. Please login again."
+    );
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await Session.deleteMany({ userId: session.userId });
+    throw sessionError(
+      SESSION_ERRORS.REFRESH_TOKEN_INVALID,
+      "Invalid or expired refresh token. Please login again."
+    );
+  }
+
+  return {
+    user,
+    session,
+    ...signAccessToken(session),
+    refreshToken: newRefreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Verify an access token against the session store
+ * @param {string} token - Access token (JWT)
+ * @returns {Promise<Object>} { user, session }
+ * @throws JWT errors from jsonwebtoken, or SESSION_REVOKED when the session is gone
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no session ID
+  const session = decoded.sessionId
+    ? await Session.findOne({
+        _id: decoded.sessionId,
+        userId: decoded.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+    : null;
+
+  if (!session) {
+    throw sessionError(
+      SESSION_ERRORS.SESSION_REVOKED,
+      "Token has been invalidated. Please login again."
+    );
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw sessionError(
+      SESSION_ERRORS.SESSION_REVOKED,
+      "Invalid token - user not found"
+    );
+  }
+
+  // Throttled so every request does not cost a write
+  const now = new Date();
+  if (now - session.lastSeenAt >= LAST_SEEN_UPDATE_INTERVAL_MS) {
+    session.lastSeenAt = now;
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: now } }
+    );
+  }
+
+  return { user, session };
+};
+
+/**
+ * Get the sessions of a user, most recently seen first
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeRevoked } to also return revoked sessions that did not expire yet
+ * @returns {Promise<Array>} Sessions
+ */
+const getUserSessions = async (userId, { includeRevoked = false } = {}) => {
+  const filter = { userId, expiresAt: { $gt: new Date() } };
+  if (!includeRevoked) {
+    filter.revokedAt = null;
+  }
+
+  return Session.find(filter)
+    .select("-refreshTokenHash -previousTokenHashes")
+    .sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session of the caller, flagged as current
+ * @returns {Object} Session without token hashes
+ */
+const formatSession = (session, currentSessionId = null) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason,
+  isActive: !session.revokedAt,
+  current:
+    !!currentSessionId &&
+    session._id.toString() === currentSessionId.toString(),
+});
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revoked reason (see Session model)
+ * @param {string} userId - Optional owner the session must belong to
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const result = await Session.updateOne(
+    {
+      _id: sessionId,
+      ...(userId && { userId }),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revoked reason (see Session model)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  SESSION_ERRORS,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  getUserSessions,
+  formatSession,
+  revokeSession,
+  revokeUserSessions,
+};
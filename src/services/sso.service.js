@@ -0,0 +1,677 @@
+/**
+ * SSO Service
+ *
+ * Single sign-on with OpenID Connect identity providers configured by admins.
+ * A login is started with a random state that points to a stored login request
+ * (PKCE verifier and nonce) and finished when the frontend posts back the
+ * code and state from the provider's redirect. Users are matched by their
+ * linked identity, then by verified email; unknown users are created on their
+ * first login (just-in-time provisioning) with a role mapped from a claim.
+ */
+
+const IdentityProvider = require("../models/identity-provider.model");
+const SsoLoginRequest = require("../models/sso-login-request.model");
+const User = require("../models/user.model");
+const Organization = require("../models/organization.model");
+const { hashToken } = require("./session.service");
+const { encryptSecret, decryptSecret } = require("./mfa.service");
+const { roleExists } = require("./permission.service");
+const { recordAuditEvent } = require("./audit.service");
+const {
+  OIDC_ERRORS,
+  discover,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+} = require("./oidc.service");
+
+// Time the user has to finish the login at the provider
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+const SSO_ERRORS = {
+  PROVIDER_NOT_FOUND: "SSO_PROVIDER_NOT_FOUND",
+  PROVIDER_EXISTS: "SSO_PROVIDER_EXISTS",
+  ORGANIZATION_NOT_FOUND: "SSO_ORGANIZATION_NOT_FOUND",
+  STATE_INVALID: "SSO_STATE_INVALID",
+  EMAIL_REQUIRED: "SSO_EMAIL_REQUIRED",
+  EMAIL_NOT_VERIFIED: "SSO_EMAIL_NOT_VERIFIED",
+  DOMAIN_NOT_ALLOWED: "SSO_DOMAIN_NOT_ALLOWED",
+  ACCOUNT_NOT_FOUND: "SSO_ACCOUNT_NOT_FOUND",
+  ACCOUNT_NOT_ALLOWED: "SSO_ACCOUNT_NOT_ALLOWED",
+};
+
+// HTTP status for each error (OIDC protocol errors included), shared by the
+// login and admin controllers
+const SSO_ERROR_STATUS = {
+  [SSO_ERRORS.PROVIDER_NOT_FOUND]: 404,
+  [SSO_ERRORS.PROVIDER_EXISTS]: 409,
+  [SSO_ERRORS.ORGANIZATION_NOT_FOUND]: 404,
+  [SSO_ERRORS.STATE_INVALID]: 400,
+  [SSO_ERRORS.EMAIL_REQUIRED]: 400,
+  [SSO_ERRORS.EMAIL_NOT_VERIFIED]: 403,
+  [SSO_ERRORS.DOMAIN_NOT_ALLOWED]: 403,
+  [SSO_ERRORS.ACCOUNT_NOT_FOUND]: 403,
+  [SSO_ERRORS.ACCOUNT_NOT_ALLOWED]: 403,
+  [OIDC_ERRORS.DISCOVERY_FAILED]: 502,
+  [OIDC_ERRORS.TOKEN_EXCHANGE_FAILED]: 401,
+  [OIDC_ERRORS.ID_TOKEN_INVALID]: 401,
+};
+
+const AUDIT_EVENTS = {
+  PROVIDER_CREATED: "identity-provider-created",
+  PROVIDER_UPDATED: "identity-provider-updated",
+  PROVIDER_DELETED: "identity-provider-deleted",
+  USER_PROVISIONED: "sso-user-provisioned",
+  IDENTITY_LINKED: "sso-identity-linked",
+  ROLE_SYNCED: "sso-role-synced",
+  LOGIN_FAILED: "sso-login-failed",
+};
+
+// Fields admins may set on a provider (clientSecret is handled separately)
+const PROVIDER_FIELDS = [
+  "name",
+  "slug",
+  "enabled",
+  "issuer",
+  "clientId",
+  "tokenEndpointAuthMethod",
+  "scopes",
+  "redirectUri",
+  "allowedDomains",
+  "requireVerifiedEmail",
+  "autoProvision",
+  "defaultRole",
+  "roleClaim",
+  "roleMappings",
+  "syncRoleOnLogin",
+  "organizationId",
+];
+
+const ssoError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to compare ObjectIds and strings
+const sameId = (left, right) =>
+  !!left && !!right && left.toString() === right.toString();
+
+// Helper function to read a claim in dot notation, e.g. "realm_access.roles"
+const getClaim = (claims, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value && typeof value === "object" ? value[key] : undefined,
+      claims
+    );
+
+/**
+ * Role of the first mapping whose value is in the role claim
+ * @param {Object} provider - Identity provider
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {string|null} Role name, or null when no mapping matches
+ */
+const mapRole = (provider, claims) => {
+  if (!provider.roleClaim || provider.roleMappings.length === 0) {
+    return null;
+  }
+
+  const value = getClaim(claims, provider.roleClaim);
+  const values = (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== undefined && item !== null)
+    .map(String);
+
+  return (
+    provider.roleMappings.find((mapping) => values.includes(mapping.claimValue))
+      ?.role || null
+  );
+};
+
+/**
+ * Get all identity providers
+ * @returns {Promise<Array>}
+ */
+const listIdentityProviders = () =>
+  IdentityProvider.find().select("+clientSecret").sort({ name: 1 });
+
+/**
+ * Get an identity provider by ID
+ * @param {string} id - Identity provider ID
+ * @returns {Promise<Object>} Identity provider including the encrypted client secret
+ * @throws PROVIDER_NOT_FOUND
+ */
+const getIdentityProvider = async (id) => {
+  const provider = await IdentityProvider.findById(id).select("+clientSecret");
+  if (!provider) {
+    throw ssoError(
+      SSO_ERRORS.PROVIDER_NOT_FOUND,
+      "Identity provider not found"
+    );
+  }
+  return provider;
+};
+
+/**
+ * Get the enabled identity providers users can login with
+ * @returns {Promise<Array>}
+ */
+const listEnabledIdentityProviders = () =>
+  IdentityProvider.find({ enabled: true })
+    .select("name slug")
+    .sort({ name: 1 });
+
+// Helper function to check the organization of provisioned users exists
+const assertOrganizationExists = async (organizationId) => {
+  if (organizationId && !(await Organization.exists({ _id: organizationId }))) {
+    throw ssoError(SSO_ERRORS.ORGANIZATION_NOT_FOUND, "Organization not found");
+  }
+};
+
+// Helper function to check the slug is not used by another provider
+const assertSlugAvailable = async (slug, exceptId = null) => {
+  const existing = await IdentityProvider.findOne({ slug });
+  if (existing && !sameId(existing._id, exceptId)) {
+    throw ssoError(
+      SSO_ERRORS.PROVIDER_EXISTS,
+      `An identity provider with the slug "${slug}" already exists`
+    );
+  }
+};
+
+/**
+ * Create an identity provider
+ * @param {Object} data - Provider fields and clientSecret
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<Object>} Identity provider
+ * @throws PROVIDER_EXISTS, ORGANIZATION_NOT_FOUND
+ */
+const createIdentityProvider = async (
+  data,
+  { actorId = null, ipAddress = null } = {}
+) => {
+  await assertSlugAvailable(data.slug);
+  await assertOrganizationExists(data.organizationId);
+
+  const provider = new IdentityProvider({
+    createdBy: actorId,
+    updatedBy: actorId,
+  });
+  PROVIDER_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) provider[field] = data[field];
+  });
+  provider.clientSecret = data.clientSecret
+    ? encryptSecret(data.clientSecret)
+    : null;
+  await provider.save();
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.PROVIDER_CREATED,
+    actorId,
+    ipAddress,
+    details: { providerId: provider._id, slug: provider.slug },
+  });
+
+  return provider;
+};
+
+/**
+ * Update an identity provider. A clientSecret of null removes the secret,
+ * leaving it out keeps the current one.
+ * @param {string} id - Identity provider ID
+ * @param {Object} updates - Provider fields and clientSecret
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<Object>} Identity provider
+ * @throws PROVIDER_NOT_FOUND, PROVIDER_EXISTS, ORGANIZATION_NOT_FOUND
+ */
+const updateIdentityProvider = async (
+  id,
+  updates,
+  { actorId = null, ipAddress = null } = {}
+) => {
+  const provider = await getIdentityProvider(id);
+  if (updates.slug && updates.slug !== provider.slug) {
+    await assertSlugAvailable(updates.slug, provider._id);
+  }
+  await assertOrganizationExists(updates.organizationId);
+
+  const changedFields = PROVIDER_FIELDS.filter(
+    (field) => updates[field] !== undefined
+  );
+  changedFields.forEach((field) => {
+    provider[field] = updates[field];
+  });
+  if (updates.clientSecret !== undefined) {
+    provider.clientSecret = updates.clientSecret
+      ? encryptSecret(updates.clientSecret)
+      : null;
+    changedFields.push("clientSecret");
+  }
+  provider.updatedBy = actorId;
+  await provider.save();
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.PROVIDER_UPDATED,
+    actorId,
+    ipAddress,
+    details: {
+      providerId: provider._id,
+      slug: provider.slug,
+      changedFields,
+    },
+  });
+
+  return provider;
+};
+
+/**
+ * Delete an identity provider and unlink it from every user. Users
+ * provisioned by it keep their account but need a password to login.
+ * @param {string} id - Identity provider ID
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<number>} Number of users that were linked to the provider
+ * @throws PROVIDER_NOT_FOUND
+ */
+const deleteIdentityProvider = async (
+  id,
+  { actorId = null, ipAddress = null } = {}
+) => {
+  const provider = await getIdentityProvider(id);
+
+  const { modifiedCount } = await User.updateMany(
+    { "identities.providerId": provider._id },
+    { $pull: { identities: { providerId: provider._id } } }
+  );
+  await SsoLoginRequest.deleteMany({ providerId: provider._id });
+  await IdentityProvider.deleteOne({ _id: provider._id });
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.PROVIDER_DELETED,
+    actorId,
+    ipAddress,
+    details: {
+      providerId: provider._id,
+      slug: provider.slug,
+      unlinkedUsers: modifiedCount,
+    },
+  });
+
+  return modifiedCount;
+};
+
+/**
+ * Check that the provider's OpenID configuration can be loaded
+ * @param {string} id - Identity provider ID
+ * @returns {Promise<Object>} Endpoints found at the provider
+ * @throws PROVIDER_NOT_FOUND, DISCOVERY_FAILED
+ */
+const testIdentityProvider = async (id) => {
+  const provider = await getIdentityProvider(id);
+  const metadata = await discover(provider.issuer, { refresh: true });
+
+  return {
+    issuer: metadata.issuer,
+    authorizationEndpoint: metadata.authorization_endpoint,
+    tokenEndpoint: metadata.token_endpoint,
+    userinfoEndpoint: metadata.userinfo_endpoint || null,
+    jwksUri: metadata.jwks_uri,
+    // Providers that do not list their PKCE methods usually support S256 anyway
+    pkceS256Supported:
+      !metadata.code_challenge_methods_supported ||
+      metadata.code_challenge_methods_supported.includes("S256"),
+    tokenEndpointAuthMethodSupported:
+      !metadata.token_endpoint_auth_methods_supported ||
+      metadata.token_endpoint_auth_methods_supported.includes(
+        provider.tokenEndpointAuthMethod
+      ),
+  };
+};
+
+/**
+ * Start a login at an identity provider
+ * @param {string} slug - Slug of an enabled identity provider
+ * @param {Object} options - { deviceName, loginHint }
+ * @returns {Promise<Object>} { authorizationUrl, state, expiresAt }
+ * @throws PROVIDER_NOT_FOUND, DISCOVERY_FAILED
+ */
+const startSsoLogin = async (slug, { deviceName = null, loginHint } = {}) => {
+  const provider = await IdentityProvider.findOne({ slug, enabled: true });
+  if (!provider) {
+    throw ssoError(
+      SSO_ERRORS.PROVIDER_NOT_FOUND,
+      "Identity provider not found"
+    );
+  }
+
+  const metadata = await discover(provider.issuer);
+  const { state, nonce, codeVerifier, codeChallenge } =
+    createAuthorizationParams();
+  const expiresAt = new Date(Date.now() + LOGIN_REQUEST_TTL_MS);
+
+  await SsoLoginRequest.create({
+    stateHash: hashToken(state),
+    providerId: provider._id,
+    codeVerifier,
+    nonce,
+    deviceName,
+    expiresAt,
+  });
+
+  return {
+    authorizationUrl: buildAuthorizationUrl(metadata, {
+      clientId: provider.clientId,
+      redirectUri: provider.redirectUri,
+      scopes: provider.scopes,
+      state,
+      nonce,
+      codeChallenge,
+      loginHint,
+    }),
+    state,
+    expiresAt,
+  };
+};
+
+// Helper function to set the mapped role of an existing user
+const syncRole = async (provider, user, claims, context) => {
+  const role = mapRole(provider, claims);
+  if (
+    !provider.syncRoleOnLogin ||
+    !role ||
+    role === user.role ||
+    !(await roleExists(role))
+  ) {
+    return;
+  }
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.ROLE_SYNCED,
+    targetUserId: user._id,
+    email: user.email,
+    ...context,
+    details: { providerId: provider._id, from: user.role, to: role },
+  });
+  user.role = role;
+};
+
+// Helper function to create the user of a first SSO login
+const provisionUser = async (provider, claims, email, identity, context) => {
+  let role = mapRole(provider, claims) || provider.defaultRole;
+  if (!(await roleExists(role))) {
+    role = provider.defaultRole;
+  }
+
+  const fullName =
+    (typeof claims.name === "string" && claims.name.trim()) ||
+    [claims.given_name, claims.family_name].filter(Boolean).join(" ").trim();
+
+  const user = await User.create({
+    name: fullName.length >= 2 ? fullName : email,
+    email,
+    role,
+    isEmailVerified: true,
+    createdBy: "sso",
+    identities: [{ ...identity, lastLoginAt: new Date() }],
+  });
+
+  if (provider.organizationId) {
+    await Organization.updateOne(
+      { _id: provider.organizationId, "members.userId": { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: "member" } } }
+    );
+  }
+
+  await recordAuditEvent({
+    category: "security",
+    event: AUDIT_EVENTS.USER_PROVISIONED,
+    targetUserId: user._id,
+    email,
+    ...context,
+    details: {
+      providerId: provider._id,
+      subject: identity.subject,
+      role,
+      organizationId: provider.organizationId,
+    },
+  });
+
+  return user;
+};
+
+// Helper function to reject accounts that cannot use single sign-on
+const assertSsoAllowed = (user) => {
+  if (user.isServiceAccount) {
+    throw ssoError(
+      SSO_ERRORS.ACCOUNT_NOT_ALLOWED,
+      "Service accounts cannot login with single sign-on"
+    );
+  }
+  if (user.invitationPending) {
+    throw ssoError(
+      SSO_ERRORS.ACCOUNT_NOT_ALLOWED,
+      "Please accept the invitation sent to your email address first"
+    );
+  }
+};
+
+/**
+ * Find or create the user of a verified SSO login
+ * @param {Object} provider - Identity provider
+ * @param {Object} claims - ID token claims, completed with userinfo
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { user, provisioned }
+ */
+const resolveSsoUser = async (provider, claims, context) => {
+  const email =
+    typeof claims.email === "string" ? claims.email.trim().toLowerCase() : null;
+
+  if (provider.allowedDomains.length > 0) {
+    const domain = email?.split("@")[1];
+    if (!domain || !provider.allowedDomains.includes(domain)) {
+      throw ssoError(
+        SSO_ERRORS.DOMAIN_NOT_ALLOWED,
+        "Your email domain is not allowed to login with this identity provider"
+      );
+    }
+  }
+
+  const identity = { providerId: provider._id, subject: String(claims.sub) };
+
+  // Returning user
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+  if (user) {
+    assertSsoAllowed(user);
+    await syncRole(provider, user, claims, context);
+  } else {
+    if (!email) {
+      throw ssoError(
+        SSO_ERRORS.EMAIL_REQUIRED,
+        "The identity provider did not share your email address"
+      );
+    }
+
+    // Providers send true, some older ones the string "true"
+    const emailVerified =
+      claims.email_verified === true || claims.email_verified === "true";
+    if (provider.requireVerifiedEmail && !emailVerified) {
+      throw ssoError(
+        SSO_ERRORS.EMAIL_NOT_VERIFIED,
+        "Your email address is not verified at the identity provider"
+      );
+    }
+
+    user = await User.findOne({ email });
+    if (user) {
+      assertSsoAllowed(user);
+
+      // Existing account with the same email: link it
+      user.identities.push(identity);
+      user.isEmailVerified = true;
+      await syncRole(provider, user, claims, context);
+
+      await recordAuditEvent({
+        category: "security",
+        event: AUDIT_EVENTS.IDENTITY_LINKED,
+        targetUserId: user._id,
+        email,
+        ...context,
+        details: { providerId: provider._id, subject: identity.subject },
+      });
+    } else {
+      if (!provider.autoProvision) {
+        throw ssoError(
+          SSO_ERRORS.ACCOUNT_NOT_FOUND,
+          "You do not have an account yet. Please ask an administrator to create one"
+        );
+      }
+
+      user = await provisionUser(provider, claims, email, identity, context);
+      return { user, provisioned: true };
+    }
+  }
+
+  const linked = user.identities.find(
+    (item) =>
+      sameId(item.providerId, identity.providerId) &&
+      item.subject === identity.subject
+  );
+  linked.lastLoginAt = new Date();
+  await user.save();
+
+  return { user, provisioned: false };
+};
+
+/**
+ * Finish a login with the code and state from the provider's redirect
+ * @param {Object} params - { state, code }
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { user, provisioned, deviceName }
+ * @throws STATE_INVALID, PROVIDER_NOT_FOUND, the account errors of
+ *   resolveSsoUser and the OIDC protocol errors
+ */
+const completeSsoLogin = async (
+  { state, code },
+  { ipAddress = null, userAgent = null } = {}
+) => {
+  // Each state can only be used once
+  const request = await SsoLoginRequest.findOneAndDelete({
+    stateHash: hashToken(state),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!request) {
+    throw ssoError(
+      SSO_ERRORS.STATE_INVALID,
+      "This login has expired or was already used. Please start again"
+    );
+  }
+
+  const provider = await IdentityProvider.findOne({
+    _id: request.providerId,
+    enabled: true,
+  }).select("+clientSecret");
+  if (!provider) {
+    throw ssoError(
+      SSO_ERRORS.PROVIDER_NOT_FOUND,
+      "Identity provider not found"
+    );
+  }
+
+  const context = { ipAddress, userAgent };
+  try {
+    const metadata = await discover(provider.issuer);
+    const tokens = await exchangeCode(
+      metadata,
+      {
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret
+          ? decryptSecret(provider.clientSecret)
+          : null,
+        tokenEndpointAuthMethod: provider.tokenEndpointAuthMethod,
+        redirectUri: provider.redirectUri,
+      },
+      { code, codeVerifier: request.codeVerifier }
+    );
+    const idTokenClaims = await verifyIdToken(metadata, tokens.id_token, {
+      clientId: provider.clientId,
+      nonce: request.nonce,
+    });
+
+    // Claims of the signed ID token win over userinfo
+    const claims = {
+      ...(await fetchUserInfo(
+        metadata,
+        tokens.access_token,
+        idTokenClaims.sub
+      )),
+      ...idTokenClaims,
+    };
+
+    const { user, provisioned } = await resolveSsoUser(
+      provider,
+      claims,
+      context
+    );
+    return { user, provisioned, deviceName: request.deviceName };
+  } catch (error) {
+    if (SSO_ERROR_STATUS[error.code]) {
+      await recordAuditEvent({
+        category: "security",
+        event: AUDIT_EVENTS.LOGIN_FAILED,
+        ...context,
+        details: { providerId: provider._id, reason: error.code },
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Shape an identity provider for admin responses
+ * @param {Object} provider - Identity provider (with clientSecret selected)
+ * @returns {Object} Provider without the client secret
+ */
+const formatIdentityProvider = (provider) => ({
+  id: provider._id,
+  name: provider.name,
+  slug: provider.slug,
+  enabled: provider.enabled,
+  issuer: provider.issuer,
+  clientId: provider.clientId,
+  hasClientSecret: !!provider.clientSecret,
+  tokenEndpointAuthMethod: provider.tokenEndpointAuthMethod,
+  scopes: provider.scopes,
+  redirectUri: provider.redirectUri,
+  allowedDomains: provider.allowedDomains,
+  requireVerifiedEmail: provider.requireVerifiedEmail,
+  autoProvision: provider.autoProvision,
+  defaultRole: provider.defaultRole,
+  roleClaim: provider.roleClaim,
+  roleMappings: provider.roleMappings,
+  syncRoleOnLogin: provider.syncRoleOnLogin,
+  organizationId: provider.organizationId,
+  createdAt: provider.createdAt,
+  updatedAt: provider.updatedAt,
+});
+
+module.exports = {
+  SSO_ERRORS,
+  SSO_ERROR_STATUS,
+  AUDIT_EVENTS,
+  listIdentityProviders,
+  getIdentityProvider,
+  listEnabledIdentityProviders,
+  createIdentityProvider,
+  updateIdentityProvider,
+  deleteIdentityProvider,
+  testIdentityProvider,
+  startSsoLogin,
+  completeSsoLogin,
+  formatIdentityProvider,
+};
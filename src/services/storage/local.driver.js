@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { STORAGE_ERRORS, storageError } = require("./storage.errors");
+
+/**
+ * Local Disk Storage Driver
+ *
+ * Stores objects as files below a root directory, the key being the relative
+ * path.
+ */
+
+/**
+ * Create a local disk driver
+ * @param {Object} options - { root } directory holding the objects
+ * @returns {Object} Storage driver
+ */
+const createLocalDriver = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Helper function to map a key to a path that cannot leave the root
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw storageError(STORAGE_ERRORS.INVALID_KEY, `Invalid key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolvePath(key));
+      return stats.isFile()
+        ? { size: stats.size, lastModified: stats.mtime, contentType: null }
+        : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: "local",
+
+    put: async (key, body) => {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+        return { size: body.length };
+      }
+
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      });
+      try {
+        await pipeline(body, counter, fs.createWriteStream(filePath));
+      } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+      }
+      return { size };
+    },
+
+    getStream: async (key, { start, end } = {}) => {
+      if (!(await stat(key))) {
+        throw storageError(
+          STORAGE_ERRORS.NOT_FOUND,
+          `Object not found: ${key}`
+        );
+      }
+      return fs.createReadStream(resolvePath(key), { start, end });
+    },
+
+    stat,
+
+    delete: async (key) => {
+      const filePath = resolvePath(key);
+      await fs.promises.rm(filePath, { force: true });
+
+      // Drop the folder of the object when it is empty now
+      const dir = path.dirname(filePath);
+      if (dir !== rootDir) {
+        await fs.promises.rmdir(dir).catch(() => {});
+      }
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { STORAGE_ERRORS, storageError } = require("./storage.errors");
+
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Talks to Amazon S3 or a compatible server (MinIO, the local stand-in of
+ * `npm run mock:s3`, ...) over its REST API, with requests signed using AWS
+ * Signature Version 4.
+ */
+
+const HTTP_TIMEOUT_MS = 60 * 1000;
+const SERVICE = "s3";
+const ALGORITHM = "AWS4-HMAC-SHA256";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hmac = (key, value) =>
+  crypto.createHmac("sha256", key).update(value).digest();
+
+// RFC 3986 encoding required by Signature Version 4
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+// Helper function to turn a Date into the 20240101T000000Z format
+const toAmzDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[:-]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Helper function to read a stream into a buffer; S3 needs the length up front
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Create an S3-compatible driver
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId,
+ *   secretAccessKey, forcePathStyle }
+ * @returns {Object} Storage driver
+ */
+const createS3Driver = ({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw storageError(
+      STORAGE_ERRORS.NOT_CONFIGURED,
+      "The S3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+    );
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  // Path style (http://host/bucket/key) works with every S3-compatible server
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const basePath = baseUrl.pathname.replace(/\/+$/, "");
+
+  const objectPath = (key) =>
+    forcePathStyle
+      ? `${basePath}/${encodeRfc3986(bucket)}/${encodeKey(key)}`
+      : `${basePath}/${encodeKey(key)}`;
+
+  const objectUrl = (key) => `${baseUrl.protocol}//${host}${objectPath(key)}`;
+
+  // Helper function to derive the signing key and scope of a request date
+  const getSigningScope = (date) => {
+    const day = toAmzDate(date).slice(0, 8);
+    const signingKey = [day, region, SERVICE, "aws4_request"].reduce(
+      hmac,
+      `AWS4${secretAccessKey}`
+    );
+    return { scope: `${day}/${region}/${SERVICE}/aws4_request`, signingKey };
+  };
+
+  const signature = (signingKey, amzDate, scope, canonicalRequest) =>
+    crypto
+      .createHmac("sha256", signingKey)
+      .update([ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join("\n"))
+      .digest("hex");
+
+  // Helper function to build the signed headers of a request
+  const signHeaders = (method, key, payloadHash, extraHeaders = {}) => {
+    const now = new Date();
+    const amzDate = toAmzDate(now);
+    const { scope, signingKey } = getSigningScope(now);
+
+    const headers = {
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...extraHeaders,
+    };
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      "",
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const { host: _host, ...requestHeaders } = headers;
+    return {
+      ...requestHeaders,
+      Authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(
+        ";"
+      )}, Signature=${signature(signingKey, amzDate, scope, canonicalRequest)}`,
+    };
+  };
+
+  // Helper function to send a signed request, 404 resolves with the response
+  const request = async (method, key, options = {}) => {
+    const { body, headers = {}, responseType } = options;
+    const payloadHash = body ? sha256(body) : sha256("");
+
+    try {
+      return await axios({
+        method,
+        url: objectUrl(key),
+        data: body,
+        headers: signHeaders(method, key, payloadHash, headers),
+        responseType,
+        timeout: HTTP_TIMEOUT_MS,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: (status) =>
+          (status >= 200 && status < 300) || status === 404,
+      });
+    } catch (error) {
+      throw storageError(
+        STORAGE_ERRORS.REQUEST_FAILED,
+        `S3 ${method} ${key} failed: ${
+          error.response ? `HTTP ${error.response.status}` : error.message
+        }`
+      );
+    }
+  };
+
+  const stat = async (key) => {
+    const response = await request("HEAD", key);
+    if (response.status === 404) return null;
+    return {
+      size: Number(response.headers["content-length"]),
+      lastModified: response.headers["last-modified"]
+        ? new Date(response.headers["last-modified"])
+        : null,
+      contentType: response.headers["content-type"] || null,
+    };
+  };
+
+  return {
+    name: "s3",
+
+    put: async (key, body, { contentType } = {}) => {
+      const buffer = await toBuffer(body);
+      await request("PUT", key, {
+        body: buffer,
+        headers: {
+          "content-type": contentType || "application/octet-stream",
+          "content-length": String(buffer.length),
+        },
+      });
+      return { size: buffer.length };
+    },
+
+    getStream: async (key, { start, end } = {}) => {
+      const headers =
+        start !== undefined || end !== undefined
+          ? { range: `bytes=${start ?? 0}-${end ?? ""}` }
+          : {};
+      const response = await request("GET", key, {
+        headers,
+        responseType: "stream",
+      });
+      if (response.status === 404) {
+        response.data.resume();
+        throw storageError(
+          STORAGE_ERRORS.NOT_FOUND,
+          `Object not found: ${key}`
+        );
+      }
+      return response.data;
+    },
+
+    stat,
+
+    // S3 answers 204 whether or not the object existed
+    delete: async (key) => {
+      await request("DELETE", key);
+    },
+  };
+};
+
+module.exports = { createS3Driver };
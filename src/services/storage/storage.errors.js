@@ -0,0 +1,15 @@
+// Error codes shared by the storage service and its drivers
+const STORAGE_ERRORS = {
+  NOT_FOUND: "STORAGE_OBJECT_NOT_FOUND",
+  INVALID_KEY: "STORAGE_INVALID_KEY",
+  REQUEST_FAILED: "STORAGE_REQUEST_FAILED",
+  NOT_CONFIGURED: "STORAGE_NOT_CONFIGURED",
+};
+
+const storageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = { STORAGE_ERRORS, storageError };
@@ -0,0 +1,211 @@
+/**
+ * Storage Service
+ *
+ * Uploaded files are stored through a driver chosen with STORAGE_DRIVER:
+ * - "local" (default): files below STORAGE_LOCAL_ROOT (src/uploads)
+ * - "s3": an S3-compatible bucket (S3_ENDPOINT, S3_REGION, S3_BUCKET,
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE)
+ * Records keep the object key of their file in `fileUrl`, never a path on
+ * disk, so every instance of the API reads the same files. Existing records
+ * are moved over with `npm run migrate:storage`.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const contentDisposition = require("content-disposition");
+const { STORAGE_ERRORS, storageError } = require("./storage.errors");
+const { createLocalDriver } = require("./local.driver");
+const { createS3Driver } = require("./s3.driver");
+
+const DEFAULT_LOCAL_ROOT = "src/uploads";
+
+let driver = null;
+
+/**
+ * Get the driver configured in the environment (created on first use)
+ * @returns {Object} Storage driver
+ */
+const getStorageDriver = () => {
+  if (driver) return driver;
+
+  const name = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+  if (name === "local") {
+    driver = createLocalDriver({
+      root: process.env.STORAGE_LOCAL_ROOT || DEFAULT_LOCAL_ROOT,
+    });
+  } else if (name === "s3") {
+    driver = createS3Driver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Custom endpoints (MinIO and similar) usually need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : !!process.env.S3_ENDPOINT,
+    });
+  } else {
+    throw storageError(
+      STORAGE_ERRORS.NOT_CONFIGURED,
+      `Unknown STORAGE_DRIVER "${name}", expected local or s3`
+    );
+  }
+  return driver;
+};
+
+/**
+ * Build a unique key for an uploaded file; the file name is kept as the last
+ * part so it stays readable
+ * @param {string} prefix - Folder of the file kind, e.g. "user-documents"
+ * @param {string} fileName - Original file name
+ * @returns {string} Object key, e.g. "user-documents/<uuid>/policy.pdf"
+ */
+const buildObjectKey = (prefix, fileName) => {
+  const safeName =
+    path
+      .basename(String(fileName || ""))
+      .replace(/[\x00-\x1f\x7f\\/]/g, "")
+      .trim() || "file";
+  return `${prefix}/${crypto.randomUUID()}/${safeName}`;
+};
+
+/**
+ * Store an object
+ * @param {string} key - Object key
+ * @param {Buffer|Readable} body - Content
+ * @param {Object} options - { contentType }
+ * @returns {Promise<Object>} { size }
+ */
+const putObject = (key, body, options = {}) =>
+  getStorageDriver().put(key, body, options);
+
+/**
+ * Open a stream on an object, or on a byte range of it
+ * @param {string} key - Object key
+ * @param {Object} range - { start, end } inclusive byte offsets
+ * @returns {Promise<Readable>}
+ * @throws NOT_FOUND
+ */
+const getObjectStream = (key, range = {}) =>
+  getStorageDriver().getStream(key, range);
+
+/**
+ * Read a whole object into memory
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>}
+ * @throws NOT_FOUND
+ */
+const readObject = async (key) => {
+  const chunks = [];
+  for await (const chunk of await getObjectStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Size and modification date of an object
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} { size, lastModified, contentType } or null when missing
+ */
+const statObject = async (key) => (key ? getStorageDriver().stat(key) : null);
+
+/**
+ * Delete an object; failures are logged, never thrown, so a missing file
+ * does not block deleting its record
+ * @param {string} key - Object key
+ */
+const deleteObject = async (key) => {
+  if (!key) return;
+  try {
+    await getStorageDriver().delete(key);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error.message);
+  }
+};
+
+/**
+ * Parse a Range header against the size of an object. Only single ranges are
+ * supported; anything else is answered with the whole object.
+ * @param {string} header - Range header, e.g. "bytes=0-1023", "bytes=-500"
+ * @param {number} size - Object size
+ * @returns {Object|null} { start, end } inclusive, { unsatisfiable: true }, or null for the whole object
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+};
+
+/**
+ * Send an object as a file download
+ * @param {Object} res - Express response
+ * @param {string} key - Object key
+ * @param {string} fileName - Name offered to the browser
+ * @param {Object} options - { range } Range header of the request
+ * @returns {Promise<boolean>} false when the object does not exist
+ */
+const sendObject = async (res, key, fileName, { range } = {}) => {
+  const object = await statObject(key);
+  if (!object) return false;
+
+  res.setHeader("Accept-Ranges", "bytes");
+  const byteRange = parseRange(range, object.size);
+  if (byteRange?.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${object.size}`);
+    res.status(416).end();
+    return true;
+  }
+
+  // Built before the stream is opened so a bad name cannot leave it open;
+  // any file name is encoded (RFC 6266 filename*)
+  const disposition = contentDisposition(fileName);
+
+  const stream = await getObjectStream(key, byteRange || {});
+  res.setHeader("Content-Disposition", disposition);
+  res.setHeader("Content-Type", "application/octet-stream");
+  if (byteRange) {
+    res.status(206);
+    res.setHeader(
+      "Content-Range",
+      `bytes ${byteRange.start}-${byteRange.end}/${object.size}`
+    );
+    res.setHeader("Content-Length", byteRange.end - byteRange.start + 1);
+  } else {
+    res.setHeader("Content-Length", object.size);
+  }
+
+  stream.on("error", (error) => {
+    console.error("Error streaming stored file:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return true;
+};
+
+module.exports = {
+  STORAGE_ERRORS,
+  getStorageDriver,
+  buildObjectKey,
+  putObject,
+  getObjectStream,
+  readObject,
+  statObject,
+  deleteObject,
+  parseRange,
+  sendObject,
+};
@@ -0,0 +1,184 @@
+const zlib = require("zlib");
+const ExcelJS = require("exceljs");
+
+/**
+ * Office Text Extractor
+ *
+ * DOCX and XLSX files are ZIP archives of XML parts. DOCX text is read from
+ * the body, header, footer and note parts with a small ZIP reader; XLSX
+ * workbooks are loaded with ExcelJS and read cell by cell. The legacy binary
+ * formats (doc, xls) are not supported.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Uncompressed size limits of one ZIP entry and of all entries of an archive;
+// larger archives (zip bombs) are rejected instead of inflated
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+
+// DOCX parts holding text, the body first
+const DOCX_TEXT_PARTS = [
+  /^word\/document\.xml$/,
+  /^word\/(header|footer)\d*\.xml$/,
+  /^word\/(footnotes|endnotes|comments)\.xml$/,
+];
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+const archiveTooLarge = () =>
+  new Error("The file is too large once uncompressed");
+
+// Read the entries of a ZIP archive: name -> () => Buffer
+const readZipEntries = (buffer) => {
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= searchStart; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("The file is not a valid ZIP archive");
+
+  const entries = new Map();
+  let remaining = MAX_ARCHIVE_SIZE;
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      const limit = Math.min(MAX_ENTRY_SIZE, remaining);
+      if (uncompressedSize > limit) throw archiveTooLarge();
+      if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Invalid ZIP entry: ${name}`);
+      }
+      const dataStart =
+        headerOffset +
+        30 +
+        buffer.readUInt16LE(headerOffset + 26) +
+        buffer.readUInt16LE(headerOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method !== 0 && method !== 8) {
+        throw new Error(`Unsupported ZIP compression method: ${method}`);
+      }
+
+      // The declared size may lie, so inflating stops at the limit as well
+      let content = data;
+      if (method === 8) {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: limit });
+        } catch (error) {
+          if (error.code === "ERR_BUFFER_TOO_LARGE") throw archiveTooLarge();
+          throw error;
+        }
+      }
+      if (content.length > limit) throw archiveTooLarge();
+      remaining -= content.length;
+      return content;
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Decode the entities of XML text
+const decodeXmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name.startsWith("#x")) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith("#"))
+      return String.fromCodePoint(Number(name.slice(1)));
+    return XML_ENTITIES[name] ?? entity;
+  });
+
+// Text of a WordprocessingML part, one line per paragraph
+const wordXmlToText = (xml) =>
+  decodeXmlEntities(
+    xml
+      // Field codes and tracked deletions are not visible text
+      .replace(/<w:(instrText|delText)\b[^>]*>[\s\S]*?<\/w:\1>/g, "")
+      .replace(/<w:tab\/>/g, "\t")
+      .replace(/<w:(br|cr)\/>|<\/w:p>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Extract the text of a DOCX document
+ * @param {Buffer} buffer - File content
+ * @returns {string} Text, one line per paragraph
+ * @throws When the file is not a valid DOCX archive or too large once uncompressed
+ */
+const extractDocxText = (buffer) => {
+  const entries = readZipEntries(buffer);
+  if (!entries.has("word/document.xml")) {
+    throw new Error("The file is not a valid DOCX document");
+  }
+
+  return DOCX_TEXT_PARTS.flatMap((pattern) =>
+    [...entries.keys()].filter((name) => pattern.test(name)).sort()
+  )
+    .map((name) => wordXmlToText(entries.get(name)().toString("utf8")))
+    .filter(Boolean)
+    .join("\n");
+};
+
+/**
+ * Extract the text of an XLSX workbook
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<string>} Text, one line per row with tab separated cells
+ * @throws When the file is not a valid XLSX workbook or too large once uncompressed
+ */
+const extractXlsxText = async (buffer) => {
+  // ExcelJS inflates without limits, so every part is size checked first
+  readZipEntries(buffer).forEach((readEntry) => readEntry());
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const lines = [];
+  workbook.eachSheet((worksheet) => {
+    lines.push(worksheet.name);
+    worksheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell((cell) => {
+        const text =
+          cell.value instanceof Date
+            ? cell.value.toISOString().slice(0, 10)
+            : String(cell.text ?? "").trim();
+        if (text) cells.push(text);
+      });
+      if (cells.length > 0) lines.push(cells.join("\t"));
+    });
+  });
+
+  return lines.join("\n");
+};
+
+module.exports = { extractDocxText, extractXlsxText };
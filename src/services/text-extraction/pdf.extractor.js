@@ -0,0 +1,516 @@
+const zlib = require("zlib");
+
+/**
+ * PDF Text Extractor
+ *
+ * Reads the text drawn by the content streams of a PDF. This is not a full PDF
+ * renderer: streams are taken in file order, only the FlateDecode, ASCII85Decode
+ * and ASCIIHexDecode filters are supported and fonts are resolved through their
+ * ToUnicode CMap when they have one. That is enough for the PDFs exported by
+ * office suites and most generators; scanned PDFs contain images only and give
+ * no text.
+ */
+
+const OBJECT_PATTERN = /(\d+)\s+\d+\s+obj\b/g;
+
+// Streams inflating to more than this are skipped (zip bombs)
+const MAX_STREAM_SIZE = 50 * 1024 * 1024;
+
+// Streams that never hold page content
+const SKIPPED_STREAM_PATTERN =
+  /\/Subtype\s*\/Image|\/Type\s*\/(?:XRef|Metadata|EmbeddedFile)|\/Length[123]\b|\/Subtype\s*\/(?:Type1C|CIDFontType0C|OpenType)/;
+
+// WinAnsi characters that differ from Latin-1
+const WIN_ANSI_CHARACTERS = {
+  0x80: "€",
+  0x85: "…",
+  0x91: "‘",
+  0x92: "’",
+  0x93: "“",
+  0x94: "”",
+  0x95: "•",
+  0x96: "–",
+  0x97: "—",
+};
+
+// Escape sequences of literal strings
+const STRING_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// TJ offsets (thousandths of an em) wide enough to be a word space
+const WORD_SPACE_OFFSET = -200;
+
+// Split a PDF into its objects: { number, dict, data } (data is the raw stream)
+const readObjects = (buffer) => {
+  const source = buffer.toString("latin1");
+  const objects = new Map();
+  const headers = [...source.matchAll(OBJECT_PATTERN)];
+
+  headers.forEach((header, index) => {
+    const start = header.index + header[0].length;
+    const next = headers[index + 1]?.index ?? source.length;
+    let end = source.indexOf("endobj", start);
+    if (end === -1 || end > next) end = next;
+    const body = source.slice(start, end);
+
+    const streamMatch = /\bstream\r?\n/.exec(body);
+    if (!streamMatch) {
+      objects.set(Number(header[1]), { dict: body, data: null });
+      return;
+    }
+
+    const dict = body.slice(0, streamMatch.index);
+    const dataStart = start + streamMatch.index + streamMatch[0].length;
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    let dataEnd = length ? dataStart + Number(length[1]) : -1;
+    if (
+      dataEnd < 0 ||
+      source.slice(dataEnd, dataEnd + 20).indexOf("endstream") === -1
+    ) {
+      dataEnd = source.lastIndexOf("endstream", end);
+    }
+
+    objects.set(Number(header[1]), {
+      dict,
+      data: dataEnd > dataStart ? buffer.subarray(dataStart, dataEnd) : null,
+    });
+  });
+
+  return objects;
+};
+
+const inflate = (data) => {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_STREAM_SIZE });
+  } catch (error) {
+    // Streams with trailing garbage still decode up to the point of failure
+    try {
+      return zlib.inflateSync(data, {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: MAX_STREAM_SIZE,
+      });
+    } catch (syncError) {
+      return null;
+    }
+  }
+};
+
+// ASCII85: groups of five characters "!".."u" encode four bytes, "z" four zeros
+const decodeAscii85 = (data) => {
+  const source = data.toString("latin1").replace(/^<~/, "").split("~>")[0];
+  const bytes = [];
+  let group = [];
+
+  const flush = (length) => {
+    const padded = [...group, ...Array(5 - group.length).fill(84)];
+    let value = padded.reduce((total, digit) => total * 85 + digit, 0);
+    const chunk = [];
+    for (let index = 0; index < 4; index++) {
+      chunk.unshift(value % 256);
+      value = Math.floor(value / 256);
+    }
+    bytes.push(...chunk.slice(0, length));
+    group = [];
+  };
+
+  for (const char of source) {
+    if (/\s/.test(char)) continue;
+    if (char === "z" && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    const digit = char.charCodeAt(0) - 33;
+    if (digit < 0 || digit > 84) return null;
+    group.push(digit);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+
+  return Buffer.from(bytes);
+};
+
+const decodeAsciiHex = (data) => {
+  const hex = data
+    .toString("latin1")
+    .split(">")[0]
+    .replace(/[^0-9a-fA-F]/g, "");
+  return Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex");
+};
+
+// Supported stream filters by name
+const STREAM_FILTERS = {
+  FlateDecode: inflate,
+  ASCII85Decode: decodeAscii85,
+  ASCIIHexDecode: decodeAsciiHex,
+};
+
+// Decode a stream, null when one of its filters is not supported
+const decodeStream = ({ dict, data }) => {
+  if (!data) return null;
+  // A single filter name or an array of them, applied in order
+  const filter = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1];
+  if (!filter) return data;
+  const names = [...filter.matchAll(/\/(\w+)/g)].map((match) => match[1]);
+  if (/\/Predictor/.test(dict)) return null;
+
+  return names.reduce(
+    (decoded, name) =>
+      decoded && STREAM_FILTERS[name] ? STREAM_FILTERS[name](decoded) : null,
+    data
+  );
+};
+
+// Add the objects stored inside object streams (/Type /ObjStm) to the map
+const readObjectStreams = (objects) => {
+  [...objects.values()]
+    .filter((object) => object.data && /\/Type\s*\/ObjStm/.test(object.dict))
+    .forEach((object) => {
+      const decoded = decodeStream(object);
+      const count = Number(/\/N\s+(\d+)/.exec(object.dict)?.[1]);
+      const first = Number(/\/First\s+(\d+)/.exec(object.dict)?.[1]);
+      if (!decoded || !count || !first) return;
+
+      const content = decoded.toString("latin1");
+      const offsets = content.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let index = 0; index < count; index++) {
+        const number = offsets[index * 2];
+        const start = first + offsets[index * 2 + 1];
+        const end =
+          index + 1 < count ? first + offsets[index * 2 + 3] : content.length;
+        if (!objects.has(number)) {
+          objects.set(number, { dict: content.slice(start, end), data: null });
+        }
+      }
+    });
+};
+
+// Hex string of a CMap to a Unicode string (UTF-16BE)
+const hexToUnicode = (hex) => {
+  let text = "";
+  for (let index = 0; index + 4 <= hex.length; index += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(index, index + 4), 16));
+  }
+  return hex.length === 2 ? String.fromCharCode(parseInt(hex, 16)) : text;
+};
+
+// Parse a ToUnicode CMap into { codeBytes, map: code -> text }
+const parseCMap = (content) => {
+  const map = new Map();
+  let codeBytes = 1;
+
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(content);
+  if (codespace) codeBytes = codespace[1].length / 2;
+
+  for (const block of content.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g
+    )) {
+      map.set(parseInt(entry[1], 16), hexToUnicode(entry[2]));
+    }
+  }
+
+  for (const block of content.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of block[1].matchAll(
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g
+    )) {
+      const low = parseInt(entry[1], 16);
+      const high = Math.min(parseInt(entry[2], 16), low + 0xffff);
+      if (entry[3].startsWith("[")) {
+        [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((target, index) =>
+          map.set(low + index, hexToUnicode(target[1]))
+        );
+        continue;
+      }
+      const target = entry[3].slice(1, -1);
+      const prefix = hexToUnicode(target.slice(0, -4));
+      const base = parseInt(target.slice(-4), 16);
+      for (let code = low; code <= high; code++) {
+        map.set(code, prefix + String.fromCharCode(base + code - low));
+      }
+    }
+  }
+
+  return { codeBytes, map };
+};
+
+// Font resource names (e.g. "F1") to the CMap of the font they point to
+const readFontCMaps = (objects) => {
+  const cmaps = new Map();
+  const fontCMap = (number) => {
+    if (cmaps.has(number)) return cmaps.get(number);
+    const font = objects.get(number);
+    const cmapRef = font && /\/ToUnicode\s+(\d+)\s+\d+\s+R/.exec(font.dict);
+    const decoded =
+      cmapRef && decodeStream(objects.get(Number(cmapRef[1])) || {});
+    const cmap = decoded ? parseCMap(decoded.toString("latin1")) : null;
+    // Only composite (Type0) fonts use multi-byte codes, whatever the CMap says
+    if (cmap && !/\/Subtype\s*\/Type0/.test(font.dict)) cmap.codeBytes = 1;
+    cmaps.set(number, cmap);
+    return cmap;
+  };
+
+  const fonts = new Map();
+  const addFonts = (content) => {
+    for (const entry of content.matchAll(
+      /\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g
+    )) {
+      // Page resources reuse names; the first font seen for a name wins
+      if (!fonts.has(entry[1])) fonts.set(entry[1], fontCMap(Number(entry[2])));
+    }
+  };
+
+  objects.forEach(({ dict }) => {
+    const inline = /\/Font\s*<<([^>]*)>>/.exec(dict);
+    if (inline) addFonts(inline[1]);
+    const reference = /\/Font\s+(\d+)\s+\d+\s+R/.exec(dict);
+    if (reference) addFonts(objects.get(Number(reference[1]))?.dict || "");
+  });
+
+  return fonts;
+};
+
+// Read the operands and operators of a content stream
+function* tokenize(content) {
+  let index = 0;
+  const length = content.length;
+
+  while (index < length) {
+    const char = content[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === "%") {
+      // Comments run to the end of the line
+      while (index < length && !"\r\n".includes(content[index])) {
+        index++;
+      }
+    } else if (char === "(") {
+      let depth = 1;
+      let value = "";
+      index++;
+      while (index < length && depth > 0) {
+        const current = content[index];
+        if (current === "\\") {
+          const escaped = content[index + 1];
+          const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4));
+          if (octal) {
+            value += String.fromCharCode(parseInt(octal[0], 8) & 0xff);
+            index += octal[0].length + 1;
+            continue;
+          }
+          if (escaped === "\r" || escaped === "\n") {
+            index += escaped === "\r" && content[index + 2] === "\n" ? 3 : 2;
+            continue;
+          }
+          value += STRING_ESCAPES[escaped] ?? escaped ?? "";
+          index += 2;
+          continue;
+        }
+        if (current === "(") depth++;
+        if (current === ")") depth--;
+        if (depth > 0) value += current;
+        index++;
+      }
+      yield { type: "string", value };
+    } else if (char === "<" && content[index + 1] === "<") {
+      yield { type: "dictStart" };
+      index += 2;
+    } else if (char === ">" && content[index + 1] === ">") {
+      yield { type: "dictEnd" };
+      index += 2;
+    } else if (char === "<") {
+      const end = content.indexOf(">", index);
+      const hex = content
+        .slice(index + 1, end === -1 ? length : end)
+        .replace(/[^0-9a-fA-F]/g, "");
+      const padded = hex.length % 2 ? hex + "0" : hex;
+      yield {
+        type: "string",
+        value: Buffer.from(padded, "hex").toString("latin1"),
+      };
+      index = end === -1 ? length : end + 1;
+    } else if (char === "[" || char === "]") {
+      yield { type: char === "[" ? "arrayStart" : "arrayEnd" };
+      index++;
+    } else if (char === "/") {
+      const match = /^\/[^\s/<>[\]()%{}]*/.exec(
+        content.slice(index, index + 128)
+      );
+      yield { type: "name", value: match[0].slice(1) };
+      index += match[0].length;
+    } else {
+      const match = /^[^\s/<>[\]()%{}]+/.exec(
+        content.slice(index, index + 128)
+      );
+      if (!match) {
+        index++;
+        continue;
+      }
+      const word = match[0];
+      index += word.length;
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        yield { type: "number", value: Number(word) };
+      } else if (word === "BI") {
+        // Skip inline images, their data is binary
+        const end = content.indexOf("EI", index);
+        index = end === -1 ? length : end + 2;
+      } else {
+        yield { type: "operator", value: word };
+      }
+    }
+  }
+}
+
+// Decode the bytes of a shown string with the current font
+const decodeString = (value, cmap) => {
+  if (!cmap) {
+    let text = "";
+    for (const char of value) {
+      text += WIN_ANSI_CHARACTERS[char.charCodeAt(0)] || char;
+    }
+    return text;
+  }
+
+  let text = "";
+  for (
+    let index = 0;
+    index + cmap.codeBytes <= value.length;
+    index += cmap.codeBytes
+  ) {
+    let code = 0;
+    for (let byte = 0; byte < cmap.codeBytes; byte++) {
+      code = code * 256 + value.charCodeAt(index + byte);
+    }
+    text += cmap.map.get(code) ?? "";
+  }
+  return text;
+};
+
+// Run the text operators of a content stream
+const extractContentText = (content, fonts) => {
+  const lines = [];
+  let line = "";
+  let operands = [];
+  let array = null;
+  let cmap = null;
+  let lastY = null;
+
+  const newLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = "";
+  };
+  const show = (value) => {
+    line += decodeString(value, cmap);
+  };
+
+  for (const token of tokenize(content)) {
+    if (token.type === "arrayStart") {
+      array = [];
+      continue;
+    }
+    if (token.type === "arrayEnd") {
+      operands.push({ type: "array", value: array || [] });
+      array = null;
+      continue;
+    }
+    if (array) {
+      array.push(token);
+      continue;
+    }
+    if (token.type !== "operator") {
+      operands.push(token);
+      continue;
+    }
+
+    const last = operands[operands.length - 1];
+    switch (token.value) {
+      case "Tf": {
+        const name = operands.find((operand) => operand.type === "name");
+        cmap = (name && fonts.get(name.value)) || null;
+        break;
+      }
+      case "Tj":
+        if (last?.type === "string") show(last.value);
+        break;
+      case "'":
+      case '"':
+        newLine();
+        if (last?.type === "string") show(last.value);
+        break;
+      case "TJ":
+        (last?.type === "array" ? last.value : []).forEach((item) => {
+          if (item.type === "string") show(item.value);
+          if (
+            item.type === "number" &&
+            item.value < WORD_SPACE_OFFSET &&
+            !line.endsWith(" ")
+          ) {
+            line += " ";
+          }
+        });
+        break;
+      case "Td":
+      case "TD": {
+        const ty = operands[operands.length - 1]?.value;
+        const tx = operands[operands.length - 2]?.value;
+        if (ty) newLine();
+        else if (tx > 0 && line && !line.endsWith(" ")) line += " ";
+        break;
+      }
+      case "Tm": {
+        const y = operands[operands.length - 1]?.value;
+        if (lastY !== null && y !== lastY) newLine();
+        else if (line && !line.endsWith(" ")) line += " ";
+        lastY = y;
+        break;
+      }
+      case "T*":
+      case "ET":
+        newLine();
+        break;
+      case "BT":
+        lastY = null;
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  newLine();
+  return lines.join("\n");
+};
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - File content
+ * @returns {string} Text, one line per text line of the pages
+ * @throws When the PDF is encrypted
+ */
+const extractPdfText = (buffer) => {
+  const source = buffer.toString("latin1");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) {
+    throw new Error("Encrypted PDFs cannot be indexed");
+  }
+
+  const objects = readObjects(buffer);
+  readObjectStreams(objects);
+  const fonts = readFontCMaps(objects);
+
+  const parts = [];
+  objects.forEach((object) => {
+    if (!object.data || SKIPPED_STREAM_PATTERN.test(object.dict)) return;
+    if (/\/Type\s*\/ObjStm/.test(object.dict)) return;
+
+    const decoded = decodeStream(object);
+    if (!decoded) return;
+    const content = decoded.toString("latin1");
+    if (!/\bBT\b/.test(content) || /begincmap/.test(content)) return;
+
+    const text = extractContentText(content, fonts);
+    if (text) parts.push(text);
+  });
+
+  return parts.join("\n");
+};
+
+module.exports = { extractPdfText };
@@ -0,0 +1,123 @@
+const { readObject } = require("../storage/storage.service");
+const { extractPdfText } = require("./pdf.extractor");
+const { extractDocxText, extractXlsxText } = require("./office.extractor");
+
+/**
+ * Text Extraction Service
+ *
+ * The text of uploaded PDF, DOCX and XLSX files is extracted when the file is
+ * uploaded (or a version is restored) and kept in `extractedText` of the
+ * record, where the collection's text index makes it searchable. Extraction
+ * never fails an upload: unsupported or unreadable files are recorded in
+ * `textExtraction` and stay searchable by name. Records uploaded before
+ * extraction existed are indexed with `npm run migrate:extract-text`.
+ */
+
+const TEXT_EXTRACTION_STATUS = {
+  PENDING: "pending",
+  EXTRACTED: "extracted",
+  EMPTY: "empty",
+  UNSUPPORTED: "unsupported",
+  FAILED: "failed",
+};
+
+// Longest text kept per file, well below the 16 MB document limit
+const MAX_EXTRACTED_TEXT_LENGTH = 1000000;
+
+// Extractor of each file type; doc and xls are binary formats we cannot read
+const EXTRACTORS = {
+  pdf: extractPdfText,
+  docx: extractDocxText,
+  xlsx: extractXlsxText,
+};
+
+// Collapse whitespace and drop control characters, keeping line breaks
+const normalizeText = (text) =>
+  text
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, " ")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n\s*/g, "\n")
+    .trim()
+    .slice(0, MAX_EXTRACTED_TEXT_LENGTH);
+
+/**
+ * Extract the text of a file
+ * @param {Buffer} buffer - File content
+ * @param {string} fileType - pdf, doc, docx, xls or xlsx
+ * @returns {Promise<Object>} { status, text, errorMessage }
+ */
+const extractText = async (buffer, fileType) => {
+  const extractor = EXTRACTORS[fileType];
+  if (!extractor) {
+    return {
+      status: TEXT_EXTRACTION_STATUS.UNSUPPORTED,
+      text: "",
+      errorMessage: `Text cannot be extracted from ${fileType} files`,
+    };
+  }
+
+  try {
+    const text = normalizeText(await extractor(buffer));
+    return {
+      status: text
+        ? TEXT_EXTRACTION_STATUS.EXTRACTED
+        : TEXT_EXTRACTION_STATUS.EMPTY,
+      text,
+      errorMessage: null,
+    };
+  } catch (error) {
+    return {
+      status: TEXT_EXTRACTION_STATUS.FAILED,
+      text: "",
+      errorMessage: error.message,
+    };
+  }
+};
+
+/**
+ * Extract the text of a record's current file into `extractedText` and
+ * `textExtraction`; failures are recorded, never thrown. The caller saves
+ * the record
+ * @param {Object} record - UserDocument, UserFramework or ExpertFramework document
+ * @returns {Promise<string>} The extraction status
+ */
+const indexFileText = async (record) => {
+  const fileType = record.documentType || record.frameworkType;
+  let result;
+
+  if (!EXTRACTORS[fileType]) {
+    result = await extractText(null, fileType);
+  } else {
+    try {
+      result = await extractText(await readObject(record.fileUrl), fileType);
+    } catch (error) {
+      result = {
+        status: TEXT_EXTRACTION_STATUS.FAILED,
+        text: "",
+        errorMessage: error.message,
+      };
+    }
+  }
+
+  if (result.status === TEXT_EXTRACTION_STATUS.FAILED) {
+    console.error(
+      `Text extraction failed for ${record.constructor.modelName} ${record._id}:`,
+      result.errorMessage
+    );
+  }
+
+  record.extractedText = result.text;
+  record.textExtraction = {
+    status: result.status,
+    extractedAt: new Date(),
+    errorMessage: result.errorMessage,
+  };
+  return result.status;
+};
+
+module.exports = {
+  TEXT_EXTRACTION_STATUS,
+  MAX_EXTRACTED_TEXT_LENGTH,
+  extractText,
+  indexFileText,
+};
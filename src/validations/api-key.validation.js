@@ -0,0 +1,184 @@
+const { body, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const {
+  ALL_PERMISSIONS,
+  roleExists,
+} = require("../services/permission.service");
+const { MAX_API_KEY_TTL_DAYS } = require("../services/api-key.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Custom validator for MongoDB ObjectId
+const isValidObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error(`Invalid ${label} format`);
+  }
+  return true;
+};
+
+const apiKeyIdParamValidator = () =>
+  param("apiKeyId").custom((value) => isValidObjectId(value, "API key ID"));
+
+const serviceAccountIdParamValidator = () =>
+  param("id").custom((value) => isValidObjectId(value, "service account ID"));
+
+const includeInactiveValidator = () =>
+  query("includeInactive")
+    .optional()
+    .isBoolean()
+    .withMessage("includeInactive must be a boolean value (true or false)");
+
+// Fields of a new API key, shared by personal and service account keys
+const apiKeyFieldsValidator = () => [
+  body("name")
+    .exists({ values: "null" })
+    .withMessage("API key name is required")
+    .isString()
+    .withMessage("API key name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("API key name must be between 1 and 100 characters"),
+  body("scopes")
+    .exists({ values: "null" })
+    .withMessage("Scopes are required")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array of permission names"),
+  body("scopes.*")
+    .isIn(ALL_PERMISSIONS)
+    .withMessage(
+      "Unknown scope. Scopes are permission names, see GET /api/admin/roles/permissions"
+    ),
+  body("expiresInDays")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_API_KEY_TTL_DAYS })
+    .withMessage(
+      `expiresInDays must be an integer between 1 and ${MAX_API_KEY_TTL_DAYS}`
+    )
+    .toInt(),
+  body("organizationId")
+    .optional({ values: "null" })
+    .custom((value) => isValidObjectId(value, "organization ID")),
+];
+
+/**
+ * Validation for listing the current user's API keys
+ */
+const getApiKeysValidation = [
+  includeInactiveValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating a personal API key
+ */
+const createApiKeyValidation = [
+  ...apiKeyFieldsValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with an API key ID
+ */
+const apiKeyIdValidation = [apiKeyIdParamValidator(), handleValidationErrors];
+
+/**
+ * Validation for listing the API keys of every user (admin)
+ */
+const getAllApiKeysValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("userId")
+    .optional()
+    .custom((value) => isValidObjectId(value, "user ID")),
+  includeInactiveValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating a service account
+ */
+const createServiceAccountValidation = [
+  body("name")
+    .exists({ values: "null" })
+    .withMessage("Name is required")
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("role")
+    .exists({ values: "null" })
+    .withMessage("Role is required")
+    .isString()
+    .withMessage("Role must be a string")
+    .trim()
+    .toLowerCase()
+    .custom(async (value) => {
+      if (!(await roleExists(value))) {
+        throw new Error(`Role "${value}" does not exist`);
+      }
+      return true;
+    }),
+  body("organizationId")
+    .optional({ values: "null" })
+    .custom((value) => isValidObjectId(value, "organization ID")),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with a service account ID
+ */
+const serviceAccountIdValidation = [
+  serviceAccountIdParamValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing the API keys of a service account
+ */
+const getServiceAccountApiKeysValidation = [
+  serviceAccountIdParamValidator(),
+  includeInactiveValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating an API key for a service account
+ */
+const createServiceAccountApiKeyValidation = [
+  serviceAccountIdParamValidator(),
+  ...apiKeyFieldsValidator(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  getApiKeysValidation,
+  createApiKeyValidation,
+  apiKeyIdValidation,
+  getAllApiKeysValidation,
+  createServiceAccountValidation,
+  serviceAccountIdValidation,
+  getServiceAccountApiKeysValidation,
+  createServiceAccountApiKeyValidation,
+};
@@ -0,0 +1,151 @@
+const { body, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Reusable ObjectId check for route params
+const objectIdParam = (field, label) =>
+  param(field).custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error(`Invalid ${label} ID format`);
+    }
+    return true;
+  });
+
+// Optional free text control field
+const optionalTextField = (field, label, max) =>
+  body(field)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage(`${label} must be a string`)
+    .trim()
+    .isLength({ max })
+    .withMessage(`${label} cannot exceed ${max} characters`);
+
+// Control fields shared by create and update; ID and name required only on create
+const controlFieldValidation = (required) => {
+  const field = (name, label) =>
+    required
+      ? body(name)
+          .exists({ values: "null" })
+          .withMessage(`${label} is required`)
+      : body(name).optional();
+  return [
+    field("controlId", "Control ID")
+      .isString()
+      .withMessage("Control ID must be a string")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Control ID must be between 1 and 50 characters"),
+    field("controlName", "Control name")
+      .isString()
+      .withMessage("Control name must be a string")
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Control name must be between 1 and 500 characters"),
+    optionalTextField("controlType", "Control type", 100),
+    optionalTextField("controlDescription", "Control description", 5000),
+    optionalTextField("deploymentPoints", "Deployment points", 5000),
+  ];
+};
+
+/**
+ * Validation for framework ID in params
+ */
+const frameworkIdValidation = [
+  objectIdParam("id", "framework"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for framework and control IDs in params
+ */
+const controlIdValidation = [
+  objectIdParam("id", "framework"),
+  objectIdParam("controlId", "control"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing framework controls
+ */
+const getControlsQueryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search term must be between 1 and 100 characters"),
+  query("controlType")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Control type cannot exceed 100 characters"),
+  query("source")
+    .optional()
+    .isIn(["ai", "manual"])
+    .withMessage("Source must be either ai or manual"),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be either asc or desc"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating a control
+ */
+const createControlValidation = [
+  ...controlFieldValidation(true),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating a control
+ */
+const updateControlValidation = [
+  ...controlFieldValidation(false),
+  body().custom((value) => {
+    const fields = [
+      "controlId",
+      "controlName",
+      "controlType",
+      "controlDescription",
+      "deploymentPoints",
+    ];
+    if (!fields.some((field) => value?.[field] !== undefined)) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  frameworkIdValidation,
+  controlIdValidation,
+  getControlsQueryValidation,
+  createControlValidation,
+  updateControlValidation,
+};
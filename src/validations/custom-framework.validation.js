@@ -0,0 +1,212 @@
+const { body, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Reusable ObjectId check for route params
+const objectIdParam = (field, label) =>
+  param(field).custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error(`Invalid ${label} ID format`);
+    }
+    return true;
+  });
+
+// Reusable check for an array of unique ObjectIds
+const controlIdsBody = (required) =>
+  (required
+    ? body("controlIds")
+        .exists({ values: "null" })
+        .withMessage("Control IDs are required")
+    : body("controlIds").optional({ values: "null" })
+  )
+    .isArray({ min: required ? 1 : 0, max: 500 })
+    .withMessage(
+      `Control IDs must be an array of ${required ? 1 : 0} to 500 IDs`
+    )
+    .custom((value) => {
+      if (value.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error("Invalid control ID format");
+      }
+      if (new Set(value.map(String)).size !== value.length) {
+        throw new Error("Control IDs must be unique");
+      }
+      return true;
+    });
+
+// Name and description shared by create and update
+const nameValidation = (required) =>
+  (required
+    ? body("name").exists({ values: "null" }).withMessage("Name is required")
+    : body("name").optional()
+  )
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Name must be between 1 and 200 characters");
+
+const descriptionValidation = body("description")
+  .optional({ values: "null" })
+  .isString()
+  .withMessage("Description must be a string")
+  .trim()
+  .isLength({ max: 2000 })
+  .withMessage("Description cannot exceed 2000 characters");
+
+/**
+ * Validation for custom framework ID in params
+ */
+const customFrameworkIdValidation = [
+  objectIdParam("id", "custom framework"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for custom framework and control IDs in params
+ */
+const customFrameworkControlIdValidation = [
+  objectIdParam("id", "custom framework"),
+  objectIdParam("controlId", "control"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for custom framework and shared user IDs in params
+ */
+const customFrameworkUserIdValidation = [
+  objectIdParam("id", "custom framework"),
+  objectIdParam("userId", "user"),
+  handleValidationErrors,
+];
+
+// Shared pagination and search checks for list endpoints
+const listQueryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search term must be between 1 and 100 characters"),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be either asc or desc"),
+];
+
+/**
+ * Validation for listing custom frameworks
+ */
+const getCustomFrameworksQueryValidation = [
+  ...listQueryValidation,
+  query("scope")
+    .optional()
+    .isIn(["owned", "shared"])
+    .withMessage("Scope must be either owned or shared"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing controls available to the builder
+ */
+const getAvailableControlsQueryValidation = [
+  ...listQueryValidation,
+  query("expertFrameworkId")
+    .optional()
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid expert framework ID format");
+      }
+      return true;
+    }),
+  query("controlType")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Control type cannot exceed 100 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating a custom framework
+ */
+const createCustomFrameworkValidation = [
+  nameValidation(true),
+  descriptionValidation,
+  controlIdsBody(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating a custom framework
+ */
+const updateCustomFrameworkValidation = [
+  objectIdParam("id", "custom framework"),
+  nameValidation(false),
+  descriptionValidation,
+  body().custom((value) => {
+    if (value?.name === undefined && value?.description === undefined) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for adding or reordering custom framework controls
+ */
+const customFrameworkControlsValidation = [
+  objectIdParam("id", "custom framework"),
+  controlIdsBody(true),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for sharing a custom framework
+ */
+const shareCustomFrameworkValidation = [
+  objectIdParam("id", "custom framework"),
+  body("emails")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Emails must be an array of 1 to 50 addresses"),
+  body("emails.*")
+    .trim()
+    .isEmail()
+    .withMessage("Please enter valid emails, Ex: john@gmail.com")
+    .toLowerCase(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  customFrameworkIdValidation,
+  customFrameworkControlIdValidation,
+  customFrameworkUserIdValidation,
+  getCustomFrameworksQueryValidation,
+  getAvailableControlsQueryValidation,
+  createCustomFrameworkValidation,
+  updateCustomFrameworkValidation,
+  customFrameworkControlsValidation,
+  shareCustomFrameworkValidation,
+};
@@ -0,0 +1,103 @@
+const Joi = require("joi");
+
+// Atomic validators (reusable Joi schema functions)
+const folderIdValidator = () =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Folder ID must be a valid MongoDB ObjectId",
+      "any.required": "Folder ID is required",
+    });
+
+const folderNameValidator = () =>
+  Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .pattern(/^[^\\/\x00-\x1f]+$/)
+    .messages({
+      "string.base": "Folder name must be a string",
+      "string.empty": "Folder name cannot be empty",
+      "string.max": "Folder name cannot exceed 100 characters",
+      "string.pattern.base":
+        "Folder name cannot contain slashes or control characters",
+      "any.required": "Folder name is required",
+    });
+
+// Parent folder ID, or "root" / null for the top level
+const parentIdValidator = () =>
+  Joi.alternatives()
+    .try(
+      Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          "string.pattern.base":
+            'Parent folder ID must be a valid MongoDB ObjectId, "root" or null',
+        }),
+      Joi.string().valid("root"),
+      Joi.valid(null)
+    )
+    .messages({
+      "alternatives.match":
+        'Parent folder ID must be a valid MongoDB ObjectId, "root" or null',
+    });
+
+// Composite validation schemas
+const folderParamsSchema = Joi.object({
+  id: folderIdValidator(),
+});
+
+const createFolderSchema = Joi.object({
+  name: folderNameValidator().required(),
+  parentId: parentIdValidator(),
+});
+
+const updateFolderSchema = Joi.object({
+  name: folderNameValidator(),
+  parentId: parentIdValidator(),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Build a middleware validating one request part against a schema
+const validateRequest = (schema, getValue) => (req, res, next) => {
+  const { error } = schema.validate(getValue(req));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      field: error.details[0].path.join("."),
+      value: error.details[0].context?.value,
+    });
+  }
+  next();
+};
+
+const folderIdValidation = validateRequest(
+  folderParamsSchema,
+  (req) => req.params
+);
+
+const createFolderValidation = validateRequest(
+  createFolderSchema,
+  (req) => req.body
+);
+
+const updateFolderValidation = [
+  folderIdValidation,
+  validateRequest(updateFolderSchema, (req) => req.body),
+];
+
+module.exports = {
+  folderIdValidation,
+  createFolderValidation,
+  updateFolderValidation,
+
+  // Schemas (exported for testing or custom usage)
+  folderParamsSchema,
+  createFolderSchema,
+  updateFolderSchema,
+};
@@ -0,0 +1,145 @@
+const { body, param, validationResult } = require("express-validator");
+const {
+  METADATA_FIELD_TYPES,
+} = require("../services/document-metadata.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+const fieldIdParamValidator = () =>
+  param("id").isMongoId().withMessage("Invalid metadata field ID format");
+
+const labelValidator = (required = true) =>
+  (required
+    ? body("label").exists({ values: "null" }).withMessage("Label is required")
+    : body("label").optional()
+  )
+    .isString()
+    .withMessage("Label must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Label must be between 1 and 100 characters");
+
+const descriptionValidator = () =>
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Description must be a string")
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters");
+
+const optionsValidator = () => [
+  body("options")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Options must be an array of at most 100 values"),
+  body("options.*")
+    .isString()
+    .withMessage("Options must be strings")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Options must be between 1 and 100 characters"),
+];
+
+const flagValidators = () => [
+  body("required")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Required must be true or false"),
+  body("isActive")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isActive must be true or false"),
+  body("order")
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage("Order must be an integer between 0 and 1000")
+    .toInt(),
+];
+
+/**
+ * Validation for creating a metadata field
+ */
+const createMetadataFieldValidation = [
+  body("key")
+    .exists({ values: "null" })
+    .withMessage("Key is required")
+    .isString()
+    .withMessage("Key must be a string")
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage("Key must be between 1 and 40 characters")
+    .matches(/^[a-z][a-zA-Z0-9]*$/)
+    .withMessage(
+      "Key must start with a lowercase letter and may only contain letters and numbers (e.g. reviewDate)"
+    ),
+  labelValidator(),
+  descriptionValidator(),
+  body("type")
+    .exists({ values: "null" })
+    .withMessage("Type is required")
+    .isIn(METADATA_FIELD_TYPES)
+    .withMessage(`Type must be one of: ${METADATA_FIELD_TYPES.join(", ")}`),
+  ...optionsValidator(),
+  ...flagValidators(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating a metadata field (key and type cannot change)
+ */
+const updateMetadataFieldValidation = [
+  fieldIdParamValidator(),
+  body(["key", "type"])
+    .not()
+    .exists()
+    .withMessage("The key and type of a metadata field cannot be changed"),
+  labelValidator(false),
+  descriptionValidator(),
+  ...optionsValidator(),
+  ...flagValidators(),
+  body().custom((value) => {
+    const fields = [
+      "label",
+      "description",
+      "options",
+      "required",
+      "isActive",
+      "order",
+    ];
+    if (!fields.some((field) => value?.[field] !== undefined)) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with a metadata field ID
+ */
+const metadataFieldIdValidation = [
+  fieldIdParamValidator(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  createMetadataFieldValidation,
+  updateMetadataFieldValidation,
+  metadataFieldIdValidation,
+};
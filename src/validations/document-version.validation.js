@@ -0,0 +1,77 @@
+const Joi = require("joi");
+
+// Atomic validators (reusable Joi schema functions)
+const documentIdValidator = () =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Document ID must be a valid MongoDB ObjectId",
+      "any.required": "Document ID is required",
+    });
+
+const versionNumberValidator = () =>
+  Joi.number().integer().min(1).required().messages({
+    "number.base": "Version must be a number",
+    "number.integer": "Version must be an integer",
+    "number.min": "Version must be at least 1",
+    "any.required": "Version is required",
+  });
+
+// null removes the limit
+const retentionLimitValidator = (label, min) =>
+  Joi.number()
+    .integer()
+    .min(min)
+    .max(10000)
+    .allow(null)
+    .messages({
+      "number.base": `${label} must be a number or null`,
+      "number.integer": `${label} must be an integer`,
+      "number.min": `${label} must be at least ${min}`,
+      "number.max": `${label} cannot exceed 10000`,
+    });
+
+// Composite validation schemas
+const documentVersionParamsSchema = Joi.object({
+  id: documentIdValidator(),
+  version: versionNumberValidator(),
+});
+
+const documentVersionRetentionSchema = Joi.object({
+  maxVersions: retentionLimitValidator("Max versions", 0),
+  maxAgeDays: retentionLimitValidator("Max age in days", 1),
+});
+
+// Build a middleware validating one request part against a schema
+const validateRequest = (schema, getValue) => (req, res, next) => {
+  const { error } = schema.validate(getValue(req));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      field: error.details[0].path.join("."),
+      value: error.details[0].context?.value,
+    });
+  }
+  next();
+};
+
+const documentVersionParamsValidation = validateRequest(
+  documentVersionParamsSchema,
+  (req) => req.params
+);
+
+const documentVersionRetentionValidation = validateRequest(
+  documentVersionRetentionSchema,
+  (req) => req.body
+);
+
+module.exports = {
+  documentVersionParamsValidation,
+  documentVersionRetentionValidation,
+
+  // Schemas (exported for testing or custom usage)
+  documentVersionParamsSchema,
+  documentVersionRetentionSchema,
+};
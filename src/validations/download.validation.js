@@ -0,0 +1,33 @@
+const { param, validationResult } = require("express-validator");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+/**
+ * Validation for downloading through a signed download URL
+ */
+const downloadTokenValidation = [
+  param("token")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Invalid download link")
+    .isLength({ max: 4096 })
+    .withMessage("Invalid download link"),
+  handleValidationErrors,
+];
+
+module.exports = {
+  downloadTokenValidation,
+};
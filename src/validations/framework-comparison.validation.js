@@ -1,6 +1,22 @@
-const { body, param, query } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
 /**
  * Validation for starting framework comparison
  */
@@ -15,17 +31,266 @@ const startFrameworkComparisonValidation = [
       return true;
     }),
 
+  // Compare against either an expert framework or a custom framework
   body("expertFrameworkId")
+    .if(body("customFrameworkId").not().exists({ values: "null" }))
     .notEmpty()
-    .withMessage("Expert framework ID is required")
+    .withMessage("Expert framework ID or custom framework ID is required")
     .custom((value) => {
       if (!mongoose.Types.ObjectId.isValid(value)) {
         throw new Error("Invalid expert framework ID format");
       }
       return true;
     }),
+
+  body("customFrameworkId")
+    .optional({ values: "null" })
+    .custom((value, { req }) => {
+      if (
+        req.body.expertFrameworkId !== undefined &&
+        req.body.expertFrameworkId !== null
+      ) {
+        throw new Error(
+          "Provide either an expert framework ID or a custom framework ID, not both"
+        );
+      }
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid custom framework ID format");
+      }
+      return true;
+    }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for starting a batch comparison against several expert frameworks
+ */
+const startBatchFrameworkComparisonValidation = [
+  body("userFrameworkId")
+    .notEmpty()
+    .withMessage("User framework ID is required")
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid user framework ID format");
+      }
+      return true;
+    }),
+
+  body("expertFrameworkIds")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Expert framework IDs must be an array of 1 to 10 IDs")
+    .custom((value) => {
+      if (value.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error("Invalid expert framework ID format");
+      }
+      if (new Set(value.map(String)).size !== value.length) {
+        throw new Error("Expert framework IDs must be unique");
+      }
+      return true;
+    }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for framework comparison batch ID in params
+ */
+const frameworkComparisonBatchIdValidation = [
+  param("batchId").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid framework comparison batch ID format");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for framework comparison ID in params
+ */
+const frameworkComparisonIdValidation = [
+  param("id").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid framework comparison ID format");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+// Reusable ObjectId check for optional query filters
+const optionalObjectIdQuery = (field, label) =>
+  query(field)
+    .optional()
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`Invalid ${label} ID format`);
+      }
+      return true;
+    });
+
+/**
+ * Validation for listing framework comparisons
+ */
+const getFrameworkComparisonsQueryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search term must be between 1 and 100 characters"),
+  query("status")
+    .optional()
+    .isIn(["pending", "in-process", "completed", "error", "done"])
+    .withMessage(
+      "Status must be one of: pending, in-process, completed, error, done"
+    ),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be either asc or desc"),
+  optionalObjectIdQuery("userFrameworkId", "user framework"),
+  optionalObjectIdQuery("expertFrameworkId", "expert framework"),
+  optionalObjectIdQuery("customFrameworkId", "custom framework"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for gap analysis score thresholds
+ */
+const gapAnalysisQueryValidation = [
+  query("coveredThreshold")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Covered threshold must be a number between 0 and 1"),
+  query("partialThreshold")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Partial threshold must be a number between 0 and 1"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for exporting a comparison report
+ */
+const exportFrameworkComparisonValidation = [
+  query("format")
+    .optional()
+    .isIn(["csv", "xlsx", "pdf"])
+    .withMessage("Export format must be one of: csv, xlsx, pdf"),
+  ...gapAnalysisQueryValidation,
+];
+
+/**
+ * Validation for comparison result ID in params
+ */
+const comparisonResultIdValidation = [
+  param("resultId").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid comparison result ID format");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+// Optional reason recorded with every review
+const reviewReasonValidation = body("reason")
+  .optional({ values: "null" })
+  .isString()
+  .withMessage("Reason must be a string")
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Reason cannot exceed 1000 characters");
+
+/**
+ * Validation for accepting or rejecting a comparison result
+ */
+const reviewComparisonResultValidation = [
+  body("decision")
+    .notEmpty()
+    .withMessage("Decision is required")
+    .isIn(["accepted", "rejected"])
+    .withMessage("Decision must be either accepted or rejected"),
+  reviewReasonValidation,
+  handleValidationErrors,
+];
+
+// Mapping fields shared by edit and add; required only when adding
+const resultFieldValidation = (required) => {
+  const field = (name, label) =>
+    required
+      ? body(name)
+          .exists({ values: "null" })
+          .withMessage(`${label} is required`)
+      : body(name).optional();
+  return [
+    field("userControlName", "User control name")
+      .isString()
+      .withMessage("User control name must be a string")
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("User control name must be between 1 and 500 characters"),
+    body("userControlDescription")
+      .optional()
+      .isString()
+      .withMessage("User control description must be a string")
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage("User control description cannot exceed 5000 characters"),
+    field("expertControlId", "Expert control ID")
+      .isString()
+      .withMessage("Expert control ID must be a string")
+      .trim()
+      .notEmpty()
+      .withMessage("Expert control ID cannot be empty"),
+    body("deploymentPoints")
+      .optional()
+      .isString()
+      .withMessage("Deployment points must be a string")
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage("Deployment points cannot exceed 5000 characters"),
+    field("comparisonScore", "Comparison score")
+      .isFloat({ min: 0, max: 1 })
+      .withMessage("Comparison score must be a number between 0 and 1"),
+    reviewReasonValidation,
+  ];
+};
+
+/**
+ * Validation for editing a comparison result
+ */
+const updateComparisonResultValidation = [
+  ...resultFieldValidation(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for adding a manual comparison result
+ */
+const addComparisonResultValidation = [
+  ...resultFieldValidation(true),
+  handleValidationErrors,
 ];
 
 module.exports = {
+  handleValidationErrors,
   startFrameworkComparisonValidation,
+  startBatchFrameworkComparisonValidation,
+  frameworkComparisonBatchIdValidation,
+  frameworkComparisonIdValidation,
+  getFrameworkComparisonsQueryValidation,
+  gapAnalysisQueryValidation,
+  exportFrameworkComparisonValidation,
+  comparisonResultIdValidation,
+  reviewComparisonResultValidation,
+  updateComparisonResultValidation,
+  addComparisonResultValidation,
 };
@@ -0,0 +1,69 @@
+const Joi = require("joi");
+
+// Shared by expert and user framework version routes
+
+// Atomic validators (reusable Joi schema functions)
+const frameworkIdValidator = () =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Framework ID must be a valid MongoDB ObjectId",
+      "any.required": "Framework ID is required",
+    });
+
+const versionNumberValidator = (label = "Version") =>
+  Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      "number.base": `${label} must be a number`,
+      "number.integer": `${label} must be an integer`,
+      "number.min": `${label} must be at least 1`,
+      "any.required": `${label} is required`,
+    });
+
+// Composite validation schemas
+const frameworkVersionParamsSchema = Joi.object({
+  id: frameworkIdValidator(),
+  version: versionNumberValidator(),
+});
+
+const frameworkVersionDiffQuerySchema = Joi.object({
+  from: versionNumberValidator("From version"),
+  to: versionNumberValidator("To version"),
+});
+
+// Build a middleware validating one request part against a schema
+const validateRequest = (schema, getValue) => (req, res, next) => {
+  const { error } = schema.validate(getValue(req));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      field: error.details[0].path.join("."),
+      value: error.details[0].context?.value,
+    });
+  }
+  next();
+};
+
+const frameworkVersionParamsValidation = validateRequest(
+  frameworkVersionParamsSchema,
+  (req) => req.params
+);
+
+const frameworkVersionDiffValidation = validateRequest(
+  frameworkVersionDiffQuerySchema,
+  (req) => req.query
+);
+
+module.exports = {
+  frameworkVersionParamsValidation,
+  frameworkVersionDiffValidation,
+
+  // Schemas (exported for testing or custom usage)
+  frameworkVersionParamsSchema,
+  frameworkVersionDiffQuerySchema,
+};
@@ -0,0 +1,66 @@
+const { body, param, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const { passwordValidator } = require("./user.validation");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+const invitationTokenValidator = () =>
+  body("token")
+    .exists({ values: "null" })
+    .withMessage("Invitation token is required")
+    .isString()
+    .withMessage("Invitation token must be a string")
+    .trim()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage("Invalid invitation token");
+
+/**
+ * Validation for looking up an invitation from its link
+ */
+const invitationTokenValidation = [
+  invitationTokenValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for accepting an invitation with a new password
+ */
+const acceptInvitationValidation = [
+  invitationTokenValidator(),
+  passwordValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for resending or revoking the invitation of a user (admin)
+ */
+const userInvitationValidation = [
+  param("id").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid user ID format");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  invitationTokenValidation,
+  acceptInvitationValidation,
+  userInvitationValidation,
+};
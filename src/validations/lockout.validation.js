@@ -0,0 +1,86 @@
+const { param, query, validationResult } = require("express-validator");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+/**
+ * Validation for unlocking an account
+ */
+const unlockAccountByAdminValidation = [
+  param("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email, Ex: john@gmail.com")
+    .toLowerCase(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for unblocking an IP address
+ */
+const unblockIpValidation = [
+  param("ip").trim().isIP().withMessage("Invalid IP address"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing audit log entries
+ */
+const getAuditLogsQueryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("category")
+    .optional()
+    .isIn(["security", "file-access"])
+    .withMessage("Category must be one of: security, file-access"),
+  query("event")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Event must be between 1 and 100 characters"),
+  query("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email, Ex: john@gmail.com"),
+  query("ipAddress").optional().trim().isIP().withMessage("Invalid IP address"),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be a valid ISO 8601 date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("To must be a valid ISO 8601 date"),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be either asc or desc"),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  unlockAccountByAdminValidation,
+  unblockIpValidation,
+  getAuditLogsQueryValidation,
+};
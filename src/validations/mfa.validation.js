@@ -0,0 +1,146 @@
+const { body, param, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// 6-digit code from the authenticator app
+const totpCodeValidator = (required = true) =>
+  (required
+    ? body("code")
+        .exists({ values: "null" })
+        .withMessage("Authentication code is required")
+    : body("code").optional({ values: "null" })
+  )
+    .isString()
+    .withMessage("Authentication code must be a string")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits");
+
+const recoveryCodeValidator = () =>
+  body("recoveryCode")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Recovery code must be a string")
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage("Invalid recovery code");
+
+// Either an authenticator code or a recovery code, not both
+const codeOrRecoveryCodeValidator = () => [
+  totpCodeValidator(false),
+  recoveryCodeValidator(),
+  body().custom((value) => {
+    const hasCode = value?.code !== undefined && value?.code !== null;
+    const hasRecoveryCode =
+      value?.recoveryCode !== undefined && value?.recoveryCode !== null;
+    if (hasCode === hasRecoveryCode) {
+      throw new Error(
+        "Provide either an authentication code or a recovery code"
+      );
+    }
+    return true;
+  }),
+];
+
+const challengeTokenValidator = () =>
+  body("challengeToken")
+    .exists({ values: "null" })
+    .withMessage("Challenge token is required")
+    .isString()
+    .withMessage("Challenge token must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Challenge token is required");
+
+/**
+ * Validation for the second login step
+ */
+const mfaLoginValidation = [
+  challengeTokenValidator(),
+  ...codeOrRecoveryCodeValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for starting the MFA setup required to login
+ */
+const mfaLoginSetupValidation = [
+  challengeTokenValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for confirming the MFA setup required to login
+ */
+const mfaLoginEnableValidation = [
+  challengeTokenValidator(),
+  totpCodeValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for confirming MFA enrolment
+ */
+const mfaEnableValidation = [totpCodeValidator(), handleValidationErrors];
+
+/**
+ * Validation for turning MFA off
+ */
+const mfaDisableValidation = [
+  body("password")
+    .exists({ values: "null" })
+    .withMessage("Password is required")
+    .isString()
+    .withMessage("Password must be a string")
+    .notEmpty()
+    .withMessage("Password is required"),
+  ...codeOrRecoveryCodeValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for regenerating recovery codes
+ */
+const mfaRecoveryCodesValidation = [
+  totpCodeValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for resetting two-factor authentication of a user (admin)
+ */
+const userMfaValidation = [
+  param("id").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid user ID format");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  mfaLoginValidation,
+  mfaLoginSetupValidation,
+  mfaLoginEnableValidation,
+  mfaEnableValidation,
+  mfaDisableValidation,
+  mfaRecoveryCodesValidation,
+  userMfaValidation,
+};
@@ -0,0 +1,223 @@
+const { body, param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const { ORGANIZATION_ROLES } = require("../services/organization.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Custom validator for MongoDB ObjectId
+const isValidObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error(`Invalid ${label} format`);
+  }
+  return true;
+};
+
+const organizationIdParamValidator = () =>
+  param("id").custom((value) => isValidObjectId(value, "organization ID"));
+
+const memberUserIdParamValidator = () =>
+  param("userId").custom((value) => isValidObjectId(value, "user ID"));
+
+const organizationNameValidator = (required = true) =>
+  (required
+    ? body("name")
+        .exists({ values: "null" })
+        .withMessage("Organization name is required")
+    : body("name").optional()
+  )
+    .isString()
+    .withMessage("Organization name must be a string")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Organization name must be between 2 and 100 characters");
+
+const descriptionValidator = () =>
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Description must be a string")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot exceed 500 characters");
+
+const memberRoleValidator = (required = true) =>
+  (required
+    ? body("role").exists({ values: "null" }).withMessage("Role is required")
+    : body("role").optional({ values: "null" })
+  )
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(
+      `Organization role must be one of: ${ORGANIZATION_ROLES.join(", ")}`
+    );
+
+const memberEmailValidator = () =>
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Please enter a valid email, Ex: john@gmail.com");
+
+/**
+ * Validation for switching the active organization
+ */
+const switchOrganizationValidation = [
+  body("organizationId")
+    .exists({ values: "null" })
+    .withMessage("Organization ID is required")
+    .custom((value) => isValidObjectId(value, "organization ID")),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for adding a member to the current organization
+ */
+const addMemberValidation = [
+  memberEmailValidator(),
+  memberRoleValidator(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for changing the role of a member of the current organization
+ */
+const updateMemberValidation = [
+  memberUserIdParamValidator(),
+  memberRoleValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for removing a member of the current organization
+ */
+const memberIdValidation = [
+  memberUserIdParamValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing organizations (admin)
+ */
+const getOrganizationsQueryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be an integer of at least 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be an integer between 1 and 100"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search term cannot exceed 100 characters"),
+  query("userId")
+    .optional()
+    .custom((value) => isValidObjectId(value, "user ID")),
+  query("sortBy")
+    .optional()
+    .isIn(["createdAt", "updatedAt", "name"])
+    .withMessage("Sort by must be one of: createdAt, updatedAt, name"),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Sort order must be either asc or desc"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating an organization (admin)
+ */
+const createOrganizationValidation = [
+  organizationNameValidator(),
+  descriptionValidator(),
+  body("ownerEmail")
+    .optional({ values: "null" })
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid owner email, Ex: john@gmail.com"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating an organization (admin)
+ */
+const updateOrganizationValidation = [
+  organizationIdParamValidator(),
+  organizationNameValidator(false),
+  descriptionValidator(),
+  body().custom((value) => {
+    if (value?.name === undefined && value?.description === undefined) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with an organization ID (admin)
+ */
+const organizationIdValidation = [
+  organizationIdParamValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for adding a member to an organization (admin)
+ */
+const addOrganizationMemberValidation = [
+  organizationIdParamValidator(),
+  memberEmailValidator(),
+  memberRoleValidator(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for changing the role of an organization member (admin)
+ */
+const updateOrganizationMemberValidation = [
+  organizationIdParamValidator(),
+  memberUserIdParamValidator(),
+  memberRoleValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for removing an organization member (admin)
+ */
+const organizationMemberIdValidation = [
+  organizationIdParamValidator(),
+  memberUserIdParamValidator(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  switchOrganizationValidation,
+  addMemberValidation,
+  updateMemberValidation,
+  memberIdValidation,
+  getOrganizationsQueryValidation,
+  createOrganizationValidation,
+  updateOrganizationValidation,
+  organizationIdValidation,
+  addOrganizationMemberValidation,
+  updateOrganizationMemberValidation,
+  organizationMemberIdValidation,
+};
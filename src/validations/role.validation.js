@@ -0,0 +1,102 @@
+const { body, param, validationResult } = require("express-validator");
+const { ALL_PERMISSIONS } = require("../services/permission.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const roleNameParamValidator = () =>
+  param("name")
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage("Invalid role name format");
+
+const descriptionValidator = () =>
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Description must be a string")
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters");
+
+const permissionsValidator = (required = true) => [
+  (required
+    ? body("permissions")
+        .exists({ values: "null" })
+        .withMessage("Permissions are required")
+    : body("permissions").optional({ values: "null" })
+  )
+    .isArray()
+    .withMessage("Permissions must be an array of permission names"),
+  body("permissions.*")
+    .isIn(ALL_PERMISSIONS)
+    .withMessage(
+      "Unknown permission. See GET /api/admin/roles/permissions for the list"
+    ),
+];
+
+/**
+ * Validation for creating a role
+ */
+const createRoleValidation = [
+  body("name")
+    .exists({ values: "null" })
+    .withMessage("Role name is required")
+    .isString()
+    .withMessage("Role name must be a string")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Role name must be between 2 and 30 characters")
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage(
+      "Role name must start with a letter and may only contain lowercase letters, numbers and hyphens"
+    ),
+  descriptionValidator(),
+  ...permissionsValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating a role
+ */
+const updateRoleValidation = [
+  roleNameParamValidator(),
+  descriptionValidator(),
+  ...permissionsValidator(false),
+  body().custom((value) => {
+    if (value?.description === undefined && value?.permissions === undefined) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with a role name
+ */
+const roleNameValidation = [roleNameParamValidator(), handleValidationErrors];
+
+module.exports = {
+  handleValidationErrors,
+  createRoleValidation,
+  updateRoleValidation,
+  roleNameValidation,
+};
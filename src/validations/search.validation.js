@@ -0,0 +1,69 @@
+const Joi = require("joi");
+const {
+  SEARCH_TYPES,
+  MAX_RESULT_LIMIT,
+} = require("../services/search.service");
+
+// Atomic validators (reusable Joi schema functions)
+const queryValidator = () =>
+  Joi.string().trim().min(2).max(200).required().messages({
+    "string.base": "Search query must be a string",
+    "string.empty": "Search query is required",
+    "string.min": "Search query must be at least 2 characters long",
+    "string.max": "Search query cannot exceed 200 characters",
+    "any.required": "Search query is required",
+  });
+
+// Comma-separated list of result types, e.g. "documents,controls"
+const typesValidator = () =>
+  Joi.string()
+    .pattern(
+      new RegExp(`^(${SEARCH_TYPES.join("|")})(,(${SEARCH_TYPES.join("|")}))*$`)
+    )
+    .optional()
+    .messages({
+      "string.base": "Types must be given once, as a comma-separated list",
+      "string.pattern.base": `Types must be a comma-separated list of: ${SEARCH_TYPES.join(
+        ", "
+      )}`,
+    });
+
+const limitValidator = () =>
+  Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_RESULT_LIMIT)
+    .optional()
+    .messages({
+      "number.base": "Limit must be a number",
+      "number.integer": "Limit must be an integer",
+      "number.min": "Limit must be at least 1",
+      "number.max": `Limit cannot exceed ${MAX_RESULT_LIMIT}`,
+    });
+
+// Composite validation schemas
+const searchQuerySchema = Joi.object({
+  q: queryValidator(),
+  types: typesValidator(),
+  limit: limitValidator(),
+});
+
+// Validation middleware for the search endpoint
+const searchValidation = (req, res, next) => {
+  const { error } = searchQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      field: error.details[0].path.join("."),
+    });
+  }
+  next();
+};
+
+module.exports = {
+  searchValidation,
+
+  // Schemas (exported for testing or custom usage)
+  searchQuerySchema,
+};
@@ -0,0 +1,116 @@
+const { body, validationResult } = require("express-validator");
+const { roleExists } = require("../services/permission.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Fields admins may change
+const SECURITY_SETTINGS_FIELDS = ["mfaRequiredRoles", "passwordPolicy"];
+
+// Password policy fields, each may be changed on its own
+const PASSWORD_POLICY_FIELDS = [
+  "minLength",
+  "requireUppercase",
+  "requireLowercase",
+  "requireNumber",
+  "requireSpecial",
+  "maxAgeDays",
+  "historyCount",
+  "blockCommonPasswords",
+];
+
+const policyBooleanValidator = (field) =>
+  body(`passwordPolicy.${field}`)
+    .optional()
+    .isBoolean()
+    .withMessage(`passwordPolicy.${field} must be a boolean value`)
+    .toBoolean(true);
+
+/**
+ * Validation for updating the security policy
+ */
+const updateSecuritySettingsValidation = [
+  body("mfaRequiredRoles")
+    .optional()
+    .isArray()
+    .withMessage("mfaRequiredRoles must be an array of roles"),
+  body("mfaRequiredRoles.*")
+    .isString()
+    .withMessage("Role must be a string")
+    .bail()
+    .custom(async (value) => {
+      if (!(await roleExists(value))) {
+        throw new Error(`Role "${value}" does not exist`);
+      }
+      return true;
+    }),
+  body("passwordPolicy")
+    .optional()
+    .isObject()
+    .withMessage("passwordPolicy must be an object")
+    .bail()
+    .custom((value) => {
+      const fields = Object.keys(value);
+      const unknownField = fields.find(
+        (field) => !PASSWORD_POLICY_FIELDS.includes(field)
+      );
+      if (unknownField) {
+        throw new Error(`Unknown password policy field: ${unknownField}`);
+      }
+      if (fields.length === 0) {
+        throw new Error("passwordPolicy must contain at least one field");
+      }
+      return true;
+    }),
+  body("passwordPolicy.minLength")
+    .optional()
+    .isInt({ min: 8, max: 64 })
+    .withMessage("passwordPolicy.minLength must be between 8 and 64")
+    .toInt(),
+  policyBooleanValidator("requireUppercase"),
+  policyBooleanValidator("requireLowercase"),
+  policyBooleanValidator("requireNumber"),
+  policyBooleanValidator("requireSpecial"),
+  body("passwordPolicy.maxAgeDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage(
+      "passwordPolicy.maxAgeDays must be between 0 (never expires) and 365"
+    )
+    .toInt(),
+  body("passwordPolicy.historyCount")
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage("passwordPolicy.historyCount must be between 0 and 24")
+    .toInt(),
+  policyBooleanValidator("blockCommonPasswords"),
+  body().custom((value) => {
+    if (
+      !SECURITY_SETTINGS_FIELDS.some((field) => value?.[field] !== undefined)
+    ) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  SECURITY_SETTINGS_FIELDS,
+  PASSWORD_POLICY_FIELDS,
+  updateSecuritySettingsValidation,
+};
@@ -0,0 +1,63 @@
+const { param, query, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+// Reusable ObjectId check for route params
+const objectIdParam = (field, label) =>
+  param(field).custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error(`Invalid ${label} ID format`);
+    }
+    return true;
+  });
+
+/**
+ * Validation for revoking one of the current user's sessions
+ */
+const sessionIdValidation = [
+  objectIdParam("sessionId", "session"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for listing or revoking all sessions of a user (admin)
+ */
+const userSessionsValidation = [
+  objectIdParam("id", "user"),
+  query("includeRevoked")
+    .optional()
+    .isBoolean()
+    .withMessage("includeRevoked must be a boolean value (true or false)"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for revoking a session of a user (admin)
+ */
+const userSessionIdValidation = [
+  objectIdParam("id", "user"),
+  objectIdParam("sessionId", "session"),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  sessionIdValidation,
+  userSessionsValidation,
+  userSessionIdValidation,
+};
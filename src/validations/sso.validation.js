@@ -0,0 +1,297 @@
+const { body, param, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const { roleExists } = require("../services/permission.service");
+
+// Middleware to handle validation errors (same as user validation)
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // Return the first validation error message
+    const firstError = errors.array()[0];
+    return res.status(400).json({
+      success: false,
+      message: firstError.msg,
+      field: firstError.path,
+      value: firstError.value,
+    });
+  }
+  next();
+};
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Plain HTTP is only accepted for a provider or frontend on this machine,
+// e.g. the local mock provider (npm run mock:oidc)
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const isSecureUrl = (value, label) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`${label} must be a valid URL`);
+  }
+  if (
+    url.protocol !== "https:" &&
+    !(url.protocol === "http:" && LOCAL_HOSTS.includes(url.hostname))
+  ) {
+    throw new Error(`${label} must use https (http only for localhost)`);
+  }
+  return true;
+};
+
+const isValidRole = async (value) => {
+  if (!(await roleExists(value))) {
+    throw new Error(`Role "${value}" does not exist`);
+  }
+  return true;
+};
+
+const deviceNameValidator = () =>
+  body("deviceName")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Device name must be a string")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name cannot exceed 100 characters");
+
+const providerIdParamValidator = () =>
+  param("id").custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid identity provider ID format");
+    }
+    return true;
+  });
+
+// Fields of an identity provider; on create the connection fields are required
+const providerFieldsValidator = (required = true) => {
+  const field = (name, label) =>
+    required
+      ? body(name)
+          .exists({ values: "null" })
+          .withMessage(`${label} is required`)
+      : body(name).optional();
+
+  return [
+    field("name", "Name")
+      .isString()
+      .withMessage("Name must be a string")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    field("slug", "Slug")
+      .isString()
+      .withMessage("Slug must be a string")
+      .trim()
+      .toLowerCase()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Slug must be between 2 and 50 characters")
+      .matches(SLUG_PATTERN)
+      .withMessage(
+        "Slug may only contain lowercase letters, numbers and hyphens"
+      ),
+    field("issuer", "Issuer")
+      .isString()
+      .withMessage("Issuer must be a string")
+      .trim()
+      .custom((value) => isSecureUrl(value, "Issuer")),
+    field("clientId", "Client ID")
+      .isString()
+      .withMessage("Client ID must be a string")
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Client ID must be between 1 and 255 characters"),
+    field("redirectUri", "Redirect URI")
+      .isString()
+      .withMessage("Redirect URI must be a string")
+      .trim()
+      .custom((value) => isSecureUrl(value, "Redirect URI")),
+    body("clientSecret")
+      .optional({ values: "undefined" })
+      .custom((value) => {
+        if (value !== null && (typeof value !== "string" || !value.length)) {
+          throw new Error("Client secret must be a non-empty string or null");
+        }
+        return true;
+      }),
+    body("tokenEndpointAuthMethod")
+      .optional()
+      .isIn(["client_secret_basic", "client_secret_post", "none"])
+      .withMessage(
+        "Token endpoint auth method must be one of: client_secret_basic, client_secret_post, none"
+      ),
+    body("enabled")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Enabled must be true or false"),
+    body("scopes")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Scopes must be a non-empty array"),
+    body("scopes.*")
+      .isString()
+      .withMessage("Each scope must be a string")
+      .trim()
+      .matches(/^[\x21\x23-\x5B\x5D-\x7E]+$/)
+      .withMessage("Invalid scope"),
+    body("allowedDomains")
+      .optional()
+      .isArray()
+      .withMessage("Allowed domains must be an array"),
+    body("allowedDomains.*")
+      .isString()
+      .withMessage("Each allowed domain must be a string")
+      .trim()
+      .toLowerCase()
+      .isFQDN()
+      .withMessage("Each allowed domain must be a domain name, Ex: acme.com"),
+    body("requireVerifiedEmail")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("requireVerifiedEmail must be true or false"),
+    body("autoProvision")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("autoProvision must be true or false"),
+    body("syncRoleOnLogin")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("syncRoleOnLogin must be true or false"),
+    body("defaultRole")
+      .optional()
+      .isString()
+      .withMessage("Default role must be a string")
+      .trim()
+      .toLowerCase()
+      .custom(isValidRole),
+    body("roleClaim")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("Role claim must be a string")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Role claim must be between 1 and 100 characters"),
+    body("roleMappings")
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage("Role mappings must be an array of at most 50 mappings"),
+    body("roleMappings.*.claimValue")
+      .exists({ values: "null" })
+      .withMessage("Each role mapping needs a claimValue")
+      .isString()
+      .withMessage("Claim value must be a string")
+      .trim()
+      .notEmpty()
+      .withMessage("Claim value cannot be empty"),
+    body("roleMappings.*.role")
+      .exists({ values: "null" })
+      .withMessage("Each role mapping needs a role")
+      .isString()
+      .withMessage("Role must be a string")
+      .trim()
+      .toLowerCase()
+      .custom(isValidRole),
+    body("organizationId")
+      .optional({ values: "null" })
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error("Invalid organization ID format");
+        }
+        return true;
+      }),
+  ];
+};
+
+/**
+ * Validation for starting a single sign-on login
+ */
+const startSsoValidation = [
+  param("slug")
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Invalid identity provider"),
+  deviceNameValidator(),
+  body("loginHint")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Login hint must be a string")
+    .trim()
+    .isLength({ max: 254 })
+    .withMessage("Login hint cannot exceed 254 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for finishing a single sign-on login
+ */
+const ssoCallbackValidation = [
+  body("state")
+    .exists({ values: "null" })
+    .withMessage("State is required")
+    .isString()
+    .withMessage("State must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("State is required"),
+  body("code")
+    .exists({ values: "null" })
+    .withMessage("Authorization code is required")
+    .isString()
+    .withMessage("Authorization code must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Authorization code is required"),
+  deviceNameValidator(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for creating an identity provider
+ */
+const createIdentityProviderValidation = [
+  ...providerFieldsValidator(),
+  // Confidential clients (the default) authenticate with a secret
+  body("clientSecret").custom((value, { req }) => {
+    if (req.body.tokenEndpointAuthMethod !== "none" && !value) {
+      throw new Error(
+        "Client secret is required unless tokenEndpointAuthMethod is none"
+      );
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for updating an identity provider
+ */
+const updateIdentityProviderValidation = [
+  providerIdParamValidator(),
+  ...providerFieldsValidator(false),
+  body().custom((value) => {
+    if (!value || Object.keys(value).length === 0) {
+      throw new Error("At least one field must be provided for update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Validation for routes with an identity provider ID
+ */
+const identityProviderIdValidation = [
+  providerIdParamValidator(),
+  handleValidationErrors,
+];
+
+module.exports = {
+  handleValidationErrors,
+  startSsoValidation,
+  ssoCallbackValidation,
+  createIdentityProviderValidation,
+  updateIdentityProviderValidation,
+  identityProviderIdValidation,
+};
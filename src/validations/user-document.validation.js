@@ -53,6 +53,17 @@ const documentNameValidator = () =>
       return true;
     });
 
+// Folder to file the document in; "root" (or empty) is the top level
+const folderIdValidator = () =>
+  body("folderId")
+    .optional()
+    .trim()
+    .custom(
+      (value) =>
+        value === "" || value === "root" || /^[0-9a-fA-F]{24}$/.test(value)
+    )
+    .withMessage('Folder ID must be a valid MongoDB ObjectId or "root"');
+
 // File upload validation middleware
 const fileUploadValidation = (req, res, next) => {
   // Check if file was uploaded
@@ -69,6 +80,7 @@ const fileUploadValidation = (req, res, next) => {
 // Composite validators using reusable pieces (same pattern as user validation)
 const documentUploadValidation = [
   documentNameValidator(),
+  folderIdValidator(),
   handleValidationErrors,
   fileUploadValidation,
 ];
@@ -110,6 +122,42 @@ const documentIdValidator = () =>
       "any.required": "Document ID is required",
     });
 
+// Folder ID, or "root" (null, "" in forms) for the top level
+const folderIdSchemaValidator = () =>
+  Joi.alternatives()
+    .try(
+      Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          "string.pattern.base":
+            'Folder ID must be a valid MongoDB ObjectId or "root"',
+        }),
+      Joi.string().valid("root", ""),
+      Joi.valid(null)
+    )
+    .messages({
+      "alternatives.match":
+        'Folder ID must be a valid MongoDB ObjectId or "root"',
+    });
+
+// Tags as an array or a comma-separated string (multipart forms)
+const tagsValidator = () =>
+  Joi.alternatives()
+    .try(
+      Joi.array().items(Joi.string().max(50)).max(20),
+      Joi.string().max(1100)
+    )
+    .messages({
+      "alternatives.match":
+        "Tags must be an array of at most 20 tags or a comma-separated string",
+    });
+
+// Metadata values by field key, as an object or a JSON string (multipart forms)
+const metadataValidator = () =>
+  Joi.alternatives().try(Joi.object(), Joi.string().max(10000)).messages({
+    "alternatives.match": "Metadata must be an object of values by field key",
+  });
+
 // Query parameter validators
 const pageValidator = () =>
   Joi.number().integer().min(1).default(1).messages({
@@ -187,6 +235,9 @@ const updateDocumentSchema = Joi.object({
         "Document name cannot contain more than 4 consecutive identical characters",
     }),
   documentType: documentTypeValidator().optional(),
+  folderId: folderIdSchemaValidator(),
+  tags: tagsValidator(),
+  metadata: metadataValidator(),
 })
   .min(1)
   .messages({
@@ -212,6 +263,41 @@ const getDocumentsQuerySchema = Joi.object({
   uploadedBy: Joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
     .optional(),
+  folderId: folderIdSchemaValidator(),
+  includeSubfolders: Joi.boolean().optional(),
+  tags: tagsValidator(),
+  tagMatch: Joi.string().valid("all", "any").optional().messages({
+    "any.only": "Tag match must be one of: all, any",
+  }),
+})
+  // metadata.<key>=value, metadata.<key>.from=value, metadata.<key>.to=value
+  .pattern(
+    /^metadata\.[a-zA-Z0-9]+(\.(from|to))?$/,
+    Joi.string().max(200).messages({
+      "string.base": "Metadata filters must be given once",
+      "string.max": "Metadata filters cannot exceed 200 characters",
+    })
+  );
+
+const moveDocumentsSchema = Joi.object({
+  documentIds: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          "string.pattern.base": "Document IDs must be valid MongoDB ObjectIds",
+        })
+    )
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      "array.base": "Document IDs must be an array",
+      "array.min": "At least one document ID is required",
+      "array.max": "At most 100 documents can be moved at once",
+      "any.required": "Document IDs are required",
+    }),
+  folderId: folderIdSchemaValidator(),
 });
 
 // File upload validation middleware (runs AFTER multer has parsed the form data)
@@ -240,6 +326,7 @@ const deleteDocumentValidation = (req, res, next) => {
   }
   next();
 };
+const moveDocumentsValidation = handleJoiValidationErrors(moveDocumentsSchema);
 const getDocumentsQueryValidation = (req, res, next) => {
   const { error } = getDocumentsQuerySchema.validate(req.query);
   if (error) {
@@ -255,6 +342,7 @@ const getDocumentsQueryValidation = (req, res, next) => {
 module.exports = {
   // atomic validators (exported in case needed elsewhere)
   documentNameValidator,
+  folderIdValidator,
   handleValidationErrors,
   fileUploadValidation,
 
@@ -268,15 +356,20 @@ module.exports = {
   limitValidator,
   sortValidator,
   searchValidator,
+  folderIdSchemaValidator,
+  tagsValidator,
+  metadataValidator,
   handleJoiValidationErrors,
   updateDocumentValidation,
   getDocumentByIdValidation,
   deleteDocumentValidation,
   getDocumentsQueryValidation,
+  moveDocumentsValidation,
 
   // Schemas (exported for testing or custom usage)
   updateDocumentSchema,
   getDocumentByIdSchema,
   deleteDocumentSchema,
   getDocumentsQuerySchema,
+  moveDocumentsSchema,
 };
@@ -1,4 +1,9 @@
 const { body, validationResult } = require("express-validator");
+const {
+  PASSWORD_RULES,
+  getPasswordPolicy,
+} = require("../services/password-policy.service");
+const { roleExists } = require("../services/permission.service");
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -11,6 +16,11 @@ const handleValidationErrors = (req, res, next) => {
       message: firstError.msg,
       field: firstError.path,
       value: firstError.value,
+      // Every failed rule of that field, e.g. all unmet password requirements
+      errors: errors
+        .array()
+        .filter((error) => error.path === firstError.path)
+        .map((error) => error.msg),
     });
   }
   next();
@@ -59,29 +69,42 @@ const roleValidator = () =>
     .trim()
     .notEmpty()
     .withMessage("Role is required")
-    .isIn(["admin", "expert", "user"])
-    .withMessage("Role must be one of: admin, expert, user");
+    .bail()
+    .toLowerCase()
+    .custom(async (value) => {
+      if (!(await roleExists(value))) {
+        throw new Error(`Role "${value}" does not exist`);
+      }
+      return true;
+    });
 
-const passwordValidator = (field = "password") =>
-  body(field)
+// New passwords follow the admin password policy, each rule reports its own error
+const passwordValidator = (field = "password") => {
+  let chain = body(field)
     .trim()
     .notEmpty()
     .withMessage("Password is required")
+    .bail()
+    .custom(async (value, { req }) => {
+      req.passwordPolicy = await getPasswordPolicy();
+      return true;
+    });
 
-    .isLength({ min: 8 })
-    .withMessage("Password must be at least 8 characters long")
-
-    .matches(/[A-Z]/)
-    .withMessage("Password must contain at least one uppercase letter")
-
-    .matches(/[a-z]/)
-    .withMessage("Password must contain at least one lowercase letter")
+  PASSWORD_RULES.forEach(({ check, message }) => {
+    chain = chain.custom((value, { req }) => {
+      if (!check(value, req.passwordPolicy)) {
+        throw new Error(message(req.passwordPolicy));
+      }
+      return true;
+    });
+  });
 
-    .matches(/\d/)
-    .withMessage("Password must contain at least one number")
+  return chain;
+};
 
-    .matches(/[@$!%*#?&]/)
-    .withMessage("Password must contain at least one special character");
+// Existing passwords may predate the current policy, so login only needs one
+const currentPasswordValidator = (field = "password") =>
+  body(field).trim().notEmpty().withMessage("Password is required");
 
 const phoneValidator = (required = true) => {
   const baseChain = body("phone")
@@ -162,9 +185,58 @@ const registerValidation = [
   handleValidationErrors,
 ];
 
+// Optional label for the session shown in the device list
+const deviceNameValidator = () =>
+  body("deviceName")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Device name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Device name must be between 1 and 100 characters");
+
 const loginValidation = [
   emailValidator(),
-  passwordValidator(),
+  currentPasswordValidator(),
+  deviceNameValidator(),
+  handleValidationErrors,
+];
+
+// Replace an expired password to finish login
+const loginPasswordChangeValidation = [
+  body("challengeToken")
+    .exists({ values: "null" })
+    .withMessage("Challenge token is required")
+    .isString()
+    .withMessage("Challenge token must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  passwordValidator("newPassword"),
+  handleValidationErrors,
+];
+
+const unlockAccountValidation = [
+  body("token")
+    .exists({ values: "null" })
+    .withMessage("Unlock token is required")
+    .isString()
+    .withMessage("Unlock token must be a string")
+    .trim()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage("Invalid unlock token"),
+  handleValidationErrors,
+];
+
+const refreshTokenValidation = [
+  body("refreshToken")
+    .exists({ values: "null" })
+    .withMessage("Refresh token is required")
+    .isString()
+    .withMessage("Refresh token must be a string")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Invalid refresh token"),
   handleValidationErrors,
 ];
 
@@ -229,14 +301,19 @@ module.exports = {
   emailValidator,
   roleValidator,
   passwordValidator,
+  currentPasswordValidator,
   otpValidator,
   phoneValidator,
+  deviceNameValidator,
   handleValidationErrors,
   // composite validators
   createUserValidation,
   updateUserValidation,
   registerValidation,
   loginValidation,
+  loginPasswordChangeValidation,
+  refreshTokenValidation,
+  unlockAccountValidation,
   otpValidation,
   sendVerificationOTPValidation,
   profileUpdateValidation,
@@ -1,15 +1,10 @@
 const WebSocket = require("ws");
-const jwt = require("jsonwebtoken");
-const User = require("../models/user.model");
+const { verifyAccessToken } = require("../services/session.service");
 
 const userConnections = new Map();
 
 async function authenticateWebSocket(token) {
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
-  const user = await User.findById(decoded.userId);
-  if (!user || decoded.tokenVersion !== user.tokenVersion) {
-    throw new Error("Invalid token");
-  }
+  const { user } = await verifyAccessToken(token);
   return user;
 }
 
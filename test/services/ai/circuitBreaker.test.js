@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const {
+  CircuitBreaker,
+  STATES,
+} = require("../../../src/services/ai/circuitBreaker");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createBreaker = () =>
+  new CircuitBreaker({
+    windowMs: 60000,
+    minRequests: 4,
+    errorThreshold: 0.5,
+    cooldownMs: 20,
+  });
+
+const failTimes = (breaker, count) => {
+  for (let index = 0; index < count; index++) {
+    breaker.recordFailure(new Error("AI service unavailable"));
+  }
+};
+
+describe("CircuitBreaker", () => {
+  // Opening the breaker logs an error; keep the test output clean
+  const { error } = console;
+  before(() => {
+    console.error = () => {};
+  });
+  after(() => {
+    console.error = error;
+  });
+
+  it("stays closed until enough calls are in the window", () => {
+    const breaker = createBreaker();
+    failTimes(breaker, 3);
+
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  it("opens once the error rate reaches the threshold", () => {
+    const breaker = createBreaker();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    failTimes(breaker, 1);
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+
+    failTimes(breaker, 1);
+    const state = breaker.getState();
+    assert.equal(state.state, STATES.OPEN);
+    assert.ok(state.retryAt instanceof Date);
+    assert.equal(breaker.allowRequest(), false);
+    assert.equal(breaker.getState().totals.rejected, 1);
+  });
+
+  it("lets a single trial call through after the cooldown", async () => {
+    const breaker = createBreaker();
+    failTimes(breaker, 4);
+    await sleep(30);
+
+    assert.equal(breaker.getState().state, STATES.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it("closes with a fresh window when the trial call succeeds", async () => {
+    const breaker = createBreaker();
+    failTimes(breaker, 4);
+    await sleep(30);
+    breaker.allowRequest();
+    breaker.recordSuccess();
+
+    const state = breaker.getState();
+    assert.equal(state.state, STATES.CLOSED);
+    assert.equal(state.window.requests, 0);
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  it("opens again when the trial call fails", async () => {
+    const breaker = createBreaker();
+    failTimes(breaker, 4);
+    await sleep(30);
+    breaker.allowRequest();
+    failTimes(breaker, 1);
+
+    assert.equal(breaker.getState().state, STATES.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it("drops outcomes older than the window", () => {
+    const breaker = createBreaker();
+    failTimes(breaker, 3);
+    breaker.outcomes.forEach((outcome) => {
+      outcome.at -= 60001;
+    });
+    failTimes(breaker, 1);
+
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+    assert.equal(breaker.getState().window.requests, 1);
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require("node:assert/strict");
+const {
+  findExpiredVersions,
+} = require("../../src/services/document-version.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+// Archived versions, newest first, replaced the given number of days ago
+const archivedVersions = (...daysAgo) =>
+  daysAgo.map((days, index) => ({
+    versionNumber: daysAgo.length - index,
+    createdAt: new Date(NOW - days * DAY_MS),
+  }));
+
+const versionNumbers = (versions) =>
+  versions.map((version) => version.versionNumber);
+
+describe("findExpiredVersions", () => {
+  it("keeps everything without limits", () => {
+    const archived = archivedVersions(1, 100, 1000);
+
+    assert.deepEqual(findExpiredVersions(archived, {}, NOW), []);
+  });
+
+  it("expires the older versions beyond maxVersions", () => {
+    const archived = archivedVersions(1, 2, 3, 4);
+
+    assert.deepEqual(
+      versionNumbers(findExpiredVersions(archived, { maxVersions: 2 }, NOW)),
+      [2, 1]
+    );
+  });
+
+  it("expires every archived version with maxVersions 0", () => {
+    const archived = archivedVersions(1, 2);
+
+    assert.equal(
+      findExpiredVersions(archived, { maxVersions: 0 }, NOW).length,
+      2
+    );
+  });
+
+  it("expires versions replaced more than maxAgeDays ago", () => {
+    const archived = archivedVersions(10, 29, 31, 60);
+
+    assert.deepEqual(
+      versionNumbers(findExpiredVersions(archived, { maxAgeDays: 30 }, NOW)),
+      [2, 1]
+    );
+  });
+
+  it("expires a version that breaks either limit", () => {
+    const archived = archivedVersions(1, 2, 3, 90);
+
+    assert.deepEqual(
+      versionNumbers(
+        findExpiredVersions(archived, { maxVersions: 2, maxAgeDays: 30 }, NOW)
+      ),
+      [2, 1]
+    );
+    assert.deepEqual(
+      versionNumbers(
+        findExpiredVersions(archived, { maxVersions: 10, maxAgeDays: 30 }, NOW)
+      ),
+      [1]
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../../src/services/memory-store");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createMemoryStore", () => {
+  it("counts with incr and expires keys", async () => {
+    const store = createMemoryStore();
+
+    assert.equal(await store.incr("fail"), 1);
+    assert.equal(await store.incr("fail"), 2);
+    assert.equal(await store.ttl("fail"), -1);
+
+    await store.pSetEx("fail", 20, "1");
+    assert.ok((await store.pTTL("fail")) > 0);
+    await sleep(30);
+    assert.equal(await store.get("fail"), null);
+    assert.equal(await store.ttl("fail"), -2);
+  });
+
+  it("sets only missing keys with the NX condition", async () => {
+    const store = createMemoryStore();
+    const options = {
+      expiration: { type: "EX", value: 60 },
+      condition: "NX",
+    };
+
+    assert.equal(await store.set("lock", "a", options), "OK");
+    assert.equal(await store.set("lock", "b", options), null);
+    assert.equal(await store.get("lock"), "a");
+    assert.equal(await store.ttl("lock"), 60);
+  });
+
+  it("deletes single keys and lists of keys", async () => {
+    const store = createMemoryStore();
+    await store.setEx("a", 60, "1");
+    await store.setEx("b", 60, "1");
+
+    assert.equal(await store.del(["a", "b", "c"]), 2);
+    assert.equal(await store.getDel("a"), null);
+  });
+
+  it("scans keys matching a pattern", async () => {
+    const store = createMemoryStore();
+    await store.setEx("vora:bf:lock:ip:1.2.3.4", 60, "{}");
+    await store.setEx("vora:bf:lock:account:a@b.c", 60, "{}");
+
+    const batches = [];
+    for await (const keys of store.scanIterator({
+      MATCH: "vora:bf:lock:ip:*",
+    })) {
+      batches.push(keys);
+    }
+    assert.deepEqual(batches, [["vora:bf:lock:ip:1.2.3.4"]]);
+  });
+
+  it("drops the oldest keys when full", async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    await store.incr("a");
+    await store.incr("b");
+    await store.incr("c");
+
+    assert.equal(await store.get("a"), null);
+    assert.equal(await store.get("b"), "1");
+    assert.equal(await store.get("c"), "1");
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require("node:assert/strict");
+const {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  getTimeStep,
+} = require("../../src/services/mfa.service");
+
+// Shared secret of the RFC 4226 and RFC 6238 (SHA1) test vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32Encode", () => {
+  it("encodes the RFC 4648 vectors without padding", () => {
+    assert.equal(base32Encode(Buffer.from("f")), "MY");
+    assert.equal(base32Encode(Buffer.from("foob")), "MZXW6YQ");
+    assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+  });
+});
+
+describe("base32Decode", () => {
+  it("ignores padding and case", () => {
+    assert.equal(base32Decode("mzxw6yq=").toString(), "foob");
+  });
+
+  it("round-trips binary secrets", () => {
+    const secret = Buffer.from(Array.from({ length: 20 }, (_, i) => i * 13));
+
+    assert.deepEqual(base32Decode(base32Encode(secret)), secret);
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    assert.throws(() => base32Decode("MZXW1"), /Invalid base32 character/);
+  });
+});
+
+describe("generateHotp", () => {
+  it("matches the RFC 4226 test vectors", () => {
+    const expected = [
+      "755224",
+      "287082",
+      "359152",
+      "969429",
+      "338314",
+      "254676",
+      "287922",
+      "162583",
+      "399871",
+      "520489",
+    ];
+
+    expected.forEach((code, counter) =>
+      assert.equal(generateHotp(RFC_SECRET, counter), code)
+    );
+  });
+
+  it("matches the RFC 6238 SHA1 test vectors for 6 digits", () => {
+    const vectors = [
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1111111111, "050471"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+      [20000000000, "353130"],
+    ];
+
+    vectors.forEach(([seconds, code]) =>
+      assert.equal(generateHotp(RFC_SECRET, getTimeStep(seconds * 1000)), code)
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require("node:assert/strict");
+const {
+  parseSearchQuery,
+  buildHighlightPattern,
+  highlightText,
+  buildSnippets,
+} = require("../../src/services/search.service");
+
+describe("parseSearchQuery", () => {
+  it("splits words and quoted phrases and leaves out excluded terms", () => {
+    assert.deepEqual(
+      parseSearchQuery('Access "data backup" -cloud -"public key"'),
+      { words: ["access"], phrases: [["data", "backup"]] }
+    );
+  });
+});
+
+describe("buildHighlightPattern", () => {
+  it("matches other forms of a word", () => {
+    const pattern = buildHighlightPattern(parseSearchQuery("controls"));
+
+    assert.deepEqual("Control and controlled".match(pattern), [
+      "Control",
+      "controlled",
+    ]);
+  });
+
+  it("is null when the query has nothing to highlight", () => {
+    assert.equal(buildHighlightPattern(parseSearchQuery("-cloud")), null);
+  });
+});
+
+describe("highlightText", () => {
+  it("escapes the text and marks the matches", () => {
+    const pattern = buildHighlightPattern(parseSearchQuery('"data backup"'));
+
+    assert.equal(
+      highlightText("<b>Data backup</b>", pattern),
+      "&lt;b&gt;<mark>Data backup</mark>&lt;/b&gt;"
+    );
+  });
+
+  it("only escapes without a pattern", () => {
+    assert.equal(highlightText("a & b", null), "a &amp; b");
+  });
+});
+
+describe("buildSnippets", () => {
+  it("cuts a snippet around a match far into the text", () => {
+    const pattern = buildHighlightPattern(parseSearchQuery("access"));
+    const text = `${"lorem ".repeat(200)}access control${" ipsum".repeat(200)}`;
+
+    const [snippet, ...rest] = buildSnippets(text, pattern);
+    assert.equal(rest.length, 0);
+    assert.ok(snippet.startsWith("…") && snippet.endsWith("…"));
+    assert.match(snippet, /<mark>access<\/mark> control/);
+  });
+
+  it("returns no snippets without a pattern", () => {
+    assert.deepEqual(buildSnippets("null value", null), []);
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const ExcelJS = require("exceljs");
+const {
+  extractDocxText,
+  extractXlsxText,
+} = require("../../../src/services/text-extraction/office.extractor");
+
+// Build a ZIP archive of deflated entries: { name, content, declaredSize? }
+// (CRCs are left at 0, the extractor does not check them)
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content, declaredSize = content.length }) => {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const wordDocument = (body) =>
+  Buffer.from(
+    `<?xml version="1.0"?><w:document><w:body>${body}</w:body></w:document>`
+  );
+
+// More than the 50 MB a single entry may inflate to
+const OVERSIZED_CONTENT = Buffer.alloc(51 * 1024 * 1024, "a");
+
+describe("extractDocxText", () => {
+  it("extracts paragraphs of the body, headers and footers", () => {
+    const docx = buildZip([
+      {
+        name: "word/document.xml",
+        content: wordDocument(
+          "<w:p><w:r><w:t>Access control</w:t></w:r></w:p>" +
+            "<w:p><w:r><w:t>Data &amp; backups</w:t></w:r></w:p>"
+        ),
+      },
+      {
+        name: "word/footer1.xml",
+        content: Buffer.from(
+          "<w:ftr><w:p><w:t>Page footer</w:t></w:p></w:ftr>"
+        ),
+      },
+    ]);
+
+    assert.equal(
+      extractDocxText(docx),
+      "Access control\nData & backups\nPage footer"
+    );
+  });
+
+  it("rejects archives without a document part", () => {
+    const zip = buildZip([{ name: "readme.txt", content: Buffer.from("hi") }]);
+
+    assert.throws(() => extractDocxText(zip), /not a valid DOCX document/);
+  });
+
+  it("rejects files that are not ZIP archives", () => {
+    assert.throws(
+      () => extractDocxText(Buffer.alloc(100)),
+      /not a valid ZIP archive/
+    );
+  });
+
+  it("rejects entries declared larger than the limit", () => {
+    const docx = buildZip([
+      {
+        name: "word/document.xml",
+        content: wordDocument(""),
+        declaredSize: OVERSIZED_CONTENT.length,
+      },
+    ]);
+
+    assert.throws(() => extractDocxText(docx), /too large once uncompressed/);
+  });
+
+  it("stops inflating entries that lie about their size", () => {
+    const docx = buildZip([
+      {
+        name: "word/document.xml",
+        content: OVERSIZED_CONTENT,
+        declaredSize: 1,
+      },
+    ]);
+
+    assert.throws(() => extractDocxText(docx), /too large once uncompressed/);
+  });
+});
+
+describe("extractXlsxText", () => {
+  it("extracts each sheet with tab separated cells", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Controls");
+    sheet.addRow(["A.5.1", "Policies for information security"]);
+    sheet.addRow(["A.5.2", null, "Roles"]);
+    const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    assert.equal(
+      await extractXlsxText(xlsx),
+      "Controls\nA.5.1\tPolicies for information security\nA.5.2\tRoles"
+    );
+  });
+
+  it("rejects workbooks too large once uncompressed", async () => {
+    const xlsx = buildZip([
+      { name: "xl/workbook.xml", content: OVERSIZED_CONTENT, declaredSize: 1 },
+    ]);
+
+    await assert.rejects(extractXlsxText(xlsx), /too large once uncompressed/);
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const PDFDocument = require("pdfkit");
+const {
+  extractPdfText,
+} = require("../../../src/services/text-extraction/pdf.extractor");
+
+// Render pages of text with pdfkit (content streams are FlateDecode compressed)
+const renderPdf = (pages) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    pages.forEach((lines, index) => {
+      if (index > 0) doc.addPage();
+      lines.forEach((line) => doc.text(line));
+    });
+    doc.end();
+  });
+
+// Build a one-page PDF around a content stream with the given stream dictionary
+const buildPdf = (streamDict, data) =>
+  Buffer.concat([
+    Buffer.from(
+      "%PDF-1.4\n" +
+        "1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n" +
+        "2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n" +
+        "3 0 obj\n<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>\nendobj\n" +
+        `4 0 obj\n<< ${streamDict} >>\nstream\n`,
+      "latin1"
+    ),
+    data,
+    Buffer.from("\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n"),
+  ]);
+
+const CONTENT = Buffer.from(
+  "BT /F1 12 Tf 72 700 Td (Access control policy) Tj ET"
+);
+
+// ASCII85 encoding of a buffer, without the "<~" prefix
+const encodeAscii85 = (buffer) => {
+  let text = "";
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    const chunk = buffer.subarray(offset, offset + 4);
+    const padded = Buffer.concat([chunk, Buffer.alloc(4 - chunk.length)]);
+    let value = padded.readUInt32BE(0);
+    const digits = [];
+    for (let index = 0; index < 5; index++) {
+      digits.unshift(String.fromCharCode((value % 85) + 33));
+      value = Math.floor(value / 85);
+    }
+    text += digits.slice(0, chunk.length + 1).join("");
+  }
+  return `${text}~>`;
+};
+
+describe("extractPdfText", () => {
+  it("extracts the text of compressed content streams", async () => {
+    const pdf = await renderPdf([
+      ["Access control policy", "Encryption of data at rest – café"],
+      ["Second page"],
+    ]);
+    assert.match(pdf.toString("latin1"), /\/FlateDecode/);
+
+    assert.equal(
+      extractPdfText(pdf),
+      "Access control policy\nEncryption of data at rest – café\nSecond page"
+    );
+  });
+
+  it("reads the filter when another key follows it", () => {
+    const data = zlib.deflateSync(CONTENT);
+    const pdf = buildPdf(`/Filter /FlateDecode /Length ${data.length}`, data);
+
+    assert.equal(extractPdfText(pdf), "Access control policy");
+  });
+
+  it("applies filter arrays in order", () => {
+    const data = Buffer.from(encodeAscii85(zlib.deflateSync(CONTENT)));
+    const pdf = buildPdf(
+      `/Length ${data.length} /Filter [/ASCII85Decode /FlateDecode]`,
+      data
+    );
+
+    assert.equal(extractPdfText(pdf), "Access control policy");
+  });
+
+  it("decodes ASCIIHexDecode streams", () => {
+    const data = Buffer.from(`${CONTENT.toString("hex")}>`);
+    const pdf = buildPdf(
+      `/Length ${data.length} /Filter /ASCIIHexDecode`,
+      data
+    );
+
+    assert.equal(extractPdfText(pdf), "Access control policy");
+  });
+
+  it("skips streams with unsupported filters", () => {
+    const pdf = buildPdf(
+      `/Length ${CONTENT.length} /Filter /LZWDecode`,
+      CONTENT
+    );
+
+    assert.equal(extractPdfText(pdf), "");
+  });
+
+  it("rejects encrypted PDFs", () => {
+    const pdf = Buffer.from("%PDF-1.4\ntrailer\n<< /Encrypt 5 0 R >>\n");
+
+    assert.throws(() => extractPdfText(pdf), /Encrypted PDFs/);
+  });
+});